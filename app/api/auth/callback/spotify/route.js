@@ -4,12 +4,28 @@
  */
 
 import { NextResponse } from 'next/server';
-import { getSpotifyConfig, validateSpotifyConfig } from '../../../../../lib/config/spotify.js';
+import { getSpotifyConfig, getRequestOrigin, validateSpotifyConfig } from '../../../../../lib/config/spotify.js';
+import { startSession } from '../../../../../lib/server/spotifyTokens.js';
+import { OAUTH_COOKIE, readOAuthCookie, safeEqual } from '../../../../../lib/server/oauthState.js';
+
+/**
+ * Redirect back into the app, ending the login attempt either way
+ * @param {string} path - App path to redirect to
+ * @param {Request} request - The callback request
+ * @returns {NextResponse} Redirect response
+ */
+function finishLogin(path, request) {
+  const response = NextResponse.redirect(new URL(path, getRequestOrigin(request)));
+  response.cookies.delete(OAUTH_COOKIE);
+  return response;
+}
 
 export async function GET(request) {
   try {
-    // Validate server-side configuration
-    validateSpotifyConfig();
+    // Validate server-side configuration. The redirect URI is derived the same
+    // way as in the login route, so it matches the one Spotify saw.
+    const origin = getRequestOrigin(request);
+    validateSpotifyConfig(origin);
     
     const { searchParams } = new URL(request.url);
     const code = searchParams.get('code');
@@ -19,27 +35,24 @@ export async function GET(request) {
     // Handle OAuth errors
     if (error) {
       console.error('Spotify OAuth error:', error);
-      return NextResponse.redirect(
-        new URL(`/?error=${encodeURIComponent(error)}`, request.url)
-      );
+      return finishLogin(`/?error=${encodeURIComponent(error)}`, request);
     }
 
     // Validate required parameters
     if (!code || !state) {
       console.error('Missing code or state parameter');
-      return NextResponse.redirect(
-        new URL('/?error=missing_parameters', request.url)
-      );
+      return finishLogin('/?error=missing_parameters', request);
     }
 
-    // For now, we'll skip PKCE validation in the server-side callback
-    // In a production app, you'd want to store these in a secure server-side session
-    // or use a different approach like storing them in encrypted cookies
-    
-    // TODO: Implement proper PKCE validation with server-side storage
-    console.log('Received callback with code and state - proceeding with token exchange');
+    // The state must match the login started in this browser, or this could be
+    // someone else's authorization code being planted on the user
+    const attempt = readOAuthCookie(request.cookies);
+    if (!attempt || !safeEqual(attempt.state, state)) {
+      console.error('OAuth state missing or mismatched');
+      return finishLogin('/?error=state_mismatch', request);
+    }
 
-    const config = getSpotifyConfig();
+    const config = getSpotifyConfig(origin);
 
     // Exchange authorization code for access token
     const tokenResponse = await fetch(config.endpoints.token, {
@@ -53,45 +66,44 @@ export async function GET(request) {
         redirect_uri: config.redirectUri,
         client_id: config.clientId,
         client_secret: config.clientSecret,
+        code_verifier: attempt.codeVerifier,
       }),
     });
 
     if (!tokenResponse.ok) {
       const errorData = await tokenResponse.text();
       console.error('Token exchange failed:', errorData);
-      return NextResponse.redirect(
-        new URL('/?error=token_exchange_failed', request.url)
-      );
+      return finishLogin('/?error=token_exchange_failed', request);
     }
 
     const tokenData = await tokenResponse.json();
 
-    // Create response with redirect to home page
-    const response = NextResponse.redirect(new URL('/', request.url));
-
-    // Set secure HTTP-only cookies for tokens
-    response.cookies.set('spotify_access_token', tokenData.access_token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: tokenData.expires_in, // Token expiry time in seconds
+    // Sessions are registered per Spotify user, so they can be ended from any device,
+    // and remember the account's country as the default market
+    const profileResponse = await fetch(config.endpoints.me, {
+      headers: {
+        'Authorization': `Bearer ${tokenData.access_token}`,
+        'Content-Type': 'application/json',
+      },
     });
 
-    if (tokenData.refresh_token) {
-      response.cookies.set('spotify_refresh_token', tokenData.refresh_token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 60 * 60 * 24 * 30, // 30 days
-      });
+    if (!profileResponse.ok) {
+      console.error('Profile fetch after login failed:', profileResponse.status);
+      return finishLogin('/?error=profile_fetch_failed', request);
     }
 
+    const { id: userId, country } = await profileResponse.json();
+
+    // Create response with redirect to home page
+    const response = finishLogin('/', request);
+
+    // Tokens stay on the server; the browser only gets the session id
+    await startSession(response.cookies, tokenData, { userId, country });
+
     return response;
 
   } catch (error) {
     console.error('Callback handler error:', error);
-    return NextResponse.redirect(
-      new URL('/?error=callback_handler_error', request.url)
-    );
+    return finishLogin('/?error=callback_handler_error', request);
   }
 }
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Spotify Login API Route
+ * Starts the OAuth flow: remembers the state and PKCE verifier in a signed
+ * cookie and redirects to Spotify's authorization page
+ */
+
+import { NextResponse } from 'next/server';
+import { getSpotifyConfig, getRequestOrigin, validateSpotifyConfig } from '../../../../lib/config/spotify.js';
+import { generatePKCEPair, generateState } from '../../../../lib/auth/pkce.js';
+import { setOAuthCookie } from '../../../../lib/server/oauthState.js';
+
+export async function GET(request) {
+  try {
+    // The redirect URI follows the origin the app is being used on, if it's allowed
+    const origin = getRequestOrigin(request);
+    validateSpotifyConfig(origin);
+
+    const config = getSpotifyConfig(origin);
+    const state = generateState();
+    const { codeVerifier, codeChallenge } = await generatePKCEPair();
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.clientId,
+      scope: config.scopes,
+      redirect_uri: config.redirectUri,
+      state: state,
+      code_challenge_method: 'S256',
+      code_challenge: codeChallenge,
+    });
+
+    const response = NextResponse.redirect(`${config.endpoints.authorize}?${params.toString()}`);
+    setOAuthCookie(response.cookies, { state, codeVerifier });
+
+    return response;
+
+  } catch (error) {
+    console.error('Login route error:', error);
+    return NextResponse.redirect(
+      new URL('/?error=login_failed', getRequestOrigin(request))
+    );
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Logout API Route
+ * Ends the current session, or every session for the user, and clears the auth cookies
+ */
+
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { clearAuthCookies, getSession } from '../../../../lib/server/spotifyTokens.js';
+import { sessionStore } from '../../../../lib/server/sessionStore.js';
+
+export async function POST(request) {
+  try {
+    const cookieStore = await cookies();
+    const body = await request.json().catch(() => ({}));
+    const everywhere = body?.everywhere === true;
+
+    const session = await getSession();
+    if (session) {
+      if (everywhere) {
+        await sessionStore.deleteForUser(session.record.userId);
+      } else {
+        await sessionStore.delete(session.id);
+      }
+    }
+
+    clearAuthCookies(cookieStore);
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('Logout API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Spotify Token Refresh API Route
+ * Exchanges the session's refresh token for new tokens
+ */
+
+import { NextResponse } from 'next/server';
+import { refreshTokens } from '../../../../lib/server/spotifyTokens.js';
+
+export async function POST() {
+  try {
+    const session = await refreshTokens();
+
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    return NextResponse.json({ success: true, expiresIn: Math.round((session.expiresAt - Date.now()) / 1000) });
+
+  } catch (error) {
+    console.error('Token refresh API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
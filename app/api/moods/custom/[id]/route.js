@@ -0,0 +1,86 @@
+/**
+ * Custom Mood API Route
+ * Updates or deletes one of the signed-in user's custom moods
+ */
+
+import { NextResponse } from 'next/server';
+import { userDataStore } from '../../../../../lib/server/userDataStore.js';
+import { getCurrentUserId } from '../../../../../lib/server/spotifyUser.js';
+import { validateCustomMood } from '../../../../../lib/config/moodMappings.js';
+
+const COLLECTION = 'custom-moods';
+
+export async function PUT(request, { params }) {
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+    }
+
+    let failure = null;
+    let updated = null;
+
+    await userDataStore.update(userId, COLLECTION, (moods) => {
+      const existing = moods.find(mood => mood.id === id);
+      if (!existing) {
+        failure = { body: { error: 'Custom mood not found' }, status: 404 };
+        return moods;
+      }
+
+      const { mood, errors } = validateCustomMood({ ...existing, ...body, id }, moods);
+      if (!mood) {
+        failure = { body: { error: 'Invalid custom mood', details: errors }, status: 400 };
+        return moods;
+      }
+
+      updated = { ...existing, ...mood, updatedAt: new Date().toISOString() };
+      return moods.map(other => (other.id === id ? updated : other));
+    }, []);
+
+    if (failure) {
+      return NextResponse.json(failure.body, { status: failure.status });
+    }
+
+    return NextResponse.json({ mood: updated });
+
+  } catch (error) {
+    console.error('Custom mood API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    let found = false;
+
+    await userDataStore.update(userId, COLLECTION, (moods) => {
+      found = moods.some(mood => mood.id === id);
+      return moods.filter(mood => mood.id !== id);
+    }, []);
+
+    if (!found) {
+      return NextResponse.json({ error: 'Custom mood not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('Custom mood API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Custom Moods API Route
+ * Lists and creates the signed-in user's custom moods
+ */
+
+import { NextResponse } from 'next/server';
+import { randomUUID } from 'crypto';
+import { userDataStore } from '../../../../lib/server/userDataStore.js';
+import { getCurrentUserId } from '../../../../lib/server/spotifyUser.js';
+import { validateCustomMood, CUSTOM_MOOD_LIMITS } from '../../../../lib/config/moodMappings.js';
+
+const COLLECTION = 'custom-moods';
+
+export async function GET() {
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const moods = await userDataStore.read(userId, COLLECTION, []);
+    return NextResponse.json({ moods });
+
+  } catch (error) {
+    console.error('Custom moods API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+    }
+
+    let failure = null;
+    let created = null;
+
+    await userDataStore.update(userId, COLLECTION, (moods) => {
+      if (moods.length >= CUSTOM_MOOD_LIMITS.maxMoods) {
+        failure = { error: `You can have at most ${CUSTOM_MOOD_LIMITS.maxMoods} custom moods` };
+        return moods;
+      }
+
+      const { mood, errors } = validateCustomMood({ ...body, id: undefined }, moods);
+      if (!mood) {
+        failure = { error: 'Invalid custom mood', details: errors };
+        return moods;
+      }
+
+      const now = new Date().toISOString();
+      created = { id: randomUUID(), ...mood, createdAt: now, updatedAt: now };
+      return [...moods, created];
+    }, []);
+
+    if (failure) {
+      return NextResponse.json(failure, { status: 400 });
+    }
+
+    return NextResponse.json({ mood: created }, { status: 201 });
+
+  } catch (error) {
+    console.error('Custom moods API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Mood History Entry API Route
+ * Deletes one of the signed-in user's mood searches
+ */
+
+import { NextResponse } from 'next/server';
+import { userDataStore } from '../../../../../lib/server/userDataStore.js';
+import { getCurrentUserId } from '../../../../../lib/server/spotifyUser.js';
+
+const COLLECTION = 'mood-history';
+
+export async function DELETE(request, { params }) {
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    let found = false;
+
+    await userDataStore.update(userId, COLLECTION, (entries) => {
+      found = entries.some(entry => entry.id === id);
+      return entries.filter(entry => entry.id !== id);
+    }, []);
+
+    if (!found) {
+      return NextResponse.json({ error: 'History entry not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('Mood history API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Mood History API Route
+ * Lists, records and clears the signed-in user's mood searches
+ */
+
+import { NextResponse } from 'next/server';
+import { randomUUID } from 'crypto';
+import { userDataStore } from '../../../../lib/server/userDataStore.js';
+import { getCurrentUserId } from '../../../../lib/server/spotifyUser.js';
+import { validateHistoryEntry, addHistoryEntry } from '../../../../lib/config/moodHistory.js';
+
+const COLLECTION = 'mood-history';
+
+export async function GET() {
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const entries = await userDataStore.read(userId, COLLECTION, []);
+    return NextResponse.json({ entries });
+
+  } catch (error) {
+    console.error('Mood history API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+    }
+
+    const { entry, errors } = validateHistoryEntry(body);
+    if (!entry) {
+      return NextResponse.json({ error: 'Invalid history entry', details: errors }, { status: 400 });
+    }
+
+    const created = { id: randomUUID(), ...entry, timestamp: new Date().toISOString() };
+    await userDataStore.update(userId, COLLECTION, (entries) => addHistoryEntry(entries, created), []);
+
+    return NextResponse.json({ entry: created }, { status: 201 });
+
+  } catch (error) {
+    console.error('Mood history API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function DELETE() {
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    await userDataStore.remove(userId, COLLECTION);
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('Mood history API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Mood Map API Route
+ * Exposes the valence/energy mood plane so the UI can plot moods and
+ * resolve arbitrary coordinates to their nearest named moods
+ */
+
+import { NextResponse } from 'next/server';
+import { MoodAnalysisService } from '../../../lib/services/moodAnalysis.js';
+
+/**
+ * Nearest moods returned by default, and at most
+ */
+const DEFAULT_LIMIT = 3;
+const MAX_LIMIT = 20;
+
+/**
+ * Read a query parameter as a number; missing and blank values are not 0
+ * @returns {number} The number, NaN if missing or not numeric
+ */
+function toNumber(value) {
+  return value === null || value.trim() === '' ? NaN : Number(value);
+}
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const valence = searchParams.get('valence');
+    const energy = searchParams.get('energy');
+    const limitParam = searchParams.get('limit');
+
+    // Without coordinates, return the whole map
+    if (valence === null && energy === null) {
+      return NextResponse.json({ moods: MoodAnalysisService.getMoodMap() });
+    }
+
+    const coordinates = { valence: toNumber(valence), energy: toNumber(energy) };
+    if (!Number.isFinite(coordinates.valence) || !Number.isFinite(coordinates.energy)) {
+      return NextResponse.json({ error: 'valence and energy must both be numbers' }, { status: 400 });
+    }
+
+    const limit = limitParam === null ? DEFAULT_LIMIT : toNumber(limitParam);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return NextResponse.json({ error: `limit must be a whole number from 1 to ${MAX_LIMIT}` }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      coordinates,
+      nearest: MoodAnalysisService.findMoodsNear(coordinates.valence, coordinates.energy, limit),
+      audioFeatures: MoodAnalysisService.getFeaturesAt(coordinates.valence, coordinates.energy)
+    });
+
+  } catch (error) {
+    console.error('Mood map API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -4,31 +4,22 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
+import { getAccessToken, spotifyFetch } from '../../../../lib/server/spotifyTokens.js';
+import { spotifyErrorResponse } from '../../../../lib/server/spotifyClient.js';
 
 export async function GET() {
   try {
-    const cookieStore = await cookies();
-    const accessToken = cookieStore.get('spotify_access_token')?.value;
+    const accessToken = await getAccessToken();
 
     if (!accessToken) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
     }
 
-    // Make request to Spotify API
-    const response = await fetch('https://api.spotify.com/v1/me', {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    // Make request to Spotify API, refreshing the token if it has expired
+    const response = await spotifyFetch('/me');
 
     if (!response.ok) {
-      if (response.status === 401) {
-        return NextResponse.json({ error: 'Token expired' }, { status: 401 });
-      }
-      const error = await response.text();
-      return NextResponse.json({ error: 'Spotify API error' }, { status: response.status });
+      return spotifyErrorResponse(response, 'Spotify current user error');
     }
 
     const userData = await response.json();
@@ -38,4 +29,4 @@ export async function GET() {
     console.error('Current user API error:', error);
     return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,48 @@
+/**
+ * Spotify Player Control API Route
+ * Pauses, resumes, skips and seeks on one of the user's devices
+ */
+
+import { NextResponse } from 'next/server';
+import { getAccessToken } from '../../../../../lib/server/spotifyTokens.js';
+import { spotifyErrorResponse } from '../../../../../lib/server/spotifyClient.js';
+import { sendPlayerCommand, PLAYER_ACTIONS } from '../../../../../lib/server/player.js';
+
+export async function POST(request) {
+  try {
+    const accessToken = await getAccessToken();
+
+    if (!accessToken) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+    }
+
+    const { action, deviceId, positionMs } = body || {};
+
+    if (!PLAYER_ACTIONS.includes(action)) {
+      return NextResponse.json({ error: `action must be one of: ${PLAYER_ACTIONS.join(', ')}` }, { status: 400 });
+    }
+
+    if (action === 'seek' && !Number.isFinite(positionMs)) {
+      return NextResponse.json({ error: 'positionMs must be a number' }, { status: 400 });
+    }
+
+    const response = await sendPlayerCommand(action, { deviceId, positionMs });
+
+    if (!response.ok) {
+      return spotifyErrorResponse(response, `Spotify ${action} error`);
+    }
+
+    return new NextResponse(null, { status: 204 });
+
+  } catch (error) {
+    console.error('Player control API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Spotify Devices API Route
+ * Lists the devices the user can play on
+ */
+
+import { NextResponse } from 'next/server';
+import { getAccessToken } from '../../../../../lib/server/spotifyTokens.js';
+import { spotifyErrorResponse } from '../../../../../lib/server/spotifyClient.js';
+import { fetchDevices, toDevice } from '../../../../../lib/server/player.js';
+
+export async function GET() {
+  try {
+    const accessToken = await getAccessToken();
+
+    if (!accessToken) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const response = await fetchDevices();
+
+    if (!response.ok) {
+      return spotifyErrorResponse(response, 'Spotify devices error');
+    }
+
+    const { devices = [] } = await response.json();
+    return NextResponse.json({ devices: devices.filter(device => device?.id).map(toDevice) });
+
+  } catch (error) {
+    console.error('Devices API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
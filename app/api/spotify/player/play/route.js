@@ -0,0 +1,45 @@
+/**
+ * Spotify Play API Route
+ * Starts playing tracks on one of the user's devices, usually the in-browser player
+ */
+
+import { NextResponse } from 'next/server';
+import { getAccessToken } from '../../../../../lib/server/spotifyTokens.js';
+import { spotifyErrorResponse } from '../../../../../lib/server/spotifyClient.js';
+import { startPlayback } from '../../../../../lib/server/player.js';
+import { toTrackUris } from '../../../../../lib/server/playlists.js';
+
+export async function PUT(request) {
+  try {
+    const accessToken = await getAccessToken();
+
+    if (!accessToken) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+    }
+
+    const { deviceId, trackIds, startTrackId, positionMs } = body || {};
+
+    if (!Array.isArray(trackIds) || toTrackUris(trackIds).length === 0) {
+      return NextResponse.json({ error: 'No tracks to play' }, { status: 400 });
+    }
+
+    const response = await startPlayback({ deviceId, trackIds, startTrackId, positionMs });
+
+    if (!response.ok) {
+      return spotifyErrorResponse(response, 'Spotify play error');
+    }
+
+    return new NextResponse(null, { status: 204 });
+
+  } catch (error) {
+    console.error('Play API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Spotify Playback State API Route
+ * Reports what the user is playing, on whichever device
+ */
+
+import { NextResponse } from 'next/server';
+import { getAccessToken } from '../../../../../lib/server/spotifyTokens.js';
+import { spotifyErrorResponse } from '../../../../../lib/server/spotifyClient.js';
+import { fetchPlaybackState } from '../../../../../lib/server/player.js';
+
+export async function GET() {
+  try {
+    const accessToken = await getAccessToken();
+
+    if (!accessToken) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { response, state } = await fetchPlaybackState();
+
+    if (!response.ok) {
+      return spotifyErrorResponse(response, 'Spotify playback state error');
+    }
+
+    return NextResponse.json({ state }, { headers: { 'Cache-Control': 'no-store' } });
+
+  } catch (error) {
+    console.error('Playback state API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
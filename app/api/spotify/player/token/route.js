@@ -0,0 +1,40 @@
+/**
+ * Spotify Playback Token API Route
+ * Hands the Web Playback SDK an access token, which it needs in the browser
+ */
+
+import { NextResponse } from 'next/server';
+import { getAccessToken, getSession } from '../../../../../lib/server/spotifyTokens.js';
+import { missingPlaybackScopes } from '../../../../../lib/server/player.js';
+
+export async function GET() {
+  try {
+    const accessToken = await getAccessToken();
+    // Read the session after getting the token, so a refreshed expiry is returned
+    const session = accessToken && await getSession();
+
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    // Only sessions that can stream get their token, so it can't be used for more than playback needs
+    const missingScopes = missingPlaybackScopes(session.record);
+    if (missingScopes.length > 0) {
+      return NextResponse.json(
+        { error: 'Log in to Spotify again to play full tracks', code: 'missing_scope', status: 403, missingScopes },
+        { status: 403 }
+      );
+    }
+
+    return NextResponse.json({
+      accessToken,
+      expiresIn: Math.max(0, Math.floor((session.record.expiresAt - Date.now()) / 1000))
+    }, {
+      headers: { 'Cache-Control': 'no-store' }
+    });
+
+  } catch (error) {
+    console.error('Playback token API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Spotify Transfer Playback API Route
+ * Moves the user's playback to another device
+ */
+
+import { NextResponse } from 'next/server';
+import { getAccessToken } from '../../../../../lib/server/spotifyTokens.js';
+import { spotifyErrorResponse } from '../../../../../lib/server/spotifyClient.js';
+import { transferPlayback } from '../../../../../lib/server/player.js';
+
+export async function PUT(request) {
+  try {
+    const accessToken = await getAccessToken();
+
+    if (!accessToken) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+    }
+
+    const { deviceId, play = false } = body || {};
+
+    if (typeof deviceId !== 'string' || !deviceId) {
+      return NextResponse.json({ error: 'deviceId is required' }, { status: 400 });
+    }
+
+    const response = await transferPlayback(deviceId, play);
+
+    if (!response.ok) {
+      return spotifyErrorResponse(response, 'Spotify transfer playback error');
+    }
+
+    return new NextResponse(null, { status: 204 });
+
+  } catch (error) {
+    console.error('Transfer playback API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
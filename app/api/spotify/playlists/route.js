@@ -0,0 +1,83 @@
+/**
+ * Spotify Playlists API Route
+ * Saves a mood's recommended tracks as a playlist in the user's account
+ */
+
+import { NextResponse } from 'next/server';
+import { getSession, spotifyFetch } from '../../../../lib/server/spotifyTokens.js';
+import { spotifyErrorResponse } from '../../../../lib/server/spotifyClient.js';
+import {
+  PLAYLIST_SCOPES,
+  buildPlaylistName,
+  buildPlaylistDescription,
+  toTrackUris,
+  addTracksToPlaylist
+} from '../../../../lib/server/playlists.js';
+
+export async function POST(request) {
+  try {
+    const session = await getSession();
+
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+    }
+
+    const { mood, trackIds, audioFeatures, date, public: isPublic = false } = body || {};
+    const uris = toTrackUris(trackIds);
+
+    if (uris.length === 0) {
+      return NextResponse.json({ error: 'No tracks to save' }, { status: 400 });
+    }
+
+    // Sessions from before playlists were supported lack the scope until the user logs in again
+    const scope = isPublic ? PLAYLIST_SCOPES.public : PLAYLIST_SCOPES.private;
+    if (!(session.record.scopes || []).includes(scope)) {
+      return NextResponse.json(
+        { error: 'Log in to Spotify again to let Terera create playlists', code: 'missing_scope', status: 403 },
+        { status: 403 }
+      );
+    }
+
+    const createResponse = await spotifyFetch(`/users/${encodeURIComponent(session.record.userId)}/playlists`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: buildPlaylistName(mood, date),
+        description: buildPlaylistDescription(mood, audioFeatures),
+        public: Boolean(isPublic)
+      })
+    });
+
+    if (!createResponse.ok) {
+      return spotifyErrorResponse(createResponse, 'Spotify create playlist error');
+    }
+
+    const playlist = await createResponse.json();
+    const { added, response: failedResponse } = await addTracksToPlaylist(playlist.id, uris);
+    const saved = {
+      id: playlist.id,
+      name: playlist.name,
+      url: playlist.external_urls?.spotify,
+      trackCount: added
+    };
+
+    if (failedResponse) {
+      // The playlist exists either way; return it so the user can open it rather than save a second copy
+      console.error(`Playlist ${playlist.id} was created with ${added} of ${uris.length} tracks`);
+      return spotifyErrorResponse(failedResponse, 'Spotify add playlist tracks error', { playlist: saved });
+    }
+
+    return NextResponse.json(saved, { status: 201 });
+
+  } catch (error) {
+    console.error('Playlists API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -4,30 +4,77 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
+import { getAccessToken, spotifyFetch } from '../../../../lib/server/spotifyTokens.js';
+import { spotifyErrorResponse } from '../../../../lib/server/spotifyClient.js';
+import { buildExplanation } from '../../../../lib/services/trackRanking.js';
+import { resolveMarket } from '../../../../lib/server/market.js';
+import { fetchPersonalSeeds, blendSeeds, MAX_SEEDS } from '../../../../lib/server/personalSeeds.js';
+import { selectSeedGenres } from '../../../../lib/server/genreSeeds.js';
+
+/**
+ * Most candidate genres read from a request; more than MAX_SEEDS, as some may be invalid
+ */
+const MAX_REQUESTED_GENRES = 20;
+
+/**
+ * Spotify artist ids, as custom moods store them
+ */
+const ARTIST_ID_PATTERN = /^[A-Za-z0-9]{22}$/;
 
 export async function POST(request) {
   try {
-    const cookieStore = await cookies();
-    const accessToken = cookieStore.get('spotify_access_token')?.value;
+    const accessToken = await getAccessToken();
 
     if (!accessToken) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
     }
 
-    const body = await request.json();
-    const { audioFeatures, limit = 20 } = body;
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+    }
+
+    body = body || {};
+    const { audioFeatures, limit = 20, personalized = false } = body;
+    const market = await resolveMarket(body.market);
+
+    // Genre seeds come from the client's mood analysis (MoodAnalysisService.getSeedGenres),
+    // checked against the genres Spotify accepts
+    const requestedGenres = (Array.isArray(body.seedGenres) ? body.seedGenres : []).slice(0, MAX_REQUESTED_GENRES);
+    const { genres: moodGenres, fallback: usedFallbackGenres } = await selectSeedGenres(requestedGenres, {
+      audioFeatures,
+      limit: MAX_SEEDS
+    });
+
+    // Artists a custom mood names (MoodAnalysisService.getSeedArtists)
+    const moodArtists = [...new Set((Array.isArray(body.seedArtists) ? body.seedArtists : [])
+      .filter(id => typeof id === 'string' && ARTIST_ID_PATTERN.test(id)))]
+      .slice(0, MAX_SEEDS);
+
+    // In personalised mode, the user's own tracks and artists that fit the mood join the genre seeds
+    const personal = personalized && audioFeatures
+      ? await fetchPersonalSeeds(audioFeatures)
+      : { tracks: [], artists: [], missingScopes: [] };
+    const seeds = blendSeeds(personal, moodGenres, moodArtists);
 
     // Build recommendation parameters
     const params = new URLSearchParams({
       limit: limit.toString(),
-      market: 'US', // Default market
+      market,
     });
 
-    // Add seed genres (required by Spotify API)
-    // Using only well-known Spotify genres
-    const seedGenres = ['pop', 'rock'];
-    params.append('seed_genres', seedGenres.join(','));
+    if (seeds.tracks.length > 0) {
+      params.append('seed_tracks', seeds.tracks.map(({ id }) => id).join(','));
+    }
+    const artistIds = [...seeds.moodArtists, ...seeds.artists.map(({ id }) => id)];
+    if (artistIds.length > 0) {
+      params.append('seed_artists', artistIds.join(','));
+    }
+    if (seeds.genres.length > 0) {
+      params.append('seed_genres', seeds.genres.join(','));
+    }
 
     // Add audio feature parameters
     if (audioFeatures) {
@@ -38,33 +85,37 @@ export async function POST(request) {
       });
     }
 
-    // Make request to Spotify API
-    const response = await fetch(`https://api.spotify.com/v1/recommendations?${params.toString()}`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    // Make request to Spotify API, refreshing the token if it has expired
+    const response = await spotifyFetch(`/recommendations?${params.toString()}`);
 
     if (!response.ok) {
-      if (response.status === 401) {
-        return NextResponse.json({ error: 'Token expired' }, { status: 401 });
-      }
-      const error = await response.text();
-      console.error('Spotify recommendations error:', {
-        status: response.status,
-        statusText: response.statusText,
-        error: error,
-        url: `https://api.spotify.com/v1/recommendations?${params.toString()}`
-      });
-      return NextResponse.json({ 
-        error: `Spotify API error: ${response.status} ${response.statusText}`,
-        details: error 
-      }, { status: response.status });
+      return spotifyErrorResponse(response, 'Spotify recommendations error');
     }
 
     const recommendations = await response.json();
-    return NextResponse.json(recommendations);
+
+    // Record which seeds produced the tracks, so the UI can explain them
+    const source = {
+      type: 'seed',
+      seeds: {
+        genres: seeds.genres,
+        tracks: seeds.tracks.map(({ name }) => name),
+        artists: seeds.artists.map(({ name }) => name)
+      }
+    };
+    const explanation = buildExplanation({ source });
+    recommendations.tracks = (recommendations.tracks || []).map(track => ({ ...track, explanation }));
+
+    return NextResponse.json({
+      ...recommendations,
+      // True when none of the requested genres were usable and nearby moods' genres stood in
+      fallbackGenres: usedFallbackGenres,
+      personalization: {
+        used: seeds.tracks.length + seeds.artists.length > 0,
+        // Scopes to log in again for, if the session predates personalisation
+        missingScopes: personal.missingScopes
+      }
+    });
 
   } catch (error) {
     console.error('Recommendations API error:', error);
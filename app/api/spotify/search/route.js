@@ -4,62 +4,145 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
+import { getAccessToken, spotifyFetch } from '../../../../lib/server/spotifyTokens.js';
+import { spotifyErrorResponse } from '../../../../lib/server/spotifyClient.js';
+import { fetchAudioFeatures } from '../../../../lib/server/audioFeatures.js';
+import { fetchAlbums } from '../../../../lib/server/albums.js';
+import { searchCache, bypassesCache } from '../../../../lib/server/responseCache.js';
+import { resolveMarket, TOKEN_MARKET } from '../../../../lib/server/market.js';
+import { rankTracks, rankAlbums, buildExplanation } from '../../../../lib/services/trackRanking.js';
+
+/**
+ * Spotify's maximum search page size
+ */
+const MAX_SEARCH_LIMIT = 50;
 
 export async function POST(request) {
   try {
-    const cookieStore = await cookies();
-    const accessToken = cookieStore.get('spotify_access_token')?.value;
+    const accessToken = await getAccessToken();
 
     if (!accessToken) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
     }
 
     const body = await request.json();
-    const { query, types = ['track', 'album'], limit = 20, market = 'ZA', audioFeatures } = body;
+    const { query, types = ['track', 'album'], limit = 20, audioFeatures } = body;
+    const market = await resolveMarket(body.market);
+
+    // Fetch extra candidates when re-ranking, so dropping outliers still leaves enough
+    const candidateLimit = audioFeatures ? Math.min(limit * 2, MAX_SEARCH_LIMIT) : limit;
 
     // Build search parameters
     const params = new URLSearchParams({
       q: query,
       type: types.join(','),
-      limit: limit.toString(),
+      limit: candidateLimit.toString(),
       market: market,
     });
 
-    // Make request to Spotify API
-    const response = await fetch(`https://api.spotify.com/v1/search?${params.toString()}`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    // Identical searches are served from the cache unless the client asks for fresh results.
+    // from_token results depend on whose account asked, so they are never shared.
+    const fresh = bypassesCache(request);
+    const cacheable = market !== TOKEN_MARKET;
+    const cacheKey = JSON.stringify([query, [...types].sort(), market, candidateLimit]);
+    let searchResults = fresh || !cacheable ? undefined : await searchCache.get(cacheKey);
+    const cacheStatus = fresh || !cacheable ? 'BYPASS' : searchResults ? 'HIT' : 'MISS';
+
+    if (!searchResults) {
+      // Make request to Spotify API, refreshing the token if it has expired
+      const response = await spotifyFetch(`/search?${params.toString()}`);
+
+      if (!response.ok) {
+        return spotifyErrorResponse(response, 'Spotify search error');
+      }
 
-    if (!response.ok) {
-      if (response.status === 401) {
-        return NextResponse.json({ error: 'Token expired' }, { status: 401 });
+      searchResults = await response.json();
+      if (cacheable) {
+        await searchCache.set(cacheKey, searchResults);
       }
-      const error = await response.text();
-      console.error('Spotify search error:', {
-        status: response.status,
-        statusText: response.statusText,
-        error: error,
-        query: query,
-        url: `https://api.spotify.com/v1/search?${params.toString()}`
-      });
-      return NextResponse.json({ 
-        error: `Spotify API error: ${response.status} ${response.statusText}`,
-        details: error 
-      }, { status: response.status });
     }
 
-    const searchResults = await response.json();
-    
-    // If audio features are provided, we could filter results here
-    // For now, return all results
-    return NextResponse.json(searchResults);
+    const headers = { 'X-Cache': cacheStatus };
+
+    if (!audioFeatures) {
+      return NextResponse.json(searchResults, { headers });
+    }
+
+    const ranked = await rankSearchResults(searchResults, audioFeatures, { limit, query, market, fresh });
+    return NextResponse.json(ranked, { headers });
 
   } catch (error) {
     console.error('Search API error:', error);
     return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Sort search results by how well they fit the mood's audio features
+ * Falls back to Spotify's own order if audio features can't be fetched.
+ * @param {Object} searchResults - Spotify search response
+ * @param {Object} audioFeatures - Target audio features for the mood
+ * @param {Object} options - Ranking options
+ * @param {number} options.limit - Number of results to return per type
+ * @param {string} options.query - The search query, recorded in each item's explanation
+ * @param {string} options.market - Market of the search
+ * @param {boolean} options.fresh - Skip cached audio features and albums
+ * @returns {Promise<Object>} Search response with ranked, explained items and a `ranked` flag
+ */
+async function rankSearchResults(searchResults, audioFeatures, { limit, query, market, fresh }) {
+  const tracks = searchResults.tracks?.items || [];
+  const albums = searchResults.albums?.items || [];
+  const source = { type: 'search', query };
+
+  const trimmed = (trackItems, albumItems, ranked) => ({
+    ...searchResults,
+    ...(searchResults.tracks && { tracks: { ...searchResults.tracks, items: trackItems.slice(0, limit) } }),
+    ...(searchResults.albums && { albums: { ...searchResults.albums, items: albumItems.slice(0, limit) } }),
+    ranked
+  });
+
+  try {
+    // Albums are cached per market too
+    const albumTracks = await fetchAlbumTracks(albums, tracks, { market, fresh: fresh || market === TOKEN_MARKET });
+    const featuresById = await fetchAudioFeatures([...tracks, ...albumTracks].map(track => track?.id), { fresh });
+    const rankedTracks = rankTracks(tracks.filter(Boolean), featuresById, audioFeatures, source);
+    const rankedAlbumTracks = rankTracks(albumTracks, featuresById, audioFeatures, source);
+    const rankedAlbums = rankAlbums(albums.filter(Boolean), [...rankedTracks, ...rankedAlbumTracks], source);
+
+    return trimmed(rankedTracks, rankedAlbums, true);
+  } catch (error) {
+    console.error('Audio features unavailable, returning unranked results:', error);
+
+    // Without features, the search term is the only explanation there is
+    const explain = item => ({ ...item, moodScore: null, explanation: buildExplanation({ source }) });
+    return trimmed(tracks.filter(Boolean).map(explain), albums.filter(Boolean).map(explain), false);
+  }
+}
+
+/**
+ * Get the tracks of albums that none of the track results come from
+ * Lets those albums be ranked by their own tracks. Gives up quietly, leaving them unscored,
+ * if the albums can't be fetched.
+ * @param {Array} albums - Album results
+ * @param {Array} tracks - Track results
+ * @param {Object} options - Options passed to fetchAlbums
+ * @returns {Promise<Array>} The albums' tracks, each with `album.id` set
+ */
+async function fetchAlbumTracks(albums, tracks, options) {
+  const coveredAlbumIds = new Set(tracks.map(track => track?.album?.id));
+  const albumIds = albums.map(album => album?.id).filter(id => id && !coveredAlbumIds.has(id));
+
+  if (albumIds.length === 0) {
+    return [];
+  }
+
+  try {
+    const albumsById = await fetchAlbums(albumIds, options);
+    return Object.values(albumsById).flatMap(album =>
+      (album.tracks?.items || []).filter(Boolean).map(track => ({ ...track, album: { id: album.id } }))
+    );
+  } catch (error) {
+    console.error('Album metadata unavailable, leaving albums without matching tracks unscored:', error);
+    return [];
+  }
+}
@@ -4,12 +4,13 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
+import { getAccessToken, spotifyFetch } from '../../../../lib/server/spotifyTokens.js';
+import { spotifyErrorResponse } from '../../../../lib/server/spotifyClient.js';
+import { resolveMarket } from '../../../../lib/server/market.js';
 
 export async function GET() {
   try {
-    const cookieStore = await cookies();
-    const accessToken = cookieStore.get('spotify_access_token')?.value;
+    const accessToken = await getAccessToken();
 
     if (!accessToken) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
@@ -17,24 +18,10 @@ export async function GET() {
 
     console.log('Testing Spotify API with token:', accessToken.substring(0, 20) + '...');
 
-    const userResponse = await fetch('https://api.spotify.com/v1/me', {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    const userResponse = await spotifyFetch('/me');
 
     if (!userResponse.ok) {
-      const error = await userResponse.text();
-      console.error('User API error:', {
-        status: userResponse.status,
-        statusText: userResponse.statusText,
-        error: error
-      });
-      return NextResponse.json({ 
-        error: `User API error: ${userResponse.status}`,
-        details: error 
-      }, { status: userResponse.status });
+      return spotifyErrorResponse(userResponse, 'User API error');
     }
 
     const user = await userResponse.json();
@@ -45,28 +32,13 @@ export async function GET() {
       q: 'happy music',
       type: 'track',
       limit: '5',
-      market: 'US'
+      market: await resolveMarket()
     });
 
-    const searchResponse = await fetch(`https://api.spotify.com/v1/search?${searchParams.toString()}`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    const searchResponse = await spotifyFetch(`/search?${searchParams.toString()}`);
 
     if (!searchResponse.ok) {
-      const error = await searchResponse.text();
-      console.error('Search test error:', {
-        status: searchResponse.status,
-        statusText: searchResponse.statusText,
-        error: error,
-        url: `https://api.spotify.com/v1/search?${searchParams.toString()}`
-      });
-      return NextResponse.json({ 
-        error: `Search test error: ${searchResponse.status}`,
-        details: error 
-      }, { status: searchResponse.status });
+      return spotifyErrorResponse(searchResponse, 'Search test error');
     }
 
     const searchResults = await searchResponse.json();
@@ -3,6 +3,7 @@
 import React from "react"
 import { Music, ExternalLink, Calendar, Disc } from "lucide-react"
 import { Card, CardContent } from "@/components/ui/card"
+import MatchExplanation from "@/components/MatchExplanation"
 
 /**
  * AlbumCard Component
@@ -149,6 +150,9 @@ export default function AlbumCard({ album, mood, onAlbumClick }) {
             </p>
           )}
 
+          {/* Why this recommendation fits the mood */}
+          <MatchExplanation explanation={album.explanation} />
+
           {/* Album type and availability */}
           <div className="flex items-center justify-between">
             <div className="flex gap-2">
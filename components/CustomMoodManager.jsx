@@ -0,0 +1,246 @@
+"use client"
+
+import React, { useState } from "react"
+import { Plus, Pencil, Trash2, X } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Card, CardContent } from "@/components/ui/card"
+import { useSpotifyAuth } from "@/lib/contexts/SpotifyAuthContext"
+import { useCustomMoods } from "@/lib/hooks/useCustomMoods"
+import { FEATURE_RANGES, validateCustomMood } from "@/lib/config/moodMappings"
+
+const FEATURE_LABELS = {
+  valence: "Positivity",
+  energy: "Energy",
+  danceability: "Danceability",
+  acousticness: "Acousticness",
+  instrumentalness: "Instrumental",
+  tempo: "Tempo (BPM)"
+}
+
+const EMPTY_FORM = {
+  name: "",
+  synonyms: "",
+  seedGenres: "",
+  seedArtists: "",
+  features: {
+    valence: 0.5,
+    energy: 0.5,
+    danceability: 0.5,
+    acousticness: 0.5,
+    instrumentalness: 0.2,
+    tempo: 110
+  }
+}
+
+/**
+ * Split a comma separated field into a list
+ */
+const toList = (value) => value.split(",").map((item) => item.trim()).filter(Boolean)
+
+/**
+ * CustomMoodManager Component
+ * Lets a signed-in user create, edit and delete their own moods
+ */
+export default function CustomMoodManager() {
+  const { isAuthenticated } = useSpotifyAuth()
+  const { moods, error, createMood, updateMood, deleteMood } = useCustomMoods(isAuthenticated)
+  const [form, setForm] = useState(null)
+  const [editingId, setEditingId] = useState(null)
+  const [formErrors, setFormErrors] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+
+  if (!isAuthenticated) {
+    return null
+  }
+
+  const openForm = (mood = null) => {
+    setEditingId(mood?.id || null)
+    setFormErrors([])
+    setForm(mood ? {
+      name: mood.name,
+      synonyms: mood.synonyms.join(", "),
+      seedGenres: mood.seedGenres.join(", "),
+      seedArtists: mood.seedArtists.join(", "),
+      features: { ...mood.features }
+    } : EMPTY_FORM)
+  }
+
+  const closeForm = () => {
+    setForm(null)
+    setEditingId(null)
+    setFormErrors([])
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const input = {
+      id: editingId || undefined,
+      name: form.name,
+      synonyms: toList(form.synonyms),
+      seedGenres: toList(form.seedGenres),
+      seedArtists: toList(form.seedArtists),
+      features: form.features
+    }
+
+    // Same checks as the server, so most mistakes never leave the browser
+    const { errors } = validateCustomMood(input, moods)
+    if (errors.length > 0) {
+      setFormErrors(errors)
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      if (editingId) {
+        await updateMood(editingId, input)
+      } else {
+        await createMood(input)
+      }
+      closeForm()
+    } catch (error) {
+      setFormErrors([error.message])
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteMood(id)
+    } catch {
+      // Error is surfaced by the hook
+    }
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto mb-16">
+      <Card className="bg-white/95 backdrop-blur-sm border-0 shadow-xl rounded-2xl">
+        <CardContent className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="font-serif font-bold text-xl text-gray-800">Your moods</h2>
+            {!form && (
+              <Button onClick={() => openForm()} className="bg-purple-600 hover:bg-purple-700 text-white rounded-xl">
+                <Plus className="w-4 h-4 mr-1" />
+                New mood
+              </Button>
+            )}
+          </div>
+
+          {error && !form && (
+            <p className="mb-4 text-red-500 text-sm font-sans">{error}</p>
+          )}
+
+          {moods.length === 0 && !form && (
+            <p className="text-gray-500 font-sans text-sm">
+              Create moods like &quot;rainy sunday&quot; or &quot;deep work&quot; with their own sound.
+            </p>
+          )}
+
+          {!form && moods.length > 0 && (
+            <ul className="divide-y divide-gray-100">
+              {moods.map((mood) => (
+                <li key={mood.id} className="flex items-center justify-between py-3 font-sans">
+                  <div>
+                    <p className="text-gray-800 capitalize">{mood.name}</p>
+                    {mood.synonyms.length > 0 && (
+                      <p className="text-gray-500 text-xs">{mood.synonyms.join(", ")}</p>
+                    )}
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => openForm(mood)}
+                      className="p-2 text-gray-500 hover:text-purple-600"
+                      aria-label={`Edit ${mood.name}`}
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(mood.id)}
+                      className="p-2 text-gray-500 hover:text-red-600"
+                      aria-label={`Delete ${mood.name}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {form && (
+            <form onSubmit={handleSubmit} className="space-y-4 font-sans">
+              <Input
+                placeholder="Mood name, e.g. rainy sunday"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+              <Input
+                placeholder="Synonyms, comma separated"
+                value={form.synonyms}
+                onChange={(e) => setForm({ ...form, synonyms: e.target.value })}
+              />
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {Object.entries(FEATURE_RANGES).map(([feature, range]) => (
+                  <label key={feature} className="block text-sm text-gray-700">
+                    <span className="flex justify-between">
+                      {FEATURE_LABELS[feature]}
+                      <span className="text-gray-500">{form.features[feature]}</span>
+                    </span>
+                    <input
+                      type="range"
+                      min={range.min}
+                      max={range.max}
+                      step={feature === "tempo" ? 1 : 0.05}
+                      value={form.features[feature]}
+                      onChange={(e) => setForm({
+                        ...form,
+                        features: { ...form.features, [feature]: Number(e.target.value) }
+                      })}
+                      className="w-full accent-purple-600"
+                    />
+                  </label>
+                ))}
+              </div>
+
+              <Input
+                placeholder="Seed genres (optional), e.g. jazz, ambient"
+                value={form.seedGenres}
+                onChange={(e) => setForm({ ...form, seedGenres: e.target.value })}
+              />
+              <Input
+                placeholder="Seed artist ids (optional)"
+                value={form.seedArtists}
+                onChange={(e) => setForm({ ...form, seedArtists: e.target.value })}
+              />
+
+              {formErrors.length > 0 && (
+                <ul className="text-red-500 text-sm list-disc pl-5">
+                  {formErrors.map((message) => (
+                    <li key={message}>{message}</li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="flex justify-end gap-2">
+                <Button type="button" variant="outline" onClick={closeForm} className="rounded-xl">
+                  <X className="w-4 h-4 mr-1" />
+                  Cancel
+                </Button>
+                <Button
+                  type="submit"
+                  disabled={isSaving}
+                  className="bg-purple-600 hover:bg-purple-700 text-white rounded-xl disabled:opacity-50"
+                >
+                  {isSaving ? "Saving..." : editingId ? "Save changes" : "Create mood"}
+                </Button>
+              </div>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,43 @@
+"use client"
+
+import React, { useMemo } from "react"
+import { Globe } from "lucide-react"
+import { SPOTIFY_MARKETS, getMarketName } from "@/lib/config/markets"
+
+/**
+ * MarketSelector Component
+ * Lets the user search a different Spotify market than their account's country
+ * @param {Object} props
+ * @param {string|null} props.country - Country of the Spotify account
+ * @param {string|null} props.override - Market the user picked, null for their country
+ * @param {Function} props.onChange - Called with the picked market, or null for their country
+ */
+export default function MarketSelector({ country, override, onChange }) {
+  const markets = useMemo(
+    () => SPOTIFY_MARKETS
+      .map((code) => ({ code, name: getMarketName(code) }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    []
+  )
+
+  return (
+    <label className="flex items-center gap-2">
+      <Globe className="w-4 h-4" />
+      <span className="sr-only">Market</span>
+      <select
+        value={override || ""}
+        onChange={(event) => onChange?.(event.target.value || null)}
+        className="bg-transparent underline hover:text-white cursor-pointer"
+      >
+        <option value="" className="text-black">
+          {country ? `My country (${getMarketName(country)})` : "My country"}
+        </option>
+        {markets.map(({ code, name }) => (
+          <option key={code} value={code} className="text-black">
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+}
@@ -0,0 +1,81 @@
+"use client"
+
+import React, { useState } from "react"
+import { ChevronDown, ChevronUp, Info } from "lucide-react"
+
+/**
+ * Describe what produced a recommendation
+ */
+const describeSource = (source) => {
+  if (source?.type === "search" && source.query) {
+    return `Found by searching "${source.query}"`
+  }
+  if (source?.type === "seed") {
+    const { genres = [], tracks = [], artists = [] } = source.seeds || {}
+    const personal = [...tracks, ...artists]
+    if (personal.length > 0) {
+      const genreText = genres.length > 0 ? ` and ${genres.join(", ")} seeds` : ""
+      return `Recommended from your listening (${personal.join(", ")})${genreText}`
+    }
+    if (genres.length > 0) {
+      return `Recommended from ${genres.join(", ")} seeds`
+    }
+  }
+  return null
+}
+
+/**
+ * MatchExplanation Component
+ * Expandable "Why this?" section showing why a track or album fits the mood
+ */
+export default function MatchExplanation({ explanation }) {
+  const [isOpen, setIsOpen] = useState(false)
+
+  if (!explanation) {
+    return null
+  }
+
+  const sourceText = describeSource(explanation.source)
+  const hasScore = typeof explanation.score === "number"
+  const matchedFeatures = explanation.matchedFeatures || []
+
+  if (!hasScore && matchedFeatures.length === 0 && !sourceText) {
+    return null
+  }
+
+  return (
+    <div className="mb-3 font-sans" onClick={(e) => e.stopPropagation()}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-1 text-sm text-purple-600 hover:text-purple-700"
+        aria-expanded={isOpen}
+      >
+        <Info className="w-3 h-3" />
+        Why this?
+        {isOpen ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 p-3 bg-purple-50 rounded-xl text-xs text-gray-700 space-y-2">
+          {hasScore && (
+            <p>
+              <span className="font-medium">{Math.round(explanation.score * 100)}% fit</span> with this mood&apos;s sound
+            </p>
+          )}
+
+          {matchedFeatures.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {matchedFeatures.map(({ feature, label }) => (
+                <span key={feature} className="bg-white text-purple-700 px-2 py-1 rounded-full">
+                  {label}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {sourceText && <p className="text-gray-500">{sourceText}</p>}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,141 @@
+"use client"
+
+import React from "react"
+import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, X } from "lucide-react"
+import { usePreviewPlayer } from "@/lib/contexts/PreviewPlayerContext"
+import { DEFAULT_VOLUME } from "@/lib/services/previewPlayer"
+
+/**
+ * Format a position in ms as m:ss
+ */
+const formatTime = (ms) => {
+  const seconds = Math.floor((ms || 0) / 1000)
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, "0")}`
+}
+
+/**
+ * MiniPlayer Component
+ * Sticky bar at the bottom of the page for the preview that is playing,
+ * with the queue's controls, progress and volume
+ */
+export default function MiniPlayer() {
+  const {
+    currentTrack,
+    queue,
+    index,
+    isPlaying,
+    isLoading,
+    position,
+    duration,
+    volume,
+    error,
+    hasNext,
+    hasPrevious,
+    togglePlay,
+    next,
+    previous,
+    seek,
+    setVolume,
+    stop
+  } = usePreviewPlayer()
+
+  if (!currentTrack) {
+    return null
+  }
+
+  const artwork = currentTrack.album?.images?.[2]?.url || currentTrack.album?.images?.[0]?.url || "/placeholder.svg"
+  const artists = (currentTrack.artists || []).map((artist) => artist.name).join(", ")
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-50 bg-black/80 backdrop-blur-md text-white border-t border-white/10">
+      <div className="container mx-auto px-4 py-3 flex items-center gap-4">
+        {/* Track */}
+        <div className="flex items-center gap-3 min-w-0 flex-1">
+          <img src={artwork} alt="" className="w-12 h-12 rounded-md object-cover" />
+          <div className="min-w-0">
+            <p className="font-sans font-semibold truncate">{currentTrack.name}</p>
+            <p className="font-sans text-sm text-white/70 truncate">
+              {error || `${artists} · Preview ${index + 1} of ${queue.length}`}
+            </p>
+          </div>
+        </div>
+
+        {/* Controls and progress */}
+        <div className="flex flex-col items-center gap-1 flex-1 max-w-md">
+          <div className="flex items-center gap-2">
+            <button
+              onClick={previous}
+              className="p-2 rounded-full hover:bg-white/10 disabled:opacity-40"
+              disabled={!hasPrevious && position === 0}
+              aria-label="Previous preview"
+            >
+              <SkipBack className="w-4 h-4" />
+            </button>
+            <button
+              onClick={togglePlay}
+              className="p-2 rounded-full bg-green-500 hover:bg-green-600"
+              aria-label={isPlaying ? "Pause preview" : "Play preview"}
+            >
+              {isLoading ? (
+                <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
+              ) : isPlaying ? (
+                <Pause className="w-4 h-4" />
+              ) : (
+                <Play className="w-4 h-4" />
+              )}
+            </button>
+            <button
+              onClick={next}
+              className="p-2 rounded-full hover:bg-white/10 disabled:opacity-40"
+              disabled={!hasNext}
+              aria-label="Next preview"
+            >
+              <SkipForward className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="hidden sm:flex items-center gap-2 w-full text-xs text-white/70">
+            <span>{formatTime(position)}</span>
+            <input
+              type="range"
+              min={0}
+              max={duration || 0}
+              value={Math.min(position, duration || 0)}
+              onChange={(event) => seek(Number(event.target.value))}
+              className="flex-1 accent-green-500"
+              aria-label="Seek"
+            />
+            <span>{formatTime(duration)}</span>
+          </div>
+        </div>
+
+        {/* Volume and close */}
+        <div className="flex items-center gap-2 flex-1 justify-end">
+          <button
+            onClick={() => setVolume(volume > 0 ? 0 : DEFAULT_VOLUME)}
+            className="p-2 rounded-full hover:bg-white/10"
+            aria-label={volume > 0 ? "Mute" : "Unmute"}
+          >
+            {volume > 0 ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={1}
+            step={0.05}
+            value={volume}
+            onChange={(event) => setVolume(Number(event.target.value))}
+            className="hidden md:block w-24 accent-green-500"
+            aria-label="Volume"
+          />
+          <button
+            onClick={stop}
+            className="p-2 rounded-full hover:bg-white/10"
+            aria-label="Close player"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
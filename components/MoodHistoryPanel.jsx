@@ -0,0 +1,112 @@
+"use client"
+
+import React from "react"
+import { History, RotateCcw, Trash2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import { useSpotifyAuth } from "@/lib/contexts/SpotifyAuthContext"
+import { useMoodHistory } from "@/lib/hooks/useMoodHistory"
+
+/**
+ * Format an entry's ISO timestamp for the list
+ */
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })
+
+/**
+ * MoodHistoryPanel Component
+ * Lists the signed-in user's past searches, newest first, to re-open, delete or clear
+ * @param {Object} props
+ * @param {Function} props.onReopen - Called with a history entry to show its results again
+ */
+export default function MoodHistoryPanel({ onReopen }) {
+  const { isAuthenticated, user } = useSpotifyAuth()
+  const { entries, error, deleteEntry, clearHistory } = useMoodHistory(isAuthenticated ? user?.id || null : null)
+
+  if (!isAuthenticated) {
+    return null
+  }
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteEntry(id)
+    } catch {
+      // Error is surfaced by the hook
+    }
+  }
+
+  const handleClear = async () => {
+    if (!window.confirm("Clear your whole mood history?")) {
+      return
+    }
+
+    try {
+      await clearHistory()
+    } catch {
+      // Error is surfaced by the hook
+    }
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto mb-16">
+      <Card className="bg-white/95 backdrop-blur-sm border-0 shadow-xl rounded-2xl">
+        <CardContent className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="font-serif font-bold text-xl text-gray-800 flex items-center gap-2">
+              <History className="w-5 h-5" />
+              Recent moods
+            </h2>
+            {entries.length > 0 && (
+              <Button variant="outline" onClick={handleClear} className="rounded-xl">
+                Clear history
+              </Button>
+            )}
+          </div>
+
+          {error && (
+            <p className="mb-4 text-red-500 text-sm font-sans">{error}</p>
+          )}
+
+          {entries.length === 0 && (
+            <p className="text-gray-500 font-sans text-sm">
+              Your searches will show up here so you can come back to them.
+            </p>
+          )}
+
+          {entries.length > 0 && (
+            <ul className="divide-y divide-gray-100 max-h-80 overflow-y-auto">
+              {entries.map((entry) => (
+                <li key={entry.id} className="flex items-center justify-between py-3 font-sans">
+                  <div className="min-w-0">
+                    <p className="text-gray-800 capitalize truncate">{entry.mood}</p>
+                    <p className="text-gray-500 text-xs">
+                      {formatTimestamp(entry.timestamp)} · {entry.recommendations.tracks.length} tracks
+                      {entry.local && " · Saved on this device"}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => onReopen?.(entry)}
+                      className="p-2 text-gray-500 hover:text-purple-600"
+                      aria-label={`Re-open ${entry.mood}`}
+                      title="Show these results again"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(entry.id)}
+                      className="p-2 text-gray-500 hover:text-red-600"
+                      aria-label={`Delete ${entry.mood}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
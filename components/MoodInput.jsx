@@ -8,19 +8,12 @@ import { Card, CardContent } from "@/components/ui/card"
 import { useSpotifyAuth } from "@/lib/contexts/SpotifyAuthContext"
 import { MoodAnalysisService } from "@/lib/services/moodAnalysis"
 import { spotifyApi } from "@/lib/services/spotifyApi"
+import { moodHistoryService } from "@/lib/services/moodHistoryService"
+import { getMoodSuggestions } from "@/lib/config/moodMappings"
+import { uniqueById } from "@/lib/utils"
+import MarketSelector from "@/components/MarketSelector"
 
-const moodSuggestions = [
-  { text: "feeling sad", icon: "😢", color: "text-blue-400" },
-  { text: "happy and energetic", icon: "😄", color: "text-yellow-400" },
-  { text: "chill and relaxed", icon: "😌", color: "text-green-400" },
-  { text: "romantic mood", icon: "💕", color: "text-pink-400" },
-  { text: "need motivation", icon: "💪", color: "text-orange-400" },
-  { text: "studying focus", icon: "📚", color: "text-purple-400" },
-  { text: "party vibes", icon: "🎉", color: "text-red-400" },
-  { text: "nostalgic", icon: "🌅", color: "text-amber-400" },
-  { text: "anxious", icon: "😰", color: "text-gray-400" },
-  { text: "confident", icon: "😎", color: "text-indigo-400" },
-]
+const moodSuggestions = getMoodSuggestions()
 
 /**
  * MoodInput Component
@@ -32,9 +25,10 @@ export default function MoodInput({ onRecommendations, onError, onLoadingChange
   const [filteredSuggestions, setFilteredSuggestions] = useState(moodSuggestions)
   const [isLoading, setIsLoading] = useState(false)
   const [validationError, setValidationError] = useState("")
+  const [personalized, setPersonalized] = useState(false)
   const inputRef = useRef(null)
   
-  const { isAuthenticated, login } = useSpotifyAuth()
+  const { isAuthenticated, login, logout, user, market, marketOverride, setMarketOverride } = useSpotifyAuth()
 
   // Filter suggestions based on search query
   useEffect(() => {
@@ -97,18 +91,18 @@ export default function MoodInput({ onRecommendations, onError, onLoadingChange
       
       // Use the new recommendation service
       const { recommendationService } = await import('../lib/services/recommendationService.js')
-      const result = await recommendationService.getRecommendationsByMood(mood, { limit: 20 })
+      const result = await recommendationService.getRecommendationsByMood(mood, { limit: 20, market, personalized })
       
-      // Format the results for the existing interface
+      // Format the results for the existing interface; recommendations often repeat search results
       const recommendations = {
-        tracks: [
+        tracks: uniqueById([
           ...(result.recommendations.tracks || []),
           ...(result.searchResults.tracks || [])
-        ],
-        albums: [
+        ]),
+        albums: uniqueById([
           ...(result.recommendations.albums || []),
           ...(result.searchResults.albums || [])
-        ],
+        ]),
         mood: result.mood,
         audioFeatures: result.audioFeatures
       }
@@ -117,6 +111,15 @@ export default function MoodInput({ onRecommendations, onError, onLoadingChange
         onRecommendations(recommendations)
       }
 
+      // Recording the search shouldn't hold up or fail the search itself
+      moodHistoryService.recordSearch({
+        mood: recommendations.mood || mood,
+        recommendations: { tracks: recommendations.tracks, albums: recommendations.albums },
+        audioFeatures: recommendations.audioFeatures
+      }).catch((historyError) => {
+        console.error('Failed to record mood search:', historyError)
+      })
+
     } catch (error) {
       console.error('Failed to fetch recommendations:', error)
       const errorMessage = error.message || 'Failed to get recommendations. Please try again.'
@@ -269,6 +272,27 @@ export default function MoodInput({ onRecommendations, onError, onLoadingChange
           </Button>
         )}
       </div>
+
+      {isAuthenticated && (
+        <div className="flex justify-center gap-4 mt-3 font-sans text-sm text-white/80">
+          <button onClick={() => logout()} className="hover:text-white underline">
+            Log out
+          </button>
+          <button onClick={() => logout({ everywhere: true })} className="hover:text-white underline">
+            Log out on all devices
+          </button>
+          <MarketSelector country={user?.country} override={marketOverride} onChange={setMarketOverride} />
+          <label className="flex items-center gap-2 cursor-pointer hover:text-white">
+            <input
+              type="checkbox"
+              checked={personalized}
+              onChange={(event) => setPersonalized(event.target.checked)}
+              className="accent-purple-600"
+            />
+            Personalise from my listening
+          </label>
+        </div>
+      )}
     </div>
   )
 }
\ No newline at end of file
@@ -0,0 +1,153 @@
+"use client"
+
+import React, { useEffect } from "react"
+import { Play, Pause, SkipBack, SkipForward, Speaker, RefreshCw, ListMusic } from "lucide-react"
+import { useSpotifyAuth } from "@/lib/contexts/SpotifyAuthContext"
+import { usePlayer } from "@/lib/contexts/PlayerContext"
+import { usePreviewPlayer } from "@/lib/contexts/PreviewPlayerContext"
+
+/**
+ * PlayerBar Component
+ * Compact now-playing bar for Premium users: shows what is playing on their
+ * chosen device, controls it, moves playback between devices and starts the
+ * mood's tracks there
+ * @param {Object} props
+ * @param {Object[]} [props.queue] - Tracks to play with "Play mood", in order
+ */
+export default function PlayerBar({ queue = [] }) {
+  const { isAuthenticated } = useSpotifyAuth()
+  const {
+    isPremium,
+    deviceId,
+    isReady,
+    devices,
+    activeDeviceId,
+    playbackState,
+    error,
+    canPlayFullTracks,
+    togglePlay,
+    nextTrack,
+    previousTrack,
+    playQueue,
+    selectDevice,
+    refreshDevices
+  } = usePlayer()
+  const preview = usePreviewPlayer()
+
+  const isVisible = isAuthenticated && isPremium
+
+  useEffect(() => {
+    if (isVisible) {
+      refreshDevices()
+    }
+  }, [isVisible, refreshDevices])
+
+  if (!isVisible) {
+    return null
+  }
+
+  // The browser is listed as "This browser", whatever Spotify calls it
+  const otherDevices = devices.filter((device) => device.id !== deviceId)
+
+  return (
+    <div className="max-w-2xl mx-auto mb-8">
+      <div className="flex flex-wrap items-center gap-3 bg-black/30 backdrop-blur-sm rounded-xl px-4 py-3 text-white">
+        {/* Now playing */}
+        <div className="flex items-center gap-3 min-w-0 flex-1">
+          {playbackState?.image ? (
+            <img src={playbackState.image} alt="" className="w-10 h-10 rounded-md object-cover" />
+          ) : (
+            <div className="w-10 h-10 rounded-md bg-white/10 flex items-center justify-center">
+              <Speaker className="w-5 h-5 opacity-60" />
+            </div>
+          )}
+          <div className="min-w-0">
+            <p className="font-sans font-semibold truncate">
+              {playbackState ? playbackState.name : "Nothing playing"}
+            </p>
+            {playbackState && (
+              <p className="font-sans text-sm text-white/70 truncate">{playbackState.artists.join(", ")}</p>
+            )}
+          </div>
+        </div>
+
+        {/* Controls */}
+        <div className="flex items-center gap-1">
+          <button
+            onClick={previousTrack}
+            disabled={!playbackState?.hasPrevious}
+            className="p-2 rounded-full hover:bg-white/10 disabled:opacity-40"
+            aria-label="Previous track"
+          >
+            <SkipBack className="w-4 h-4" />
+          </button>
+          <button
+            onClick={togglePlay}
+            disabled={!playbackState}
+            className="p-2 rounded-full bg-green-500 hover:bg-green-600 disabled:opacity-40"
+            aria-label={playbackState && !playbackState.paused ? "Pause" : "Play"}
+          >
+            {playbackState && !playbackState.paused ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+          </button>
+          <button
+            onClick={nextTrack}
+            disabled={!playbackState?.hasNext}
+            className="p-2 rounded-full hover:bg-white/10 disabled:opacity-40"
+            aria-label="Next track"
+          >
+            <SkipForward className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Device picker */}
+        <div className="flex items-center gap-1 text-sm">
+          <label className="flex items-center gap-2">
+            <Speaker className="w-4 h-4" />
+            <span className="sr-only">Play on</span>
+            <select
+              value={activeDeviceId || ""}
+              onChange={(event) => selectDevice(event.target.value || null)}
+              onFocus={refreshDevices}
+              className="bg-transparent underline cursor-pointer max-w-40 truncate"
+            >
+              {!activeDeviceId && <option value="" className="text-black">No device</option>}
+              {isReady && deviceId && <option value={deviceId} className="text-black">This browser</option>}
+              {otherDevices.map((device) => (
+                <option key={device.id} value={device.id} disabled={device.isRestricted} className="text-black">
+                  {device.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={refreshDevices}
+            className="p-1 rounded-full hover:bg-white/10"
+            title="Refresh devices"
+            aria-label="Refresh devices"
+          >
+            <RefreshCw className="w-3 h-3" />
+          </button>
+        </div>
+
+        {/* Start the mood's tracks on the chosen device */}
+        {queue.length > 0 && (
+          <button
+            onClick={() => {
+              preview.pause()
+              playQueue(queue)
+            }}
+            disabled={!canPlayFullTracks}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-sm font-sans font-medium"
+          >
+            <ListMusic className="w-4 h-4" />
+            Play mood
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <p className="mt-2 text-center text-sm text-red-200 font-sans">{error}</p>
+      )}
+    </div>
+  )
+}
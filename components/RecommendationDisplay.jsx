@@ -1,9 +1,12 @@
 "use client"
 
-import React, { useState } from "react"
-import { Music, Disc, Filter, Grid, List } from "lucide-react"
+import React, { useEffect, useMemo, useState } from "react"
+import { Music, Disc, Filter, Grid, List, CirclePlay } from "lucide-react"
 import AlbumCard from "./AlbumCard"
 import TrackCard from "./TrackCard"
+import SavePlaylistButton from "./SavePlaylistButton"
+import { usePreviewPlayer } from "@/lib/contexts/PreviewPlayerContext"
+import { usePlayer } from "@/lib/contexts/PlayerContext"
 import { Button } from "@/components/ui/button"
 
 /**
@@ -19,6 +22,10 @@ export default function RecommendationDisplay({
 }) {
   const [activeFilter, setActiveFilter] = useState('all') // 'all', 'albums', 'tracks'
   const [viewMode, setViewMode] = useState('grid') // 'grid', 'list'
+  // Ids of tracks left out of a saved playlist; every track is in by default
+  const [deselectedIds, setDeselectedIds] = useState(() => new Set())
+  const preview = usePreviewPlayer()
+  const { playbackState, pause: pauseFullTrack } = usePlayer()
 
   // Extract albums and tracks from recommendations
   const albums = recommendations?.albums || []
@@ -39,8 +46,45 @@ export default function RecommendationDisplay({
     return items
   }
 
+  // New recommendations start fully selected
+  useEffect(() => {
+    setDeselectedIds(new Set())
+  }, [recommendations?.playlistTracks])
+
+  const selectedPlaylistTracks = useMemo(
+    () => (recommendations?.playlistTracks || []).filter(track => !deselectedIds.has(track.id)),
+    [recommendations?.playlistTracks, deselectedIds]
+  )
+
+  /**
+   * Include or leave out a track from the playlist
+   */
+  const handleSelectedChange = (track, selected) => {
+    setDeselectedIds(current => {
+      const next = new Set(current)
+      if (selected) {
+        next.delete(track.id)
+      } else {
+        next.add(track.id)
+      }
+      return next
+    })
+  }
+
   const filteredItems = getFilteredItems()
   const totalItems = albums.length + tracks.length
+  const previewCount = tracks.filter(track => track.preview_url).length
+
+  /**
+   * Queue every track's preview, in order
+   */
+  const handlePlayAll = () => {
+    // Don't play previews over a full track
+    if (playbackState && !playbackState.paused) {
+      pauseFullTrack()
+    }
+    preview.playAll(tracks)
+  }
 
   /**
    * Handle filter change
@@ -105,6 +149,15 @@ export default function RecommendationDisplay({
             Curated for when you're feeling <span className="font-semibold">{mood}</span>
           </p>
         )}
+        {recommendations.playlistTracks && (
+          <div className="mt-4">
+            <SavePlaylistButton
+              mood={mood}
+              tracks={selectedPlaylistTracks}
+              audioFeatures={recommendations.audioFeatures}
+            />
+          </div>
+        )}
       </div>
 
       {/* Controls */}
@@ -134,6 +187,17 @@ export default function RecommendationDisplay({
           </button>
         </div>
 
+        {/* Play all previews */}
+        {previewCount > 0 && (
+          <button
+            onClick={handlePlayAll}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl bg-green-500 hover:bg-green-600 text-white font-sans font-medium shadow-lg transition-all duration-200"
+          >
+            <CirclePlay className="w-4 h-4" />
+            Play all previews ({previewCount})
+          </button>
+        )}
+
         {/* View mode buttons */}
         <div className="flex items-center gap-2 bg-black/20 backdrop-blur-sm rounded-xl p-2">
           <button
@@ -179,6 +243,9 @@ export default function RecommendationDisplay({
                 track={item}
                 mood={mood}
                 onTrackClick={onTrackClick}
+                queue={tracks}
+                selected={!deselectedIds.has(item.id)}
+                onSelectedChange={recommendations.playlistTracks ? handleSelectedChange : undefined}
               />
             )
           }
@@ -0,0 +1,86 @@
+"use client"
+
+import React, { useEffect, useState } from "react"
+import { ListPlus, ExternalLink, LoaderCircle } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { spotifyApi } from "@/lib/services/spotifyApi"
+
+/**
+ * SavePlaylistButton Component
+ * Saves the recommended tracks as a playlist in the user's Spotify account
+ * @param {Object} props
+ * @param {string} props.mood - Mood the tracks were recommended for
+ * @param {Object[]} props.tracks - Tracks to save, in order
+ * @param {Object} [props.audioFeatures] - The mood's target features
+ */
+export default function SavePlaylistButton({ mood, tracks, audioFeatures }) {
+  const [isSaving, setIsSaving] = useState(false)
+  const [playlist, setPlaylist] = useState(null)
+  const [error, setError] = useState("")
+
+  // New recommendations haven't been saved yet
+  useEffect(() => {
+    setPlaylist(null)
+    setError("")
+  }, [tracks])
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    setError("")
+
+    try {
+      const created = await spotifyApi.createPlaylist({
+        mood,
+        trackIds: tracks.map((track) => track.id),
+        audioFeatures
+      })
+      setPlaylist(created)
+    } catch (saveError) {
+      console.error("Failed to save playlist:", saveError)
+      if (saveError.playlist) {
+        // Link to the partly filled playlist instead of offering to save another copy
+        setPlaylist(saveError.playlist)
+        setError(`Only ${saveError.playlist.trackCount} of ${tracks.length} tracks could be added.`)
+      } else {
+        setError(saveError.message || "Could not save the playlist. Please try again.")
+      }
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (tracks.length === 0) {
+    return null
+  }
+
+  if (playlist) {
+    return (
+      <div className="flex flex-col items-center gap-2">
+        <a
+          href={playlist.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-green-600 text-white font-sans font-medium hover:bg-green-700"
+        >
+          <ExternalLink className="w-4 h-4" />
+          Open "{playlist.name}" in Spotify
+        </a>
+        {error && <p className="text-sm text-red-200 font-sans">{error}</p>}
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex flex-col items-center gap-2">
+      <Button
+        onClick={handleSave}
+        disabled={isSaving}
+        className="bg-purple-600 hover:bg-purple-700 text-white rounded-xl"
+      >
+        {isSaving ? <LoaderCircle className="w-4 h-4 animate-spin" /> : <ListPlus className="w-4 h-4" />}
+        {isSaving ? "Saving..." : `Save ${tracks.length} ${tracks.length === 1 ? "track" : "tracks"} as playlist`}
+      </Button>
+      {error && <p className="text-sm text-red-200 font-sans">{error}</p>}
+    </div>
+  )
+}
@@ -61,12 +61,20 @@ export default function SpotifyAuthButton() {
             </div>
           </div>
           <button
-            onClick={logout}
+            onClick={() => logout()}
             className="bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
           >
             Logout
           </button>
         </div>
+        <div className="mt-3 text-right">
+          <button
+            onClick={() => logout({ everywhere: true })}
+            className="text-xs text-green-700 hover:text-green-800 underline"
+          >
+            Log out on all devices
+          </button>
+        </div>
       </div>
     );
   }
@@ -1,18 +1,32 @@
 "use client"
 
-import React, { useState, useRef, useEffect } from "react"
+import React, { useState } from "react"
 import { Music, Play, Pause, ExternalLink, Clock, Volume2 } from "lucide-react"
 import { Card, CardContent } from "@/components/ui/card"
+import MatchExplanation from "@/components/MatchExplanation"
+import { usePlayer } from "@/lib/contexts/PlayerContext"
+import { usePreviewPlayer } from "@/lib/contexts/PreviewPlayerContext"
 
 /**
  * TrackCard Component
  * Displays Spotify track data with artwork, metadata, and play/preview functionality
+ * Premium users play the full track in the browser, with `queue` lined up after it;
+ * everyone else hears the 30 second preview, with the queue's previews after it.
+ * Given `onSelectedChange`, the card has a checkbox for whether the track goes in
+ * a saved playlist.
  */
-export default function TrackCard({ track, mood, onTrackClick }) {
-  const [isPlaying, setIsPlaying] = useState(false)
-  const [isLoading, setIsLoading] = useState(false)
-  const [hasError, setHasError] = useState(false)
-  const audioRef = useRef(null)
+export default function TrackCard({ track, mood, onTrackClick, queue, selected = true, onSelectedChange }) {
+  const [isStarting, setIsStarting] = useState(false)
+  const { canPlayFullTracks, playbackState, playTrack, togglePlay, pause: pauseFullTrack } = usePlayer()
+  const preview = usePreviewPlayer()
+
+  const isCurrentFullTrack = playbackState?.trackId === track.id
+  const isPlayingFullTrack = isCurrentFullTrack && !playbackState.paused
+  const isCurrentPreview = preview.currentTrack?.id === track.id
+  const isPlaying = isCurrentPreview && preview.isPlaying
+  const isLoading = isStarting || (isCurrentPreview && preview.isLoading)
+  const hasError = isCurrentPreview && Boolean(preview.error)
+  const canPlay = canPlayFullTracks || (track.preview_url && !hasError)
 
   /**
    * Handle track click - opens Spotify link or triggers custom handler
@@ -30,6 +44,22 @@ export default function TrackCard({ track, mood, onTrackClick }) {
    */
   const handlePlayPause = async (e) => {
     e.stopPropagation()
+
+    if (canPlayFullTracks) {
+      if (isCurrentFullTrack) {
+        togglePlay()
+        return
+      }
+
+      preview.pause()
+      setIsStarting(true)
+      const started = await playTrack(track, queue)
+      setIsStarting(false)
+      if (started) {
+        return
+      }
+      // Fall back to the preview if the full track couldn't be played
+    }
     
     if (!track.preview_url) {
       // If no preview, open in Spotify
@@ -39,59 +69,18 @@ export default function TrackCard({ track, mood, onTrackClick }) {
       return
     }
 
-    if (!audioRef.current) {
-      audioRef.current = new Audio(track.preview_url)
-      audioRef.current.volume = 0.7
-      
-      audioRef.current.addEventListener('ended', () => {
-        setIsPlaying(false)
-      })
-      
-      audioRef.current.addEventListener('error', () => {
-        setHasError(true)
-        setIsLoading(false)
-        setIsPlaying(false)
-      })
-      
-      audioRef.current.addEventListener('loadstart', () => {
-        setIsLoading(true)
-      })
-      
-      audioRef.current.addEventListener('canplay', () => {
-        setIsLoading(false)
-      })
+    if (isCurrentPreview) {
+      preview.togglePlay()
+      return
     }
 
-    try {
-      if (isPlaying) {
-        audioRef.current.pause()
-        setIsPlaying(false)
-      } else {
-        setIsLoading(true)
-        await audioRef.current.play()
-        setIsPlaying(true)
-        setHasError(false)
-      }
-    } catch (error) {
-      console.error('Error playing audio:', error)
-      setHasError(true)
-      setIsLoading(false)
-      setIsPlaying(false)
+    // Don't play the preview over a full track
+    if (playbackState && !playbackState.paused) {
+      pauseFullTrack()
     }
+    preview.playTrack(track, queue)
   }
 
-  /**
-   * Cleanup audio on unmount
-   */
-  useEffect(() => {
-    return () => {
-      if (audioRef.current) {
-        audioRef.current.pause()
-        audioRef.current = null
-      }
-    }
-  }, [])
-
   /**
    * Format track duration
    */
@@ -142,6 +131,10 @@ export default function TrackCard({ track, mood, onTrackClick }) {
       return <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
     }
     
+    if (canPlayFullTracks) {
+      return isPlayingFullTrack ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />
+    }
+
     if (hasError || !track.preview_url) {
       return <ExternalLink className="w-4 h-4" />
     }
@@ -153,6 +146,7 @@ export default function TrackCard({ track, mood, onTrackClick }) {
    * Get play button title based on state
    */
   const getPlayButtonTitle = () => {
+    if (canPlayFullTracks) return isPlayingFullTrack ? "Pause" : "Play full track"
     if (hasError) return "Error playing preview"
     if (!track.preview_url) return "Open in Spotify"
     return isPlaying ? "Pause preview" : "Play preview"
@@ -186,7 +180,7 @@ export default function TrackCard({ track, mood, onTrackClick }) {
             <button
               onClick={handlePlayPause}
               className={`p-3 rounded-full transition-all duration-200 shadow-lg ${
-                track.preview_url && !hasError
+                canPlay
                   ? 'bg-green-500 hover:bg-green-600 text-white'
                   : 'bg-gray-500 hover:bg-gray-600 text-white'
               }`}
@@ -222,8 +216,15 @@ export default function TrackCard({ track, mood, onTrackClick }) {
             </span>
           </div>
 
-          {/* Preview indicator */}
-          {track.preview_url && (
+          {/* Full track or preview indicator */}
+          {canPlayFullTracks ? (
+            <div className="absolute top-4 left-20">
+              <span className="bg-green-500/80 text-white text-xs px-2 py-1 rounded-full backdrop-blur-sm">
+                <Volume2 className="w-3 h-3 inline mr-1" />
+                {isPlayingFullTrack ? "Playing" : "Full track"}
+              </span>
+            </div>
+          ) : track.preview_url && (
             <div className="absolute top-4 left-20">
               <span className="bg-green-500/80 text-white text-xs px-2 py-1 rounded-full backdrop-blur-sm">
                 <Volume2 className="w-3 h-3 inline mr-1" />
@@ -270,6 +271,23 @@ export default function TrackCard({ track, mood, onTrackClick }) {
             )}
           </div>
 
+          {/* Playlist selection */}
+          {onSelectedChange && (
+            <label
+              className="flex items-center gap-2 mb-3 font-sans text-sm text-gray-700 cursor-pointer"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <input
+                type="checkbox"
+                checked={selected}
+                onChange={(e) => onSelectedChange(track, e.target.checked)}
+                className="w-4 h-4 accent-purple-600"
+                aria-label={`Include ${track.name} in playlist`}
+              />
+              Include in playlist
+            </label>
+          )}
+
           {/* Mood indicator */}
           {mood && (
             <p className="font-sans text-sm text-purple-600 font-medium mb-2">
@@ -277,6 +295,9 @@ export default function TrackCard({ track, mood, onTrackClick }) {
             </p>
           )}
 
+          {/* Why this recommendation fits the mood */}
+          <MatchExplanation explanation={track.explanation} />
+
           {/* Track features and availability */}
           <div className="flex items-center justify-between">
             <div className="flex gap-2">
@@ -0,0 +1,41 @@
+/**
+ * Afrikaans mood vocabulary
+ */
+
+export default {
+  code: 'af',
+  name: 'Afrikaans',
+  moods: {
+    sad: ['hartseer', 'droewig', 'bedruk', 'terneergedruk', 'neerslagtig', 'ongelukkig'],
+    happy: ['gelukkig', 'bly', 'vrolik', 'opgewek', 'blymoedig', 'tevrede'],
+    calm: ['kalm', 'rustig', 'ontspanne', 'bedaard'],
+    energetic: ['energiek', 'lewendig', 'vol energie'],
+    romantic: ['romanties', 'verlief', 'liefde'],
+    angry: ['kwaad', 'woedend', 'briesend', 'omgekrap', 'vies', 'gefrustreerd'],
+    nostalgic: ['nostalgies', 'weemoedig'],
+    confident: ['selfversekerd', 'sterk', 'dapper', 'hoopvol'],
+    motivated: ['gemotiveerd', 'vasberade', 'geïnspireer'],
+    melancholy: ['melancholies', 'eensaam', 'swaarmoedig'],
+    excited: ['opgewonde', 'uitgelate', 'partytjie'],
+    peaceful: ['vredevol', 'moeg', 'vaak', 'slaperig', 'uitgeput'],
+    anxious: ['angstig', 'bekommerd', 'senuweeagtig', 'gestres', 'gespanne'],
+    focused: ['gefokus', 'studeer', 'produktief'],
+    dreamy: ['dromerig']
+  },
+  negators: ['nie', 'geen', 'nooit', 'sonder'],
+  intensifiers: {
+    baie: 1.3,
+    regtig: 1.25,
+    vreeslik: 1.4,
+    verskriklik: 1.4,
+    uiters: 1.5,
+    nogal: 0.9,
+    taamlik: 0.8,
+    redelik: 0.8,
+    bietjie: 0.6,
+    effens: 0.6
+  },
+  trailingIntensifiers: {},
+  clauseBreaks: ['en', 'maar', 'want', 'hoewel', 'terwyl'],
+  hints: ['ek', 'voel', 'is', 'die', 'my', 'vandag', 'vanaand', 'musiek', 'wil', 'iets', 'hê']
+};
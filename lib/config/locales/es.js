@@ -0,0 +1,40 @@
+/**
+ * Spanish mood vocabulary
+ */
+
+export default {
+  code: 'es',
+  name: 'Español',
+  moods: {
+    sad: ['triste', 'deprimido', 'deprimida', 'decaído', 'decaída', 'desanimado', 'desanimada', 'apenado', 'apenada'],
+    happy: ['feliz', 'contento', 'contenta', 'alegre', 'dichoso', 'dichosa'],
+    calm: ['tranquilo', 'tranquila', 'relajado', 'relajada', 'sereno', 'serena', 'calmado', 'calmada'],
+    energetic: ['enérgico', 'enérgica', 'activo', 'activa', 'lleno de energía', 'llena de energía'],
+    romantic: ['romántico', 'romántica', 'enamorado', 'enamorada', 'amor'],
+    angry: ['enojado', 'enojada', 'enfadado', 'enfadada', 'furioso', 'furiosa', 'molesto', 'molesta', 'rabia'],
+    nostalgic: ['nostálgico', 'nostálgica', 'nostalgia'],
+    confident: ['seguro', 'segura', 'confiado', 'confiada', 'optimista'],
+    motivated: ['motivado', 'motivada', 'inspirado', 'inspirada', 'decidido', 'decidida'],
+    melancholy: ['melancólico', 'melancólica', 'melancolía', 'solitario', 'solitaria'],
+    excited: ['emocionado', 'emocionada', 'entusiasmado', 'entusiasmada', 'fiesta'],
+    peaceful: ['cansado', 'cansada', 'somnoliento', 'somnolienta', 'agotado', 'agotada', 'en paz', 'tengo sueño'],
+    anxious: ['ansioso', 'ansiosa', 'nervioso', 'nerviosa', 'estresado', 'estresada', 'preocupado', 'preocupada', 'agobiado', 'agobiada'],
+    focused: ['concentrado', 'concentrada', 'enfocado', 'enfocada', 'estudiando'],
+    dreamy: ['soñador', 'soñadora', 'soñando']
+  },
+  negators: ['nunca', 'ni', 'sin', 'tampoco', 'nada'],
+  intensifiers: {
+    muy: 1.3,
+    demasiado: 1.3,
+    realmente: 1.25,
+    tan: 1.25,
+    extremadamente: 1.5,
+    bastante: 1.1,
+    algo: 0.7,
+    poco: 0.6,
+    ligeramente: 0.6
+  },
+  trailingIntensifiers: {},
+  clauseBreaks: ['pero', 'y', 'aunque', 'porque', 'mientras'],
+  hints: ['yo', 'me', 'siento', 'estoy', 'soy', 'hoy', 'esta', 'noche', 'el', 'la', 'un', 'una', 'de', 'música', 'quiero', 'necesito']
+};
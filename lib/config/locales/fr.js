@@ -0,0 +1,41 @@
+/**
+ * French mood vocabulary
+ */
+
+export default {
+  code: 'fr',
+  name: 'Français',
+  moods: {
+    sad: ['triste', 'déprimé', 'déprimée', 'malheureux', 'malheureuse', 'abattu', 'abattue', 'cafard'],
+    happy: ['heureux', 'heureuse', 'joyeux', 'joyeuse', 'contente', 'gai', 'gaie', 'ravi', 'ravie'],
+    calm: ['calme', 'détendu', 'détendue', 'serein', 'sereine', 'tranquille', 'apaisé', 'apaisée'],
+    energetic: ['énergique', 'dynamique', 'survolté', 'survoltée', "plein d'énergie"],
+    romantic: ['romantique', 'amoureux', 'amoureuse', 'amour'],
+    angry: ['fâché', 'fâchée', 'énervé', 'énervée', 'furieux', 'furieuse', 'colère', 'en colère'],
+    nostalgic: ['nostalgique', 'nostalgie'],
+    confident: ['confiant', 'confiante', 'sûr de moi', 'sûre de moi', 'optimiste'],
+    motivated: ['motivé', 'motivée', 'déterminé', 'déterminée', 'inspiré', 'inspirée'],
+    melancholy: ['mélancolique', 'mélancolie', 'morose', 'seul', 'seule'],
+    excited: ['excité', 'excitée', 'enthousiaste', 'surexcité', 'surexcitée', 'fête'],
+    peaceful: ['paisible', 'fatigué', 'fatiguée', 'épuisé', 'épuisée', 'reposé', 'reposée', 'en paix'],
+    anxious: ['anxieux', 'anxieuse', 'stressé', 'stressée', 'inquiet', 'inquiète', 'nerveux', 'nerveuse', 'angoissé', 'angoissée'],
+    focused: ['concentré', 'concentrée', 'studieux', 'studieuse'],
+    dreamy: ['rêveur', 'rêveuse', 'rêvasser']
+  },
+  negators: ['ne', 'pas', 'jamais', 'sans', 'aucun', 'aucune'],
+  intensifiers: {
+    très: 1.3,
+    trop: 1.3,
+    vraiment: 1.25,
+    tellement: 1.35,
+    si: 1.25,
+    extrêmement: 1.5,
+    plutôt: 0.9,
+    assez: 0.8,
+    peu: 0.6,
+    légèrement: 0.6
+  },
+  trailingIntensifiers: {},
+  clauseBreaks: ['mais', 'et', 'car', 'parce', 'pourtant', 'quoique'],
+  hints: ['je', 'suis', 'me', 'sens', "aujourd'hui", 'ce', 'soir', 'le', 'la', 'les', 'un', 'une', 'de', 'du', 'musique', 'veux', 'besoin']
+};
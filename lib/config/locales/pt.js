@@ -0,0 +1,40 @@
+/**
+ * Portuguese mood vocabulary
+ */
+
+export default {
+  code: 'pt',
+  name: 'Português',
+  moods: {
+    sad: ['triste', 'deprimido', 'deprimida', 'abatido', 'abatida', 'desanimado', 'desanimada', 'infeliz'],
+    happy: ['feliz', 'alegre', 'contente', 'animado', 'animada'],
+    calm: ['calmo', 'calma', 'tranquilo', 'tranquila', 'relaxado', 'relaxada', 'sereno', 'serena'],
+    energetic: ['enérgico', 'enérgica', 'energético', 'energética', 'cheio de energia', 'cheia de energia'],
+    romantic: ['romântico', 'romântica', 'apaixonado', 'apaixonada', 'amor'],
+    angry: ['irritado', 'irritada', 'zangado', 'zangada', 'furioso', 'furiosa', 'raiva', 'com raiva'],
+    nostalgic: ['nostálgico', 'nostálgica', 'saudade', 'saudades'],
+    confident: ['confiante', 'seguro', 'segura', 'otimista'],
+    motivated: ['motivado', 'motivada', 'inspirado', 'inspirada', 'determinado', 'determinada'],
+    melancholy: ['melancólico', 'melancólica', 'sozinho', 'sozinha', 'solitário', 'solitária'],
+    excited: ['empolgado', 'empolgada', 'entusiasmado', 'entusiasmada', 'festa'],
+    peaceful: ['cansado', 'cansada', 'sonolento', 'sonolenta', 'exausto', 'exausta', 'em paz', 'com sono'],
+    anxious: ['ansioso', 'ansiosa', 'nervoso', 'nervosa', 'estressado', 'estressada', 'preocupado', 'preocupada', 'aflito', 'aflita'],
+    focused: ['concentrado', 'concentrada', 'focado', 'focada', 'estudando'],
+    dreamy: ['sonhador', 'sonhadora', 'sonhando']
+  },
+  negators: ['não', 'nunca', 'nem', 'sem'],
+  intensifiers: {
+    muito: 1.3,
+    demais: 1.3,
+    tão: 1.25,
+    realmente: 1.25,
+    extremamente: 1.5,
+    bastante: 1.1,
+    meio: 0.7,
+    pouco: 0.6,
+    ligeiramente: 0.6
+  },
+  trailingIntensifiers: {},
+  clauseBreaks: ['mas', 'e', 'porque', 'embora', 'enquanto'],
+  hints: ['eu', 'estou', 'me', 'sinto', 'sou', 'hoje', 'esta', 'noite', 'um', 'uma', 'de', 'música', 'quero', 'preciso']
+};
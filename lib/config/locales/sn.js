@@ -0,0 +1,36 @@
+/**
+ * Shona mood vocabulary
+ * Like isiZulu, degree words follow the mood ("ndinofara zvikuru")
+ */
+
+export default {
+  code: 'sn',
+  name: 'Shona',
+  moods: {
+    sad: ['suwa', 'ndine suwa', 'ndakasuwa', 'kusuruvara', 'ndakasuruvara', 'handifare'],
+    happy: ['kufara', 'ndinofara', 'ndafara', 'mufaro'],
+    calm: ['kudzikama', 'ndakadzikama', 'ndakagadzikana'],
+    energetic: ['simba', 'ndine simba'],
+    romantic: ['rudo', 'ndinokuda', 'ndadanana'],
+    angry: ['kutsamwa', 'ndakatsamwa', 'hasha', 'ndine hasha', 'ndakashatirwa'],
+    nostalgic: ['ndinoyeuka', 'kuyeuka'],
+    confident: ['ndakasimba', 'ndinovimba'],
+    motivated: ['ndine chido', 'ndakashinga', 'kushinga'],
+    melancholy: ['kusurukirwa', 'ndakasurukirwa', 'ndoga'],
+    excited: ['ndinodakara', 'kudakara', 'mabiko'],
+    peaceful: ['rugare', 'runyararo', 'ndaneta', 'kuneta', 'ndine hope'],
+    anxious: ['kunetseka', 'ndinonetseka', 'ndinotya', 'kutya', 'kushushikana'],
+    focused: ['kudzidza', 'ndiri kudzidza', 'kufunga'],
+    dreamy: ['kurota', 'ndiri kurota']
+  },
+  negators: ['kwete', 'hapana', 'handisi', 'handina'],
+  intensifiers: {},
+  trailingIntensifiers: {
+    zvikuru: 1.3,
+    kwazvo: 1.3,
+    chaizvo: 1.25,
+    zvishoma: 0.6
+  },
+  clauseBreaks: ['asi', 'uye', 'nokuti', 'zvino'],
+  hints: ['ndiri', 'ndine', 'ndinonzwa', 'nhasi', 'manheru', 'mimhanzi', 'ndinoda', 'ini']
+};
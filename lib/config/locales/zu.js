@@ -0,0 +1,37 @@
+/**
+ * isiZulu mood vocabulary
+ * Negation is usually part of the verb, so common negated forms are listed
+ * directly under the mood they express ("angijabule", I am not happy).
+ */
+
+export default {
+  code: 'zu',
+  name: 'isiZulu',
+  moods: {
+    sad: ['dabukile', 'ngidabukile', 'buhlungu', 'lusizi', 'angijabule'],
+    happy: ['jabule', 'ngijabule', 'thokozile', 'ngithokozile', 'injabulo', 'ngiyajabula'],
+    calm: ['zolile', 'ngizolile', 'ngiphumule'],
+    energetic: ['namandla', 'nginamandla'],
+    romantic: ['uthando', 'ngiyakuthanda', 'ngithandana'],
+    angry: ['thukuthele', 'ngithukuthele', 'casukile', 'ngicasukile', 'ulaka'],
+    nostalgic: ['ngikhumbula', 'ukukhumbula'],
+    confident: ['zethemba', 'ngiyazethemba'],
+    motivated: ['khuthele', 'ngikhuthele'],
+    melancholy: ['isizungu', 'nginesizungu'],
+    excited: ['ngiyashisekela', 'umcimbi'],
+    peaceful: ['ukuthula', 'ngokuthula', 'khathele', 'ngikhathele', 'ngozela'],
+    anxious: ['khathazekile', 'ngikhathazekile', 'ngiyesaba', 'ngixakekile', 'ukukhathazeka'],
+    focused: ['ngifunda', 'ngigxile'],
+    dreamy: ['ngiphupha']
+  },
+  negators: ['cha', 'akukho', 'hhayi'],
+  intensifiers: {},
+  // isiZulu puts degree words after the mood ("ngijabule kakhulu")
+  trailingIntensifiers: {
+    kakhulu: 1.3,
+    impela: 1.25,
+    kancane: 0.6
+  },
+  clauseBreaks: ['kodwa', 'futhi', 'ngoba', 'kanti'],
+  hints: ['ngizizwa', 'ngikhona', 'namhlanje', 'manje', 'umculo', 'ngifuna', 'mina']
+};
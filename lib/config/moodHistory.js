@@ -0,0 +1,224 @@
+/**
+ * Mood History
+ * Limits and validation for saved mood searches, shared by the server store
+ * and the browser fallback
+ */
+
+import { REQUIRED_FEATURES } from './moodMappings.js';
+
+export const MOOD_HISTORY_LIMITS = {
+  maxEntries: 50,
+  maxTracks: 50,
+  maxAlbums: 20,
+  moodLength: { min: 1, max: 200 },
+  // Per item; the client sends these, so nothing is copied without a bound
+  idLength: 100,
+  textLength: 200,
+  urlLength: 500,
+  maxArtists: 5,
+  maxImages: 3,
+  maxMatchedFeatures: 6,
+  maxSeeds: 5,
+  // Serialised size of a whole entry, in characters
+  maxEntrySize: 150 * 1024
+};
+
+/**
+ * A string cut to a length, or undefined if it isn't one
+ */
+function toText(value, max = MOOD_HISTORY_LIMITS.textLength) {
+  return typeof value === 'string' ? value.slice(0, max) : undefined;
+}
+
+/**
+ * An http(s) URL within the length limit, or undefined
+ */
+function toUrl(value) {
+  return typeof value === 'string' && value.length <= MOOD_HISTORY_LIMITS.urlLength && /^https?:\/\//.test(value)
+    ? value
+    : undefined;
+}
+
+/**
+ * A finite number, or undefined
+ */
+function toNumber(value) {
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Strings from a list, cut to length and count
+ */
+function toTextList(values, max) {
+  return (Array.isArray(values) ? values : []).slice(0, max).map(value => toText(value)).filter(Boolean);
+}
+
+function compactUrls(urls) {
+  const spotify = toUrl(urls?.spotify);
+  return spotify ? { spotify } : undefined;
+}
+
+function compactImages(images) {
+  return (Array.isArray(images) ? images : [])
+    .slice(0, MOOD_HISTORY_LIMITS.maxImages)
+    .map(image => ({ url: toUrl(image?.url), width: toNumber(image?.width), height: toNumber(image?.height) }))
+    .filter(image => image.url);
+}
+
+/**
+ * Keep the parts of a Spotify artist the cards show
+ */
+function compactArtist(artist) {
+  return {
+    id: toText(artist?.id, MOOD_HISTORY_LIMITS.idLength),
+    name: toText(artist?.name),
+    external_urls: compactUrls(artist?.external_urls)
+  };
+}
+
+/**
+ * Keep the parts of a recommendation's explanation MatchExplanation shows
+ */
+function compactExplanation(explanation) {
+  if (!explanation || typeof explanation !== 'object') {
+    return undefined;
+  }
+
+  const { maxMatchedFeatures, maxSeeds } = MOOD_HISTORY_LIMITS;
+  const source = explanation.source;
+  const seeds = source?.seeds;
+
+  return {
+    score: toNumber(explanation.score) ?? null,
+    matchedFeatures: (Array.isArray(explanation.matchedFeatures) ? explanation.matchedFeatures : [])
+      .slice(0, maxMatchedFeatures)
+      .map(feature => ({
+        feature: toText(feature?.feature, 50),
+        value: toNumber(feature?.value),
+        target: toNumber(feature?.target),
+        label: toText(feature?.label)
+      }))
+      .filter(feature => feature.feature),
+    source: ['search', 'seed'].includes(source?.type) ? {
+      type: source.type,
+      query: toText(source.query),
+      seeds: seeds && {
+        genres: toTextList(seeds.genres, maxSeeds),
+        tracks: toTextList(seeds.tracks, maxSeeds),
+        artists: toTextList(seeds.artists, maxSeeds)
+      }
+    } : null,
+    summary: toText(explanation.summary)
+  };
+}
+
+/**
+ * Keep the parts of a Spotify track or album the cards show, so entries stay small
+ * Full album objects carry their whole track listing, which is dropped.
+ */
+function compactItem(item) {
+  return {
+    id: item.id,
+    name: toText(item.name),
+    artists: (Array.isArray(item.artists) ? item.artists : []).slice(0, MOOD_HISTORY_LIMITS.maxArtists).map(compactArtist),
+    external_urls: compactUrls(item.external_urls),
+    moodScore: toNumber(item.moodScore),
+    explanation: compactExplanation(item.explanation)
+  };
+}
+
+function compactTrack(track) {
+  return {
+    ...compactItem(track),
+    duration_ms: toNumber(track.duration_ms),
+    preview_url: toUrl(track.preview_url),
+    uri: toText(track.uri, MOOD_HISTORY_LIMITS.idLength),
+    album: track.album && {
+      id: toText(track.album.id, MOOD_HISTORY_LIMITS.idLength),
+      name: toText(track.album.name),
+      images: compactImages(track.album.images)
+    }
+  };
+}
+
+function compactAlbum(album) {
+  return {
+    ...compactItem(album),
+    images: compactImages(album.images),
+    release_date: toText(album.release_date, 20),
+    total_tracks: toNumber(album.total_tracks)
+  };
+}
+
+/**
+ * Keep valid items, once each, up to a limit
+ */
+function compactItems(items, limit, compact) {
+  const seen = new Set();
+  const result = [];
+
+  for (const item of Array.isArray(items) ? items : []) {
+    if (result.length >= limit) break;
+    if (!item || typeof item.id !== 'string' || item.id.length > MOOD_HISTORY_LIMITS.idLength || seen.has(item.id)) continue;
+    seen.add(item.id);
+    result.push(compact(item));
+  }
+
+  return result;
+}
+
+/**
+ * Validate a search to save in the history, and trim it to what re-opening it needs
+ * @param {Object} input - Mood, recommendations ({albums, tracks}) and audioFeatures
+ * @returns {{entry: Object|null, errors: string[]}} The entry without id and timestamp, or the problems found
+ */
+export function validateHistoryEntry(input) {
+  const { maxTracks, maxAlbums, moodLength } = MOOD_HISTORY_LIMITS;
+
+  if (!input || typeof input !== 'object') {
+    return { entry: null, errors: ['History entry must be an object'] };
+  }
+
+  const errors = [];
+  const mood = typeof input.mood === 'string' ? input.mood.trim().replace(/\s+/g, ' ') : '';
+  if (mood.length < moodLength.min || mood.length > moodLength.max) {
+    errors.push(`Mood must be between ${moodLength.min} and ${moodLength.max} characters`);
+  }
+
+  const recommendations = input.recommendations || {};
+  const tracks = compactItems(recommendations.tracks, maxTracks, compactTrack);
+  const albums = compactItems(recommendations.albums, maxAlbums, compactAlbum);
+
+  if (tracks.length === 0 && albums.length === 0) {
+    errors.push('History entry must have at least one track or album');
+  }
+
+  const audioFeatures = {};
+  for (const feature of REQUIRED_FEATURES) {
+    if (Number.isFinite(input.audioFeatures?.[feature])) {
+      audioFeatures[feature] = input.audioFeatures[feature];
+    }
+  }
+
+  if (errors.length > 0) {
+    return { entry: null, errors };
+  }
+
+  // Drop the lowest ranked items until the entry fits; one item on its own always does
+  const entry = { mood, recommendations: { albums, tracks }, audioFeatures };
+  while (JSON.stringify(entry).length > MOOD_HISTORY_LIMITS.maxEntrySize && tracks.length + albums.length > 1) {
+    (tracks.length >= albums.length ? tracks : albums).pop();
+  }
+
+  return { entry, errors: [] };
+}
+
+/**
+ * Add an entry to the front of a history, dropping the oldest beyond the limit
+ * @param {import('../types/spotify.js').MoodSearchHistory[]} history - Entries, newest first
+ * @param {import('../types/spotify.js').MoodSearchHistory} entry - New entry
+ * @returns {import('../types/spotify.js').MoodSearchHistory[]} New history, newest first
+ */
+export function addHistoryEntry(history, entry) {
+  return [entry, ...history.filter(existing => existing.id !== entry.id)].slice(0, MOOD_HISTORY_LIMITS.maxEntries);
+}
@@ -0,0 +1,132 @@
+/**
+ * Mood Locales
+ * Per-language mood vocabularies, normalised for lookup. Every word maps onto
+ * one of the canonical moods in MOOD_DEFINITIONS, so non-English input ends up
+ * with the same audio features and search terms as English input.
+ *
+ * To add a language, create lib/config/locales/<code>.js and list it below.
+ */
+
+import { MOOD_DEFINITIONS, MOOD_MAPPINGS, MOOD_SYNONYMS, MOOD_PHRASES } from './moodMappings.js';
+import af from './locales/af.js';
+import zu from './locales/zu.js';
+import sn from './locales/sn.js';
+import fr from './locales/fr.js';
+import es from './locales/es.js';
+import pt from './locales/pt.js';
+
+const LOCALE_SOURCES = [af, zu, sn, fr, es, pt];
+
+/**
+ * Lowercase and strip accents, so "Déprimé" and "deprime" are the same word
+ * @param {string} text - Raw text
+ * @returns {string} Normalised text
+ */
+export function stripDiacritics(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Check a locale's vocabulary
+ * @param {Object} locale - Locale source, as in lib/config/locales
+ * @returns {string[]} Validation errors, empty if the locale is valid
+ */
+export function validateMoodLocale(locale) {
+  const errors = [];
+  const code = locale?.code || 'locale';
+
+  if (!locale || !/^[a-z]{2}$/.test(locale.code)) {
+    return [`${code}: code must be a two letter language code`];
+  }
+
+  const owners = new Map();
+  for (const [mood, words] of Object.entries(locale.moods || {})) {
+    if (!MOOD_DEFINITIONS[mood]) {
+      errors.push(`${code}: unknown mood "${mood}"`);
+      continue;
+    }
+
+    for (const word of words) {
+      const term = stripDiacritics(word);
+      if (owners.has(term) && owners.get(term) !== mood) {
+        errors.push(`${code}: "${word}" is claimed by both ${owners.get(term)} and ${mood}`);
+      }
+      owners.set(term, mood);
+
+      // English wins on lookup, so a clash would silently change the mood
+      const english = MOOD_MAPPINGS[term] ? term : MOOD_SYNONYMS[term] || MOOD_PHRASES[term];
+      if (english && english !== mood) {
+        errors.push(`${code}: "${word}" means ${english} in English`);
+      }
+    }
+  }
+
+  for (const [word, degree] of Object.entries({ ...locale.intensifiers, ...locale.trailingIntensifiers })) {
+    if (typeof degree !== 'number' || degree <= 0) {
+      errors.push(`${code}: intensifier "${word}" must have a positive degree`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the lookup tables for one locale
+ */
+function normalizeLocale(locale) {
+  const normalizeKeys = (object = {}) =>
+    Object.fromEntries(Object.entries(object).map(([word, value]) => [stripDiacritics(word), value]));
+
+  const terms = {};
+  for (const [mood, words] of Object.entries(locale.moods)) {
+    words.forEach(word => {
+      terms[stripDiacritics(word)] = mood;
+    });
+  }
+
+  return {
+    code: locale.code,
+    name: locale.name,
+    terms,
+    negators: locale.negators.map(stripDiacritics),
+    intensifiers: normalizeKeys(locale.intensifiers),
+    trailingIntensifiers: normalizeKeys(locale.trailingIntensifiers),
+    clauseBreaks: locale.clauseBreaks.map(stripDiacritics),
+    hints: locale.hints.map(stripDiacritics)
+  };
+}
+
+const localeErrors = LOCALE_SOURCES.flatMap(validateMoodLocale);
+if (localeErrors.length > 0) {
+  throw new Error(`Invalid mood locales:\n${localeErrors.join('\n')}`);
+}
+
+/**
+ * Normalised vocabularies keyed by language code
+ */
+export const MOOD_LOCALES = Object.fromEntries(
+  LOCALE_SOURCES.map(locale => [locale.code, normalizeLocale(locale)])
+);
+
+/**
+ * Every language mood input can be written in, English first
+ * @returns {Array<{code: string, name: string}>} Supported locales
+ */
+export function getSupportedLocales() {
+  return [
+    { code: 'en', name: 'English' },
+    ...LOCALE_SOURCES.map(({ code, name }) => ({ code, name }))
+  ];
+}
+
+/**
+ * Reduce a locale tag to a supported language code
+ * @param {string} locale - Locale tag, e.g. "fr", "pt-BR" or "zu_ZA"
+ * @returns {string|null} Supported language code, or null if unsupported
+ */
+export function resolveLocale(locale) {
+  if (typeof locale !== 'string') return null;
+
+  const code = locale.toLowerCase().split(/[-_]/)[0];
+  return code === 'en' || MOOD_LOCALES[code] ? code : null;
+}
@@ -1,232 +1,418 @@
 /**
- * Mood to Audio Features Mapping
- * Maps emotional states to Spotify audio features for music recommendations
+ * Mood Registry
+ * Single source of truth for every mood the app understands: audio feature
+ * targets, synonyms, phrases, search terms, seed genres and display metadata
  */
 
-export const MOOD_MAPPINGS = {
-  // Sad moods - low valence, low energy
+/**
+ * Valid range for each required audio feature
+ */
+export const FEATURE_RANGES = {
+  valence: { min: 0, max: 1 },
+  energy: { min: 0, max: 1 },
+  danceability: { min: 0, max: 1 },
+  acousticness: { min: 0, max: 1 },
+  instrumentalness: { min: 0, max: 1 },
+  tempo: { min: 40, max: 220 }
+};
+
+export const REQUIRED_FEATURES = Object.keys(FEATURE_RANGES);
+
+/**
+ * Mood definitions
+ * Feature targets are based on psychological research and music theory.
+ * Genres must be valid Spotify seed genres.
+ */
+export const MOOD_DEFINITIONS = {
+  // Basic emotions
   sad: {
-    valence: 0.2,
-    energy: 0.3,
-    acousticness: 0.7,
-    danceability: 0.2
+    features: { valence: 0.2, energy: 0.3, danceability: 0.2, acousticness: 0.7, instrumentalness: 0.4, tempo: 80 },
+    synonyms: ['depressed', 'down', 'blue', 'gloomy', 'sorrowful', 'heartbroken', 'upset', 'crying'],
+    phrases: ['heart broken', 'feeling down', 'down in the dumps'],
+    searchTerms: ['sad', 'melancholy', 'blues', 'emotional'],
+    genres: ['sad', 'acoustic', 'singer-songwriter'],
+    emoji: '😢',
+    color: 'text-blue-400'
   },
-  melancholy: {
-    valence: 0.25,
-    energy: 0.35,
-    acousticness: 0.6,
-    danceability: 0.25
-  },
-  depressed: {
-    valence: 0.15,
-    energy: 0.25,
-    acousticness: 0.8,
-    danceability: 0.15
-  },
-
-  // Happy moods - high valence, high energy
   happy: {
-    valence: 0.8,
-    energy: 0.7,
-    danceability: 0.6,
-    acousticness: 0.3
-  },
-  joyful: {
-    valence: 0.85,
-    energy: 0.75,
-    danceability: 0.7,
-    acousticness: 0.25
+    features: { valence: 0.8, energy: 0.7, danceability: 0.6, acousticness: 0.3, instrumentalness: 0.2, tempo: 120 },
+    synonyms: ['joyful', 'cheerful', 'upbeat', 'elated', 'euphoric', 'blissful', 'glad', 'content'],
+    phrases: ['feel good', 'good vibes'],
+    searchTerms: ['happy', 'upbeat', 'cheerful', 'positive'],
+    genres: ['happy', 'pop', 'funk'],
+    emoji: '😄',
+    color: 'text-yellow-400'
   },
-  excited: {
-    valence: 0.9,
-    energy: 0.9,
-    danceability: 0.8,
-    acousticness: 0.2
-  },
-
-  // Calm moods - moderate valence, low energy
   calm: {
-    valence: 0.5,
-    energy: 0.2,
-    acousticness: 0.8,
-    danceability: 0.3
+    features: { valence: 0.5, energy: 0.2, danceability: 0.2, acousticness: 0.8, instrumentalness: 0.6, tempo: 70 },
+    synonyms: ['relaxed', 'serene', 'tranquil', 'mellow', 'chill', 'zen'],
+    phrases: ['calm down', 'wind down', 'chill out'],
+    searchTerms: ['calm', 'peaceful', 'relaxing', 'ambient'],
+    genres: ['chill', 'ambient', 'acoustic'],
+    emoji: '😌',
+    color: 'text-green-400'
   },
-  peaceful: {
-    valence: 0.6,
-    energy: 0.15,
-    acousticness: 0.85,
-    danceability: 0.2
-  },
-  relaxed: {
-    valence: 0.55,
-    energy: 0.25,
-    acousticness: 0.75,
-    danceability: 0.25
-  },
-
-  // Energetic moods - high energy, high danceability
   energetic: {
-    valence: 0.7,
-    energy: 0.9,
-    danceability: 0.8,
-    acousticness: 0.2
-  },
-  pumped: {
-    valence: 0.75,
-    energy: 0.95,
-    danceability: 0.85,
-    acousticness: 0.15
-  },
-  motivated: {
-    valence: 0.8,
-    energy: 0.85,
-    danceability: 0.7,
-    acousticness: 0.25
+    features: { valence: 0.7, energy: 0.9, danceability: 0.8, acousticness: 0.2, instrumentalness: 0.1, tempo: 140 },
+    synonyms: ['pumped', 'hyper', 'active', 'dynamic', 'vigorous'],
+    phrases: ['fired up', 'work out'],
+    searchTerms: ['energetic', 'upbeat', 'dance', 'electronic'],
+    genres: ['edm', 'dance', 'work-out'],
+    emoji: '⚡',
+    color: 'text-yellow-500'
   },
 
-  // Romantic moods - moderate valence, low-moderate energy
+  // Complex emotions
   romantic: {
-    valence: 0.6,
-    energy: 0.4,
-    acousticness: 0.6,
-    danceability: 0.4
-  },
-  loving: {
-    valence: 0.7,
-    energy: 0.45,
-    acousticness: 0.55,
-    danceability: 0.45
+    features: { valence: 0.6, energy: 0.4, danceability: 0.3, acousticness: 0.6, instrumentalness: 0.3, tempo: 90 },
+    synonyms: ['loving', 'passionate', 'intimate', 'tender', 'love'],
+    phrases: ['in love', 'date night'],
+    searchTerms: ['romantic', 'love', 'ballad', 'intimate'],
+    genres: ['romance', 'r-n-b', 'soul'],
+    emoji: '💕',
+    color: 'text-pink-400'
   },
-  intimate: {
-    valence: 0.65,
-    energy: 0.35,
-    acousticness: 0.7,
-    danceability: 0.3
-  },
-
-  // Angry moods - low valence, high energy
   angry: {
-    valence: 0.2,
-    energy: 0.9,
-    danceability: 0.3,
-    acousticness: 0.1
-  },
-  frustrated: {
-    valence: 0.25,
-    energy: 0.8,
-    danceability: 0.35,
-    acousticness: 0.15
-  },
-  aggressive: {
-    valence: 0.15,
-    energy: 0.95,
-    danceability: 0.4,
-    acousticness: 0.05
+    features: { valence: 0.2, energy: 0.9, danceability: 0.3, acousticness: 0.1, instrumentalness: 0.2, tempo: 150 },
+    synonyms: ['mad', 'furious', 'rage', 'irritated', 'frustrated', 'aggressive', 'annoyed'],
+    phrases: ['fed up', 'pissed off'],
+    searchTerms: ['angry', 'rock', 'metal', 'aggressive'],
+    genres: ['metal', 'hard-rock', 'punk'],
+    emoji: '😠',
+    color: 'text-red-500'
   },
-
-  // Nostalgic moods - moderate valence, low-moderate energy
   nostalgic: {
-    valence: 0.4,
-    energy: 0.3,
-    acousticness: 0.7,
-    danceability: 0.3
+    features: { valence: 0.4, energy: 0.3, danceability: 0.2, acousticness: 0.7, instrumentalness: 0.4, tempo: 85 },
+    synonyms: ['wistful', 'sentimental', 'reminiscent', 'reminiscing'],
+    phrases: ['good old days'],
+    searchTerms: ['nostalgic', 'vintage', 'classic', 'retro'],
+    genres: ['folk', 'soul', 'singer-songwriter'],
+    emoji: '🌅',
+    color: 'text-amber-400'
   },
-  wistful: {
-    valence: 0.35,
-    energy: 0.25,
-    acousticness: 0.75,
-    danceability: 0.25
+  confident: {
+    features: { valence: 0.8, energy: 0.8, danceability: 0.7, acousticness: 0.2, instrumentalness: 0.1, tempo: 130 },
+    synonyms: ['bold', 'strong', 'powerful', 'hopeful', 'optimistic'],
+    phrases: [],
+    searchTerms: ['confident', 'powerful', 'motivational'],
+    genres: ['hip-hop', 'pop', 'funk'],
+    emoji: '😎',
+    color: 'text-indigo-400'
   },
-  sentimental: {
-    valence: 0.45,
-    energy: 0.35,
-    acousticness: 0.65,
-    danceability: 0.35
+  motivated: {
+    features: { valence: 0.8, energy: 0.85, danceability: 0.7, acousticness: 0.25, instrumentalness: 0.1, tempo: 128 },
+    synonyms: ['motivation', 'determined', 'driven', 'inspired'],
+    phrases: ['need motivation'],
+    searchTerms: ['motivation', 'workout', 'power', 'anthem'],
+    genres: ['work-out', 'hip-hop', 'rock'],
+    emoji: '💪',
+    color: 'text-orange-400'
   },
 
-  // Confident moods - high valence, high energy
-  confident: {
-    valence: 0.8,
-    energy: 0.8,
-    danceability: 0.7,
-    acousticness: 0.2
+  // Additional moods
+  melancholy: {
+    features: { valence: 0.3, energy: 0.2, danceability: 0.1, acousticness: 0.8, instrumentalness: 0.5, tempo: 75 },
+    synonyms: ['melancholic', 'lonely', 'somber'],
+    phrases: [],
+    searchTerms: ['melancholy', 'rainy', 'ballad', 'slow'],
+    genres: ['rainy-day', 'indie', 'folk'],
+    emoji: '🌧️',
+    color: 'text-slate-400'
   },
-  powerful: {
-    valence: 0.75,
-    energy: 0.85,
-    danceability: 0.65,
-    acousticness: 0.15
+  excited: {
+    features: { valence: 0.9, energy: 0.9, danceability: 0.8, acousticness: 0.1, instrumentalness: 0.1, tempo: 145 },
+    synonyms: ['party', 'hyped', 'thrilled', 'ecstatic'],
+    phrases: ['party vibes'],
+    searchTerms: ['party', 'hype', 'dance', 'anthem'],
+    genres: ['party', 'dance', 'edm'],
+    emoji: '🎉',
+    color: 'text-red-400'
   },
-  determined: {
-    valence: 0.7,
-    energy: 0.75,
-    danceability: 0.6,
-    acousticness: 0.25
+  peaceful: {
+    features: { valence: 0.6, energy: 0.1, danceability: 0.1, acousticness: 0.9, instrumentalness: 0.7, tempo: 60 },
+    synonyms: ['tired', 'sleepy', 'restful', 'soothed'],
+    phrases: ['long day'],
+    searchTerms: ['peaceful', 'sleep', 'soft', 'ambient'],
+    genres: ['sleep', 'ambient', 'classical'],
+    emoji: '🕊️',
+    color: 'text-teal-400'
   },
-
-  // Anxious moods - low valence, moderate energy
   anxious: {
-    valence: 0.3,
-    energy: 0.6,
-    danceability: 0.4,
-    acousticness: 0.5
-  },
-  nervous: {
-    valence: 0.25,
-    energy: 0.65,
-    danceability: 0.35,
-    acousticness: 0.55
+    features: { valence: 0.3, energy: 0.6, danceability: 0.3, acousticness: 0.4, instrumentalness: 0.3, tempo: 110 },
+    synonyms: ['stressed', 'nervous', 'worried', 'tense', 'restless'],
+    phrases: ['on edge', 'stressed out'],
+    searchTerms: ['anxious', 'restless', 'moody', 'alternative'],
+    genres: ['alternative', 'emo', 'indie'],
+    emoji: '😰',
+    color: 'text-gray-400'
   },
-  worried: {
-    valence: 0.2,
-    energy: 0.5,
-    danceability: 0.3,
-    acousticness: 0.6
+  focused: {
+    features: { valence: 0.5, energy: 0.4, danceability: 0.2, acousticness: 0.5, instrumentalness: 0.8, tempo: 100 },
+    synonyms: ['focus', 'studying', 'concentrating', 'productive', 'contemplative'],
+    phrases: ['deep focus', 'studying focus'],
+    searchTerms: ['focus', 'study', 'instrumental', 'concentration'],
+    genres: ['study', 'classical', 'ambient'],
+    emoji: '📚',
+    color: 'text-purple-400'
   },
-
-  // Dreamy moods - moderate valence, low energy
   dreamy: {
-    valence: 0.6,
-    energy: 0.3,
-    acousticness: 0.8,
-    danceability: 0.2
-  },
-  ethereal: {
-    valence: 0.65,
-    energy: 0.25,
-    acousticness: 0.85,
-    danceability: 0.15
-  },
-  contemplative: {
-    valence: 0.5,
-    energy: 0.35,
-    acousticness: 0.75,
-    danceability: 0.25
+    features: { valence: 0.6, energy: 0.3, danceability: 0.2, acousticness: 0.6, instrumentalness: 0.5, tempo: 85 },
+    synonyms: ['daydreaming', 'ethereal', 'floaty', 'hazy'],
+    phrases: ['head in the clouds'],
+    searchTerms: ['dreamy', 'dream pop', 'ethereal', 'shoegaze'],
+    genres: ['ambient', 'indie-pop', 'trip-hop'],
+    emoji: '☁️',
+    color: 'text-sky-400'
   }
 };
 
 /**
- * Get audio features for a given mood
- * @param {string} mood - The mood to map
- * @returns {Object} Audio features object
+ * Ready-made prompts shown under the mood input, in display order
+ */
+export const MOOD_SUGGESTIONS = [
+  { text: 'feeling sad', mood: 'sad' },
+  { text: 'happy and energetic', mood: 'happy' },
+  { text: 'chill and relaxed', mood: 'calm' },
+  { text: 'romantic mood', mood: 'romantic' },
+  { text: 'need motivation', mood: 'motivated' },
+  { text: 'studying focus', mood: 'focused' },
+  { text: 'party vibes', mood: 'excited' },
+  { text: 'nostalgic', mood: 'nostalgic' },
+  { text: 'anxious', mood: 'anxious' },
+  { text: 'confident', mood: 'confident' }
+];
+
+/**
+ * Check a single mood definition
+ * @param {string} name - Mood name
+ * @param {Object} definition - Mood definition
+ * @returns {string[]} Validation errors, empty if the definition is valid
  */
-export function getMoodAudioFeatures(mood) {
-  const normalizedMood = mood.toLowerCase().trim();
-  
-  // Check for exact matches first
-  if (MOOD_MAPPINGS[normalizedMood]) {
-    return MOOD_MAPPINGS[normalizedMood];
+export function validateMoodDefinition(name, definition) {
+  const errors = [];
+
+  if (!name || typeof name !== 'string') {
+    errors.push('Mood name must be a non-empty string');
+  }
+
+  if (!definition || typeof definition !== 'object') {
+    return [...errors, `${name}: definition must be an object`];
   }
 
-  // Check for partial matches
-  for (const [key, features] of Object.entries(MOOD_MAPPINGS)) {
-    if (normalizedMood.includes(key) || key.includes(normalizedMood)) {
-      return features;
+  const features = definition.features || {};
+  for (const feature of REQUIRED_FEATURES) {
+    const value = features[feature];
+    const { min, max } = FEATURE_RANGES[feature];
+
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      errors.push(`${name}: missing audio feature "${feature}"`);
+    } else if (value < min || value > max) {
+      errors.push(`${name}: ${feature} must be between ${min} and ${max} (got ${value})`);
+    }
+  }
+
+  for (const list of ['synonyms', 'phrases', 'searchTerms', 'genres']) {
+    const values = definition[list];
+    if (values !== undefined && (!Array.isArray(values) || values.some(value => typeof value !== 'string'))) {
+      errors.push(`${name}: ${list} must be an array of strings`);
+    }
+  }
+
+  if (!Array.isArray(definition.searchTerms) || definition.searchTerms.length === 0) {
+    errors.push(`${name}: at least one search term is required`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check every mood definition and make sure no word points at two moods
+ * @param {Object} definitions - Mood definitions keyed by name
+ * @returns {string[]} Validation errors, empty if the registry is valid
+ */
+export function validateMoodRegistry(definitions) {
+  const errors = [];
+  const owners = new Map();
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    errors.push(...validateMoodDefinition(name, definition));
+
+    const words = [name, ...(definition?.synonyms || []), ...(definition?.phrases || [])];
+    for (const word of words) {
+      if (owners.has(word) && owners.get(word) !== name) {
+        errors.push(`"${word}" is claimed by both ${owners.get(word)} and ${name}`);
+      }
+      owners.set(word, name);
     }
   }
 
-  // Default to calm if no match found
-  return MOOD_MAPPINGS.calm;
+  return errors;
+}
+
+/**
+ * Limits for user-defined moods
+ */
+export const CUSTOM_MOOD_LIMITS = {
+  maxMoods: 50,
+  maxSynonyms: 10,
+  maxSeedGenres: 5,
+  maxSeedArtists: 5,
+  nameLength: { min: 2, max: 40 }
+};
+
+/**
+ * Normalise a mood name or synonym: lowercase, trimmed, single spaces
+ */
+function normalizeMoodTerm(term) {
+  return typeof term === 'string' ? term.toLowerCase().trim().replace(/\s+/g, ' ') : '';
+}
+
+/**
+ * Validate and normalise a user-defined mood
+ * @param {Object} input - Raw custom mood from the client
+ * @param {string} input.name - Mood name, e.g. "rainy sunday"
+ * @param {string[]} [input.synonyms] - Other words for the mood
+ * @param {Object} input.features - Audio feature targets (all of REQUIRED_FEATURES)
+ * @param {string[]} [input.seedGenres] - Spotify seed genres
+ * @param {string[]} [input.seedArtists] - Spotify artist ids
+ * @param {Object[]} [existing] - The user's other custom moods, to check for clashes
+ * @returns {{mood: Object|null, errors: string[]}} Normalised mood, or validation errors
+ */
+export function validateCustomMood(input, existing = []) {
+  const errors = [];
+  const { nameLength, maxSynonyms, maxSeedGenres, maxSeedArtists } = CUSTOM_MOOD_LIMITS;
+
+  if (!input || typeof input !== 'object') {
+    return { mood: null, errors: ['Custom mood must be an object'] };
+  }
+
+  const name = normalizeMoodTerm(input.name);
+  if (name.length < nameLength.min || name.length > nameLength.max) {
+    errors.push(`Name must be between ${nameLength.min} and ${nameLength.max} characters`);
+  } else if (!/^[\p{L}\p{N}' -]+$/u.test(name)) {
+    errors.push('Name may only contain letters, numbers, spaces, hyphens and apostrophes');
+  }
+
+  const synonyms = [...new Set((Array.isArray(input.synonyms) ? input.synonyms : [])
+    .map(normalizeMoodTerm)
+    .filter(synonym => synonym && synonym !== name))];
+  if (synonyms.length > maxSynonyms) {
+    errors.push(`At most ${maxSynonyms} synonyms are allowed`);
+  }
+  if (synonyms.some(synonym => synonym.length > nameLength.max)) {
+    errors.push(`Synonyms must be at most ${nameLength.max} characters`);
+  }
+
+  const seedGenres = (Array.isArray(input.seedGenres) ? input.seedGenres : []).map(normalizeMoodTerm).filter(Boolean);
+  if (seedGenres.length > maxSeedGenres) {
+    errors.push(`At most ${maxSeedGenres} seed genres are allowed`);
+  }
+  if (seedGenres.some(genre => !/^[a-z0-9-]+$/.test(genre))) {
+    errors.push('Seed genres may only contain lowercase letters, numbers and hyphens');
+  }
+
+  const seedArtists = (Array.isArray(input.seedArtists) ? input.seedArtists : []).filter(Boolean);
+  if (seedArtists.length > maxSeedArtists) {
+    errors.push(`At most ${maxSeedArtists} seed artists are allowed`);
+  }
+  if (seedArtists.some(id => typeof id !== 'string' || !/^[A-Za-z0-9]{22}$/.test(id))) {
+    errors.push('Seed artists must be Spotify artist ids');
+  }
+
+  // Reuse the registry's feature checks
+  const features = {};
+  for (const feature of REQUIRED_FEATURES) {
+    features[feature] = typeof input.features?.[feature] === 'string'
+      ? Number(input.features[feature])
+      : input.features?.[feature];
+  }
+  errors.push(...validateMoodDefinition(name || 'mood', { features, searchTerms: [name] })
+    .filter(error => !error.includes('search term')));
+
+  // Built-in words always win, and a user can't define the same word twice
+  const taken = new Map();
+  for (const [mood, definition] of Object.entries(MOOD_DEFINITIONS)) {
+    [mood, ...definition.synonyms, ...definition.phrases].forEach(word => taken.set(word, `built-in mood "${mood}"`));
+  }
+  for (const other of existing) {
+    if (other.id === input.id) continue;
+    [other.name, ...(other.synonyms || [])].forEach(word => taken.set(word, `your mood "${other.name}"`));
+  }
+  for (const word of [name, ...synonyms]) {
+    if (taken.has(word)) {
+      errors.push(`"${word}" is already used by ${taken.get(word)}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { mood: null, errors };
+  }
+
+  return {
+    mood: { name, synonyms, features, seedGenres, seedArtists },
+    errors: []
+  };
+}
+
+const registryErrors = validateMoodRegistry(MOOD_DEFINITIONS);
+if (registryErrors.length > 0) {
+  throw new Error(`Invalid mood registry:\n${registryErrors.join('\n')}`);
+}
+
+/**
+ * Audio feature targets keyed by mood
+ */
+export const MOOD_MAPPINGS = Object.fromEntries(
+  Object.entries(MOOD_DEFINITIONS).map(([mood, definition]) => [mood, definition.features])
+);
+
+/**
+ * Synonym to canonical mood lookup
+ */
+export const MOOD_SYNONYMS = Object.fromEntries(
+  Object.entries(MOOD_DEFINITIONS).flatMap(([mood, definition]) =>
+    definition.synonyms.map(synonym => [synonym, mood])
+  )
+);
+
+/**
+ * Multi-word phrase to canonical mood lookup
+ */
+export const MOOD_PHRASES = Object.fromEntries(
+  Object.entries(MOOD_DEFINITIONS).flatMap(([mood, definition]) =>
+    definition.phrases.map(phrase => [phrase, mood])
+  )
+);
+
+/**
+ * Get the full definition of a canonical mood
+ * @param {string} mood - Canonical mood name
+ * @returns {Object|null} Mood definition or null if unknown
+ */
+export function getMoodDefinition(mood) {
+  return MOOD_DEFINITIONS[mood] || null;
+}
+
+/**
+ * Get the Spotify search query for a canonical mood
+ * @param {string} mood - Canonical mood name
+ * @returns {string|null} Space separated search terms or null if unknown
+ */
+export function getMoodSearchQuery(mood) {
+  return MOOD_DEFINITIONS[mood]?.searchTerms.join(' ') || null;
+}
+
+/**
+ * Get mood input suggestions with their display metadata
+ * @returns {Array<{text: string, mood: string, icon: string, color: string}>} Suggestions in display order
+ */
+export function getMoodSuggestions() {
+  return MOOD_SUGGESTIONS.map(({ text, mood }) => ({
+    text,
+    mood,
+    icon: MOOD_DEFINITIONS[mood].emoji,
+    color: MOOD_DEFINITIONS[mood].color
+  }));
 }
 
 /**
@@ -234,5 +420,5 @@ export function getMoodAudioFeatures(mood) {
  * @returns {string[]} Array of mood names
  */
 export function getAvailableMoods() {
-  return Object.keys(MOOD_MAPPINGS);
-}
\ No newline at end of file
+  return Object.keys(MOOD_DEFINITIONS);
+}
@@ -0,0 +1,242 @@
+/**
+ * Mood Symbol Lexicon
+ * Emojis and text emoticons mapped onto canonical moods, with how strongly
+ * each one expresses its mood (0.0 to 1.0)
+ */
+
+import { MOOD_DEFINITIONS } from './moodMappings.js';
+
+/**
+ * Single emojis
+ * Keys are stored without variation selectors or skin tones; see normalizeSymbols
+ */
+export const MOOD_EMOJIS = {
+  // Sad
+  '😢': { mood: 'sad', intensity: 0.7 },
+  '😭': { mood: 'sad', intensity: 0.95 },
+  '😞': { mood: 'sad', intensity: 0.6 },
+  '😟': { mood: 'sad', intensity: 0.5 },
+  '☹': { mood: 'sad', intensity: 0.6 },
+  '🙁': { mood: 'sad', intensity: 0.45 },
+  '🥺': { mood: 'sad', intensity: 0.5 },
+  '💔': { mood: 'sad', intensity: 0.85 },
+  '😿': { mood: 'sad', intensity: 0.7 },
+
+  // Melancholy
+  '😔': { mood: 'melancholy', intensity: 0.6 },
+  '😶': { mood: 'melancholy', intensity: 0.4 },
+  '🌧': { mood: 'melancholy', intensity: 0.5 },
+  '🥀': { mood: 'melancholy', intensity: 0.65 },
+
+  // Happy
+  '🙂': { mood: 'happy', intensity: 0.4 },
+  '😊': { mood: 'happy', intensity: 0.6 },
+  '😀': { mood: 'happy', intensity: 0.7 },
+  '😃': { mood: 'happy', intensity: 0.75 },
+  '😄': { mood: 'happy', intensity: 0.8 },
+  '😁': { mood: 'happy', intensity: 0.8 },
+  '😆': { mood: 'happy', intensity: 0.85 },
+  '😂': { mood: 'happy', intensity: 0.9 },
+  '🤣': { mood: 'happy', intensity: 0.95 },
+  '☺': { mood: 'happy', intensity: 0.6 },
+  '🌞': { mood: 'happy', intensity: 0.6 },
+  '☀': { mood: 'happy', intensity: 0.5 },
+
+  // Excited
+  '🤩': { mood: 'excited', intensity: 0.9 },
+  '🥳': { mood: 'excited', intensity: 0.9 },
+  '🎉': { mood: 'excited', intensity: 0.8 },
+  '🎊': { mood: 'excited', intensity: 0.8 },
+  '🪩': { mood: 'excited', intensity: 0.85 },
+  '💃': { mood: 'excited', intensity: 0.8 },
+  '🕺': { mood: 'excited', intensity: 0.8 },
+
+  // Calm and peaceful
+  '😌': { mood: 'calm', intensity: 0.6 },
+  '🧘': { mood: 'calm', intensity: 0.7 },
+  '🍃': { mood: 'calm', intensity: 0.5 },
+  '🌊': { mood: 'calm', intensity: 0.5 },
+  '😴': { mood: 'peaceful', intensity: 0.7 },
+  '💤': { mood: 'peaceful', intensity: 0.7 },
+  '🥱': { mood: 'peaceful', intensity: 0.6 },
+  '😪': { mood: 'peaceful', intensity: 0.6 },
+  '🕊': { mood: 'peaceful', intensity: 0.6 },
+
+  // Energetic and motivated
+  '⚡': { mood: 'energetic', intensity: 0.8 },
+  '🔥': { mood: 'energetic', intensity: 0.85 },
+  '🏃': { mood: 'energetic', intensity: 0.7 },
+  '🚀': { mood: 'energetic', intensity: 0.8 },
+  '💪': { mood: 'motivated', intensity: 0.8 },
+  '🏋': { mood: 'motivated', intensity: 0.8 },
+  '🏆': { mood: 'motivated', intensity: 0.7 },
+  '☕': { mood: 'motivated', intensity: 0.4 },
+
+  // Confident
+  '😎': { mood: 'confident', intensity: 0.8 },
+  '👑': { mood: 'confident', intensity: 0.75 },
+  '💅': { mood: 'confident', intensity: 0.7 },
+
+  // Romantic
+  '❤': { mood: 'romantic', intensity: 0.7 },
+  '💕': { mood: 'romantic', intensity: 0.75 },
+  '💖': { mood: 'romantic', intensity: 0.75 },
+  '💘': { mood: 'romantic', intensity: 0.8 },
+  '😍': { mood: 'romantic', intensity: 0.8 },
+  '🥰': { mood: 'romantic', intensity: 0.8 },
+  '😘': { mood: 'romantic', intensity: 0.7 },
+  '🌹': { mood: 'romantic', intensity: 0.65 },
+
+  // Angry
+  '😠': { mood: 'angry', intensity: 0.7 },
+  '😡': { mood: 'angry', intensity: 0.85 },
+  '🤬': { mood: 'angry', intensity: 0.95 },
+  '😤': { mood: 'angry', intensity: 0.6 },
+  '💢': { mood: 'angry', intensity: 0.7 },
+
+  // Anxious
+  '😰': { mood: 'anxious', intensity: 0.75 },
+  '😨': { mood: 'anxious', intensity: 0.7 },
+  '😱': { mood: 'anxious', intensity: 0.9 },
+  '😬': { mood: 'anxious', intensity: 0.5 },
+  '😓': { mood: 'anxious', intensity: 0.6 },
+  '😥': { mood: 'anxious', intensity: 0.55 },
+
+  // Nostalgic
+  '🌅': { mood: 'nostalgic', intensity: 0.6 },
+  '📼': { mood: 'nostalgic', intensity: 0.7 },
+  '📻': { mood: 'nostalgic', intensity: 0.6 },
+  '🕰': { mood: 'nostalgic', intensity: 0.6 },
+
+  // Focused
+  '📚': { mood: 'focused', intensity: 0.7 },
+  '🤓': { mood: 'focused', intensity: 0.6 },
+  '🧠': { mood: 'focused', intensity: 0.6 },
+  '💻': { mood: 'focused', intensity: 0.5 },
+  '✍': { mood: 'focused', intensity: 0.6 },
+
+  // Dreamy
+  '☁': { mood: 'dreamy', intensity: 0.5 },
+  '🌙': { mood: 'dreamy', intensity: 0.6 },
+  '✨': { mood: 'dreamy', intensity: 0.55 },
+  '🌌': { mood: 'dreamy', intensity: 0.7 },
+  '💭': { mood: 'dreamy', intensity: 0.6 }
+};
+
+/**
+ * Emoji sequences that mean something different from their parts
+ * Each resolves to one or more moods, most important first
+ */
+export const MOOD_EMOJI_COMBOS = {
+  // Tired but getting going: a slow, focused start
+  '😴☕': [{ mood: 'focused', intensity: 0.6 }, { mood: 'peaceful', intensity: 0.4 }],
+  '🥱☕': [{ mood: 'focused', intensity: 0.6 }, { mood: 'peaceful', intensity: 0.4 }],
+  '☕📚': [{ mood: 'focused', intensity: 0.8 }],
+  '☕💻': [{ mood: 'focused', intensity: 0.75 }],
+  // Laughing and crying at once
+  '😂😭': [{ mood: 'happy', intensity: 0.9 }],
+  '😭😂': [{ mood: 'happy', intensity: 0.85 }],
+  // Heartbreak
+  '❤\u200d🩹': [{ mood: 'melancholy', intensity: 0.6 }, { mood: 'confident', intensity: 0.3 }],
+  '😢💔': [{ mood: 'sad', intensity: 0.95 }],
+  '🌧☕': [{ mood: 'calm', intensity: 0.6 }, { mood: 'melancholy', intensity: 0.4 }],
+  '🌙✨': [{ mood: 'dreamy', intensity: 0.8 }],
+  '🔥💪': [{ mood: 'motivated', intensity: 0.95 }]
+};
+
+/**
+ * Text emoticons. Matched only as whole words, so URLs and times are left alone.
+ */
+export const MOOD_EMOTICONS = {
+  ':)': { mood: 'happy', intensity: 0.5 },
+  ':-)': { mood: 'happy', intensity: 0.5 },
+  '(:': { mood: 'happy', intensity: 0.5 },
+  ':]': { mood: 'happy', intensity: 0.5 },
+  '=)': { mood: 'happy', intensity: 0.5 },
+  ':d': { mood: 'happy', intensity: 0.8 },
+  ':-d': { mood: 'happy', intensity: 0.8 },
+  'xd': { mood: 'happy', intensity: 0.85 },
+  '^_^': { mood: 'happy', intensity: 0.6 },
+  '^^': { mood: 'happy', intensity: 0.5 },
+  ':(': { mood: 'sad', intensity: 0.6 },
+  ':-(': { mood: 'sad', intensity: 0.6 },
+  '):': { mood: 'sad', intensity: 0.6 },
+  ':[': { mood: 'sad', intensity: 0.6 },
+  ":'(": { mood: 'sad', intensity: 0.85 },
+  't_t': { mood: 'sad', intensity: 0.8 },
+  ';_;': { mood: 'sad', intensity: 0.8 },
+  ':/': { mood: 'melancholy', intensity: 0.4 },
+  ':-/': { mood: 'melancholy', intensity: 0.4 },
+  ':|': { mood: 'melancholy', intensity: 0.3 },
+  '-_-': { mood: 'melancholy', intensity: 0.4 },
+  '<3': { mood: 'romantic', intensity: 0.7 },
+  '<33': { mood: 'romantic', intensity: 0.8 },
+  ':*': { mood: 'romantic', intensity: 0.6 },
+  '</3': { mood: 'sad', intensity: 0.85 },
+  '>:(': { mood: 'angry', intensity: 0.8 },
+  '>:-(': { mood: 'angry', intensity: 0.8 },
+  ':@': { mood: 'angry', intensity: 0.7 },
+  'd:': { mood: 'anxious', intensity: 0.7 },
+  ':o': { mood: 'excited', intensity: 0.5 },
+  ':-o': { mood: 'excited', intensity: 0.5 },
+  '\\o/': { mood: 'excited', intensity: 0.85 },
+  'b)': { mood: 'confident', intensity: 0.6 },
+  '8)': { mood: 'confident', intensity: 0.6 },
+  ';)': { mood: 'confident', intensity: 0.5 },
+  'zzz': { mood: 'peaceful', intensity: 0.6 }
+};
+
+/**
+ * Strip emoji presentation selectors and skin tone modifiers, and lowercase emoticons
+ * so "☕️" and "☕", or "👍🏽" and "👍", look up the same entry
+ * @param {string} text - Raw user input
+ * @returns {string} Normalised text
+ */
+export function normalizeSymbols(text) {
+  return text
+    .replace(/[\uFE0E\uFE0F]|\u{1F3FB}|\u{1F3FC}|\u{1F3FD}|\u{1F3FE}|\u{1F3FF}/gu, '')
+    .toLowerCase();
+}
+
+/**
+ * Check every lexicon entry points at a known mood with a sensible intensity
+ * @param {Object} [lexicons] - Lexicons to check, defaults to the ones above
+ * @returns {string[]} Validation errors, empty if the lexicons are valid
+ */
+export function validateMoodSymbols({
+  emojis = MOOD_EMOJIS,
+  combos = MOOD_EMOJI_COMBOS,
+  emoticons = MOOD_EMOTICONS
+} = {}) {
+  const errors = [];
+  const check = (symbol, { mood, intensity }) => {
+    if (!MOOD_DEFINITIONS[mood]) {
+      errors.push(`${symbol}: unknown mood "${mood}"`);
+    }
+    if (typeof intensity !== 'number' || intensity <= 0 || intensity > 1) {
+      errors.push(`${symbol}: intensity must be between 0 and 1`);
+    }
+  };
+
+  for (const [symbol, entry] of Object.entries({ ...emojis, ...emoticons })) {
+    if (normalizeSymbols(symbol) !== symbol) {
+      errors.push(`${symbol}: must be stored in normalised form`);
+    }
+    check(symbol, entry);
+  }
+
+  for (const [symbols, entries] of Object.entries(combos)) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      errors.push(`${symbols}: combos need at least one mood`);
+      continue;
+    }
+    entries.forEach(entry => check(symbols, entry));
+  }
+
+  return errors;
+}
+
+const symbolErrors = validateMoodSymbols();
+if (symbolErrors.length > 0) {
+  throw new Error(`Invalid mood symbols:\n${symbolErrors.join('\n')}`);
+}
@@ -7,8 +7,133 @@
 export const SPOTIFY_API_BASE_URL = "https://api.spotify.com/v1";
 export const SPOTIFY_ACCOUNTS_BASE_URL = "https://accounts.spotify.com";
 
+// Path of the OAuth callback route
+export const CALLBACK_PATH = "/api/auth/callback/spotify";
+
+// Where the app runs when nothing else is configured
+const DEFAULT_BASE_URL = "http://127.0.0.1:3000";
+
+// Hosts Spotify accepts plain http redirect URIs for
+const LOOPBACK_HOSTS = ["127.0.0.1", "[::1]"];
+
+/**
+ * Parse an origin, returning null if it isn't an absolute http(s) URL
+ * @param {string} value - URL or origin
+ * @returns {string|null} Normalised origin, e.g. "https://terera.app"
+ */
+function toOrigin(value) {
+  try {
+    const url = new URL(value);
+    return ["http:", "https:"].includes(url.protocol) ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Origins the app may be reached on, and so may build a redirect URI from
+ * Comes from APP_ALLOWED_ORIGINS (comma separated) plus the origins of
+ * APP_BASE_URL and SPOTIFY_REDIRECT_URI. Outside production the local dev
+ * server is allowed over http and https.
+ * @returns {string[]} Allowed origins
+ */
+export function getAllowedOrigins() {
+  const origins = (process.env.APP_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+  origins.push(process.env.APP_BASE_URL, process.env.SPOTIFY_REDIRECT_URI);
+
+  if (process.env.NODE_ENV !== "production") {
+    origins.push(DEFAULT_BASE_URL, "https://127.0.0.1:3000");
+  }
+
+  return [...new Set(origins.filter(Boolean).map(toOrigin).filter(Boolean))];
+}
+
+/**
+ * Work out the origin a request was made to, honouring proxy headers
+ * Headers can be spoofed, so an origin that isn't allowed falls back to
+ * APP_BASE_URL, then the local dev server, rather than being redirected to.
+ * @param {Request} request - Incoming request
+ * @returns {string} Allowed origin, e.g. "https://staging.terera.app"
+ */
+export function getRequestOrigin(request) {
+  const host = request.headers.get("x-forwarded-host");
+  const protocol = request.headers.get("x-forwarded-proto");
+
+  const origin = (host && toOrigin(`${(protocol || "https").split(",")[0].trim()}://${host.split(",")[0].trim()}`)) ||
+    new URL(request.url).origin;
+
+  if (getAllowedOrigins().includes(origin)) {
+    return origin;
+  }
+
+  console.warn(`Request origin ${origin} is not allowed. Add it to APP_ALLOWED_ORIGINS.`);
+  return toOrigin(process.env.APP_BASE_URL || "") || DEFAULT_BASE_URL;
+}
+
+/**
+ * Build the OAuth redirect URI
+ * SPOTIFY_REDIRECT_URI wins if set. Otherwise the request's origin is used when
+ * it is allowed, then APP_BASE_URL, then the local dev server.
+ * @param {string} [requestOrigin] - Origin of the current request, server-side only
+ * @returns {string} Redirect URI
+ * @throws {Error} If the request origin is not on the allowlist
+ */
+export function getRedirectUri(requestOrigin) {
+  if (process.env.SPOTIFY_REDIRECT_URI) {
+    return process.env.SPOTIFY_REDIRECT_URI;
+  }
+
+  if (requestOrigin) {
+    const origin = toOrigin(requestOrigin);
+    if (!origin || !getAllowedOrigins().includes(origin)) {
+      throw new Error(
+        `Origin ${requestOrigin} is not allowed. Add it to APP_ALLOWED_ORIGINS.`
+      );
+    }
+    return `${origin}${CALLBACK_PATH}`;
+  }
+
+  const baseUrl = toOrigin(process.env.APP_BASE_URL || "") || DEFAULT_BASE_URL;
+  return `${baseUrl}${CALLBACK_PATH}`;
+}
+
+/**
+ * Check a redirect URI is one Spotify will accept and that reaches our callback
+ * @param {string} redirectUri - Redirect URI
+ * @returns {string[]} Problems, empty if the URI is valid
+ */
+export function validateRedirectUri(redirectUri) {
+  let url;
+  try {
+    url = new URL(redirectUri);
+  } catch {
+    return [`Redirect URI "${redirectUri}" is not an absolute URL`];
+  }
+
+  const errors = [];
+
+  if (url.hostname === "localhost") {
+    errors.push("Spotify does not accept localhost redirect URIs; use 127.0.0.1 instead");
+  } else if (url.protocol === "http:" && !LOOPBACK_HOSTS.includes(url.hostname)) {
+    errors.push(`Redirect URI "${redirectUri}" must use https unless it points at a loopback address`);
+  } else if (!["http:", "https:"].includes(url.protocol)) {
+    errors.push(`Redirect URI "${redirectUri}" must use http or https`);
+  }
+
+  if (url.pathname !== CALLBACK_PATH) {
+    errors.push(`Redirect URI path must be ${CALLBACK_PATH}`);
+  }
+
+  return errors;
+}
+
 // OAuth 2.0 PKCE configuration
-export function getSpotifyConfig() {
+// Pass the request origin server-side so the redirect URI matches where the app is being used
+export function getSpotifyConfig(requestOrigin) {
   return {
     clientId: process.env.NEXT_PUBLIC_SPOTIFY_CLIENT_ID,
     // Only include clientSecret on server-side
@@ -16,7 +141,7 @@ export function getSpotifyConfig() {
       typeof window === "undefined"
         ? process.env.SPOTIFY_CLIENT_SECRET
         : undefined,
-    redirectUri: "http://127.0.0.1:3000/api/auth/callback/spotify",
+    redirectUri: getRedirectUri(requestOrigin),
     scopes: [
       "user-read-private",
       "user-read-email",
@@ -25,6 +150,12 @@ export function getSpotifyConfig() {
       "streaming",
       "user-read-playback-state",
       "user-modify-playback-state",
+      // Top items and listening history, for personalised recommendation seeds
+      "user-top-read",
+      "user-read-recently-played",
+      // Saving recommendations as a playlist
+      "playlist-modify-private",
+      "playlist-modify-public",
     ].join(" "),
 
     // API endpoints
@@ -41,9 +172,9 @@ export function getSpotifyConfig() {
 
 export const SPOTIFY_CONFIG = getSpotifyConfig();
 
-// Validate required environment variables
-export function validateSpotifyConfig() {
-  const config = getSpotifyConfig();
+// Validate required environment variables, and server-side the redirect URI for this request
+export function validateSpotifyConfig(requestOrigin) {
+  const config = getSpotifyConfig(requestOrigin);
 
   // Client-side validation - only check variables that should be available in browser
   if (typeof window !== "undefined") {
@@ -76,6 +207,11 @@ export function validateSpotifyConfig() {
         `Missing required Spotify environment variables: ${missing.join(", ")}`
       );
     }
+
+    const redirectErrors = validateRedirectUri(config.redirectUri);
+    if (redirectErrors.length > 0) {
+      throw new Error(`Invalid Spotify redirect URI:\n${redirectErrors.join("\n")}`);
+    }
   }
 
   return true;
@@ -0,0 +1,353 @@
+/**
+ * Player Context
+ * Registers the browser as a Spotify device with the Web Playback SDK, so
+ * Premium users can play full tracks, and lets them control their other
+ * devices instead. Everyone else keeps 30 second previews.
+ */
+
+'use client';
+
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
+import { useSpotifyAuth } from './SpotifyAuthContext.jsx';
+import { spotifyApi } from '../services/spotifyApi.js';
+import { loadWebPlaybackSdk, toPlaybackState, PLAYER_NAME } from '../services/webPlayback.js';
+
+const PlayerContext = createContext(null);
+
+/**
+ * Initial volume of the in-browser player (0.0 to 1.0)
+ */
+const DEFAULT_VOLUME = 0.7;
+
+/**
+ * SDK errors that mean this browser can't play full tracks at all
+ * account_error is what non-Premium accounts get.
+ */
+const FATAL_ERRORS = ['initialization_error', 'authentication_error', 'account_error'];
+
+/**
+ * How often a remote device's playback state is read, in ms
+ */
+const REMOTE_POLL_INTERVAL_MS = 5000;
+
+/**
+ * Spotify takes a moment to apply a command; read the state again after this long, in ms
+ */
+const REMOTE_SETTLE_MS = 500;
+
+/**
+ * Custom hook to use the player context
+ * @returns {Object} Player context value
+ * @throws {Error} If used outside of PlayerProvider
+ */
+export function usePlayer() {
+  const context = useContext(PlayerContext);
+  if (!context) {
+    throw new Error('usePlayer must be used within a PlayerProvider');
+  }
+  return context;
+}
+
+/**
+ * Player Provider Component
+ * Only loads the SDK for signed-in Premium users
+ */
+export function PlayerProvider({ children }) {
+  const { isAuthenticated, user } = useSpotifyAuth();
+  const isPremium = user?.product === 'premium';
+
+  const playerRef = useRef(null);
+  const [deviceId, setDeviceId] = useState(null);
+  const [isReady, setIsReady] = useState(false);
+  const [playbackState, setPlaybackState] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Another of the user's devices to play on instead of the browser, null for the browser
+  const [remoteDeviceId, setRemoteDeviceId] = useState(null);
+  const [remoteState, setRemoteState] = useState(null);
+  const [devices, setDevices] = useState([]);
+
+  // Register the browser as a device while the user can stream
+  useEffect(() => {
+    if (!isAuthenticated || !isPremium) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    let player = null;
+
+    loadWebPlaybackSdk()
+      .then((Spotify) => {
+        if (cancelled) {
+          return;
+        }
+
+        player = new Spotify.Player({
+          name: PLAYER_NAME,
+          volume: DEFAULT_VOLUME,
+          // Called whenever the SDK needs a token, including after the last one expired
+          getOAuthToken: (callback) => {
+            spotifyApi.getPlaybackToken()
+              .then(callback)
+              .catch((tokenError) => {
+                console.error('Failed to get playback token:', tokenError);
+                setError(tokenError.message);
+              });
+          }
+        });
+
+        player.addListener('ready', ({ device_id }) => {
+          setDeviceId(device_id);
+          setIsReady(true);
+          setError(null);
+        });
+
+        player.addListener('not_ready', () => {
+          setIsReady(false);
+        });
+
+        player.addListener('player_state_changed', (state) => {
+          setPlaybackState(toPlaybackState(state));
+        });
+
+        FATAL_ERRORS.forEach((event) => {
+          player.addListener(event, ({ message }) => {
+            console.error(`Web Playback SDK ${event}:`, message);
+            setError(message);
+            setIsReady(false);
+          });
+        });
+
+        player.addListener('playback_error', ({ message }) => {
+          console.error('Web Playback SDK playback_error:', message);
+          setError(message);
+        });
+
+        playerRef.current = player;
+        player.connect();
+      })
+      .catch((loadError) => {
+        console.error('Failed to load the Spotify player:', loadError);
+        setError(loadError.message);
+      });
+
+    return () => {
+      cancelled = true;
+      player?.disconnect();
+      playerRef.current = null;
+      setDeviceId(null);
+      setIsReady(false);
+      setPlaybackState(null);
+      setRemoteDeviceId(null);
+      setRemoteState(null);
+      setDevices([]);
+    };
+  }, [isAuthenticated, isPremium]);
+
+  /**
+   * Read what the user is playing on their remote device
+   * @returns {Promise<Object|null>} Playback state, null if nothing is playing or it couldn't be read
+   */
+  const refreshRemoteState = useCallback(async () => {
+    try {
+      const state = await spotifyApi.getPlaybackState();
+      setRemoteState(state);
+      return state;
+    } catch (stateError) {
+      console.error('Failed to get playback state:', stateError);
+      return null;
+    }
+  }, []);
+
+  const refreshRemoteStateSoon = useCallback(() => {
+    setTimeout(refreshRemoteState, REMOTE_SETTLE_MS);
+  }, [refreshRemoteState]);
+
+  /**
+   * Reload the list of the user's devices
+   */
+  const refreshDevices = useCallback(async () => {
+    try {
+      setDevices(await spotifyApi.getDevices());
+    } catch (devicesError) {
+      console.error('Failed to get devices:', devicesError);
+      setError(devicesError.message);
+    }
+  }, []);
+
+  // If the user is already listening on another device, show and control that
+  useEffect(() => {
+    if (!isAuthenticated || !isPremium) {
+      return;
+    }
+
+    refreshRemoteState().then((state) => {
+      // Terera players left over from other tabs or earlier visits aren't worth following
+      if (state?.device && state.device.name !== PLAYER_NAME) {
+        setRemoteDeviceId(state.device.id);
+      }
+    });
+  }, [isAuthenticated, isPremium, refreshRemoteState]);
+
+  // Keep a remote device's state current while the page is visible
+  useEffect(() => {
+    if (!remoteDeviceId) {
+      return undefined;
+    }
+
+    const interval = setInterval(() => {
+      if (document.visibilityState !== 'hidden') {
+        refreshRemoteState();
+      }
+    }, REMOTE_POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [remoteDeviceId, refreshRemoteState]);
+
+  const isRemote = Boolean(remoteDeviceId);
+  const targetDeviceId = remoteDeviceId || deviceId;
+  const canPlayFullTracks = isRemote || (isReady && Boolean(deviceId));
+
+  /**
+   * Play on another device, moving whatever is playing there
+   * @param {string|null} id - Device id, or null (or the browser's id) for the browser
+   * @returns {Promise<boolean>} Whether playback moved
+   */
+  const selectDevice = useCallback(async (id) => {
+    const isBrowser = !id || id === deviceId;
+    const targetId = isBrowser ? deviceId : id;
+    const current = isRemote ? remoteState : playbackState;
+
+    try {
+      if (targetId && current) {
+        await spotifyApi.transferPlayback(targetId, !current.paused);
+      }
+      setRemoteDeviceId(isBrowser ? null : id);
+      setError(null);
+      if (!isBrowser) {
+        refreshRemoteStateSoon();
+      }
+      return true;
+    } catch (transferError) {
+      console.error('Failed to transfer playback:', transferError);
+      setError(transferError.message);
+      return false;
+    }
+  }, [deviceId, isRemote, remoteState, playbackState, refreshRemoteStateSoon]);
+
+  /**
+   * Play a track on the chosen device, with the tracks around it queued
+   * @param {Object} track - Spotify track to play
+   * @param {Object[]} [queue] - Tracks to queue, in order, including the track
+   * @returns {Promise<boolean>} Whether full playback started; fall back to the preview if not
+   */
+  const playTrack = useCallback(async (track, queue = [track]) => {
+    if (!canPlayFullTracks || !track?.id) {
+      return false;
+    }
+
+    const trackIds = queue.map((item) => item?.id).filter(Boolean);
+    if (!trackIds.includes(track.id)) {
+      trackIds.unshift(track.id);
+    }
+
+    try {
+      if (!isRemote) {
+        // Browsers only allow audio to start from a user gesture, which this call is part of
+        await playerRef.current?.activateElement?.();
+      }
+      await spotifyApi.startPlayback({ deviceId: targetDeviceId, trackIds, startTrackId: track.id });
+      setError(null);
+      if (isRemote) {
+        refreshRemoteStateSoon();
+      }
+      return true;
+    } catch (playError) {
+      console.error('Failed to play full track:', playError);
+      setError(playError.message);
+      return false;
+    }
+  }, [canPlayFullTracks, isRemote, targetDeviceId, refreshRemoteStateSoon]);
+
+  /**
+   * Play a list of tracks from the start, e.g. a mood's recommendations
+   * @param {Object[]} tracks - Tracks in order
+   * @returns {Promise<boolean>} Whether playback started
+   */
+  const playQueue = useCallback((tracks) => playTrack(tracks[0], tracks), [playTrack]);
+
+  /**
+   * Send a control action to the remote device, or the browser player
+   * @param {string} action - "pause", "resume", "next", "previous" or "seek"
+   * @param {Function} local - Does the action on the browser player
+   * @param {number} [positionMs] - Position, for "seek"
+   */
+  const control = useCallback(async (action, local, positionMs) => {
+    if (!isRemote) {
+      return local(playerRef.current);
+    }
+
+    try {
+      await spotifyApi.sendPlayerCommand(action, { deviceId: remoteDeviceId, positionMs });
+      refreshRemoteStateSoon();
+    } catch (controlError) {
+      console.error(`Failed to ${action}:`, controlError);
+      setError(controlError.message);
+    }
+  }, [isRemote, remoteDeviceId, refreshRemoteStateSoon]);
+
+  const pause = useCallback(() => control('pause', (player) => player?.pause()), [control]);
+  const resume = useCallback(() => control('resume', (player) => player?.resume()), [control]);
+  const nextTrack = useCallback(() => control('next', (player) => player?.nextTrack()), [control]);
+  const previousTrack = useCallback(() => control('previous', (player) => player?.previousTrack()), [control]);
+
+  const togglePlay = useCallback(() => {
+    if (!isRemote) {
+      return playerRef.current?.togglePlay();
+    }
+    return remoteState?.paused === false ? pause() : resume();
+  }, [isRemote, remoteState, pause, resume]);
+
+  /**
+   * Jump to a position in the current track
+   * @param {number} positionMs - Position in ms
+   */
+  const seek = useCallback((positionMs) => {
+    const position = Math.max(0, Math.round(positionMs));
+    return control('seek', (player) => player?.seek(position), position);
+  }, [control]);
+
+  const contextValue = {
+    // Player state
+    isPremium,
+    isReady,
+    deviceId,
+    canPlayFullTracks,
+    playbackState: isRemote ? remoteState : playbackState,
+    error,
+
+    // Devices; the browser is deviceId, and plays unless a remote device was chosen
+    devices,
+    isRemote,
+    activeDeviceId: targetDeviceId,
+
+    // Playback methods
+    playTrack,
+    playQueue,
+    togglePlay,
+    pause,
+    resume,
+    seek,
+    nextTrack,
+    previousTrack,
+    selectDevice,
+    refreshDevices,
+    refreshRemoteState
+  };
+
+  return (
+    <PlayerContext.Provider value={contextValue}>
+      {children}
+    </PlayerContext.Provider>
+  );
+}
@@ -0,0 +1,63 @@
+/**
+ * Preview Player Context
+ * Shares one preview player across the app, so track cards, "play all" and
+ * the mini-player all drive the same audio
+ */
+
+'use client';
+
+import React, { createContext, useContext, useEffect, useSyncExternalStore } from 'react';
+import { previewPlayer } from '../services/previewPlayer.js';
+
+const PreviewPlayerContext = createContext(null);
+
+/**
+ * Custom hook to use the preview player context
+ * @returns {Object} Preview player state and controls
+ * @throws {Error} If used outside of PreviewPlayerProvider
+ */
+export function usePreviewPlayer() {
+  const context = useContext(PreviewPlayerContext);
+  if (!context) {
+    throw new Error('usePreviewPlayer must be used within a PreviewPlayerProvider');
+  }
+  return context;
+}
+
+/**
+ * Preview Player Provider Component
+ * @param {Object} props
+ * @param {import('../services/previewPlayer.js').PreviewPlayer} [props.player] - Player to share, defaults to the app's
+ */
+export function PreviewPlayerProvider({ children, player = previewPlayer }) {
+  const state = useSyncExternalStore(player.subscribe, player.getState, player.getState);
+
+  // Nothing keeps playing once the app that controls it is gone
+  useEffect(() => () => player.stop(), [player]);
+
+  const contextValue = {
+    // Player state
+    ...state,
+    currentTrack: state.queue[state.index] || null,
+    hasNext: state.index < state.queue.length - 1,
+    hasPrevious: state.index > 0,
+
+    // Playback methods
+    playTrack: (track, queue) => player.playTrack(track, queue),
+    playAll: (tracks) => player.playAll(tracks),
+    togglePlay: () => player.togglePlay(),
+    pause: () => player.pause(),
+    resume: () => player.resume(),
+    next: () => player.next(),
+    previous: () => player.previous(),
+    seek: (positionMs) => player.seek(positionMs),
+    setVolume: (volume) => player.setVolume(volume),
+    stop: () => player.stop()
+  };
+
+  return (
+    <PreviewPlayerContext.Provider value={contextValue}>
+      {children}
+    </PreviewPlayerContext.Provider>
+  );
+}
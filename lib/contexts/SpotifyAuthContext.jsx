@@ -7,6 +7,7 @@
 
 import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
 import { spotifyApi } from '../services/spotifyApi.js';
+import { getMarketOverride, setMarketOverride as saveMarketOverride, resolveMarket } from '../services/marketPreference.js';
 
 // Create the authentication context
 const SpotifyAuthContext = createContext(null);
@@ -34,12 +35,18 @@ export function SpotifyAuthProvider({ children }) {
   const [error, setError] = useState(null);
   const [user, setUser] = useState(null);
   const [accessToken, setAccessToken] = useState(null);
+  const [marketOverride, setMarketOverrideState] = useState(null);
 
   // Check authentication status on mount
   useEffect(() => {
     checkAuthStatus();
   }, []);
 
+  // Load the market the user picked, if any
+  useEffect(() => {
+    setMarketOverrideState(getMarketOverride());
+  }, []);
+
   // Handle OAuth callback parameters
   useEffect(() => {
     if (typeof window !== 'undefined') {
@@ -68,7 +75,8 @@ export function SpotifyAuthProvider({ children }) {
   useEffect(() => {
     let refreshInterval;
     
-    if (isAuthenticated && accessToken) {
+    // Tokens are in HTTP-only cookies, so there is no accessToken here to wait for
+    if (isAuthenticated) {
       // Refresh token every 50 minutes (tokens expire after 1 hour)
       refreshInterval = setInterval(() => {
         refreshToken();
@@ -80,7 +88,7 @@ export function SpotifyAuthProvider({ children }) {
         clearInterval(refreshInterval);
       }
     };
-  }, [isAuthenticated, accessToken]);
+  }, [isAuthenticated]);
 
   const checkAuthStatus = useCallback(async () => {
     try {
@@ -143,12 +151,22 @@ export function SpotifyAuthProvider({ children }) {
     }
   }, []);
 
-  const logout = useCallback(() => {
-    spotifyApi.logout();
+  /**
+   * Log out, clearing the server-side cookies and session
+   * @param {Object} [options] - Pass `{ everywhere: true }` to end the user's sessions on every device
+   */
+  const logout = useCallback(async ({ everywhere = false } = {}) => {
     setIsAuthenticated(false);
     setAccessToken(null);
     setUser(null);
     setError(null);
+
+    try {
+      await spotifyApi.logout({ everywhere });
+    } catch (error) {
+      console.error('Logout failed:', error);
+      setError(error.message);
+    }
   }, []);
 
   const refreshToken = useCallback(async () => {
@@ -171,6 +189,15 @@ export function SpotifyAuthProvider({ children }) {
     }
   }, []);
 
+  /**
+   * Pick the market to search in instead of the account's country
+   * @param {string|null} market - Market code, or null to use the account's country
+   */
+  const setMarketOverride = useCallback((market) => {
+    saveMarketOverride(market);
+    setMarketOverrideState(getMarketOverride());
+  }, []);
+
   const contextValue = {
     // Authentication state
     isAuthenticated,
@@ -178,12 +205,17 @@ export function SpotifyAuthProvider({ children }) {
     error,
     user,
     accessToken,
+
+    // Market results are limited to: the user's pick, else their account's country
+    market: resolveMarket(user, marketOverride),
+    marketOverride,
     
     // Authentication methods
     login,
     logout,
     refreshToken,
-    checkAuthStatus
+    checkAuthStatus,
+    setMarketOverride
   };
 
   return (
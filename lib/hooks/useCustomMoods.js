@@ -0,0 +1,70 @@
+/**
+ * React hook for managing the signed-in user's custom moods
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { customMoodService } from '../services/customMoodService.js';
+
+/**
+ * @param {boolean} isAuthenticated - Whether a Spotify user is signed in
+ */
+export function useCustomMoods(isAuthenticated) {
+  const [moods, setMoods] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load moods on sign-in, forget them on sign-out
+  useEffect(() => {
+    if (!isAuthenticated) {
+      customMoodService.clear();
+      setMoods([]);
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+
+    customMoodService.loadMoods()
+      .then((loaded) => {
+        if (!cancelled) setMoods(loaded);
+      })
+      .catch((error) => {
+        console.error('Failed to load custom moods:', error);
+        if (!cancelled) setError(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated]);
+
+  // Wrap a service call so state and errors stay in sync
+  const run = useCallback(async (action) => {
+    try {
+      setError(null);
+      const result = await action();
+      setMoods(customMoodService.moods);
+      return result;
+    } catch (error) {
+      console.error('Custom mood request failed:', error);
+      setError(error.message);
+      throw error;
+    }
+  }, []);
+
+  const createMood = useCallback((mood) => run(() => customMoodService.createMood(mood)), [run]);
+  const updateMood = useCallback((id, changes) => run(() => customMoodService.updateMood(id, changes)), [run]);
+  const deleteMood = useCallback((id) => run(() => customMoodService.deleteMood(id)), [run]);
+
+  return {
+    moods,
+    isLoading,
+    error,
+    createMood,
+    updateMood,
+    deleteMood
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * React hook for the signed-in user's mood search history
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { moodHistoryService } from '../services/moodHistoryService.js';
+
+/**
+ * @param {string|null} userId - Spotify id of the signed-in user, null when signed out
+ */
+export function useMoodHistory(userId) {
+  const [entries, setEntries] = useState(moodHistoryService.entries);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Searches recorded elsewhere, e.g. by MoodInput, show up here too
+  useEffect(() => moodHistoryService.subscribe(setEntries), []);
+
+  // Load history on sign-in, forget it on sign-out
+  useEffect(() => {
+    if (!userId) {
+      moodHistoryService.clear();
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+
+    moodHistoryService.loadHistory(userId)
+      .catch((error) => {
+        console.error('Failed to load mood history:', error);
+        if (!cancelled) setError(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Wrap a service call so errors are shown
+  const run = useCallback(async (action) => {
+    try {
+      setError(null);
+      return await action();
+    } catch (error) {
+      console.error('Mood history request failed:', error);
+      setError(error.message);
+      throw error;
+    }
+  }, []);
+
+  const deleteEntry = useCallback((id) => run(() => moodHistoryService.deleteEntry(id)), [run]);
+  const clearHistory = useCallback(() => run(() => moodHistoryService.clearHistory()), [run]);
+
+  return {
+    entries,
+    isLoading,
+    error,
+    deleteEntry,
+    clearHistory
+  };
+}
@@ -95,11 +95,21 @@ export function useSpotifyAuth() {
     }
   }, []);
 
-  const logout = useCallback(() => {
-    spotifyApi.logout();
+  /**
+   * Log out, clearing the server-side cookies and session
+   * @param {Object} [options] - Pass `{ everywhere: true }` to end the user's sessions on every device
+   */
+  const logout = useCallback(async ({ everywhere = false } = {}) => {
     setIsAuthenticated(false);
     setUser(null);
     setError(null);
+
+    try {
+      await spotifyApi.logout({ everywhere });
+    } catch (error) {
+      console.error('Logout failed:', error);
+      setError(error.message);
+    }
   }, []);
 
   const refreshToken = useCallback(async () => {
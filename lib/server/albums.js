@@ -0,0 +1,62 @@
+/**
+ * Spotify Albums
+ * Fetches full album metadata for many albums at once, caching it per album
+ * Server-side only
+ */
+
+import { spotifyFetch } from './spotifyTokens.js';
+import { albumCache } from './responseCache.js';
+
+/**
+ * Spotify accepts at most this many ids per albums request
+ */
+const MAX_IDS_PER_REQUEST = 20;
+
+/**
+ * Fetch albums, including their track listings
+ * @param {string[]} albumIds - Album ids
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.market] - Market to check track availability in
+ * @param {boolean} [options.fresh=false] - Ignore cached albums and fetch them all again
+ * @returns {Promise<Object<string, import('../types/spotify.js').SpotifyAlbum>>} Albums keyed by id.
+ *   Albums Spotify doesn't know are left out.
+ * @throws {Error} If Spotify rejects the request
+ */
+export async function fetchAlbums(albumIds, { market, fresh = false } = {}) {
+  const ids = [...new Set(albumIds.filter(Boolean))];
+  const cacheKey = id => `${market || 'any'}:${id}`;
+  const albumsById = {};
+  const missing = [];
+
+  for (const id of ids) {
+    const cached = fresh ? undefined : await albumCache.get(cacheKey(id));
+    if (cached === undefined) {
+      missing.push(id);
+    } else if (cached) {
+      albumsById[id] = cached;
+    }
+  }
+
+  for (let i = 0; i < missing.length; i += MAX_IDS_PER_REQUEST) {
+    const batch = missing.slice(i, i + MAX_IDS_PER_REQUEST);
+    const params = new URLSearchParams({ ids: batch.join(','), ...(market && { market }) });
+    const response = await spotifyFetch(`/albums?${params.toString()}`);
+
+    if (!response.ok) {
+      throw new Error(`Spotify albums error: ${response.status} ${response.statusText}`);
+    }
+
+    const { albums = [] } = await response.json();
+    const found = new Map(albums.filter(album => album?.id).map(album => [album.id, album]));
+
+    for (const id of batch) {
+      const album = found.get(id) || null;
+      await albumCache.set(cacheKey(id), album);
+      if (album) {
+        albumsById[id] = album;
+      }
+    }
+  }
+
+  return albumsById;
+}
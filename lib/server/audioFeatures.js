@@ -0,0 +1,60 @@
+/**
+ * Spotify Audio Features
+ * Fetches audio features for many tracks at once, caching them per track
+ * Server-side only
+ */
+
+import { spotifyFetch } from './spotifyTokens.js';
+import { audioFeaturesCache } from './responseCache.js';
+
+/**
+ * Spotify accepts at most this many ids per audio features request
+ */
+const MAX_IDS_PER_REQUEST = 100;
+
+/**
+ * Fetch audio features for a list of tracks
+ * @param {string[]} trackIds - Track ids
+ * @param {Object} [options] - Fetch options
+ * @param {boolean} [options.fresh=false] - Ignore cached features and fetch them all again
+ * @returns {Promise<Object<string, import('../types/spotify.js').AudioFeatures>>} Features keyed by track id.
+ *   Tracks Spotify has no features for are left out.
+ * @throws {Error} If Spotify rejects the request
+ */
+export async function fetchAudioFeatures(trackIds, { fresh = false } = {}) {
+  const ids = [...new Set(trackIds.filter(Boolean))];
+  const featuresById = {};
+  const missing = [];
+
+  for (const id of ids) {
+    // null is cached too, for tracks Spotify has no features for
+    const cached = fresh ? undefined : await audioFeaturesCache.get(id);
+    if (cached === undefined) {
+      missing.push(id);
+    } else if (cached) {
+      featuresById[id] = cached;
+    }
+  }
+
+  for (let i = 0; i < missing.length; i += MAX_IDS_PER_REQUEST) {
+    const batch = missing.slice(i, i + MAX_IDS_PER_REQUEST);
+    const response = await spotifyFetch(`/audio-features?ids=${batch.join(',')}`);
+
+    if (!response.ok) {
+      throw new Error(`Spotify audio features error: ${response.status} ${response.statusText}`);
+    }
+
+    const { audio_features: audioFeatures = [] } = await response.json();
+    const found = new Map(audioFeatures.filter(features => features?.id).map(features => [features.id, features]));
+
+    for (const id of batch) {
+      const features = found.get(id) || null;
+      await audioFeaturesCache.set(id, features);
+      if (features) {
+        featuresById[id] = features;
+      }
+    }
+  }
+
+  return featuresById;
+}
@@ -0,0 +1,92 @@
+/**
+ * Seed Genre Selection
+ * Checks mood genres against the seed genres Spotify accepts, falling back to
+ * genres of nearby moods when none of them are usable
+ * Server-side only
+ */
+
+import { spotifyFetch } from './spotifyTokens.js';
+import { genreSeedsCache } from './responseCache.js';
+import { MoodAnalysisService } from '../services/moodAnalysis.js';
+import { getMoodDefinition } from '../config/moodMappings.js';
+
+/**
+ * Last resort when neither the mood nor nearby moods give a usable genre
+ */
+export const DEFAULT_SEED_GENRES = ['pop', 'rock'];
+
+/**
+ * Nearby moods whose genres are tried as a fallback
+ */
+const FALLBACK_MOOD_COUNT = 3;
+
+/**
+ * Get the seed genres Spotify accepts
+ * @returns {Promise<Set<string>|null>} Available genres, or null if Spotify couldn't say
+ */
+export async function fetchAvailableGenreSeeds() {
+  const cached = await genreSeedsCache.get('all');
+  if (cached) {
+    return new Set(cached);
+  }
+
+  const response = await spotifyFetch('/recommendations/available-genre-seeds');
+  if (!response.ok) {
+    console.warn('Available genre seeds unavailable, skipping genre validation:', response.status);
+    return null;
+  }
+
+  const { genres = [] } = await response.json();
+  if (genres.length === 0) {
+    return null;
+  }
+
+  await genreSeedsCache.set('all', genres);
+  return new Set(genres);
+}
+
+/**
+ * Genres of the moods closest to some audio features
+ * @param {import('../types/spotify.js').AudioFeatures} [audioFeatures] - Target features
+ * @returns {string[]} Genres, closest mood first
+ */
+function getNearbyMoodGenres(audioFeatures) {
+  if (typeof audioFeatures?.valence !== 'number' || typeof audioFeatures?.energy !== 'number') {
+    return [];
+  }
+
+  return MoodAnalysisService.findMoodsNear(audioFeatures.valence, audioFeatures.energy, FALLBACK_MOOD_COUNT)
+    .flatMap(({ mood }) => getMoodDefinition(mood)?.genres || []);
+}
+
+/**
+ * Pick the seed genres to send to Spotify
+ * Requested genres Spotify doesn't accept are dropped. If none are left, the
+ * genres of the moods nearest the target features are tried, then
+ * DEFAULT_SEED_GENRES.
+ * @param {string[]} requested - Candidate genres from the mood analysis, most relevant first
+ * @param {Object} [options] - Selection options
+ * @param {import('../types/spotify.js').AudioFeatures} [options.audioFeatures] - Target features, for the fallback
+ * @param {number} [options.limit=5] - Maximum number of genres
+ * @returns {Promise<{genres: string[], fallback: boolean}>} Genres to use, and whether they came from a fallback
+ */
+export async function selectSeedGenres(requested, { audioFeatures, limit = 5 } = {}) {
+  const available = await fetchAvailableGenreSeeds();
+  const usable = genres => [...new Set(genres)]
+    .filter(genre => typeof genre === 'string' && /^[a-z0-9-]+$/.test(genre))
+    .filter(genre => !available || available.has(genre))
+    .slice(0, limit);
+
+  const genres = usable(requested);
+  if (genres.length > 0) {
+    return { genres, fallback: false };
+  }
+
+  const nearby = usable(getNearbyMoodGenres(audioFeatures));
+  if (nearby.length > 0) {
+    return { genres: nearby, fallback: true };
+  }
+
+  const defaults = usable(DEFAULT_SEED_GENRES);
+  return { genres: defaults.length > 0 ? defaults : [...available].slice(0, 1), fallback: true };
+}
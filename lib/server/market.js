@@ -0,0 +1,57 @@
+/**
+ * Market Resolution
+ * Decides which Spotify market requests are made for, so results only include
+ * tracks the user can actually play
+ * Server-side only
+ */
+
+import { isValidMarket } from '../config/markets.js';
+import { getSession, spotifyFetch } from './spotifyTokens.js';
+import { sessionStore } from './sessionStore.js';
+
+/**
+ * Tells Spotify to use the country of the account the access token belongs to
+ */
+export const TOKEN_MARKET = 'from_token';
+
+/**
+ * Get the signed-in user's country
+ * Sessions store it from login; older sessions look it up once and keep it.
+ * @returns {Promise<string|null>} Market code, or null if not signed in or unknown
+ */
+async function getSessionCountry() {
+  const session = await getSession();
+  if (!session) {
+    return null;
+  }
+
+  if (session.record.country !== undefined) {
+    return session.record.country;
+  }
+
+  const response = await spotifyFetch('/me');
+  if (!response.ok) {
+    return null;
+  }
+
+  const { country = null } = await response.json();
+  await sessionStore.update(session.id, { country });
+  return country;
+}
+
+/**
+ * Resolve the market for a request
+ * The market the client asked for wins if it's valid (the user's override, or
+ * their profile country), then the country of the signed-in account, then
+ * Spotify's own from_token.
+ * @param {string} [requested] - Market sent by the client
+ * @returns {Promise<string>} Market code, or "from_token"
+ */
+export async function resolveMarket(requested) {
+  if (isValidMarket(requested)) {
+    return requested;
+  }
+
+  const country = await getSessionCountry();
+  return isValidMarket(country) ? country : TOKEN_MARKET;
+}
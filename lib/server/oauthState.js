@@ -0,0 +1,97 @@
+/**
+ * OAuth State Cookie
+ * Carries the OAuth state and PKCE code verifier from the login route to the
+ * callback in a signed, short-lived cookie
+ * Server-side only
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { deriveKey } from './secrets.js';
+
+export const OAUTH_COOKIE = 'spotify_oauth';
+
+/**
+ * How long a login attempt may take, in seconds
+ */
+const OAUTH_COOKIE_MAX_AGE = 60 * 10; // 10 minutes
+
+/**
+ * HMAC-SHA256 signature of a value, base64url encoded
+ * @param {string} value - Value to sign
+ * @returns {string} Signature
+ */
+function sign(value) {
+  return createHmac('sha256', deriveKey('cookie-signing')).update(value).digest('base64url');
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether they are equal
+ */
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Encode and sign a payload with an expiry
+ * @param {Object} payload - JSON-serialisable data
+ * @param {number} maxAge - Lifetime in seconds
+ * @returns {string} Signed value, `<data>.<signature>`
+ */
+export function signPayload(payload, maxAge) {
+  const data = Buffer.from(JSON.stringify({ ...payload, expiresAt: Date.now() + maxAge * 1000 })).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Check a signed value and decode its payload
+ * @param {string} value - Output of signPayload
+ * @returns {Object|null} Payload, or null if the value was tampered with or has expired
+ */
+export function verifyPayload(value) {
+  const [data, signature, ...rest] = String(value || '').split('.');
+
+  if (!data || !signature || rest.length > 0 || !safeEqual(signature, sign(data))) {
+    return null;
+  }
+
+  try {
+    const { expiresAt, ...payload } = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    return typeof expiresAt === 'number' && expiresAt > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a login attempt's state and code verifier
+ * @param {Object} cookieJar - Anything with a `set(name, value, options)` method
+ * @param {{state: string, codeVerifier: string}} attempt - The login attempt
+ */
+export function setOAuthCookie(cookieJar, { state, codeVerifier }) {
+  cookieJar.set(OAUTH_COOKIE, signPayload({ state, codeVerifier }, OAUTH_COOKIE_MAX_AGE), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: OAUTH_COOKIE_MAX_AGE,
+  });
+}
+
+/**
+ * Read the login attempt started in this browser
+ * @param {Object} cookieStore - Anything with a `get(name)` method, e.g. `request.cookies`
+ * @returns {{state: string, codeVerifier: string}|null} The attempt, or null if missing, tampered with or expired
+ */
+export function readOAuthCookie(cookieStore) {
+  const attempt = verifyPayload(cookieStore.get(OAUTH_COOKIE)?.value);
+
+  if (!attempt || typeof attempt.state !== 'string' || typeof attempt.codeVerifier !== 'string') {
+    return null;
+  }
+
+  return attempt;
+}
@@ -0,0 +1,149 @@
+/**
+ * Personalised Recommendation Seeds
+ * Picks seeds from the user's own listening whose sound is closest to the mood,
+ * and blends them with the mood's genre seeds
+ * Server-side only
+ */
+
+import { getSession, spotifyFetch } from './spotifyTokens.js';
+import { fetchAudioFeatures } from './audioFeatures.js';
+import { scoreTrackFeatures } from '../services/trackRanking.js';
+
+/**
+ * Scopes needed to read top items and listening history
+ */
+export const PERSONAL_SEED_SCOPES = ['user-top-read', 'user-read-recently-played'];
+
+/**
+ * Spotify allows at most this many seeds across tracks, artists and genres
+ */
+export const MAX_SEEDS = 5;
+
+/**
+ * Personal seeds may take this many slots when there are genre seeds to share with
+ */
+const MAX_PERSONAL_SEEDS = 3;
+
+/**
+ * How many of each kind of personal seed are kept as candidates
+ */
+const MAX_TRACK_SEEDS = 3;
+const MAX_ARTIST_SEEDS = 2;
+
+/**
+ * Items fetched from each listening source
+ */
+const SOURCE_LIMIT = 20;
+
+/**
+ * Fetch the items of a Spotify list endpoint
+ * @param {string} url - API path
+ * @returns {Promise<Array>} Items, empty if Spotify refused
+ */
+async function fetchItems(url) {
+  const response = await spotifyFetch(url);
+
+  if (!response.ok) {
+    console.warn(`Could not fetch ${url} for personal seeds:`, response.status);
+    return [];
+  }
+
+  const { items = [] } = await response.json();
+  return items.filter(Boolean);
+}
+
+/**
+ * Pick the user's tracks and artists that best fit a mood
+ * Tracks are scored by audio features. Artists carry no audio features, so
+ * they are ranked by their best-fitting track among the candidates, top
+ * artists first.
+ * @param {import('../types/spotify.js').AudioFeatures} target - The mood's target features
+ * @returns {Promise<import('../types/spotify.js').PersonalSeeds>} Seeds, best fit first
+ */
+export async function fetchPersonalSeeds(target) {
+  const session = await getSession();
+  const granted = session?.record.scopes || [];
+  const missingScopes = PERSONAL_SEED_SCOPES.filter(scope => !granted.includes(scope));
+
+  if (!session || missingScopes.length === PERSONAL_SEED_SCOPES.length) {
+    return { tracks: [], artists: [], missingScopes };
+  }
+
+  const canReadTop = granted.includes('user-top-read');
+  const canReadRecent = granted.includes('user-read-recently-played');
+
+  const [topTracks, topArtists, recentlyPlayed] = await Promise.all([
+    canReadTop ? fetchItems(`/me/top/tracks?limit=${SOURCE_LIMIT}&time_range=short_term`) : [],
+    canReadTop ? fetchItems(`/me/top/artists?limit=${SOURCE_LIMIT}&time_range=short_term`) : [],
+    canReadRecent ? fetchItems(`/me/player/recently-played?limit=${SOURCE_LIMIT}`) : [],
+  ]);
+
+  const candidates = new Map();
+  for (const track of [...topTracks, ...recentlyPlayed.map(item => item.track)]) {
+    if (track?.id && !candidates.has(track.id)) {
+      candidates.set(track.id, track);
+    }
+  }
+
+  const featuresById = await fetchAudioFeatures([...candidates.keys()]);
+  const scored = [...candidates.values()]
+    .map(track => ({ track, score: scoreTrackFeatures(featuresById[track.id], target) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score);
+
+  // Best score of any candidate track each artist appears on
+  const artistScores = new Map();
+  const artistsById = new Map();
+  for (const { track, score } of scored) {
+    for (const artist of track.artists || []) {
+      if (!artistScores.has(artist.id)) {
+        artistScores.set(artist.id, score);
+        artistsById.set(artist.id, artist);
+      }
+    }
+  }
+
+  const topArtistIds = new Set(topArtists.map(artist => artist.id));
+  const artists = [...artistScores.keys()]
+    .sort((a, b) => Number(topArtistIds.has(b)) - Number(topArtistIds.has(a)) || artistScores.get(b) - artistScores.get(a))
+    .slice(0, MAX_ARTIST_SEEDS)
+    .map(id => ({ id, name: artistsById.get(id).name }));
+
+  const tracks = scored
+    .slice(0, MAX_TRACK_SEEDS)
+    .map(({ track }) => ({ id: track.id, name: track.name }));
+
+  return { tracks, artists, missingScopes };
+}
+
+/**
+ * Combine personal and genre seeds within Spotify's seed limit
+ * Genres keep the mood's character and personal seeds make it sound like the
+ * user, so both get a share when both exist; either fills the slots the other
+ * can't. Artists a custom mood names come first, leaving a slot for a genre.
+ * @param {{tracks: Array, artists: Array}} personal - Output of fetchPersonalSeeds
+ * @param {string[]} genres - Genre seeds, most relevant first
+ * @param {string[]} [moodArtists=[]] - Spotify artist ids from the mood itself
+ * @returns {{tracks: Array<{id: string, name: string}>, artists: Array<{id: string, name: string}>, moodArtists: string[], genres: string[]}} Seeds to use
+ */
+export function blendSeeds({ tracks = [], artists = [] } = {}, genres = [], moodArtists = []) {
+  const chosenMoodArtists = moodArtists.slice(0, genres.length > 0 ? MAX_SEEDS - 1 : MAX_SEEDS);
+  const available = MAX_SEEDS - chosenMoodArtists.length;
+
+  // Alternate tracks and artists, so both kinds are represented
+  const personal = [];
+  for (let i = 0; i < Math.max(tracks.length, artists.length); i++) {
+    if (tracks[i]) personal.push({ kind: 'tracks', seed: tracks[i] });
+    if (artists[i]) personal.push({ kind: 'artists', seed: artists[i] });
+  }
+
+  const personalSlots = Math.max(MAX_PERSONAL_SEEDS, available - genres.length);
+  const chosen = personal.slice(0, Math.min(personalSlots, available - Math.min(genres.length, 1)));
+
+  return {
+    tracks: chosen.filter(({ kind }) => kind === 'tracks').map(({ seed }) => seed),
+    artists: chosen.filter(({ kind }) => kind === 'artists').map(({ seed }) => seed),
+    moodArtists: chosenMoodArtists,
+    genres: genres.slice(0, available - chosen.length),
+  };
+}
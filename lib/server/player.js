@@ -0,0 +1,165 @@
+/**
+ * Spotify Player
+ * Lists the user's devices and controls playback on them, including the
+ * in-browser Web Playback SDK device
+ * Server-side only
+ */
+
+import { spotifyFetch } from './spotifyTokens.js';
+import { toTrackUris } from './playlists.js';
+
+/**
+ * Scopes the Web Playback SDK needs to register a device and play on it
+ */
+export const PLAYBACK_SCOPES = ['streaming', 'user-read-private', 'user-read-email', 'user-modify-playback-state'];
+
+/**
+ * Scopes from PLAYBACK_SCOPES a session was not granted
+ * @param {import('../types/spotify.js').SpotifySession} record - Session record
+ * @returns {string[]} Missing scopes, empty if the session can stream
+ */
+export function missingPlaybackScopes(record) {
+  const granted = record?.scopes || [];
+  return PLAYBACK_SCOPES.filter(scope => !granted.includes(scope));
+}
+
+/**
+ * Play tracks on a device
+ * @param {Object} playback - What to play
+ * @param {string} [playback.deviceId] - Device to play on, defaults to the user's active device
+ * @param {string[]} playback.trackIds - Tracks to play, in order; the ones after the first played queue up
+ * @param {string} [playback.startTrackId] - Track in trackIds to start at, defaults to the first
+ * @param {number} [playback.positionMs=0] - Where in that track to start
+ * @returns {Promise<Response>} Spotify's response, 204 when playback started
+ */
+export async function startPlayback({ deviceId, trackIds, startTrackId, positionMs = 0 }) {
+  const uris = toTrackUris(trackIds);
+  const startUri = `spotify:track:${startTrackId}`;
+  const params = deviceId ? `?${new URLSearchParams({ device_id: deviceId }).toString()}` : '';
+
+  return spotifyFetch(`/me/player/play${params}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      uris,
+      ...(uris.includes(startUri) && { offset: { uri: startUri } }),
+      position_ms: Math.max(0, Math.floor(positionMs) || 0)
+    })
+  });
+}
+
+/**
+ * Web API request for each remote control action
+ */
+const PLAYER_COMMANDS = {
+  pause: { method: 'PUT', path: '/me/player/pause' },
+  resume: { method: 'PUT', path: '/me/player/play' },
+  next: { method: 'POST', path: '/me/player/next' },
+  previous: { method: 'POST', path: '/me/player/previous' },
+  seek: { method: 'PUT', path: '/me/player/seek' }
+};
+
+/**
+ * Remote control actions the player routes accept
+ */
+export const PLAYER_ACTIONS = Object.keys(PLAYER_COMMANDS);
+
+/**
+ * List the user's available devices
+ * @returns {Promise<Response>} Spotify's response, with a `devices` list when ok
+ */
+export async function fetchDevices() {
+  return spotifyFetch('/me/player/devices');
+}
+
+/**
+ * Move playback to another device
+ * @param {string} deviceId - Device to move to
+ * @param {boolean} [play=false] - Start playing there, rather than keep the current play/pause state
+ * @returns {Promise<Response>} Spotify's response, 204 when it moved
+ */
+export async function transferPlayback(deviceId, play = false) {
+  return spotifyFetch('/me/player', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ device_ids: [deviceId], play: Boolean(play) })
+  });
+}
+
+/**
+ * Send a remote control action to a device
+ * @param {string} action - One of PLAYER_ACTIONS
+ * @param {Object} [options] - Action options
+ * @param {string} [options.deviceId] - Device to control, defaults to the active device
+ * @param {number} [options.positionMs] - Position to jump to, for "seek"
+ * @returns {Promise<Response>} Spotify's response, 204 when it was done
+ */
+export async function sendPlayerCommand(action, { deviceId, positionMs } = {}) {
+  const { method, path } = PLAYER_COMMANDS[action];
+  const params = new URLSearchParams({
+    ...(action === 'seek' && { position_ms: String(Math.max(0, Math.floor(positionMs) || 0)) }),
+    ...(deviceId && { device_id: deviceId })
+  });
+  const query = params.toString();
+
+  return spotifyFetch(`${path}${query ? `?${query}` : ''}`, { method });
+}
+
+/**
+ * Get what the user is playing on any device
+ * @returns {Promise<{response: Response, state: import('../types/spotify.js').PlaybackState|null}>}
+ *   Spotify's response, and the playback state when ok; null when nothing is playing anywhere
+ */
+export async function fetchPlaybackState() {
+  const response = await spotifyFetch('/me/player');
+
+  // Spotify answers 204 with no body when there is no active device
+  if (!response.ok || response.status === 204) {
+    return { response, state: null };
+  }
+
+  return { response, state: toPlaybackState(await response.json()) };
+}
+
+/**
+ * Reduce Spotify's playback state to what the UI shows
+ * @param {Object} player - Body of GET /me/player
+ * @returns {import('../types/spotify.js').PlaybackState|null} Playback state, or null when no track is loaded
+ */
+export function toPlaybackState(player) {
+  const item = player?.item;
+  if (!item || item.type === 'episode') {
+    return null;
+  }
+
+  return {
+    trackId: item.linked_from?.id || item.id,
+    name: item.name,
+    artists: (item.artists || []).map(artist => artist.name),
+    image: item.album?.images?.[0]?.url || null,
+    paused: !player.is_playing,
+    position: player.progress_ms || 0,
+    duration: item.duration_ms || 0,
+    // The Web API can always try to skip; it says whether it can't through `disallows`
+    hasNext: !player.actions?.disallows?.skipping_next,
+    hasPrevious: !player.actions?.disallows?.skipping_prev,
+    updatedAt: Date.now(),
+    device: player.device ? toDevice(player.device) : null
+  };
+}
+
+/**
+ * Reduce a Spotify device to what the UI shows
+ * @param {Object} device - Device from the Web API
+ * @returns {import('../types/spotify.js').PlaybackDevice} Device
+ */
+export function toDevice(device) {
+  return {
+    id: device.id,
+    name: device.name,
+    type: device.type,
+    isActive: Boolean(device.is_active),
+    isRestricted: Boolean(device.is_restricted),
+    volume: device.volume_percent ?? null
+  };
+}
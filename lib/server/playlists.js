@@ -0,0 +1,138 @@
+/**
+ * Spotify Playlists
+ * Names, describes and fills playlists made from a mood's recommendations
+ * Server-side only
+ */
+
+import { spotifyFetch } from './spotifyTokens.js';
+import { describeFeature } from '../services/trackRanking.js';
+
+/**
+ * Scope needed to create a playlist, by whether it is public
+ */
+export const PLAYLIST_SCOPES = {
+  public: 'playlist-modify-public',
+  private: 'playlist-modify-private'
+};
+
+/**
+ * Spotify adds at most this many tracks per request
+ */
+const MAX_TRACKS_PER_REQUEST = 100;
+
+/**
+ * Most tracks saved to one playlist
+ */
+export const MAX_PLAYLIST_TRACKS = 500;
+
+/**
+ * Spotify cuts descriptions off at this many characters
+ */
+const MAX_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Longest mood kept in a playlist name
+ */
+const MAX_MOOD_LENGTH = 60;
+
+/**
+ * Order features are described in, most telling first
+ */
+const DESCRIBED_FEATURES = ['valence', 'energy', 'danceability', 'acousticness', 'instrumentalness', 'tempo'];
+
+/**
+ * Tidy a mood for a playlist name
+ * @param {string} mood - Mood as the user typed it
+ * @returns {string} Single-line mood, or "my mood" if empty
+ */
+function cleanMood(mood) {
+  const cleaned = String(mood || '').replace(/\s+/g, ' ').trim();
+  return cleaned ? cleaned.slice(0, MAX_MOOD_LENGTH).trim() : 'my mood';
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date|string} date - Date, or a YYYY-MM-DD string from the client
+ * @returns {string} Date in UTC if it wasn't already a date string
+ */
+function formatDate(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+
+  const parsed = date instanceof Date && !isNaN(date) ? date : new Date();
+  return parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Name a playlist after its mood, e.g. "Terera · nostalgic · 2026-10-19"
+ * @param {string} mood - Mood the recommendations were made for
+ * @param {Date|string} [date] - Day it was made, as a Date or the client's local YYYY-MM-DD; defaults to today
+ * @returns {string} Playlist name
+ */
+export function buildPlaylistName(mood, date) {
+  return `Terera · ${cleanMood(mood)} · ${formatDate(date)}`;
+}
+
+/**
+ * Describe the feature targets a playlist was made for
+ * e.g. "Made by Terera for feeling nostalgic: low positivity 0.30, low energy 0.35, slow tempo 85 BPM"
+ * @param {string} mood - Mood the recommendations were made for
+ * @param {import('../types/spotify.js').AudioFeatures} [audioFeatures] - The mood's target features
+ * @returns {string} Description within Spotify's length limit
+ */
+export function buildPlaylistDescription(mood, audioFeatures = {}) {
+  const targets = DESCRIBED_FEATURES
+    .filter(feature => Number.isFinite(audioFeatures?.[feature]))
+    .map(feature => describeFeature(feature, audioFeatures[feature]));
+
+  const intro = `Made by Terera for feeling ${cleanMood(mood)}`;
+  const description = targets.length > 0 ? `${intro}: ${targets.join(', ')}` : intro;
+
+  return description.length > MAX_DESCRIPTION_LENGTH
+    ? `${description.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…`
+    : description;
+}
+
+/**
+ * Turn track ids into track URIs, dropping invalid ids and duplicates
+ * @param {*} trackIds - Track ids sent by the client
+ * @returns {string[]} Spotify track URIs, in their original order
+ */
+export function toTrackUris(trackIds) {
+  const ids = (Array.isArray(trackIds) ? trackIds : [])
+    .filter(id => typeof id === 'string' && /^[A-Za-z0-9]{22}$/.test(id));
+
+  return [...new Set(ids)]
+    .slice(0, MAX_PLAYLIST_TRACKS)
+    .map(id => `spotify:track:${id}`);
+}
+
+/**
+ * Add tracks to a playlist, in batches Spotify accepts
+ * Batches are sent one after another so the tracks keep their order.
+ * @param {string} playlistId - Playlist id
+ * @param {string[]} uris - Track URIs
+ * @returns {Promise<{added: number, response: Response|null}>} Tracks added, and Spotify's
+ *   response to the batch that failed, if one did
+ */
+export async function addTracksToPlaylist(playlistId, uris) {
+  let added = 0;
+
+  for (let i = 0; i < uris.length; i += MAX_TRACKS_PER_REQUEST) {
+    const batch = uris.slice(i, i + MAX_TRACKS_PER_REQUEST);
+    const response = await spotifyFetch(`/playlists/${encodeURIComponent(playlistId)}/tracks`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ uris: batch })
+    });
+
+    if (!response.ok) {
+      return { added, response };
+    }
+
+    added += batch.length;
+  }
+
+  return { added, response: null };
+}
@@ -0,0 +1,188 @@
+/**
+ * Response Cache
+ * Least-recently-used caches with per-entry expiry for Spotify responses.
+ * Set TERERA_CACHE_STORE=file to keep them on disk across restarts.
+ * Server-side only
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+/**
+ * Wait this long after a change before writing a persisted cache, so bursts of writes are batched
+ */
+const SAVE_DELAY_MS = 1000;
+
+export class ResponseCache {
+  /**
+   * @param {string} name - Cache name, also its file name when persisted
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Least recently used entries are dropped beyond this
+   * @param {number} options.ttl - Default lifetime of an entry, in seconds
+   * @param {boolean} [options.persist] - Keep the cache on disk, defaults to TERERA_CACHE_STORE=file
+   */
+  constructor(name, { maxEntries, ttl, persist = process.env.TERERA_CACHE_STORE === 'file' }) {
+    if (!/^[a-z0-9-]+$/.test(name)) {
+      throw new Error(`Invalid cache name: ${name}`);
+    }
+
+    this.name = name;
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.persist = persist;
+    // Map keeps insertion order, so the first key is always the least recently used
+    this.entries = new Map();
+    this.loading = null;
+    this.saveTimer = null;
+  }
+
+  get filePath() {
+    return path.join(process.env.TERERA_DATA_DIR || path.join(process.cwd(), '.data'), 'cache', `${this.name}.json`);
+  }
+
+  /**
+   * Load a persisted cache the first time it is used
+   */
+  async load() {
+    if (!this.persist) {
+      return;
+    }
+
+    if (!this.loading) {
+      this.loading = fs.readFile(this.filePath, 'utf8')
+        .then(contents => {
+          const now = Date.now();
+          for (const [key, entry] of JSON.parse(contents)) {
+            if (entry.expiresAt > now && !this.entries.has(key)) {
+              this.entries.set(key, entry);
+            }
+          }
+          this.evict();
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.error(`Could not load ${this.name} cache:`, error);
+          }
+        });
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * Look up a value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value, or undefined on a miss
+   */
+  async get(key) {
+    await this.load();
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      this.scheduleSave();
+      return undefined;
+    }
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serialisable value
+   * @param {number} [ttl] - Lifetime in seconds, defaults to the cache's
+   */
+  async set(key, value, ttl = this.ttl) {
+    await this.load();
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+    this.evict();
+    this.scheduleSave();
+  }
+
+  /**
+   * Empty the cache
+   */
+  async clear() {
+    await this.load();
+    this.entries.clear();
+    this.scheduleSave();
+  }
+
+  /**
+   * Drop least recently used entries beyond maxEntries
+   */
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  scheduleSave() {
+    if (!this.persist || this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.save().catch(error => console.error(`Could not save ${this.name} cache:`, error));
+    }, SAVE_DELAY_MS);
+    // Don't keep the process alive just to write the cache
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Write a persisted cache to disk now
+   */
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    if (!this.persist) {
+      return;
+    }
+
+    // Write via a temp file, so a crash never leaves half a cache
+    const file = this.filePath;
+    const tempFile = `${file}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify([...this.entries]), 'utf8');
+    await fs.rename(tempFile, file);
+  }
+}
+
+/**
+ * Search results per query, types, market and limit
+ */
+export const searchCache = new ResponseCache('search', { maxEntries: 500, ttl: 60 * 10 }); // 10 minutes
+
+/**
+ * Audio features per track id; a track's features never change
+ */
+export const audioFeaturesCache = new ResponseCache('audio-features', { maxEntries: 20000, ttl: 60 * 60 * 24 * 30 }); // 30 days
+
+/**
+ * Album metadata per album id
+ */
+export const albumCache = new ResponseCache('albums', { maxEntries: 2000, ttl: 60 * 60 * 24 * 7 }); // 7 days
+
+/**
+ * Spotify's list of available seed genres, which rarely changes
+ */
+export const genreSeedsCache = new ResponseCache('genre-seeds', { maxEntries: 1, ttl: 60 * 60 * 24 }); // 1 day
+
+/**
+ * Whether a request asked to skip cached responses, via `Cache-Control: no-cache`
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True if cached responses must not be used
+ */
+export function bypassesCache(request) {
+  return /\bno-(cache|store)\b/.test(request.headers.get('Cache-Control') || '');
+}
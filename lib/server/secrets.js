@@ -0,0 +1,24 @@
+/**
+ * Server Secrets
+ * Derives separate keys for each use (cookie signing, session encryption, ...)
+ * from one configured secret
+ * Server-side only
+ */
+
+import { createHmac } from 'crypto';
+
+/**
+ * Derive a 32-byte key for one purpose
+ * Uses TERERA_SECRET, falling back to SPOTIFY_CLIENT_SECRET so a basic setup
+ * works without extra configuration.
+ * @param {string} purpose - What the key is for, e.g. "session-encryption"
+ * @returns {Buffer} Key
+ * @throws {Error} If no secret is configured
+ */
+export function deriveKey(purpose) {
+  const secret = process.env.TERERA_SECRET || process.env.SPOTIFY_CLIENT_SECRET;
+  if (!secret) {
+    throw new Error('Missing TERERA_SECRET or SPOTIFY_CLIENT_SECRET for server secrets');
+  }
+  return createHmac('sha256', secret).update(`terera:${purpose}`).digest();
+}
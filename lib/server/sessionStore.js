@@ -0,0 +1,273 @@
+/**
+ * Session Store
+ * Keeps each signed-in browser's Spotify tokens on the server, encrypted,
+ * behind an opaque session id. The backend is pluggable: in memory for tests
+ * and single-process setups, or files on disk so sessions survive restarts.
+ * Server-side only
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { deriveKey } from './secrets.js';
+
+/**
+ * Sessions last this long without logging in again, matching Spotify's refresh tokens
+ */
+export const SESSION_MAX_AGE = 60 * 60 * 24 * 30; // 30 days
+
+/**
+ * Hash a value for use as a storage key
+ * Session ids and user ids are never stored as-is, so a leaked store can't be
+ * used to take over a session.
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest
+ */
+function hashKey(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Keeps sessions in a Map, lost on restart
+ */
+export class MemorySessionBackend {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list() {
+    return [...this.entries.entries()];
+  }
+}
+
+/**
+ * Keeps one JSON file per session under `<data dir>/sessions`
+ */
+export class FileSessionBackend {
+  get dir() {
+    return path.join(process.env.TERERA_DATA_DIR || path.join(process.cwd(), '.data'), 'sessions');
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    // Write via a temp file, so a crash never leaves half a session
+    const file = this.filePath(key);
+    const tempFile = `${file}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(entry), { encoding: 'utf8', mode: 0o600 });
+    await fs.rename(tempFile, file);
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const key = file.slice(0, -'.json'.length);
+      const entry = await this.get(key);
+      if (entry) {
+        entries.push([key, entry]);
+      }
+    }
+    return entries;
+  }
+}
+
+/**
+ * Create the backend named by TERERA_SESSION_STORE ("file" or "memory")
+ * @param {string} [type] - Backend name, defaults to the env var, then "file"
+ * @returns {MemorySessionBackend|FileSessionBackend} Backend
+ * @throws {Error} If the backend name is unknown
+ */
+export function createSessionBackend(type = process.env.TERERA_SESSION_STORE || 'file') {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionBackend();
+    case 'file':
+      return new FileSessionBackend();
+    default:
+      throw new Error(`Unknown session store: ${type}`);
+  }
+}
+
+class SessionStore {
+  /**
+   * @param {Object} [backend] - Storage backend, created from the environment on first use if omitted
+   */
+  constructor(backend = null) {
+    this.backendInstance = backend;
+  }
+
+  get backend() {
+    if (!this.backendInstance) {
+      this.backendInstance = createSessionBackend();
+    }
+    return this.backendInstance;
+  }
+
+  /**
+   * Encrypt a session record with AES-256-GCM
+   * @param {Object} record - Session record
+   * @returns {{iv: string, tag: string, data: string}} Encrypted record
+   */
+  encrypt(record) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', deriveKey('session-encryption'), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(record), 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a session record
+   * @param {{iv: string, tag: string, data: string}} encrypted - Output of encrypt
+   * @returns {Object|null} Session record, or null if it was tampered with or the key changed
+   */
+  decrypt({ iv, tag, data }) {
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', deriveKey('session-encryption'), Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+      return JSON.parse(plain.toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Start a session
+   * @param {import('../types/spotify.js').SpotifySession} record - Tokens and user for the session
+   * @returns {Promise<string>} Opaque session id for the cookie
+   */
+  async create(record) {
+    const id = randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    await this.backend.set(hashKey(id), {
+      userKey: hashKey(record.userId),
+      expiresAt: now + SESSION_MAX_AGE * 1000,
+      record: this.encrypt({ ...record, createdAt: now })
+    });
+
+    return id;
+  }
+
+  /**
+   * Look up a session
+   * @param {string} id - Session id from the cookie
+   * @returns {Promise<import('../types/spotify.js').SpotifySession|null>} Session record, or null if unknown or expired
+   */
+  async get(id) {
+    if (!id || typeof id !== 'string') {
+      return null;
+    }
+
+    const key = hashKey(id);
+    const entry = await this.backend.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.backend.delete(key);
+      return null;
+    }
+
+    return this.decrypt(entry.record);
+  }
+
+  /**
+   * Change fields of a session, e.g. after a token refresh
+   * @param {string} id - Session id
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<import('../types/spotify.js').SpotifySession|null>} Updated record, or null if the session is gone
+   */
+  async update(id, changes) {
+    const record = await this.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const key = hashKey(id);
+    const entry = await this.backend.get(key);
+    const updated = { ...record, ...changes };
+
+    await this.backend.set(key, { ...entry, record: this.encrypt(updated) });
+    return updated;
+  }
+
+  /**
+   * End one session
+   * @param {string} id - Session id
+   */
+  async delete(id) {
+    if (id && typeof id === 'string') {
+      await this.backend.delete(hashKey(id));
+    }
+  }
+
+  /**
+   * End every session for a user, logging them out on all devices
+   * Also clears out any expired sessions found on the way.
+   * @param {string} userId - Spotify user id
+   */
+  async deleteForUser(userId) {
+    const userKey = hashKey(userId);
+    const now = Date.now();
+
+    for (const [key, entry] of await this.backend.list()) {
+      if (entry.userKey === userKey || entry.expiresAt <= now) {
+        await this.backend.delete(key);
+      }
+    }
+  }
+}
+
+export { SessionStore };
+
+// Export singleton instance
+export const sessionStore = new SessionStore();
+export default sessionStore;
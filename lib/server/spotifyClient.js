@@ -0,0 +1,272 @@
+/**
+ * Spotify Web API Client
+ * Sends requests to Spotify with timeouts, retries with jittered backoff,
+ * respect for Retry-After and a cap on concurrent requests per user, and
+ * turns failed responses into one error shape for the UI.
+ * Server-side only
+ */
+
+import { NextResponse } from 'next/server';
+import { SPOTIFY_API_BASE_URL } from '../config/spotify.js';
+
+/**
+ * Retries after the first attempt
+ */
+const MAX_RETRIES = 3;
+
+/**
+ * First backoff step; each retry doubles it, up to MAX_BACKOFF_MS
+ */
+const BASE_BACKOFF_MS = 300;
+const MAX_BACKOFF_MS = 5000;
+
+/**
+ * Wait at most this long for Retry-After; longer waits go back to the caller instead
+ */
+const MAX_RETRY_AFTER_MS = 10 * 1000;
+
+/**
+ * Each attempt is aborted after this long
+ */
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Requests one user may have in flight at once; the rest wait their turn
+ */
+const MAX_CONCURRENT_PER_USER = 4;
+
+/**
+ * Statuses worth retrying. Server errors are only retried for methods that are
+ * safe to repeat, while 429 means Spotify didn't act on the request at all.
+ */
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * Error codes and messages the UI can show, by HTTP status
+ */
+const ERRORS = {
+  400: { code: 'bad_request', message: 'Spotify rejected the request' },
+  401: { code: 'not_authenticated', message: 'Not authenticated' },
+  403: { code: 'forbidden', message: 'Spotify does not allow this for your account' },
+  404: { code: 'not_found', message: 'Not found on Spotify' },
+  429: { code: 'rate_limited', message: 'Spotify is receiving too many requests. Please try again shortly.' },
+  500: { code: 'unavailable', message: 'Spotify is unavailable right now. Please try again shortly.' },
+  502: { code: 'unavailable', message: 'Spotify is unavailable right now. Please try again shortly.' },
+  503: { code: 'unavailable', message: 'Spotify is unavailable right now. Please try again shortly.' },
+  504: { code: 'timeout', message: 'Spotify took too long to respond. Please try again.' },
+};
+
+/**
+ * Request slots per user, `{ active, waiting }`
+ */
+const slots = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolve a Spotify API path, e.g. "/me", against the API base URL
+ * @param {string} url - Path or full URL
+ * @returns {string} Full URL
+ */
+export function spotifyUrl(url) {
+  return url.startsWith('http') ? url : `${SPOTIFY_API_BASE_URL}${url}`;
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Header value, in seconds or as an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before a retry, exponential with full jitter so clients don't retry in lockstep
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} Delay in milliseconds
+ */
+function backoff(attempt) {
+  return Math.random() * Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+}
+
+/**
+ * Wait for one of a user's request slots
+ * @param {string} key - User the request is for
+ * @returns {Promise<Function>} Call to give the slot back
+ */
+async function acquireSlot(key) {
+  let slot = slots.get(key);
+  if (!slot) {
+    slot = { active: 0, waiting: [] };
+    slots.set(key, slot);
+  }
+
+  if (slot.active < MAX_CONCURRENT_PER_USER) {
+    slot.active++;
+  } else {
+    // The releasing request hands its slot straight over
+    await new Promise(resolve => slot.waiting.push(resolve));
+  }
+
+  return () => {
+    const next = slot.waiting.shift();
+    if (next) {
+      next();
+    } else if (--slot.active === 0) {
+      slots.delete(key);
+    }
+  };
+}
+
+/**
+ * Response standing in for one Spotify never sent, in Spotify's error format
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Response} Error response
+ */
+function failedResponse(status, message) {
+  return new Response(JSON.stringify({ error: { status, message } }), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Throw away a response that won't be returned, e.g. before a retry
+ * An unread body keeps its connection and buffers alive until garbage collection.
+ * @param {Response} response - Response to discard
+ * @returns {Promise<void>}
+ */
+export async function discardResponse(response) {
+  try {
+    await response.body?.cancel();
+  } catch {
+    // Already read or errored; nothing left to free
+  }
+}
+
+/**
+ * Make one attempt, aborting it if it takes too long
+ * @param {string} url - Full URL
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Response>} Spotify's response, or a 502/504 if it couldn't be reached
+ * @throws {Error} If the caller aborted the request
+ */
+async function attempt(url, options) {
+  const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+  const signal = options.signal ? AbortSignal.any([options.signal, timeout]) : timeout;
+
+  try {
+    return await fetch(url, { ...options, signal });
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw error;
+    }
+    if (timeout.aborted) {
+      return failedResponse(504, 'Request to Spotify timed out');
+    }
+    console.error('Spotify request failed:', error);
+    return failedResponse(502, 'Could not reach Spotify');
+  }
+}
+
+/**
+ * Send a request to the Spotify Web API
+ * Retries rate-limited and failed requests, and queues the request if the user
+ * already has too many in flight.
+ * @param {string} url - API path, e.g. "/me", or full URL
+ * @param {string} accessToken - Access token to send
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.userKey] - Who the request is for, to cap concurrent requests per user
+ * @returns {Promise<Response>} The final response; never rejects for HTTP or network errors
+ */
+export async function sendSpotifyRequest(url, accessToken, { userKey = 'anonymous', ...options } = {}) {
+  const fullUrl = spotifyUrl(url);
+  const method = (options.method || 'GET').toUpperCase();
+  const requestOptions = {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  };
+
+  const release = await acquireSlot(userKey);
+  try {
+    for (let retry = 0; ; retry++) {
+      const response = await attempt(fullUrl, requestOptions);
+
+      const retryable = RETRYABLE_STATUSES.includes(response.status)
+        && (response.status === 429 || IDEMPOTENT_METHODS.includes(method));
+      if (!retryable || retry >= MAX_RETRIES) {
+        return response;
+      }
+
+      const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) {
+        return response;
+      }
+
+      console.warn(`Spotify responded ${response.status}, retrying:`, fullUrl);
+      await discardResponse(response);
+      await sleep(retryAfter ?? backoff(retry));
+    }
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Describe a failed Spotify response in the shape API routes return
+ * @param {Response} response - Failed Spotify response
+ * @returns {Promise<import('../types/spotify.js').SpotifyApiError>} Error body
+ */
+export async function toSpotifyError(response) {
+  const body = await response.json().catch(() => null);
+  const details = typeof body?.error === 'string' ? body.error : body?.error?.message;
+  const { code, message } = ERRORS[response.status]
+    || { code: 'spotify_error', message: `Spotify API error: ${response.status}` };
+
+  const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+  const retryAfter = retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000);
+
+  return {
+    error: retryAfter && code === 'rate_limited'
+      ? `Spotify is receiving too many requests. Please try again in ${retryAfter} seconds.`
+      : message,
+    code,
+    status: response.status,
+    ...(retryAfter !== null && { retryAfter }),
+    ...(details && { details }),
+  };
+}
+
+/**
+ * Turn a failed Spotify response into an API route response
+ * @param {Response} response - Failed Spotify response
+ * @param {string} label - Prefix for the server log, e.g. "Spotify search error"
+ * @param {Object} [extra] - More fields for the response body, e.g. what was done before the failure
+ * @returns {Promise<NextResponse>} JSON error response with the same status
+ */
+export async function spotifyErrorResponse(response, label, extra) {
+  const error = await toSpotifyError(response);
+  console.error(`${label}:`, error);
+
+  return NextResponse.json({ ...error, ...extra }, {
+    status: error.status,
+    headers: error.retryAfter !== undefined ? { 'Retry-After': String(error.retryAfter) } : undefined,
+  });
+}
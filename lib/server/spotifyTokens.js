@@ -0,0 +1,220 @@
+/**
+ * Spotify Token Handling
+ * Reads the current session's Spotify tokens from the session store, refreshes
+ * them when they expire, and makes Spotify requests that refresh and retry
+ * once when the access token is rejected.
+ * The browser only ever holds an opaque session id; see sessionStore.js.
+ * Server-side only
+ */
+
+import { cookies } from 'next/headers';
+import { getSpotifyConfig } from '../config/spotify.js';
+import { sessionStore, SESSION_MAX_AGE } from './sessionStore.js';
+import { sendSpotifyRequest, discardResponse } from './spotifyClient.js';
+
+export const SESSION_COOKIE = 'terera_session';
+
+/**
+ * Cookies from before tokens moved server-side, removed on logout
+ */
+const LEGACY_COOKIES = ['spotify_access_token', 'spotify_refresh_token'];
+
+/**
+ * Refresh this long before the access token actually expires
+ */
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Refreshes in flight per session, so parallel requests share one refresh
+ * instead of racing to use a refresh token Spotify may have just rotated
+ */
+const pendingRefreshes = new Map();
+
+/**
+ * Store the session id in a cookie
+ * @param {Object} cookieJar - Anything with a `set(name, value, options)` method,
+ *   e.g. `response.cookies` or the store returned by `cookies()`
+ * @param {string} sessionId - Session id
+ */
+export function setSessionCookie(cookieJar, sessionId) {
+  cookieJar.set(SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: SESSION_MAX_AGE,
+  });
+}
+
+/**
+ * Delete the session cookie, and any token cookies left from older versions
+ * @param {Object} cookieStore - The store returned by `cookies()`
+ */
+export function clearAuthCookies(cookieStore) {
+  cookieStore.delete(SESSION_COOKIE);
+  LEGACY_COOKIES.forEach(name => cookieStore.delete(name));
+}
+
+/**
+ * Turn a Spotify token response into session fields
+ * @param {import('../types/spotify.js').SpotifyTokenResponse} tokenData - Token response
+ * @param {string} [currentRefreshToken] - Refresh token to keep if Spotify didn't issue a new one
+ * @returns {Object} Token fields of a session record
+ */
+function toSessionTokens(tokenData, currentRefreshToken) {
+  return {
+    accessToken: tokenData.access_token,
+    refreshToken: tokenData.refresh_token || currentRefreshToken,
+    expiresAt: Date.now() + tokenData.expires_in * 1000,
+    ...(tokenData.scope !== undefined && { scopes: tokenData.scope.split(' ').filter(Boolean) }),
+  };
+}
+
+/**
+ * Start a session after login and set its cookie
+ * @param {Object} cookieJar - Anything with a `set(name, value, options)` method
+ * @param {import('../types/spotify.js').SpotifyTokenResponse} tokenData - Token response from the code exchange
+ * @param {Object} profile - The user's Spotify profile
+ * @param {string} profile.userId - Spotify user id
+ * @param {string|null} [profile.country] - Country of the account, used as the default market
+ * @returns {Promise<string>} Session id
+ */
+export async function startSession(cookieJar, tokenData, { userId, country = null }) {
+  const sessionId = await sessionStore.create({ userId, country, scopes: [], ...toSessionTokens(tokenData) });
+  setSessionCookie(cookieJar, sessionId);
+  return sessionId;
+}
+
+/**
+ * Get the current request's session
+ * Clears the cookie if it points at a session that has ended.
+ * @returns {Promise<{id: string, record: import('../types/spotify.js').SpotifySession}|null>} Session, or null if not signed in
+ */
+export async function getSession() {
+  const cookieStore = await cookies();
+  const id = cookieStore.get(SESSION_COOKIE)?.value;
+
+  if (!id) {
+    return null;
+  }
+
+  const record = await sessionStore.get(id);
+  if (!record) {
+    clearAuthCookies(cookieStore);
+    return null;
+  }
+
+  return { id, record };
+}
+
+/**
+ * Exchange a session's refresh token for new tokens and save them
+ * Ends the session if Spotify rejects the refresh token, so the user is asked to log in again.
+ * @param {{id: string, record: import('../types/spotify.js').SpotifySession}} session - Session to refresh
+ * @returns {Promise<import('../types/spotify.js').SpotifySession|null>} Updated record, or null if it couldn't be refreshed
+ */
+function refreshSession(session) {
+  if (!pendingRefreshes.has(session.id)) {
+    const refresh = exchangeRefreshToken(session).finally(() => pendingRefreshes.delete(session.id));
+    pendingRefreshes.set(session.id, refresh);
+  }
+  return pendingRefreshes.get(session.id);
+}
+
+async function exchangeRefreshToken({ id, record }) {
+  if (!record.refreshToken) {
+    return null;
+  }
+
+  const config = getSpotifyConfig();
+  const response = await fetch(config.endpoints.token, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: record.refreshToken,
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+    }),
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    console.error('Token refresh failed:', error);
+
+    // A bad request means the refresh token itself is no longer valid
+    if (response.status === 400) {
+      await sessionStore.delete(id);
+      clearAuthCookies(await cookies());
+    }
+    return null;
+  }
+
+  const tokenData = await response.json();
+  return sessionStore.update(id, toSessionTokens(tokenData, record.refreshToken));
+}
+
+/**
+ * Refresh the current session's tokens
+ * @returns {Promise<import('../types/spotify.js').SpotifySession|null>} Updated session record, or null if not signed in or the refresh failed
+ */
+export async function refreshTokens() {
+  const session = await getSession();
+  return session ? refreshSession(session) : null;
+}
+
+/**
+ * Get the access token for the current request
+ * Refreshes it first if it has expired or is about to.
+ * @returns {Promise<string|null>} Access token, or null if not signed in
+ */
+export async function getAccessToken() {
+  const session = await getSession();
+  return session ? accessTokenFor(session) : null;
+}
+
+/**
+ * Get a session's access token, refreshing it if needed
+ * @param {{id: string, record: import('../types/spotify.js').SpotifySession}} session - Session
+ * @returns {Promise<string|null>} Access token, or null if it couldn't be refreshed
+ */
+async function accessTokenFor(session) {
+  if (session.record.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return session.record.accessToken;
+  }
+
+  const refreshed = await refreshSession(session);
+  return refreshed?.accessToken || null;
+}
+
+/**
+ * Make an authenticated request to the Spotify Web API
+ * If Spotify rejects the token, the tokens are refreshed and the request is retried once.
+ * Rate limits, timeouts and server errors are handled by sendSpotifyRequest.
+ * @param {string} url - API path, e.g. "/me", or full Spotify API URL
+ * @param {Object} [options] - Fetch options
+ * @returns {Promise<Response>} Spotify's response; a 401 means the user has to log in again
+ */
+export async function spotifyFetch(url, options = {}) {
+  const session = await getSession();
+  const accessToken = session && await accessTokenFor(session);
+  if (!accessToken) {
+    return new Response(JSON.stringify({ error: { status: 401, message: 'Not authenticated' } }), { status: 401 });
+  }
+
+  const send = (token) => sendSpotifyRequest(url, token, { ...options, userKey: session.record.userId });
+
+  const response = await send(accessToken);
+  if (response.status !== 401) {
+    return response;
+  }
+
+  const refreshed = await refreshSession(session);
+  if (!refreshed) {
+    return response;
+  }
+
+  await discardResponse(response);
+  return send(refreshed.accessToken);
+}
@@ -0,0 +1,16 @@
+/**
+ * Spotify User Lookup
+ * Resolves the signed-in Spotify user from the current session
+ * Server-side only
+ */
+
+import { getSession } from './spotifyTokens.js';
+
+/**
+ * Get the Spotify user id for the current request
+ * @returns {Promise<string|null>} Spotify user id, or null if not signed in
+ */
+export async function getCurrentUserId() {
+  const session = await getSession();
+  return session?.record.userId || null;
+}
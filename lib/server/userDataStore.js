@@ -0,0 +1,143 @@
+/**
+ * User Data Store
+ * Persists small per-user JSON documents (custom moods, history, ...) on disk
+ * Server-side only
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+class UserDataStore {
+  constructor() {
+    // Pending writes per file, so concurrent updates don't clobber each other
+    this.queues = new Map();
+  }
+
+  get baseDir() {
+    return process.env.TERERA_DATA_DIR || path.join(process.cwd(), '.data');
+  }
+
+  /**
+   * Resolve the file for a user's collection
+   * User ids are hashed so they are always safe as directory names
+   * @param {string} userId - Spotify user id
+   * @param {string} collection - Collection name, e.g. "custom-moods"
+   * @returns {string} Absolute file path
+   */
+  filePath(userId, collection) {
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('A user id is required');
+    }
+    if (!/^[a-z0-9-]+$/.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+
+    const userKey = createHash('sha256').update(userId).digest('hex').slice(0, 32);
+    return path.join(this.baseDir, 'users', userKey, `${collection}.json`);
+  }
+
+  /**
+   * Read a user's collection
+   * @param {string} userId - Spotify user id
+   * @param {string} collection - Collection name
+   * @param {*} fallback - Value returned when nothing has been stored yet
+   * @returns {Promise<*>} Stored value or fallback
+   */
+  async read(userId, collection, fallback = null) {
+    const file = this.filePath(userId, collection);
+
+    // Wait for any in-flight write to the same file
+    await (this.queues.get(file) || Promise.resolve()).catch(() => {});
+
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return fallback;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a user's collection
+   * @param {string} userId - Spotify user id
+   * @param {string} collection - Collection name
+   * @param {*} value - JSON-serialisable value
+   * @returns {Promise<void>}
+   */
+  async write(userId, collection, value) {
+    const file = this.filePath(userId, collection);
+    return this.enqueue(file, () => this.writeFile(file, value));
+  }
+
+  /**
+   * Read, modify and write a collection as one step
+   * @param {string} userId - Spotify user id
+   * @param {string} collection - Collection name
+   * @param {Function} updater - Receives the current value, returns the new value
+   * @param {*} fallback - Current value when nothing has been stored yet
+   * @returns {Promise<*>} The new value
+   */
+  async update(userId, collection, updater, fallback = null) {
+    const file = this.filePath(userId, collection);
+    let result;
+
+    await this.enqueue(file, async () => {
+      let current = fallback;
+      try {
+        current = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      result = await updater(current);
+      await this.writeFile(file, result);
+    });
+
+    return result;
+  }
+
+  /**
+   * Delete a user's collection
+   * @param {string} userId - Spotify user id
+   * @param {string} collection - Collection name
+   * @returns {Promise<void>}
+   */
+  async remove(userId, collection) {
+    const file = this.filePath(userId, collection);
+    return this.enqueue(file, () => fs.rm(file, { force: true }));
+  }
+
+  /**
+   * Write a JSON document via a temp file, so a crash never leaves half a document
+   */
+  async writeFile(file, value) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(value, null, 2), 'utf8');
+    await fs.rename(tempFile, file);
+  }
+
+  /**
+   * Run a task after every earlier task on the same file has finished
+   */
+  enqueue(file, task) {
+    const previous = this.queues.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    this.queues.set(file, next);
+    next.finally(() => {
+      if (this.queues.get(file) === next) {
+        this.queues.delete(file);
+      }
+    }).catch(() => {});
+
+    return next;
+  }
+}
+
+// Export singleton instance
+export const userDataStore = new UserDataStore();
+export default userDataStore;
@@ -0,0 +1,103 @@
+/**
+ * Custom Mood Service
+ * Client for the custom moods API; keeps MoodAnalysisService in sync
+ * with the signed-in user's moods
+ */
+
+import { MoodAnalysisService } from './moodAnalysis.js';
+
+class CustomMoodService {
+  constructor() {
+    this.moods = [];
+  }
+
+  /**
+   * Send a request to the custom moods API
+   * @param {string} path - Path below /api/moods/custom
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(path = '', options = {}) {
+    const response = await fetch(`/api/moods/custom${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    });
+
+    const result = await response.json().catch(() => ({ error: 'Unknown error' }));
+
+    if (!response.ok) {
+      const message = result.details?.length ? result.details.join('. ') : result.error;
+      throw new Error(message || 'Custom mood request failed');
+    }
+
+    return result;
+  }
+
+  /**
+   * Load the user's custom moods and register them for mood analysis
+   * @returns {Promise<import('../types/spotify.js').CustomMood[]>} Custom moods
+   */
+  async loadMoods() {
+    const { moods } = await this.request();
+    this.setMoods(moods);
+    return this.moods;
+  }
+
+  /**
+   * Create a custom mood
+   * @param {Object} mood - Name, synonyms, features, seedGenres and seedArtists
+   * @returns {Promise<import('../types/spotify.js').CustomMood>} The stored mood
+   */
+  async createMood(mood) {
+    const { mood: created } = await this.request('', {
+      method: 'POST',
+      body: JSON.stringify(mood),
+    });
+    this.setMoods([...this.moods, created]);
+    return created;
+  }
+
+  /**
+   * Update a custom mood
+   * @param {string} id - Custom mood id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<import('../types/spotify.js').CustomMood>} The stored mood
+   */
+  async updateMood(id, changes) {
+    const { mood: updated } = await this.request(`/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+    this.setMoods(this.moods.map(mood => (mood.id === id ? updated : mood)));
+    return updated;
+  }
+
+  /**
+   * Delete a custom mood
+   * @param {string} id - Custom mood id
+   * @returns {Promise<void>}
+   */
+  async deleteMood(id) {
+    await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    this.setMoods(this.moods.filter(mood => mood.id !== id));
+  }
+
+  /**
+   * Forget the loaded moods, e.g. after logout
+   */
+  clear() {
+    this.setMoods([]);
+  }
+
+  setMoods(moods) {
+    this.moods = moods;
+    MoodAnalysisService.setCustomMoods(moods);
+  }
+}
+
+// Export singleton instance
+export const customMoodService = new CustomMoodService();
+export default customMoodService;
@@ -0,0 +1,58 @@
+/**
+ * Market Preference
+ * Remembers the market a user picked instead of their account's country
+ */
+
+import { isValidMarket } from '../config/markets.js';
+
+const STORAGE_KEY = 'terera_market';
+
+/**
+ * Get the market the user picked
+ * @returns {string|null} Market code, or null to use the account's country
+ */
+export function getMarketOverride() {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+
+  try {
+    const market = localStorage.getItem(STORAGE_KEY);
+    return isValidMarket(market) ? market : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the market the user picked
+ * @param {string|null} market - Market code, or null to go back to the account's country
+ */
+export function setMarketOverride(market) {
+  if (typeof window === 'undefined') {
+    return;
+  }
+
+  try {
+    if (isValidMarket(market)) {
+      localStorage.setItem(STORAGE_KEY, market);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to save market:', error);
+  }
+}
+
+/**
+ * Work out the market to send with requests
+ * @param {Object|null} user - Spotify profile from /api/spotify/me
+ * @param {string|null} override - Market the user picked
+ * @returns {string|null} Market code, or null to let the server decide
+ */
+export function resolveMarket(user, override) {
+  if (isValidMarket(override)) {
+    return override;
+  }
+  return isValidMarket(user?.country) ? user.country : null;
+}
@@ -3,190 +3,303 @@
  * Maps user mood inputs to Spotify audio features for music recommendations
  */
 
+import { MOOD_MAPPINGS, MOOD_SYNONYMS, MOOD_PHRASES, getMoodDefinition } from '../config/moodMappings.js';
+import { MOOD_EMOJIS, MOOD_EMOJI_COMBOS, MOOD_EMOTICONS, normalizeSymbols } from '../config/moodSymbols.js';
+import { MOOD_LOCALES, stripDiacritics, resolveLocale, getSupportedLocales } from '../config/moodLocales.js';
+import {
+  getMoodCoordinates,
+  getAllMoodCoordinates,
+  findNearestMoods,
+  getFeaturesAtCoordinates,
+  getMoodBetween
+} from './moodSpace.js';
+
 /**
- * Predefined mood mappings to Spotify audio features
- * Based on psychological research and music theory
- */
-const MOOD_MAPPINGS = {
-  // Basic emotions
-  sad: { 
-    valence: 0.2, 
-    energy: 0.3, 
-    acousticness: 0.7, 
-    danceability: 0.2,
-    instrumentalness: 0.4,
-    tempo: 80
-  },
-  happy: { 
-    valence: 0.8, 
-    energy: 0.7, 
-    danceability: 0.6,
-    acousticness: 0.3,
-    instrumentalness: 0.2,
-    tempo: 120
-  },
-  calm: { 
-    valence: 0.5, 
-    energy: 0.2, 
-    acousticness: 0.8,
-    danceability: 0.2,
-    instrumentalness: 0.6,
-    tempo: 70
-  },
-  energetic: { 
-    valence: 0.7, 
-    energy: 0.9, 
-    danceability: 0.8,
-    acousticness: 0.2,
-    instrumentalness: 0.1,
-    tempo: 140
-  },
-  
-  // Complex emotions
-  romantic: { 
-    valence: 0.6, 
-    energy: 0.4, 
-    acousticness: 0.6,
-    danceability: 0.3,
-    instrumentalness: 0.3,
-    tempo: 90
-  },
-  angry: { 
-    valence: 0.2, 
-    energy: 0.9, 
-    danceability: 0.3,
-    acousticness: 0.1,
-    instrumentalness: 0.2,
-    tempo: 150
-  },
-  nostalgic: { 
-    valence: 0.4, 
-    energy: 0.3, 
-    acousticness: 0.7,
-    danceability: 0.2,
-    instrumentalness: 0.4,
-    tempo: 85
-  },
-  confident: { 
-    valence: 0.8, 
-    energy: 0.8, 
-    danceability: 0.7,
-    acousticness: 0.2,
-    instrumentalness: 0.1,
-    tempo: 130
-  },
-  
-  // Additional moods
-  melancholy: { 
-    valence: 0.3, 
-    energy: 0.2, 
-    acousticness: 0.8,
-    danceability: 0.1,
-    instrumentalness: 0.5,
-    tempo: 75
-  },
-  excited: { 
-    valence: 0.9, 
-    energy: 0.9, 
-    danceability: 0.8,
-    acousticness: 0.1,
-    instrumentalness: 0.1,
-    tempo: 145
-  },
-  peaceful: { 
-    valence: 0.6, 
-    energy: 0.1, 
-    acousticness: 0.9,
-    danceability: 0.1,
-    instrumentalness: 0.7,
-    tempo: 60
-  },
-  anxious: { 
-    valence: 0.3, 
-    energy: 0.6, 
-    acousticness: 0.4,
-    danceability: 0.3,
-    instrumentalness: 0.3,
-    tempo: 110
-  },
-  focused: { 
-    valence: 0.5, 
-    energy: 0.4, 
-    acousticness: 0.5,
-    danceability: 0.2,
-    instrumentalness: 0.8,
-    tempo: 100
-  },
-  dreamy: { 
-    valence: 0.6, 
-    energy: 0.3, 
-    acousticness: 0.6,
-    danceability: 0.2,
-    instrumentalness: 0.5,
-    tempo: 85
-  }
+ * Longest phrase length (in words) in MOOD_PHRASES
+ */
+const MAX_PHRASE_WORDS = Math.max(
+  ...Object.keys(MOOD_PHRASES).map(phrase => phrase.split(' ').length)
+);
+
+/**
+ * User-defined moods, registered at runtime with setCustomMoods
+ * customFeatures: mood name -> audio features
+ * customTerms: mood name or synonym -> mood name
+ */
+const customDefinitions = new Map();
+let customFeatures = {};
+let customTerms = {};
+let maxCustomTermWords = 0;
+
+/**
+ * Filler words that are never fuzzy matched against moods
+ */
+const STOP_WORDS = new Set([
+  'i', 'im', "i'm", 'me', 'my', 'a', 'an', 'the', 'and', 'or', 'but', 'so',
+  'am', 'is', 'are', 'was', 'be', 'been', 'feel', 'feeling', 'feels', 'felt',
+  'today', 'tonight', 'right', 'now', 'after', 'before', 'with', 'some',
+  'music', 'songs', 'mood', 'vibe', 'vibes', 'really', 'just', 'kind', 'of',
+  'need', 'want', 'like', 'for', 'to', 'in', 'on', 'at', 'it', 'this', 'that'
+]);
+
+/**
+ * Minimum similarity for fuzzy matching a single word inside a sentence.
+ * Stricter than whole-input matching since every word gets a chance to match.
+ */
+const TOKEN_FUZZY_THRESHOLD = 0.8;
+
+/**
+ * Words that flip the meaning of the next mood in the same clause
+ * "no longer" and "not ... anymore" are covered by "no" and "not"
+ */
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'nor', 'without',
+  "isn't", "aren't", "wasn't", "don't", "doesn't", "didn't", "ain't",
+  'isnt', 'arent', 'wasnt', 'dont', 'doesnt', 'didnt', 'aint'
+]);
+
+/**
+ * Degree modifiers and how much they scale the next mood's intensity
+ */
+const INTENSIFIERS = {
+  // Amplifiers
+  very: 1.3,
+  really: 1.25,
+  so: 1.25,
+  super: 1.35,
+  too: 1.3,
+  totally: 1.4,
+  completely: 1.4,
+  extremely: 1.5,
+  incredibly: 1.5,
+  insanely: 1.5,
+  
+  // Downtoners
+  pretty: 1.1,
+  fairly: 0.8,
+  somewhat: 0.7,
+  kinda: 0.7,
+  kind: 0.7,
+  sort: 0.7,
+  little: 0.6,
+  bit: 0.6,
+  slightly: 0.6,
+  barely: 0.4
 };
 
 /**
- * Mood synonyms for fuzzy matching
- */
-const MOOD_SYNONYMS = {
-  // Sad variations
-  depressed: 'sad',
-  down: 'sad',
-  blue: 'sad',
-  gloomy: 'sad',
-  sorrowful: 'sad',
-  heartbroken: 'sad',
-  
-  // Happy variations
-  joyful: 'happy',
-  cheerful: 'happy',
-  upbeat: 'happy',
-  elated: 'happy',
-  euphoric: 'happy',
-  blissful: 'happy',
-  
-  // Calm variations
-  relaxed: 'calm',
-  serene: 'calm',
-  tranquil: 'calm',
-  mellow: 'calm',
-  chill: 'calm',
-  zen: 'calm',
-  
-  // Energetic variations
-  pumped: 'energetic',
-  hyper: 'energetic',
-  active: 'energetic',
-  dynamic: 'energetic',
-  vigorous: 'energetic',
-  
-  // Romantic variations
-  loving: 'romantic',
-  passionate: 'romantic',
-  intimate: 'romantic',
-  tender: 'romantic',
-  
-  // Angry variations
-  mad: 'angry',
-  furious: 'angry',
-  rage: 'angry',
-  irritated: 'angry',
-  frustrated: 'angry',
-  
-  // Nostalgic variations
-  wistful: 'nostalgic',
-  sentimental: 'nostalgic',
-  reminiscent: 'nostalgic',
-  
-  // Confident variations
-  bold: 'confident',
-  strong: 'confident',
-  powerful: 'confident',
-  determined: 'confident'
+ * What a negated mood turns into ("not angry" reads as calm)
+ * Moods without an opposite are dropped when negated
+ */
+const MOOD_OPPOSITES = {
+  sad: 'happy',
+  melancholy: 'happy',
+  happy: 'sad',
+  excited: 'calm',
+  calm: 'anxious',
+  peaceful: 'anxious',
+  anxious: 'calm',
+  angry: 'calm',
+  energetic: 'peaceful',
+  confident: 'anxious',
+  motivated: 'peaceful',
+  focused: 'dreamy',
+  dreamy: 'focused'
+};
+
+/**
+ * Intensity of a plain, unmodified mood word
+ */
+const BASE_INTENSITY = 0.7;
+
+/**
+ * How strongly a negated mood expresses its opposite ("not happy" is milder than "sad")
+ */
+const NEGATION_STRENGTH = 0.6;
+
+/**
+ * Blending limits: at most this many moods contribute to a profile,
+ * and moods below the minimum weight are treated as noise
+ */
+const MAX_BLEND_COMPONENTS = 3;
+const MIN_COMPONENT_WEIGHT = 0.1;
+
+/**
+ * Audio features that are averaged when blending moods
+ */
+const BLENDED_FEATURES = ['valence', 'energy', 'danceability', 'acousticness', 'instrumentalness', 'tempo'];
+
+/**
+ * Words and punctuation that end a clause, so modifiers don't leak across them
+ */
+const CLAUSE_BOUNDARY = /[.,;:!?]+|\b(?:and|but|though|although|yet|while|because)\b/;
+
+/**
+ * Word lists used to parse English input
+ */
+const ENGLISH_LEXICON = {
+  locale: 'en',
+  terms: {},
+  negators: NEGATORS,
+  intensifiers: INTENSIFIERS,
+  trailingIntensifiers: {},
+  stopWords: STOP_WORDS,
+  clauseBoundary: CLAUSE_BOUNDARY,
+  maxPhraseWords: MAX_PHRASE_WORDS
 };
 
+/**
+ * Every word English parsing already understands, used for language detection
+ */
+const ENGLISH_WORDS = new Set([
+  ...Object.keys(MOOD_MAPPINGS),
+  ...Object.keys(MOOD_SYNONYMS),
+  ...Object.keys(MOOD_PHRASES).flatMap(phrase => phrase.split(' ')),
+  ...STOP_WORDS,
+  ...NEGATORS,
+  ...Object.keys(INTENSIFIERS)
+]);
+
+/**
+ * Lexicons per locale, built on first use
+ */
+const lexicons = new Map([['en', ENGLISH_LEXICON]]);
+
+/**
+ * Get the word lists for a locale
+ * Other languages are layered over English, since mixed input ("feeling triste") is common.
+ * @param {string} locale - Supported language code
+ * @returns {Object} Lexicon for the locale
+ */
+function getLexicon(locale) {
+  if (!lexicons.has(locale)) {
+    const source = MOOD_LOCALES[locale];
+    const breaks = source.clauseBreaks.map(escapeRegExp).join('|');
+    
+    lexicons.set(locale, {
+      locale,
+      terms: source.terms,
+      negators: new Set([...NEGATORS, ...source.negators]),
+      intensifiers: { ...INTENSIFIERS, ...source.intensifiers },
+      trailingIntensifiers: source.trailingIntensifiers,
+      stopWords: new Set([...STOP_WORDS, ...source.hints]),
+      clauseBoundary: new RegExp(`${CLAUSE_BOUNDARY.source}|(?<![\\p{L}'])(?:${breaks})(?![\\p{L}'])`, 'u'),
+      maxPhraseWords: Math.max(MAX_PHRASE_WORDS, ...Object.keys(source.terms).map(term => term.split(' ').length))
+    });
+  }
+  
+  return lexicons.get(locale);
+}
+
+/**
+ * Guess which supported language mood text is written in
+ * Only words English doesn't know count as evidence, so English input always stays English.
+ * Mood words count double, since short function words are shared between languages.
+ * @param {string} text - User input
+ * @returns {{locale: string, confidence: number}} Best locale and the share of words that support it
+ */
+function detectLocale(text) {
+  const tokens = tokenizeMoodInput(text);
+  let best = { locale: 'en', score: 0, words: 0 };
+  
+  for (const [code, source] of Object.entries(MOOD_LOCALES)) {
+    const vocabulary = getLocaleVocabulary(code, source);
+    const evidence = tokens.filter(token => !ENGLISH_WORDS.has(token) && vocabulary.has(token));
+    const score = evidence.reduce((sum, token) => sum + (source.terms[token] ? 2 : 1), 0);
+    
+    // Earlier locales win ties
+    if (score > best.score) {
+      best = { locale: code, score, words: evidence.length };
+    }
+  }
+  
+  if (best.score === 0) {
+    const known = tokens.filter(token => ENGLISH_WORDS.has(token)).length;
+    return { locale: 'en', confidence: tokens.length > 0 ? known / tokens.length : 0 };
+  }
+  
+  return { locale: best.locale, confidence: best.words / tokens.length };
+}
+
+/**
+ * Single words that identify a locale
+ */
+const localeVocabularies = new Map();
+
+function getLocaleVocabulary(code, source) {
+  if (!localeVocabularies.has(code)) {
+    localeVocabularies.set(code, new Set([
+      ...Object.keys(source.terms).filter(term => !term.includes(' ')),
+      ...source.negators,
+      ...Object.keys(source.intensifiers),
+      ...Object.keys(source.trailingIntensifiers),
+      ...source.clauseBreaks,
+      ...source.hints
+    ]));
+  }
+  
+  return localeVocabularies.get(code);
+}
+
+/**
+ * Pick the lexicon for an analysis
+ * @param {string} text - Normalised user input
+ * @param {string} [locale] - Locale override; detected from the text when omitted
+ * @returns {Object} Lexicon
+ * @throws {Error} If the locale override is not supported
+ */
+function resolveLexicon(text, locale) {
+  if (locale) {
+    const code = resolveLocale(locale);
+    if (!code) {
+      throw new Error(`Unsupported locale: ${locale}`);
+    }
+    return getLexicon(code);
+  }
+  
+  return getLexicon(detectLocale(text).locale);
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Known emojis and emoji combos, longest first so combos win over their parts.
+ * Combos still match with spaces between the emojis ("😴 ☕").
+ */
+const EMOJI_PATTERN = new RegExp(
+  [...Object.keys(MOOD_EMOJI_COMBOS), ...Object.keys(MOOD_EMOJIS)]
+    .sort((a, b) => b.length - a.length)
+    .map(symbols => Array.from(symbols).map(escapeRegExp).join('\\s*'))
+    .join('|'),
+  'gu'
+);
+
+/**
+ * Known emoticons, only as whole words so "http://" or "10:30" never match
+ */
+const EMOTICON_PATTERN = new RegExp(
+  `(?<=^|\\s)(?:${Object.keys(MOOD_EMOTICONS)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|')})(?=$|\\s|[.,!?])`,
+  'gu'
+);
+
+/**
+ * Any emoji, known or not
+ */
+const ANY_EMOJI = /\p{Extended_Pictographic}(?:\u200d\p{Extended_Pictographic})*/gu;
+
+/**
+ * How much each repeat of the same symbol adds to its intensity ("😢😢😢")
+ */
+const SYMBOL_REPEAT_BOOST = 0.15;
+
 /**
  * Calculate string similarity using Levenshtein distance
  * @param {string} str1 - First string
@@ -240,35 +353,62 @@ function levenshteinDistance(str1, str2) {
 }
 
 /**
- * Find the best matching mood using fuzzy matching
+ * Audio features for a built-in or custom mood
+ * @param {string} mood - Mood name
+ * @returns {import('../types/spotify.js').AudioFeatures|undefined} Audio features
+ */
+function getMoodFeatures(mood) {
+  return MOOD_MAPPINGS[mood] || customFeatures[mood];
+}
+
+/**
+ * Find the best matching mood using fuzzy matching, with the term it matched
  * @param {string} inputMood - User input mood
  * @param {number} threshold - Minimum similarity threshold (default: 0.6)
- * @returns {string|null} Best matching mood or null if no good match
+ * @param {Object} [lexicon] - Extra vocabulary for the input's language
+ * @returns {{mood: string, term: string, similarity: number}|null} Canonical mood, the
+ *   mood name or synonym that matched and how close the input is to it, or null if no good match
  */
-function findBestMoodMatch(inputMood, threshold = 0.6) {
-  const normalizedInput = inputMood.toLowerCase().trim();
+function scoreBestMoodMatch(inputMood, threshold = 0.6, lexicon = ENGLISH_LEXICON) {
+  const normalizedInput = stripDiacritics(inputMood).trim();
   
   // First check exact matches in synonyms
   if (MOOD_SYNONYMS[normalizedInput]) {
-    return MOOD_SYNONYMS[normalizedInput];
+    return { mood: MOOD_SYNONYMS[normalizedInput], term: normalizedInput, similarity: 1.0 };
   }
   
   // Then check exact matches in main moods
   if (MOOD_MAPPINGS[normalizedInput]) {
-    return normalizedInput;
+    return { mood: normalizedInput, term: normalizedInput, similarity: 1.0 };
+  }
+  
+  // Then the user's own moods, then the input's language
+  if (customTerms[normalizedInput]) {
+    return { mood: customTerms[normalizedInput], term: normalizedInput, similarity: 1.0 };
+  }
+  
+  if (lexicon.terms[normalizedInput]) {
+    return { mood: lexicon.terms[normalizedInput], term: normalizedInput, similarity: 1.0 };
   }
   
   // Fuzzy matching against main moods
   let bestMatch = null;
-  let bestScore = 0;
   
-  const allMoods = [...Object.keys(MOOD_MAPPINGS), ...Object.keys(MOOD_SYNONYMS)];
+  const allMoods = [
+    ...Object.keys(MOOD_MAPPINGS),
+    ...Object.keys(MOOD_SYNONYMS),
+    ...Object.keys(customTerms),
+    ...Object.keys(lexicon.terms)
+  ];
   
   for (const mood of allMoods) {
     const similarity = calculateSimilarity(normalizedInput, mood);
-    if (similarity > bestScore && similarity >= threshold) {
-      bestScore = similarity;
-      bestMatch = MOOD_SYNONYMS[mood] || mood;
+    if (similarity > (bestMatch?.similarity || 0) && similarity >= threshold) {
+      bestMatch = {
+        mood: MOOD_SYNONYMS[mood] || customTerms[mood] || lexicon.terms[mood] || mood,
+        term: mood,
+        similarity
+      };
     }
   }
   
@@ -276,37 +416,336 @@ function findBestMoodMatch(inputMood, threshold = 0.6) {
 }
 
 /**
- * Generate search terms based on mood
- * @param {string} mood - The mood to generate terms for
- * @returns {string[]} Array of search terms
+ * Find the best matching mood using fuzzy matching
+ * @param {string} inputMood - User input mood
+ * @param {number} threshold - Minimum similarity threshold (default: 0.6)
+ * @param {Object} [lexicon] - Extra vocabulary for the input's language
+ * @returns {string|null} Best matching mood or null if no good match
  */
-function generateSearchTerms(mood) {
-  const baseTerms = [mood];
+function findBestMoodMatch(inputMood, threshold = 0.6, lexicon = ENGLISH_LEXICON) {
+  return scoreBestMoodMatch(inputMood, threshold, lexicon)?.mood || null;
+}
+
+/**
+ * Split free text into lowercase word tokens
+ * @param {string} text - Raw user input
+ * @returns {string[]} Word tokens in input order
+ */
+function tokenizeMoodInput(text) {
+  return stripDiacritics(text)
+    .replace(/[\u2018\u2019]/g, "'")
+    .split(/[^\p{L}']+/u)
+    .map(token => token.replace(/^'+|'+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Split free text into clauses of word tokens
+ * @param {string} text - Raw user input
+ * @param {Object} [lexicon] - Word lists for the input's language
+ * @returns {string[][]} Tokens per clause, empty clauses removed
+ */
+function splitIntoClauses(text, lexicon = ENGLISH_LEXICON) {
+  return stripDiacritics(text)
+    .split(new RegExp(lexicon.clauseBoundary.source, 'gu'))
+    .map(tokenizeMoodInput)
+    .filter(tokens => tokens.length > 0);
+}
+
+/**
+ * Look up the mood a word or phrase names directly
+ * @param {string} term - Lowercase word or phrase
+ * @param {Object} [lexicon] - Word lists for the input's language
+ * @returns {string|null} Canonical mood or null
+ */
+function lookupMoodTerm(term, lexicon = ENGLISH_LEXICON) {
+  if (MOOD_MAPPINGS[term]) return term;
+  return MOOD_SYNONYMS[term] || MOOD_PHRASES[term] || customTerms[term] || lexicon.terms[term] || null;
+}
+
+/**
+ * Check whether text contains emojis or known emoticons
+ * @param {string} text - Lowercase user input
+ * @returns {boolean} Whether symbol matching is needed
+ */
+function hasMoodSymbols(text) {
+  const normalized = normalizeSymbols(text);
+  return new RegExp(ANY_EMOJI.source, 'u').test(normalized) ||
+    new RegExp(EMOTICON_PATTERN.source, 'u').test(normalized);
+}
+
+/**
+ * Find emojis, emoji combos and emoticons in text
+ * Repeats of the same symbol count once, with a boosted intensity.
+ * @param {string} text - Lowercase user input
+ * @returns {{matches: Array<{mood: string, term: string, confidence: number, intensity: number, negated: boolean}>, remainder: string}}
+ *   Symbol matches in input order, and the text with every symbol replaced by a clause break
+ */
+function extractSymbolMatches(text) {
+  const normalized = normalizeSymbols(text);
+  const found = [];
   
-  // Add genre-based terms based on mood characteristics
-  const features = MOOD_MAPPINGS[mood];
-  if (!features) return baseTerms;
+  for (const pattern of [EMOJI_PATTERN, EMOTICON_PATTERN]) {
+    for (const { 0: raw, index } of normalized.matchAll(pattern)) {
+      found.push({ symbol: raw.replace(/\s+/g, ''), start: index, end: index + raw.length });
+    }
+  }
+  found.sort((a, b) => a.start - b.start);
+  
+  // Collapse runs of the same symbol
+  const runs = [];
+  for (const entry of found) {
+    const last = runs[runs.length - 1];
+    if (last && last.symbol === entry.symbol && !normalized.slice(last.end, entry.start).trim()) {
+      last.count++;
+      last.end = entry.end;
+    } else {
+      runs.push({ ...entry, count: 1 });
+    }
+  }
+  
+  const matches = runs.flatMap(({ symbol, count }) => {
+    const entries = MOOD_EMOJI_COMBOS[symbol] || [MOOD_EMOJIS[symbol] || MOOD_EMOTICONS[symbol]];
+    const boost = 1 + SYMBOL_REPEAT_BOOST * (count - 1);
+    const term = symbol.repeat(count);
+    
+    // A symbol is a weaker signal than a word, so its intensity doubles as its confidence
+    return entries.map(({ mood, intensity }) => ({
+      mood,
+      term,
+      confidence: intensity * boost,
+      intensity: Math.min(intensity * boost, 1.0),
+      negated: false
+    }));
+  });
+  
+  // Symbols end a clause, so modifiers on one side never reach words on the other.
+  // Unknown emojis are dropped so they can't be fuzzy matched as words.
+  let remainder = normalized;
+  for (const { start, end } of [...found].reverse()) {
+    remainder = `${remainder.slice(0, start)} , ${remainder.slice(end)}`;
+  }
+  remainder = remainder.replace(ANY_EMOJI, ' , ');
   
-  const terms = [...baseTerms];
+  return { matches, remainder };
+}
+
+/**
+ * Apply pending negation and degree modifiers to a raw match
+ * @param {{mood: string, term: string, confidence: number}} match - Unmodified match
+ * @param {{negated: boolean, degree: number, words: string[]}} modifiers - Modifiers seen since the last match
+ * @returns {Object|null} Modified match, or null when a negated mood has no opposite
+ */
+function applyModifiers(match, modifiers) {
+  const term = [...modifiers.words, match.term].join(' ');
+  
+  if (modifiers.negated) {
+    const opposite = MOOD_OPPOSITES[match.mood];
+    if (!opposite) return null;
+    
+    // "not very happy" is a weaker statement than "not happy"
+    const strength = NEGATION_STRENGTH / Math.max(modifiers.degree, 1);
+    return {
+      mood: opposite,
+      term,
+      confidence: match.confidence * strength,
+      intensity: BASE_INTENSITY * match.confidence * strength,
+      negated: true
+    };
+  }
+  
+  return {
+    mood: match.mood,
+    term,
+    confidence: match.confidence * modifiers.degree,
+    intensity: Math.min(BASE_INTENSITY * match.confidence * modifiers.degree, 1.0),
+    negated: false
+  };
+}
+
+/**
+ * Find every mood keyword, synonym and phrase in free text
+ * Negators ("not", "never") and degree modifiers ("very", "a little") apply to the
+ * next mood in the same clause; trailing degree words ("kakhulu") to the one before.
+ * @param {string} text - User input, e.g. "feeling sad but hopeful after a long day"
+ * @param {Object} [lexicon] - Word lists for the input's language
+ * @returns {Array<{mood: string, term: string, confidence: number, intensity: number, negated: boolean}>}
+ *   One entry per match, in input order
+ */
+function extractMoodMatches(text, lexicon = ENGLISH_LEXICON) {
+  const { matches: symbolMatches, remainder } = extractSymbolMatches(text);
+  const matches = [];
+  
+  for (const tokens of splitIntoClauses(remainder, lexicon)) {
+    let modifiers = { negated: false, degree: 1, words: [] };
+    let previous = null;
+    let i = 0;
+    
+    while (i < tokens.length) {
+      let match = null;
+      let consumed = 1;
+      
+      // Prefer the longest phrase starting at this token
+      const maxWords = Math.max(lexicon.maxPhraseWords, maxCustomTermWords);
+      for (let length = Math.min(maxWords, tokens.length - i); length >= 2; length--) {
+        const phrase = tokens.slice(i, i + length).join(' ');
+        const phraseMood = MOOD_PHRASES[phrase] || customTerms[phrase] || lexicon.terms[phrase];
+        if (phraseMood) {
+          match = { mood: phraseMood, term: phrase, confidence: 1.0 };
+          consumed = length;
+          break;
+        }
+      }
+      
+      const token = tokens[i];
+      
+      if (!match && previous && lexicon.trailingIntensifiers[token]) {
+        // Degree word after the mood it modifies
+        const degree = lexicon.trailingIntensifiers[token];
+        previous.term = `${previous.term} ${token}`;
+        previous.confidence *= degree;
+        previous.intensity = Math.min(previous.intensity * degree, 1.0);
+        i += consumed;
+        continue;
+      }
+      
+      previous = null;
+      
+      if (!match) {
+        if (lexicon.negators.has(token)) {
+          modifiers.negated = true;
+          modifiers.words.push(token);
+        } else if (lexicon.intensifiers[token]) {
+          modifiers.degree *= lexicon.intensifiers[token];
+          modifiers.words.push(token);
+        } else if (lookupMoodTerm(token, lexicon)) {
+          match = { mood: lookupMoodTerm(token, lexicon), term: token, confidence: 1.0 };
+        } else if (token.length >= 4 && !lexicon.stopWords.has(token)) {
+          // Confidence is how close the word is to the synonym it matched, not to the mood's name
+          const fuzzy = scoreBestMoodMatch(token, TOKEN_FUZZY_THRESHOLD, lexicon);
+          if (fuzzy) {
+            match = { mood: fuzzy.mood, term: token, confidence: fuzzy.similarity };
+          }
+        }
+      }
+      
+      if (match) {
+        const modified = applyModifiers(match, modifiers);
+        if (modified) {
+          matches.push(modified);
+          previous = modified;
+        }
+        modifiers = { negated: false, degree: 1, words: [] };
+      }
+      
+      i += consumed;
+    }
+  }
+  
+  // Words come first, so on a tie the mood someone wrote out wins
+  return [...matches, ...symbolMatches];
+}
+
+/**
+ * Group mood matches into weighted emotions
+ * @param {Array<{mood: string, term: string, confidence: number, intensity: number}>} matches - Output of extractMoodMatches
+ * @returns {import('../types/spotify.js').DetectedEmotion[]} Emotions sorted by weight, weights sum to 1
+ */
+function weighMoodMatches(matches) {
+  const byMood = new Map();
+  
+  for (const match of matches) {
+    const entry = byMood.get(match.mood) || { mood: match.mood, score: 0, intensity: 0, terms: [] };
+    entry.score += match.confidence;
+    entry.intensity = Math.max(entry.intensity, match.intensity);
+    entry.terms.push(match.term);
+    byMood.set(match.mood, entry);
+  }
+  
+  const total = [...byMood.values()].reduce((sum, entry) => sum + entry.score, 0);
+  
+  // Map preserves first-seen order, so ties keep the mood mentioned first
+  return [...byMood.values()]
+    .map(({ mood, score, intensity, terms }) => ({ mood, weight: score / total, intensity, terms }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Pick the emotions that contribute to a blended profile
+ * @param {import('../types/spotify.js').DetectedEmotion[]} emotions - Detected emotions, strongest first
+ * @returns {import('../types/spotify.js').MoodComponent[]} Up to MAX_BLEND_COMPONENTS moods, weights renormalised to sum to 1
+ */
+function selectBlendComponents(emotions) {
+  const selected = emotions
+    .filter((emotion, index) => index === 0 || emotion.weight >= MIN_COMPONENT_WEIGHT)
+    .slice(0, MAX_BLEND_COMPONENTS);
+  const total = selected.reduce((sum, emotion) => sum + emotion.weight, 0);
+  
+  return selected.map(({ mood, weight }) => ({ mood, weight: weight / total }));
+}
+
+/**
+ * Weighted average of several mood profiles
+ * @param {import('../types/spotify.js').MoodComponent[]} components - Moods and their weights (summing to 1)
+ * @returns {import('../types/spotify.js').AudioFeatures} Blended audio features
+ */
+function blendAudioFeatures(components) {
+  const blended = {};
+  
+  for (const feature of BLENDED_FEATURES) {
+    const value = components.reduce(
+      (sum, { mood, weight }) => sum + getMoodFeatures(mood)[feature] * weight,
+      0
+    );
+    // Tempo is whole BPM, everything else is a 0-1 score
+    blended[feature] = feature === 'tempo' ? Math.round(value) : Math.round(value * 100) / 100;
+  }
+  
+  return blended;
+}
+
+/**
+ * Suggest genres from audio feature thresholds
+ * Every genre returned is also a Spotify seed genre.
+ * @param {import('../types/spotify.js').AudioFeatures} features - Audio features
+ * @returns {string[]} Genres, in threshold order
+ */
+function getFeatureGenres(features) {
+  const genres = [];
   
-  // Add genre suggestions based on audio features
   if (features.valence < 0.4) {
-    terms.push('indie', 'alternative', 'folk');
+    genres.push('indie', 'alternative', 'folk');
   } else if (features.valence > 0.7) {
-    terms.push('pop', 'dance', 'funk');
+    genres.push('pop', 'dance', 'funk');
   }
   
   if (features.energy > 0.7) {
-    terms.push('rock', 'electronic', 'hip-hop');
+    genres.push('rock', 'electronic', 'hip-hop');
   } else if (features.energy < 0.3) {
-    terms.push('ambient', 'classical', 'jazz');
+    genres.push('ambient', 'classical', 'jazz');
   }
   
   if (features.acousticness > 0.6) {
-    terms.push('acoustic', 'singer-songwriter');
+    genres.push('acoustic', 'singer-songwriter');
   }
   
-  return terms;
+  return genres;
+}
+
+/**
+ * Generate search terms based on mood
+ * @param {string} mood - The mood to generate terms for
+ * @returns {string[]} Array of search terms
+ */
+function generateSearchTerms(mood) {
+  const baseTerms = [mood];
+  
+  // Add genre-based terms based on mood characteristics
+  const features = getMoodFeatures(mood);
+  if (!features) return baseTerms;
+  
+  // A custom mood's own seed genres come first, then genre suggestions based on audio features
+  return [...baseTerms, ...(customDefinitions.get(mood)?.seedGenres || []), ...getFeatureGenres(features)];
 }
 
 /**
@@ -315,59 +754,289 @@ function generateSearchTerms(mood) {
 export class MoodAnalysisService {
   /**
    * Map a mood input to Spotify audio features
-   * @param {string} moodInput - User's mood input
+   * @param {string} moodInput - User's mood input, in English or any supported language
+   * @param {Object} [options] - Analysis options
+   * @param {string} [options.locale] - Language of the input, e.g. "fr" or "pt-BR"; detected when omitted
    * @returns {import('../types/spotify.js').MoodAnalysis} Mood analysis result
    */
-  static mapMoodToAudioFeatures(moodInput) {
+  static mapMoodToAudioFeatures(moodInput, options = {}) {
     if (!moodInput || typeof moodInput !== 'string') {
       throw new Error('Mood input must be a non-empty string');
     }
     
-    const matchedMood = findBestMoodMatch(moodInput);
+    const { locale } = resolveLexicon(moodInput, options.locale);
+    const emotions = MoodAnalysisService.detectEmotions(moodInput, { locale });
+    const matchedMood = emotions.length > 0 ? emotions[0].mood : null;
     
     if (!matchedMood) {
       // Return a neutral mood if no match found
-      const neutralFeatures = {
-        valence: 0.5,
-        energy: 0.5,
-        danceability: 0.5,
-        acousticness: 0.5,
-        instrumentalness: 0.5,
-        tempo: 100
-      };
-      
-      return {
-        primaryEmotion: 'neutral',
-        intensity: 0.5,
-        audioFeatures: neutralFeatures,
-        searchTerms: [moodInput.toLowerCase()]
-      };
+      return { ...MoodAnalysisService.getNeutralAnalysis(moodInput), locale };
     }
     
-    const audioFeatures = MOOD_MAPPINGS[matchedMood];
+    const components = selectBlendComponents(emotions);
+    const audioFeatures = blendAudioFeatures(components);
     const searchTerms = generateSearchTerms(matchedMood);
     
-    // Calculate intensity based on how specific the mood match was
-    const normalizedInput = moodInput.toLowerCase().trim();
-    let intensity;
+    // Secondary moods are useful keywords too ("happy and energetic")
+    components.slice(1).forEach(({ mood }) => {
+      if (!searchTerms.includes(mood)) {
+        searchTerms.push(mood);
+      }
+    });
     
-    // Higher intensity for exact matches and synonyms
-    if (MOOD_MAPPINGS[normalizedInput] || MOOD_SYNONYMS[normalizedInput]) {
-      intensity = 0.9; // High intensity for exact matches and synonyms
-    } else {
-      // For fuzzy matches, use similarity score
-      const similarity = calculateSimilarity(normalizedInput, matchedMood);
-      intensity = Math.min(similarity + 0.2, 1.0); // Boost intensity slightly
-    }
+    // Intensity reflects match quality and any degree modifiers ("very", "slightly")
+    const intensity = emotions[0].intensity;
     
     return {
       primaryEmotion: matchedMood,
       intensity,
       audioFeatures,
-      searchTerms
+      searchTerms,
+      emotions,
+      components,
+      coordinates: { valence: audioFeatures.valence, energy: audioFeatures.energy },
+      locale
     };
   }
   
+  /**
+   * Neutral analysis used when no mood is recognised
+   * @param {string} [moodInput] - The unrecognised input, kept as a search term
+   * @returns {import('../types/spotify.js').MoodAnalysis} Neutral mood analysis
+   */
+  static getNeutralAnalysis(moodInput = '') {
+    // The centre of the mood plane, filled in from the moods around it
+    const coordinates = { valence: 0.5, energy: 0.5 };
+    const searchTerm = moodInput.toLowerCase().trim();
+    
+    return {
+      primaryEmotion: 'neutral',
+      intensity: 0.5,
+      audioFeatures: getFeaturesAtCoordinates(coordinates),
+      searchTerms: searchTerm ? [searchTerm] : [],
+      emotions: [],
+      components: [],
+      coordinates
+    };
+  }
+  
+  /**
+   * Detect every emotion mentioned in free text
+   * A single word falls back to the lenient whole-input fuzzy match; longer input
+   * is parsed clause by clause, honouring negation and degree modifiers.
+   * Emojis ("😢", "😴☕") and emoticons (":)", "<3") are recognised anywhere.
+   * @param {string} moodInput - User's mood input, in English or any supported language
+   * @param {Object} [options] - Analysis options
+   * @param {string} [options.locale] - Language of the input; detected when omitted
+   * @returns {import('../types/spotify.js').DetectedEmotion[]} Detected emotions,
+   *   strongest first, weights sum to 1. Empty if nothing was recognised.
+   * @throws {Error} If options.locale is not supported
+   */
+  static detectEmotions(moodInput, options = {}) {
+    if (!moodInput || typeof moodInput !== 'string') {
+      return [];
+    }
+    
+    // Accents are ignored, so "deprime" still finds "déprimé"
+    const normalizedInput = stripDiacritics(moodInput).trim();
+    const lexicon = resolveLexicon(normalizedInput, options.locale);
+    
+    // Whole input is a known phrase, or a single (possibly misspelled) word
+    const phraseMood = MOOD_PHRASES[normalizedInput] || customTerms[normalizedInput] || lexicon.terms[normalizedInput];
+    if (phraseMood) {
+      return [{ mood: phraseMood, weight: 1, intensity: BASE_INTENSITY, terms: [normalizedInput] }];
+    }
+    
+    // Match the word itself, so "sad!!!" and "sad..." are read like "sad"
+    const tokens = tokenizeMoodInput(normalizedInput);
+    const isSingleWord = tokens.length <= 1 && !/\s/.test(normalizedInput);
+    if (isSingleWord && !hasMoodSymbols(normalizedInput)) {
+      const word = tokens[0] || normalizedInput;
+      const match = scoreBestMoodMatch(word, undefined, lexicon);
+      if (!match) return [];
+      
+      // A near-miss of a synonym ("heartbrokn") is nearly as sure as the synonym itself
+      const confidence = lookupMoodTerm(word, lexicon) ? 1.0 : match.similarity;
+      return [{ mood: match.mood, weight: 1, intensity: BASE_INTENSITY * confidence, terms: [word] }];
+    }
+    
+    return weighMoodMatches(extractMoodMatches(normalizedInput, lexicon));
+  }
+  
+  /**
+   * Guess which supported language mood text is written in
+   * @param {string} moodInput - User's mood input
+   * @returns {{locale: string, confidence: number}} Language code ("en" when unsure) and
+   *   the share of words that point to it
+   */
+  static detectLanguage(moodInput) {
+    if (!moodInput || typeof moodInput !== 'string') {
+      return { locale: 'en', confidence: 0 };
+    }
+    return detectLocale(moodInput);
+  }
+  
+  /**
+   * Get every language mood input can be written in
+   * @returns {Array<{code: string, name: string}>} Supported locales, English first
+   */
+  static getSupportedLocales() {
+    return getSupportedLocales();
+  }
+  
+  /**
+   * Blend several moods into one audio feature profile
+   * @param {Object<string, number>} weights - Mood names and relative weights, e.g. { happy: 2, energetic: 1 }
+   * @returns {import('../types/spotify.js').AudioFeatures} Weighted average of the mood profiles
+   * @throws {Error} If no known mood with a positive weight is given
+   */
+  static blendMoods(weights) {
+    const entries = Object.entries(weights || {})
+      .map(([mood, weight]) => [findBestMoodMatch(mood), weight])
+      .filter(([mood, weight]) => mood && weight > 0);
+    
+    if (entries.length === 0) {
+      throw new Error('At least one known mood with a positive weight is required');
+    }
+    
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    return blendAudioFeatures(entries.map(([mood, weight]) => ({ mood, weight: weight / total })));
+  }
+  
+  /**
+   * Get the valence/energy coordinates of a mood
+   * @param {string} mood - Mood name or synonym
+   * @returns {import('../types/spotify.js').MoodCoordinates|null} Coordinates or null if unknown
+   */
+  static getMoodCoordinates(mood) {
+    const match = typeof mood === 'string' ? findBestMoodMatch(mood) : null;
+    if (match && customFeatures[match]) {
+      return { valence: customFeatures[match].valence, energy: customFeatures[match].energy };
+    }
+    return match ? getMoodCoordinates(match) : null;
+  }
+  
+  /**
+   * Get every mood with its coordinates, for plotting the mood plane
+   * @returns {Array<{mood: string, valence: number, energy: number, emoji: string, color: string}>}
+   */
+  static getMoodMap() {
+    return getAllMoodCoordinates();
+  }
+  
+  /**
+   * Find the named moods closest to a point on the valence/energy plane
+   * @param {number} valence - Musical positiveness (0.0 to 1.0)
+   * @param {number} energy - Intensity (0.0 to 1.0)
+   * @param {number} [limit=3] - Maximum number of moods to return
+   * @returns {Array<{mood: string, distance: number, weight: number}>} Nearest moods, closest first
+   */
+  static findMoodsNear(valence, energy, limit = 3) {
+    return findNearestMoods({ valence, energy }, limit);
+  }
+  
+  /**
+   * Build audio features for any point on the valence/energy plane
+   * @param {number} valence - Musical positiveness (0.0 to 1.0)
+   * @param {number} energy - Intensity (0.0 to 1.0)
+   * @returns {import('../types/spotify.js').AudioFeatures} Interpolated audio features
+   */
+  static getFeaturesAt(valence, energy) {
+    return getFeaturesAtCoordinates({ valence, energy });
+  }
+  
+  /**
+   * Find what lies between two moods, e.g. between calm and happy
+   * @param {string} from - Mood name or synonym to start from
+   * @param {string} to - Mood name or synonym to move towards
+   * @param {number} [amount=0.5] - How far to move from "from" (0) to "to" (1)
+   * @returns {{coordinates: import('../types/spotify.js').MoodCoordinates, nearest: Array<{mood: string, distance: number, weight: number}>}}
+   * @throws {Error} If either mood is not recognised
+   */
+  static getMoodBetween(from, to, amount = 0.5) {
+    return getMoodBetween(findBestMoodMatch(from) || from, findBestMoodMatch(to) || to, amount);
+  }
+  
+  /**
+   * Register the current user's custom moods
+   * Replaces any previously registered custom moods. Moods are expected to have
+   * been validated with validateCustomMood already.
+   * @param {import('../types/spotify.js').CustomMood[]} moods - Custom moods
+   */
+  static setCustomMoods(moods) {
+    customDefinitions.clear();
+    customFeatures = {};
+    customTerms = {};
+    
+    for (const mood of moods || []) {
+      // Built-in moods always win over a custom mood with the same name
+      if (MOOD_MAPPINGS[mood.name]) continue;
+      
+      customDefinitions.set(mood.name, mood);
+      customFeatures[mood.name] = mood.features;
+      for (const term of [mood.name, ...(mood.synonyms || [])].map(stripDiacritics)) {
+        if (!MOOD_SYNONYMS[term] && !MOOD_PHRASES[term] && !customTerms[term]) {
+          customTerms[term] = mood.name;
+        }
+      }
+    }
+    
+    maxCustomTermWords = Math.max(0, ...Object.keys(customTerms).map(term => term.split(' ').length));
+  }
+  
+  /**
+   * Get the registered custom moods
+   * @returns {import('../types/spotify.js').CustomMood[]} Custom moods
+   */
+  static getCustomMoods() {
+    return [...customDefinitions.values()];
+  }
+  
+  /**
+   * Remove all registered custom moods
+   */
+  static clearCustomMoods() {
+    MoodAnalysisService.setCustomMoods([]);
+  }
+  
+  /**
+   * Get Spotify seed genres for a mood analysis
+   * The primary mood's genres come first, then those of any moods blended in,
+   * then genres suggested by the blended audio features. Custom moods
+   * contribute their own seed genres. Ask for more than the 5 Spotify allows
+   * if some may be dropped, e.g. by the server's seed validation.
+   * @param {import('../types/spotify.js').MoodAnalysis} analysis - Mood analysis result
+   * @param {number} [limit=5] - Maximum number of genres
+   * @returns {string[]} Seed genres, most relevant first
+   */
+  static getSeedGenres(analysis, limit = 5) {
+    const moods = analysis?.components?.length > 0
+      ? analysis.components.map(({ mood }) => mood)
+      : [analysis?.primaryEmotion];
+
+    const genres = [
+      ...moods.flatMap(mood => getMoodDefinition(mood)?.genres || customDefinitions.get(mood)?.seedGenres || []),
+      ...(analysis?.audioFeatures ? getFeatureGenres(analysis.audioFeatures) : [])
+    ];
+
+    return [...new Set(genres)].slice(0, limit);
+  }
+  
+  /**
+   * Get Spotify artist seeds for a mood analysis
+   * Only custom moods name artists; built-in moods have none.
+   * @param {import('../types/spotify.js').MoodAnalysis} analysis - Mood analysis result
+   * @param {number} [limit=5] - Maximum number of artists
+   * @returns {string[]} Spotify artist ids, primary mood's first
+   */
+  static getSeedArtists(analysis, limit = 5) {
+    const moods = analysis?.components?.length > 0
+      ? analysis.components.map(({ mood }) => mood)
+      : [analysis?.primaryEmotion];
+
+    return [...new Set(moods.flatMap(mood => customDefinitions.get(mood)?.seedArtists || []))].slice(0, limit);
+  }
+  
   /**
    * Get all available mood mappings
    * @returns {Object} All mood mappings
@@ -390,8 +1059,10 @@ export class MoodAnalysisService {
    * @returns {boolean} Whether the mood is supported
    */
   static isMoodSupported(mood) {
-    const normalizedMood = mood.toLowerCase().trim();
-    return !!(MOOD_MAPPINGS[normalizedMood] || MOOD_SYNONYMS[normalizedMood]);
+    const normalizedMood = stripDiacritics(mood).trim();
+    return !!(MOOD_MAPPINGS[normalizedMood] || MOOD_SYNONYMS[normalizedMood] ||
+      MOOD_PHRASES[normalizedMood] || customTerms[normalizedMood] ||
+      Object.values(MOOD_LOCALES).some(({ terms }) => terms[normalizedMood]));
   }
   
   /**
@@ -400,16 +1071,19 @@ export class MoodAnalysisService {
    * @returns {string[]} Array of suggested moods
    */
   static getSuggestedMoods(partial) {
+    // The user's own moods are listed first
+    const customMoods = [...customDefinitions.keys()];
+    
     if (!partial || partial.length < 2) {
-      return Object.keys(MOOD_MAPPINGS).slice(0, 8); // Return first 8 main moods
+      return [...customMoods, ...Object.keys(MOOD_MAPPINGS)].slice(0, 8); // Return first 8 moods
     }
     
     const normalizedPartial = partial.toLowerCase();
-    const allMoods = [...Object.keys(MOOD_MAPPINGS), ...Object.keys(MOOD_SYNONYMS)];
+    const allMoods = [...Object.keys(customTerms), ...Object.keys(MOOD_MAPPINGS), ...Object.keys(MOOD_SYNONYMS)];
     
     return allMoods
       .filter(mood => mood.toLowerCase().includes(normalizedPartial))
-      .map(mood => MOOD_SYNONYMS[mood] || mood)
+      .map(mood => MOOD_SYNONYMS[mood] || customTerms[mood] || mood)
       .filter((mood, index, arr) => arr.indexOf(mood) === index) // Remove duplicates
       .slice(0, 8);
   }
@@ -0,0 +1,217 @@
+/**
+ * Mood History Service
+ * Client for the mood history API. Searches that can't reach the server are
+ * kept in this browser instead, per Spotify user, and shown alongside the
+ * stored ones.
+ */
+
+import { validateHistoryEntry, addHistoryEntry, MOOD_HISTORY_LIMITS } from '../config/moodHistory.js';
+
+const STORAGE_PREFIX = 'terera_mood_history';
+
+/**
+ * localStorage key for a user's local entries
+ */
+function storageKey(userId) {
+  return `${STORAGE_PREFIX}_${userId}`;
+}
+
+/**
+ * Whether a failed request should fall back to local storage
+ * Network errors and server errors do; a rejected entry doesn't.
+ */
+function isUnavailable(error) {
+  return !error.status || error.status >= 500;
+}
+
+/**
+ * Newest first, by timestamp
+ */
+function byNewest(a, b) {
+  return b.timestamp.localeCompare(a.timestamp);
+}
+
+class MoodHistoryService {
+  constructor() {
+    this.userId = null;
+    /** @type {import('../types/spotify.js').MoodSearchHistory[]} */
+    this.entries = [];
+    this.listeners = new Set();
+  }
+
+  /**
+   * Be told whenever the entries change
+   * @param {Function} listener - Called with the new entries
+   * @returns {Function} Stops the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Send a request to the mood history API
+   * @param {string} path - Path below /api/moods/history
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(path = '', options = {}) {
+    const response = await fetch(`/api/moods/history${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    });
+
+    const result = await response.json().catch(() => ({ error: 'Unknown error' }));
+
+    if (!response.ok) {
+      const message = result.details?.length ? result.details.join('. ') : result.error;
+      const error = new Error(message || 'Mood history request failed');
+      error.status = response.status;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Load a user's history: what the server stored plus anything kept locally
+   * @param {string} userId - Spotify user id
+   * @returns {Promise<import('../types/spotify.js').MoodSearchHistory[]>} Entries, newest first
+   */
+  async loadHistory(userId) {
+    this.userId = userId;
+    const local = this.readLocal();
+
+    try {
+      const { entries } = await this.request();
+      if (this.userId === userId) {
+        this.setEntries([...entries, ...local]);
+      }
+    } catch (error) {
+      if (!isUnavailable(error)) {
+        throw error;
+      }
+      console.error('Mood history unavailable, showing local history:', error);
+      if (this.userId === userId) {
+        this.setEntries(local);
+      }
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Record a successful search
+   * @param {Object} search - Mood, recommendations ({albums, tracks}) and audioFeatures
+   * @returns {Promise<import('../types/spotify.js').MoodSearchHistory|null>} The entry, null if there was nothing to record
+   */
+  async recordSearch(search) {
+    const { entry } = validateHistoryEntry(search);
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      const { entry: created } = await this.request('', {
+        method: 'POST',
+        body: JSON.stringify(entry),
+      });
+      this.setEntries(addHistoryEntry(this.entries, created));
+      return created;
+    } catch (error) {
+      if (!isUnavailable(error) || !this.userId) {
+        throw error;
+      }
+
+      console.error('Mood history unavailable, keeping the search locally:', error);
+      const local = {
+        id: `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        ...entry,
+        timestamp: new Date().toISOString(),
+        local: true
+      };
+      this.writeLocal(addHistoryEntry(this.readLocal(), local));
+      this.setEntries(addHistoryEntry(this.entries, local));
+      return local;
+    }
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry id
+   * @returns {Promise<void>}
+   */
+  async deleteEntry(id) {
+    const entry = this.entries.find(item => item.id === id);
+
+    if (entry?.local) {
+      this.writeLocal(this.readLocal().filter(item => item.id !== id));
+    } else {
+      await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+
+    this.setEntries(this.entries.filter(item => item.id !== id));
+  }
+
+  /**
+   * Delete every entry, stored and local
+   * @returns {Promise<void>}
+   */
+  async clearHistory() {
+    // Local entries go even if the server can't be reached
+    this.writeLocal([]);
+    this.setEntries(this.entries.filter(entry => !entry.local));
+
+    await this.request('', { method: 'DELETE' });
+    this.setEntries([]);
+  }
+
+  /**
+   * Forget the loaded entries, e.g. after logout; local entries stay for next time
+   */
+  clear() {
+    this.userId = null;
+    this.setEntries([]);
+  }
+
+  setEntries(entries) {
+    this.entries = [...entries].sort(byNewest).slice(0, MOOD_HISTORY_LIMITS.maxEntries);
+    this.listeners.forEach(listener => listener(this.entries));
+  }
+
+  readLocal() {
+    if (typeof window === 'undefined' || !this.userId) {
+      return [];
+    }
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey(this.userId)));
+      return Array.isArray(saved) ? saved : [];
+    } catch {
+      return [];
+    }
+  }
+
+  writeLocal(entries) {
+    if (typeof window === 'undefined' || !this.userId) {
+      return;
+    }
+
+    try {
+      if (entries.length > 0) {
+        localStorage.setItem(storageKey(this.userId), JSON.stringify(entries));
+      } else {
+        localStorage.removeItem(storageKey(this.userId));
+      }
+    } catch (error) {
+      console.error('Failed to save local mood history:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export const moodHistoryService = new MoodHistoryService();
+export default moodHistoryService;
@@ -0,0 +1,148 @@
+/**
+ * Mood Space
+ * Places every mood on the valence/energy plane (Russell's circumplex model)
+ * so any point can be resolved to its nearest named moods
+ */
+
+import { MOOD_DEFINITIONS, MOOD_MAPPINGS } from '../config/moodMappings.js';
+
+/**
+ * Features that are interpolated from neighbouring moods rather than
+ * taken from the coordinates themselves
+ */
+const INTERPOLATED_FEATURES = ['danceability', 'acousticness', 'instrumentalness', 'tempo'];
+
+/**
+ * Default number of neighbours used for lookups and interpolation
+ */
+const DEFAULT_NEIGHBOURS = 3;
+
+/**
+ * Clamp a coordinate into the 0-1 range
+ * @param {number} value - Raw coordinate
+ * @returns {number} Clamped coordinate
+ */
+function clampUnit(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+/**
+ * Validate and normalise a point on the mood plane
+ * @param {{valence: number, energy: number}} point - Coordinates to check
+ * @returns {import('../types/spotify.js').MoodCoordinates} Clamped coordinates
+ * @throws {Error} If either coordinate is not a number
+ */
+function toCoordinates(point) {
+  const valence = Number(point?.valence);
+  const energy = Number(point?.energy);
+
+  if (!Number.isFinite(valence) || !Number.isFinite(energy)) {
+    throw new Error('Valence and energy must be numbers');
+  }
+
+  return { valence: clampUnit(valence), energy: clampUnit(energy) };
+}
+
+/**
+ * Euclidean distance between two points on the mood plane
+ */
+function distanceBetween(a, b) {
+  return Math.hypot(a.valence - b.valence, a.energy - b.energy);
+}
+
+/**
+ * Get the coordinates of a canonical mood
+ * @param {string} mood - Canonical mood name
+ * @returns {import('../types/spotify.js').MoodCoordinates|null} Coordinates or null if unknown
+ */
+export function getMoodCoordinates(mood) {
+  const features = MOOD_MAPPINGS[mood];
+  return features ? { valence: features.valence, energy: features.energy } : null;
+}
+
+/**
+ * Get every mood with its coordinates and display metadata, for plotting
+ * @returns {Array<{mood: string, valence: number, energy: number, emoji: string, color: string}>}
+ */
+export function getAllMoodCoordinates() {
+  return Object.entries(MOOD_DEFINITIONS).map(([mood, definition]) => ({
+    mood,
+    valence: definition.features.valence,
+    energy: definition.features.energy,
+    emoji: definition.emoji,
+    color: definition.color
+  }));
+}
+
+/**
+ * Find the named moods closest to a point
+ * @param {{valence: number, energy: number}} point - Point on the mood plane
+ * @param {number} [limit=3] - Maximum number of moods to return
+ * @returns {Array<{mood: string, distance: number, weight: number}>} Nearest moods, closest first.
+ *   Weights are inverse-distance and sum to 1.
+ */
+export function findNearestMoods(point, limit = DEFAULT_NEIGHBOURS) {
+  const coordinates = toCoordinates(point);
+
+  const nearest = Object.keys(MOOD_MAPPINGS)
+    .map(mood => ({ mood, distance: distanceBetween(coordinates, getMoodCoordinates(mood)) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, Math.max(1, limit));
+
+  // Exact hits share all the weight
+  const exactHits = nearest.filter(entry => entry.distance === 0).length;
+  if (exactHits > 0) {
+    return nearest.map(entry => ({ ...entry, weight: entry.distance === 0 ? 1 / exactHits : 0 }));
+  }
+
+  const inverse = nearest.map(entry => 1 / entry.distance);
+  const total = inverse.reduce((sum, value) => sum + value, 0);
+
+  return nearest.map((entry, index) => ({ ...entry, weight: inverse[index] / total }));
+}
+
+/**
+ * Build a full audio feature profile for any point on the mood plane
+ * Valence and energy come from the point; the remaining features are
+ * interpolated from the nearest named moods.
+ * @param {{valence: number, energy: number}} point - Point on the mood plane
+ * @param {number} [neighbours=3] - Number of moods to interpolate from
+ * @returns {import('../types/spotify.js').AudioFeatures} Audio features
+ */
+export function getFeaturesAtCoordinates(point, neighbours = DEFAULT_NEIGHBOURS) {
+  const coordinates = toCoordinates(point);
+  const nearest = findNearestMoods(coordinates, neighbours);
+  const features = { ...coordinates };
+
+  for (const feature of INTERPOLATED_FEATURES) {
+    const value = nearest.reduce((sum, { mood, weight }) => sum + MOOD_MAPPINGS[mood][feature] * weight, 0);
+    features[feature] = feature === 'tempo' ? Math.round(value) : Math.round(value * 100) / 100;
+  }
+
+  return features;
+}
+
+/**
+ * Find the point part-way between two moods and the moods closest to it
+ * @param {string} from - Canonical mood to start from
+ * @param {string} to - Canonical mood to move towards
+ * @param {number} [amount=0.5] - How far to move, from 0 (at "from") to 1 (at "to")
+ * @returns {{coordinates: import('../types/spotify.js').MoodCoordinates, nearest: Array<{mood: string, distance: number, weight: number}>}}
+ * @throws {Error} If either mood is unknown
+ */
+export function getMoodBetween(from, to, amount = 0.5) {
+  const start = getMoodCoordinates(from);
+  const end = getMoodCoordinates(to);
+
+  if (!start || !end) {
+    throw new Error(`Unknown mood: ${!start ? from : to}`);
+  }
+
+  const t = Math.min(Math.max(amount, 0), 1);
+  const coordinates = {
+    valence: Math.round((start.valence + (end.valence - start.valence) * t) * 100) / 100,
+    energy: Math.round((start.energy + (end.energy - start.energy) * t) * 100) / 100
+  };
+
+  return { coordinates, nearest: findNearestMoods(coordinates) };
+}
@@ -0,0 +1,425 @@
+/**
+ * Preview Player
+ * Plays 30 second track previews through a shared pair of audio elements, so
+ * only one preview plays at a time apart from while one crossfades into the
+ * next. Keeps a queue and remembers the volume across visits.
+ */
+
+const VOLUME_KEY = 'terera_preview_volume';
+
+/**
+ * Volume used until the user picks one (0.0 to 1.0)
+ */
+export const DEFAULT_VOLUME = 0.7;
+
+/**
+ * Length of the crossfade between two previews, in ms: the old one fades out
+ * while the new one fades in over it
+ */
+export const CROSSFADE_MS = 1500;
+
+/**
+ * Time between volume changes while fading, in ms
+ */
+const FADE_STEP_MS = 50;
+
+/**
+ * "Previous" restarts the current preview rather than going back once it has played this long, in ms
+ */
+const RESTART_THRESHOLD_MS = 3000;
+
+/**
+ * Get the volume the user last picked
+ * @returns {number} Volume (0.0 to 1.0)
+ */
+export function getSavedVolume() {
+  if (typeof window === 'undefined') {
+    return DEFAULT_VOLUME;
+  }
+
+  try {
+    const saved = localStorage.getItem(VOLUME_KEY);
+    const volume = saved === null ? NaN : Number(saved);
+    return Number.isFinite(volume) && volume >= 0 && volume <= 1 ? volume : DEFAULT_VOLUME;
+  } catch {
+    return DEFAULT_VOLUME;
+  }
+}
+
+/**
+ * Remember the volume for next time
+ * @param {number} volume - Volume (0.0 to 1.0)
+ */
+export function saveVolume(volume) {
+  if (typeof window === 'undefined') {
+    return;
+  }
+
+  try {
+    localStorage.setItem(VOLUME_KEY, String(volume));
+  } catch (error) {
+    console.error('Failed to save volume:', error);
+  }
+}
+
+export class PreviewPlayer {
+  /**
+   * @param {Object} [options] - Player options
+   * @param {Function} [options.createAudio] - Makes an audio element; the first is created on first play, the second on the first crossfade
+   */
+  constructor({ createAudio = () => new Audio() } = {}) {
+    this.createAudio = createAudio;
+    // Audio elements with the share of the volume each lets through, lowered while fading
+    this.decks = [];
+    // The deck playing the current track; the other one only plays while fading out
+    this.deck = null;
+    this.listeners = new Set();
+    this.fade = null;
+    // Bumped on every track change, so a change that was overtaken gives up
+    this.loadId = 0;
+    this.advancing = false;
+
+    /** @type {import('../types/spotify.js').PreviewPlayerState} */
+    this.state = {
+      queue: [],
+      index: -1,
+      isPlaying: false,
+      isLoading: false,
+      position: 0,
+      duration: 0,
+      volume: getSavedVolume(),
+      error: null
+    };
+
+    this.subscribe = this.subscribe.bind(this);
+    this.getState = this.getState.bind(this);
+  }
+
+  /**
+   * Current state; a new object whenever anything changes
+   * @returns {import('../types/spotify.js').PreviewPlayerState} Player state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Be told about every state change
+   * @param {Function} listener - Called with the new state
+   * @returns {Function} Stops the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  get audio() {
+    return this.deck?.audio || null;
+  }
+
+  get currentTrack() {
+    return this.state.queue[this.state.index] || null;
+  }
+
+  get hasNext() {
+    return this.state.index < this.state.queue.length - 1;
+  }
+
+  createDeck() {
+    const audio = this.createAudio();
+    audio.preload = 'auto';
+    // Only the current track's element drives the player; the one fading out is ignored
+    audio.addEventListener('timeupdate', () => audio === this.audio && this.handleTimeUpdate());
+    audio.addEventListener('ended', () => audio === this.audio && this.handleEnded());
+    audio.addEventListener('error', () => audio === this.audio && this.handleError());
+
+    const deck = { audio, level: 1 };
+    this.decks.push(deck);
+    return deck;
+  }
+
+  /**
+   * The deck to play the next track on: the current one, or the other one to crossfade into
+   * @param {boolean} crossfade - Whether the current deck keeps playing while the next starts
+   */
+  nextDeck(crossfade) {
+    if (!crossfade) {
+      return this.deck || this.createDeck();
+    }
+    return this.decks.find(deck => deck !== this.deck) || this.createDeck();
+  }
+
+  /**
+   * Stop a deck that is fading out, or was cut off while fading out
+   */
+  silence(deck) {
+    deck.audio.pause();
+    deck.audio.removeAttribute('src');
+    deck.level = 0;
+  }
+
+  applyVolume() {
+    this.decks.forEach(deck => {
+      deck.audio.volume = this.state.volume * deck.level;
+    });
+  }
+
+  /**
+   * Fade decks to shares of the user's volume, all at once
+   * @param {Array<[Object, number]>} targets - Decks and the share (0.0 to 1.0) each ends at
+   * @param {number} duration - Fade length in ms
+   * @returns {Promise<void>} Resolves when the fade ends or is cancelled
+   */
+  fadeTo(targets, duration) {
+    this.cancelFade();
+
+    const starts = targets.map(([deck]) => deck.level);
+    const setProgress = (progress) => {
+      targets.forEach(([deck, level], i) => {
+        deck.level = starts[i] + (level - starts[i]) * progress;
+      });
+      this.applyVolume();
+    };
+
+    const steps = Math.floor(duration / FADE_STEP_MS);
+    if (steps <= 0) {
+      setProgress(1);
+      return Promise.resolve();
+    }
+
+    let step = 0;
+
+    return new Promise(resolve => {
+      const timer = setInterval(() => {
+        step++;
+        setProgress(step / steps);
+
+        if (step >= steps) {
+          this.cancelFade();
+        }
+      }, FADE_STEP_MS);
+      this.fade = { timer, resolve };
+    });
+  }
+
+  /**
+   * Stop a fade where it is
+   */
+  cancelFade() {
+    if (this.fade) {
+      clearInterval(this.fade.timer);
+      this.fade.resolve();
+      this.fade = null;
+    }
+  }
+
+  /**
+   * Switch to a track in a queue and play it, crossfading from whatever was playing
+   * @param {Object[]} queue - Tracks with previews
+   * @param {number} index - Track to play
+   * @returns {Promise<boolean>} Whether it started playing
+   */
+  async load(queue, index) {
+    const loadId = ++this.loadId;
+
+    // A preview still fading out from an earlier change is cut off
+    this.cancelFade();
+    this.decks.filter(deck => deck !== this.deck).forEach(deck => this.silence(deck));
+
+    const outgoing = this.state.isPlaying ? this.deck : null;
+    const deck = this.nextDeck(Boolean(outgoing));
+
+    this.deck = deck;
+    this.advancing = false;
+    this.setState({ queue, index, isLoading: true, position: 0, duration: 0, error: null });
+    deck.audio.src = queue[index].preview_url;
+    deck.level = outgoing ? 0 : 1;
+    this.applyVolume();
+
+    try {
+      await deck.audio.play();
+    } catch (error) {
+      if (loadId === this.loadId) {
+        console.error('Error playing preview:', error);
+        if (outgoing) {
+          this.silence(outgoing);
+        }
+        this.setState({ isPlaying: false, isLoading: false, error: 'Could not play the preview' });
+      }
+      return false;
+    }
+
+    if (loadId !== this.loadId) {
+      return false;
+    }
+
+    this.setState({ isPlaying: true, isLoading: false });
+    if (outgoing) {
+      this.fadeTo([[outgoing, 0], [deck, 1]], CROSSFADE_MS).then(() => {
+        if (loadId === this.loadId) {
+          this.silence(outgoing);
+        }
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Play a track's preview, queueing the other tracks that have previews
+   * @param {Object} track - Spotify track
+   * @param {Object[]} [queue] - Tracks to queue, in order, including the track
+   * @returns {Promise<boolean>} Whether it started playing; false if it has no preview
+   */
+  async playTrack(track, queue = [track]) {
+    if (!track?.preview_url) {
+      return false;
+    }
+
+    const playable = queue.filter(item => item?.preview_url);
+    let index = playable.findIndex(item => item.id === track.id);
+    if (index === -1) {
+      playable.unshift(track);
+      index = 0;
+    }
+
+    return this.load(playable, index);
+  }
+
+  /**
+   * Play every preview in a list, in order
+   * @param {Object[]} tracks - Spotify tracks
+   * @returns {Promise<boolean>} Whether playback started; false if none have previews
+   */
+  async playAll(tracks) {
+    const first = tracks.find(track => track?.preview_url);
+    return first ? this.playTrack(first, tracks) : false;
+  }
+
+  pause() {
+    if (!this.audio) {
+      return;
+    }
+
+    // Cancel any track change or crossfade, and make sure a later resume is at full volume
+    this.loadId++;
+    this.cancelFade();
+    this.decks.filter(deck => deck !== this.deck).forEach(deck => this.silence(deck));
+    this.deck.level = 1;
+    this.applyVolume();
+    this.audio.pause();
+    this.setState({ isPlaying: false, isLoading: false });
+  }
+
+  async resume() {
+    if (!this.audio || !this.currentTrack) {
+      return;
+    }
+
+    try {
+      await this.audio.play();
+      this.setState({ isPlaying: true, error: null });
+    } catch (error) {
+      console.error('Error resuming preview:', error);
+      this.setState({ isPlaying: false, error: 'Could not play the preview' });
+    }
+  }
+
+  togglePlay() {
+    return this.state.isPlaying ? this.pause() : this.resume();
+  }
+
+  async next() {
+    if (this.hasNext) {
+      return this.load(this.state.queue, this.state.index + 1);
+    }
+    return false;
+  }
+
+  async previous() {
+    if (this.state.index > 0 && this.state.position < RESTART_THRESHOLD_MS) {
+      return this.load(this.state.queue, this.state.index - 1);
+    }
+    this.seek(0);
+    return true;
+  }
+
+  /**
+   * Jump to a position in the current preview
+   * @param {number} positionMs - Position in ms
+   */
+  seek(positionMs) {
+    if (!this.audio || !this.currentTrack) {
+      return;
+    }
+
+    const position = Math.max(0, positionMs);
+    this.audio.currentTime = position / 1000;
+    this.advancing = false;
+    this.setState({ position });
+  }
+
+  /**
+   * Change and remember the volume
+   * @param {number} volume - Volume (0.0 to 1.0)
+   */
+  setVolume(volume) {
+    const clamped = Math.min(1, Math.max(0, Number(volume) || 0));
+    saveVolume(clamped);
+    this.setState({ volume: clamped });
+    this.applyVolume();
+  }
+
+  /**
+   * Stop playing and empty the queue
+   */
+  stop() {
+    this.pause();
+    if (this.audio) {
+      this.audio.removeAttribute('src');
+    }
+    this.setState({ queue: [], index: -1, position: 0, duration: 0, error: null });
+  }
+
+  handleTimeUpdate() {
+    const { currentTime, duration } = this.audio;
+    const position = currentTime * 1000;
+    const length = Number.isFinite(duration) ? duration * 1000 : 0;
+    this.setState({ position, duration: length });
+
+    // Start crossfading into the next preview so it has faded in by the time this one ends
+    if (this.state.isPlaying && this.hasNext && !this.advancing && length > 0 && length - position <= CROSSFADE_MS) {
+      this.advancing = true;
+      this.next();
+    }
+  }
+
+  handleEnded() {
+    if (this.advancing) {
+      return;
+    }
+
+    if (this.hasNext) {
+      this.advancing = true;
+      this.next();
+    } else {
+      this.setState({ isPlaying: false, position: 0 });
+    }
+  }
+
+  handleError() {
+    if (!this.currentTrack) {
+      return;
+    }
+
+    this.setState({ isPlaying: false, isLoading: false, error: 'Preview unavailable' });
+  }
+}
+
+// Export singleton instance
+export const previewPlayer = new PreviewPlayer();
+export default previewPlayer;
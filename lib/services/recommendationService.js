@@ -3,40 +3,71 @@
  * Handles mood-based music recommendations using Spotify API
  */
 
-import { MOOD_MAPPINGS } from '../config/moodMappings.js';
+import { getMoodSearchQuery } from '../config/moodMappings.js';
+import { MoodAnalysisService } from './moodAnalysis.js';
 
 class RecommendationService {
   /**
    * Get music recommendations based on mood
    * @param {string} mood - User's mood input
    * @param {Object} options - Additional options
+   * @param {number} [options.limit=20] - Number of results per type
+   * @param {string} [options.locale] - Language of the mood input; detected when omitted
+   * @param {string} [options.market] - Market to limit results to; the server uses the account's country when omitted
+   * @param {boolean} [options.personalized=false] - Also recommend tracks seeded from the user's own listening
    * @returns {Promise<Object>} Recommendations with albums and tracks
    */
   async getRecommendationsByMood(mood, options = {}) {
     try {
-      const { limit = 20 } = options;
+      const { limit = 20, locale, market, personalized = false } = options;
       
       // Map mood to audio features
-      const audioFeatures = this.mapMoodToAudioFeatures(mood);
+      const analysis = this.analyzeMood(mood, { locale });
+      const audioFeatures = analysis.audioFeatures;
       
-      // Use search-only approach (more reliable than recommendations API)
+      // Use search-only approach (more reliable than recommendations API);
+      // the server re-ranks results against the mood's audio features
       const searchResults = await this.searchByMood(mood, {
         types: ['track', 'album'],
-        limit
+        limit,
+        locale,
+        market,
+        audioFeatures
       });
 
+      // Seeded recommendations, from the user's listening or a custom mood's artists,
+      // are a bonus; search results still stand if they fail
+      const seedArtists = MoodAnalysisService.getSeedArtists(analysis);
+      const seeded = personalized || seedArtists.length > 0
+        ? await this.getSpotifyRecommendations({
+          audioFeatures,
+          limit,
+          market,
+          // Extra candidates, as the server drops any Spotify doesn't accept
+          seedGenres: MoodAnalysisService.getSeedGenres(analysis, 10),
+          seedArtists,
+          personalized
+        }).catch(error => {
+          console.error('Seeded recommendations unavailable:', error);
+          return null;
+        })
+        : null;
+
       // Format results
       return {
         mood,
+        analysis,
         audioFeatures,
         recommendations: {
-          tracks: searchResults.tracks?.items || [],
+          tracks: seeded?.tracks?.length > 0 ? seeded.tracks : searchResults.tracks?.items || [],
           albums: searchResults.albums?.items || []
         },
         searchResults: {
           tracks: searchResults.tracks?.items || [],
           albums: searchResults.albums?.items || []
-        }
+        },
+        ranked: searchResults.ranked === true,
+        personalization: personalized ? seeded?.personalization || null : null
       };
 
     } catch (error) {
@@ -45,32 +76,29 @@ class RecommendationService {
     }
   }
 
+  /**
+   * Analyze a mood with the shared mood analysis service
+   * Invalid input gets the neutral analysis rather than an error
+   * @param {string} mood - User's mood input
+   * @param {Object} [options] - Analysis options, e.g. { locale: 'fr' }
+   * @returns {import('../types/spotify.js').MoodAnalysis} Mood analysis result
+   */
+  analyzeMood(mood, options = {}) {
+    if (typeof mood !== 'string' || !mood.trim()) {
+      return MoodAnalysisService.getNeutralAnalysis();
+    }
+    return options.locale
+      ? MoodAnalysisService.mapMoodToAudioFeatures(mood, { locale: options.locale })
+      : MoodAnalysisService.mapMoodToAudioFeatures(mood);
+  }
+
   /**
    * Map mood to Spotify audio features
    * @param {string} mood - User's mood input
    * @returns {Object} Audio features object
    */
   mapMoodToAudioFeatures(mood) {
-    const normalizedMood = mood.toLowerCase().trim();
-    
-    // Check for exact matches first
-    if (MOOD_MAPPINGS[normalizedMood]) {
-      return MOOD_MAPPINGS[normalizedMood];
-    }
-
-    // Check for partial matches
-    for (const [key, features] of Object.entries(MOOD_MAPPINGS)) {
-      if (normalizedMood.includes(key) || key.includes(normalizedMood)) {
-        return features;
-      }
-    }
-
-    // Default to neutral mood if no match found
-    return MOOD_MAPPINGS.calm || {
-      valence: 0.5,
-      energy: 0.5,
-      danceability: 0.5
-    };
+    return this.analyzeMood(mood).audioFeatures;
   }
 
   /**
@@ -104,13 +132,15 @@ class RecommendationService {
    * Search for music by mood
    * @param {string} mood - User's mood
    * @param {Object} options - Search options
+   * @param {Object} [options.audioFeatures] - Target features; when given, results come back sorted by fit
+   * @param {string} [options.market] - Market to limit results to; the server uses the account's country when omitted
    * @returns {Promise<Object>} Search results
    */
   async searchByMood(mood, options = {}) {
-    const { types = ['track', 'album'], limit = 20 } = options;
+    const { types = ['track', 'album'], limit = 20, locale, market, audioFeatures } = options;
     
     // Create search query based on mood
-    const searchQuery = this.createMoodSearchQuery(mood);
+    const searchQuery = this.createMoodSearchQuery(mood, locale);
     console.log('Searching by mood with query:', searchQuery);
 
     const response = await fetch('/api/spotify/search', {
@@ -122,7 +152,8 @@ class RecommendationService {
         query: searchQuery,
         types,
         limit,
-        market: 'ZA' // Use South Africa market based on user profile
+        market,
+        audioFeatures
       }),
     });
 
@@ -140,31 +171,26 @@ class RecommendationService {
   /**
    * Create search query based on mood
    * @param {string} mood - User's mood
+   * @param {string} [locale] - Language of the mood input; detected when omitted
    * @returns {string} Search query
    */
-  createMoodSearchQuery(mood) {
+  createMoodSearchQuery(mood, locale) {
     const normalizedMood = mood.toLowerCase().trim();
-    
-    // Map moods to search terms
-    const moodSearchTerms = {
-      sad: 'sad melancholy blues emotional',
-      happy: 'happy upbeat cheerful positive',
-      calm: 'calm peaceful relaxing ambient',
-      energetic: 'energetic upbeat dance electronic',
-      romantic: 'romantic love ballad intimate',
-      angry: 'angry rock metal aggressive',
-      nostalgic: 'nostalgic vintage classic retro',
-      confident: 'confident powerful motivational'
-    };
+    const { primaryEmotion } = this.analyzeMood(normalizedMood, { locale });
 
-    // Find matching search terms
-    for (const [key, terms] of Object.entries(moodSearchTerms)) {
-      if (normalizedMood.includes(key) || key.includes(normalizedMood)) {
-        return terms;
-      }
+    // Use the registry's search terms for the detected mood
+    const registryQuery = getMoodSearchQuery(primaryEmotion);
+    if (registryQuery) {
+      return registryQuery;
+    }
+
+    // Custom moods search by their own name and seed genres
+    const customMood = MoodAnalysisService.getCustomMoods().find(({ name }) => name === primaryEmotion);
+    if (customMood) {
+      return [customMood.name, ...customMood.seedGenres.slice(0, 2)].join(' ');
     }
 
-    // Fallback to the mood itself
+    // Fall back to the mood itself
     return normalizedMood;
   }
 
@@ -4,7 +4,6 @@
  */
 
 import { getSpotifyConfig, validateSpotifyConfig } from '../config/spotify.js';
-import { generateState, storeState } from '../auth/pkce.js';
 
 class SpotifyApiClient {
   constructor() {
@@ -87,40 +86,23 @@ class SpotifyApiClient {
 
   /**
    * Initiate Spotify OAuth 2.0 flow
-   * @returns {Promise<string>} Authorization URL
+   * The login route generates the state and PKCE verifier server-side, keeps them
+   * in a signed cookie for the callback to check, and redirects to Spotify
+   * @returns {Promise<string>} Login URL
    */
   async initiateAuth() {
     try {
-      const state = generateState();
-      
-      // Store state for validation
-      storeState(state);
-      
       // Validate configuration before use
       validateSpotifyConfig();
-      
-      const params = new URLSearchParams({
-        response_type: 'code',
-        client_id: this.config.clientId,
-        scope: this.config.scopes,
-        redirect_uri: this.config.redirectUri,
-        state: state
-      });
-      
-      const authUrl = `${this.config.endpoints.authorize}?${params.toString()}`;
-      
-      console.log('Initiating Spotify auth with URL:', authUrl);
-      console.log('Redirect URI:', this.config.redirectUri);
-      
-      // Debug: Log the full config
-      console.log('Full config:', this.config);
-      
-      // Redirect to Spotify authorization
+
+      const loginUrl = '/api/auth/login';
+
+      // Redirect to the login route, which forwards to Spotify
       if (typeof window !== 'undefined') {
-        window.location.href = authUrl;
+        window.location.href = loginUrl;
       }
-      
-      return authUrl;
+
+      return loginUrl;
     } catch (error) {
       console.error('Error initiating Spotify auth:', error);
       throw error;
@@ -150,37 +132,19 @@ class SpotifyApiClient {
 
   /**
    * Refresh access token using refresh token
+   * The refresh token lives in an HTTP-only cookie, so the server does the
+   * exchange and rotates the cookies
    * @returns {Promise<boolean>} Success status
    */
   async refreshAccessToken() {
-    if (!this.refreshToken) {
-      throw new Error('No refresh token available');
-    }
-
     try {
-      const response = await fetch(this.config.endpoints.token, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          grant_type: 'refresh_token',
-          refresh_token: this.refreshToken,
-          client_id: this.config.clientId
-        })
-      });
+      const response = await fetch('/api/auth/refresh', { method: 'POST' });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Token refresh failed: ${error.error_description || error.error}`);
+        const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+        throw new Error(`Token refresh failed: ${error.error}`);
       }
 
-      const tokens = await response.json();
-      this.setTokens({
-        ...tokens,
-        refresh_token: tokens.refresh_token || this.refreshToken // Keep existing refresh token if not provided
-      });
-      
       return true;
     } catch (error) {
       console.error('Token refresh error:', error);
@@ -238,9 +202,27 @@ class SpotifyApiClient {
 
   /**
    * Logout and clear all tokens
+   * @param {Object} [options] - Logout options
+   * @param {boolean} [options.everywhere=false] - End every session for this Spotify user, not just this browser's
+   * @returns {Promise<void>}
    */
-  logout() {
-    this.clearStoredTokens();
+  async logout({ everywhere = false } = {}) {
+    try {
+      const response = await fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ everywhere })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+        throw new Error(`Logout failed: ${error.error}`);
+      }
+    } finally {
+      this.clearStoredTokens();
+    }
   }
 
   /**
@@ -261,6 +243,160 @@ class SpotifyApiClient {
     return response.json();
   }
 
+  /**
+   * Save tracks as a playlist in the user's account
+   * @param {Object} playlist - What to save
+   * @param {string} playlist.mood - Mood the tracks were recommended for, used in the name
+   * @param {string[]} playlist.trackIds - Ids of the tracks to add, in order
+   * @param {Object} [playlist.audioFeatures] - The mood's target features, used in the description
+   * @param {boolean} [playlist.isPublic=false] - Make the playlist public
+   * @returns {Promise<{id: string, name: string, url: string, trackCount: number}>} The created playlist
+   * @throws {Error} If saving failed; its playlist property is set if the playlist was created with only some tracks
+   */
+  async createPlaylist({ mood, trackIds, audioFeatures, isPublic = false }) {
+    // Name the playlist after the user's local date, not the server's
+    const now = new Date();
+    const date = [
+      now.getFullYear(),
+      String(now.getMonth() + 1).padStart(2, '0'),
+      String(now.getDate()).padStart(2, '0')
+    ].join('-');
+
+    const response = await fetch('/api/spotify/playlists', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ mood, trackIds, audioFeatures, date, public: isPublic })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+      const playlistError = new Error(error.error || 'Failed to create playlist');
+      // Set when the playlist was created but not every track could be added
+      playlistError.playlist = error.playlist || null;
+      throw playlistError;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get an access token for the Web Playback SDK
+   * @returns {Promise<string>} Access token
+   */
+  async getPlaybackToken() {
+    const response = await fetch('/api/spotify/player/token', { cache: 'no-store' });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+      throw new Error(error.error || 'Failed to get playback token');
+    }
+
+    const { accessToken } = await response.json();
+    return accessToken;
+  }
+
+  /**
+   * Play tracks on one of the user's devices
+   * @param {Object} playback - What to play
+   * @param {string} [playback.deviceId] - Device to play on, defaults to the active device
+   * @param {string[]} playback.trackIds - Tracks to play, in order
+   * @param {string} [playback.startTrackId] - Track to start at, defaults to the first
+   * @param {number} [playback.positionMs] - Where in that track to start
+   * @returns {Promise<void>}
+   */
+  async startPlayback({ deviceId, trackIds, startTrackId, positionMs }) {
+    const response = await fetch('/api/spotify/player/play', {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ deviceId, trackIds, startTrackId, positionMs })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+      throw new Error(error.error || 'Failed to start playback');
+    }
+  }
+
+  /**
+   * List the devices the user can play on
+   * @returns {Promise<Object[]>} Devices, see the PlaybackDevice type
+   */
+  async getDevices() {
+    const response = await fetch('/api/spotify/player/devices', { cache: 'no-store' });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+      throw new Error(error.error || 'Failed to get devices');
+    }
+
+    const { devices } = await response.json();
+    return devices;
+  }
+
+  /**
+   * Move playback to another device
+   * @param {string} deviceId - Device to move to
+   * @param {boolean} [play=false] - Start playing there
+   * @returns {Promise<void>}
+   */
+  async transferPlayback(deviceId, play = false) {
+    const response = await fetch('/api/spotify/player/transfer', {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ deviceId, play })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+      throw new Error(error.error || 'Failed to transfer playback');
+    }
+  }
+
+  /**
+   * Get what the user is playing, on any device
+   * @returns {Promise<Object|null>} Playback state, see the PlaybackState type; null when nothing is playing
+   */
+  async getPlaybackState() {
+    const response = await fetch('/api/spotify/player/state', { cache: 'no-store' });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+      throw new Error(error.error || 'Failed to get playback state');
+    }
+
+    const { state } = await response.json();
+    return state;
+  }
+
+  /**
+   * Control playback on a device
+   * @param {'pause'|'resume'|'next'|'previous'|'seek'} action - What to do
+   * @param {Object} [options] - Action options
+   * @param {string} [options.deviceId] - Device to control, defaults to the active device
+   * @param {number} [options.positionMs] - Position to jump to, for "seek"
+   * @returns {Promise<void>}
+   */
+  async sendPlayerCommand(action, { deviceId, positionMs } = {}) {
+    const response = await fetch('/api/spotify/player/control', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ action, deviceId, positionMs })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+      throw new Error(error.error || `Failed to ${action}`);
+    }
+  }
+
   /**
    * Search for tracks and albums
    * @param {string} query - Search query
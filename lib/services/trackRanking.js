@@ -0,0 +1,240 @@
+/**
+ * Track Ranking
+ * Scores search results by how closely their audio features match a mood's
+ * target features, and orders them best fit first
+ */
+
+import { FEATURE_RANGES } from '../config/moodMappings.js';
+
+/**
+ * How much each feature matters when comparing a track to a mood
+ * Valence and energy define the mood; the rest refine it
+ */
+const FEATURE_WEIGHTS = {
+  valence: 0.3,
+  energy: 0.3,
+  danceability: 0.15,
+  acousticness: 0.1,
+  instrumentalness: 0.05,
+  tempo: 0.1
+};
+
+/**
+ * Tracks scoring below this are always dropped
+ */
+const MIN_SCORE = 0.5;
+
+/**
+ * Tracks more than this many standard deviations below the mean score are outliers
+ */
+const OUTLIER_DEVIATIONS = 1.5;
+
+/**
+ * Never filter a result list below this many tracks
+ */
+const MIN_RESULTS = 5;
+
+/**
+ * A feature counts as matching when it is within this share of its range of the target
+ */
+const MATCH_TOLERANCE = 0.15;
+
+/**
+ * Most matched features listed in an explanation
+ */
+const MAX_EXPLAINED_FEATURES = 3;
+
+/**
+ * Human-readable feature names
+ */
+const FEATURE_NAMES = {
+  valence: 'positivity',
+  energy: 'energy',
+  danceability: 'danceability',
+  acousticness: 'acousticness',
+  instrumentalness: 'instrumentalness',
+  tempo: 'tempo'
+};
+
+/**
+ * Describe a feature value, e.g. "low energy 0.21" or "fast tempo 128 BPM"
+ * @param {string} feature - Audio feature name
+ * @param {number} value - Feature value
+ * @returns {string} Short description
+ */
+export function describeFeature(feature, value) {
+  if (feature === 'tempo') {
+    const pace = value < 90 ? 'slow' : value > 130 ? 'fast' : 'mid';
+    return `${pace} tempo ${Math.round(value)} BPM`;
+  }
+
+  const level = value < 0.35 ? 'low' : value > 0.65 ? 'high' : 'medium';
+  return `${level} ${FEATURE_NAMES[feature]} ${value.toFixed(2)}`;
+}
+
+/**
+ * List the features where a track is closest to the mood target
+ * @param {import('../types/spotify.js').AudioFeatures} features - The track's audio features
+ * @param {import('../types/spotify.js').AudioFeatures} target - The mood's target features
+ * @returns {Array<{feature: string, value: number, target: number, label: string}>} Matching features, closest first
+ */
+export function findMatchedFeatures(features, target) {
+  if (!features || !target) return [];
+
+  return Object.keys(FEATURE_WEIGHTS)
+    .filter(feature => typeof features[feature] === 'number' && typeof target[feature] === 'number')
+    .map(feature => {
+      const { min, max } = FEATURE_RANGES[feature];
+      return { feature, gap: Math.abs(features[feature] - target[feature]) / (max - min) };
+    })
+    .filter(({ gap }) => gap <= MATCH_TOLERANCE)
+    .sort((a, b) => a.gap - b.gap || FEATURE_WEIGHTS[b.feature] - FEATURE_WEIGHTS[a.feature])
+    .slice(0, MAX_EXPLAINED_FEATURES)
+    .map(({ feature }) => ({
+      feature,
+      value: features[feature],
+      target: target[feature],
+      label: describeFeature(feature, features[feature])
+    }));
+}
+
+/**
+ * Build the explanation attached to a recommendation
+ * @param {Object} details - What is known about the match
+ * @param {number|null} [details.score] - Mood fit score
+ * @param {Array} [details.matchedFeatures] - Output of findMatchedFeatures
+ * @param {import('../types/spotify.js').RecommendationSource} [details.source] - What produced the item
+ * @returns {import('../types/spotify.js').RecommendationExplanation} Explanation
+ */
+export function buildExplanation({ score = null, matchedFeatures = [], source = null } = {}) {
+  return {
+    score,
+    matchedFeatures,
+    source,
+    summary: matchedFeatures.map(({ label }) => label).join(', ')
+  };
+}
+
+/**
+ * Score how well a track's audio features fit a mood target
+ * @param {import('../types/spotify.js').AudioFeatures} features - The track's audio features
+ * @param {import('../types/spotify.js').AudioFeatures} target - The mood's target features
+ * @returns {number|null} Fit from 0 (opposite) to 1 (exact match), or null when nothing can be compared
+ */
+export function scoreTrackFeatures(features, target) {
+  if (!features || !target) return null;
+
+  let distance = 0;
+  let totalWeight = 0;
+
+  for (const [feature, weight] of Object.entries(FEATURE_WEIGHTS)) {
+    const value = features[feature];
+    const goal = target[feature];
+    if (typeof value !== 'number' || typeof goal !== 'number') continue;
+
+    // Put tempo on the same 0-1 scale as everything else
+    const { min, max } = FEATURE_RANGES[feature];
+    const difference = (Math.min(Math.max(value, min), max) - goal) / (max - min);
+
+    distance += weight * difference * difference;
+    totalWeight += weight;
+  }
+
+  if (totalWeight === 0) return null;
+
+  return Math.round((1 - Math.sqrt(distance / totalWeight)) * 1000) / 1000;
+}
+
+/**
+ * Work out the lowest score a track can have and still be kept
+ * @param {number[]} scores - Scores of every candidate
+ * @returns {number} Cut-off score
+ */
+function getScoreCutoff(scores) {
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length;
+
+  return Math.max(MIN_SCORE, mean - OUTLIER_DEVIATIONS * Math.sqrt(variance));
+}
+
+/**
+ * Rank tracks by mood fit
+ * Each track gets a `moodScore` and an `explanation`. Outliers are dropped, but at least
+ * MIN_RESULTS tracks are always kept. Tracks without audio features go last, unscored.
+ * @param {import('../types/spotify.js').SpotifyTrack[]} tracks - Candidate tracks
+ * @param {Object<string, import('../types/spotify.js').AudioFeatures>} featuresById - Audio features keyed by track id
+ * @param {import('../types/spotify.js').AudioFeatures} target - The mood's target features
+ * @param {import('../types/spotify.js').RecommendationSource} [source] - What produced the candidates
+ * @returns {import('../types/spotify.js').SpotifyTrack[]} Tracks, best fit first
+ */
+export function rankTracks(tracks, featuresById, target, source = null) {
+  const scored = [];
+  const unscored = [];
+
+  for (const track of tracks) {
+    const features = featuresById[track?.id];
+    const moodScore = scoreTrackFeatures(features, target);
+    const explanation = buildExplanation({
+      score: moodScore,
+      matchedFeatures: findMatchedFeatures(features, target),
+      source
+    });
+    (moodScore === null ? unscored : scored).push({ ...track, moodScore, explanation });
+  }
+
+  // Stable sort keeps Spotify's relevance order for equal scores
+  scored.sort((a, b) => b.moodScore - a.moodScore);
+
+  if (scored.length === 0) {
+    return unscored;
+  }
+
+  const cutoff = getScoreCutoff(scored.map(track => track.moodScore));
+  const kept = scored.filter((track, index) => index < MIN_RESULTS || track.moodScore >= cutoff);
+
+  return [...kept, ...unscored];
+}
+
+/**
+ * Rank albums by the mood fit of their ranked tracks
+ * Albums get the average `moodScore` of their ranked tracks and the matched features
+ * of their best track; albums with no ranked tracks keep their original order after
+ * the scored ones.
+ * @param {import('../types/spotify.js').SpotifyAlbum[]} albums - Candidate albums
+ * @param {import('../types/spotify.js').SpotifyTrack[]} rankedTracks - Output of rankTracks, one or more lists concatenated
+ * @param {import('../types/spotify.js').RecommendationSource} [source] - What produced the candidates
+ * @returns {import('../types/spotify.js').SpotifyAlbum[]} Albums, best fit first
+ */
+export function rankAlbums(albums, rankedTracks, source = null) {
+  const tracksByAlbum = new Map();
+
+  // rankedTracks is sorted, so the first track per album is its best
+  for (const track of rankedTracks) {
+    if (typeof track.moodScore !== 'number' || !track.album?.id) continue;
+    const tracks = tracksByAlbum.get(track.album.id) || [];
+    tracks.push(track);
+    tracksByAlbum.set(track.album.id, tracks);
+  }
+
+  const scored = [];
+  const unscored = [];
+
+  for (const album of albums) {
+    const tracks = tracksByAlbum.get(album?.id);
+    if (tracks) {
+      const total = tracks.reduce((sum, track) => sum + track.moodScore, 0);
+      const moodScore = Math.round((total / tracks.length) * 1000) / 1000;
+      const explanation = buildExplanation({
+        score: moodScore,
+        matchedFeatures: tracks[0].explanation?.matchedFeatures || [],
+        source
+      });
+      scored.push({ ...album, moodScore, explanation });
+    } else {
+      unscored.push({ ...album, moodScore: null, explanation: buildExplanation({ source }) });
+    }
+  }
+
+  scored.sort((a, b) => b.moodScore - a.moodScore);
+  return [...scored, ...unscored];
+}
@@ -0,0 +1,77 @@
+/**
+ * Web Playback SDK
+ * Loads Spotify's in-browser player and reads its state
+ */
+
+/**
+ * Where Spotify serves the SDK from
+ */
+export const SDK_URL = 'https://sdk.scdn.co/spotify-player.js';
+
+/**
+ * Name the browser shows up as in the user's list of Spotify devices
+ */
+export const PLAYER_NAME = 'Terera Web Player';
+
+let sdkLoading = null;
+
+/**
+ * Load the Web Playback SDK, once per page
+ * @returns {Promise<Object>} The SDK's `Spotify` namespace
+ * @throws {Error} If the script couldn't be loaded
+ */
+export function loadWebPlaybackSdk() {
+  if (typeof window === 'undefined') {
+    return Promise.reject(new Error('The Web Playback SDK only runs in the browser'));
+  }
+
+  if (window.Spotify?.Player) {
+    return Promise.resolve(window.Spotify);
+  }
+
+  if (!sdkLoading) {
+    sdkLoading = new Promise((resolve, reject) => {
+      // The SDK calls this global once it has loaded
+      window.onSpotifyWebPlaybackSDKReady = () => resolve(window.Spotify);
+
+      const script = document.createElement('script');
+      script.src = SDK_URL;
+      script.async = true;
+      script.onerror = () => {
+        // Let a later call try again
+        sdkLoading = null;
+        script.remove();
+        reject(new Error('Could not load the Spotify player'));
+      };
+      document.body.appendChild(script);
+    });
+  }
+
+  return sdkLoading;
+}
+
+/**
+ * Reduce a Web Playback SDK state to what the UI shows
+ * @param {Object|null} state - State from the SDK's player_state_changed event
+ * @returns {import('../types/spotify.js').PlaybackState|null} Playback state, or null when nothing is loaded
+ */
+export function toPlaybackState(state) {
+  const track = state?.track_window?.current_track;
+  if (!track) {
+    return null;
+  }
+
+  return {
+    // Relinked tracks play under another id; keep the one that was asked for
+    trackId: track.linked_from?.id || track.id,
+    name: track.name,
+    artists: (track.artists || []).map(artist => artist.name),
+    image: track.album?.images?.[0]?.url || null,
+    paused: Boolean(state.paused),
+    position: state.position || 0,
+    duration: state.duration || track.duration_ms || 0,
+    hasNext: (state.track_window.next_tracks || []).length > 0,
+    hasPrevious: (state.track_window.previous_tracks || []).length > 0,
+    updatedAt: Date.now()
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for user-defined custom moods
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { validateCustomMood, CUSTOM_MOOD_LIMITS } from '../config/moodMappings.js';
+import { MoodAnalysisService } from '../services/moodAnalysis.js';
+
+const features = { valence: 0.35, energy: 0.2, danceability: 0.3, acousticness: 0.8, instrumentalness: 0.4, tempo: 75 };
+
+const rainySunday = {
+  id: 'mood-1',
+  name: 'rainy sunday',
+  synonyms: ['drizzly', 'cosy afternoon'],
+  features,
+  seedGenres: ['jazz', 'ambient'],
+  seedArtists: []
+};
+
+describe('validateCustomMood', () => {
+  it('should normalise a valid mood', () => {
+    const { mood, errors } = validateCustomMood({
+      name: '  Rainy   Sunday ',
+      synonyms: ['Drizzly', 'drizzly', 'rainy sunday'],
+      features: { ...features, tempo: '75' },
+      seedGenres: ['Jazz']
+    });
+
+    expect(errors).toEqual([]);
+    expect(mood).toEqual({
+      name: 'rainy sunday',
+      synonyms: ['drizzly'],
+      features,
+      seedGenres: ['jazz'],
+      seedArtists: []
+    });
+  });
+
+  it('should reject features outside their ranges', () => {
+    const { mood, errors } = validateCustomMood({ name: 'too fast', features: { ...features, tempo: 400, energy: 1.5 } });
+
+    expect(mood).toBeNull();
+    expect(errors.some(error => error.includes('tempo'))).toBe(true);
+    expect(errors.some(error => error.includes('energy'))).toBe(true);
+  });
+
+  it('should reject missing features', () => {
+    const { errors } = validateCustomMood({ name: 'half done', features: { valence: 0.5 } });
+    expect(errors.length).toBeGreaterThan(0);
+  });
+
+  it('should reject names that are too short or too long', () => {
+    expect(validateCustomMood({ name: 'x', features }).errors).toHaveLength(1);
+    expect(validateCustomMood({ name: 'x'.repeat(CUSTOM_MOOD_LIMITS.nameLength.max + 1), features }).errors).toHaveLength(1);
+  });
+
+  it('should reject words used by built-in moods', () => {
+    const { errors } = validateCustomMood({ name: 'deep work', synonyms: ['happy'], features });
+    expect(errors).toEqual(['"happy" is already used by built-in mood "happy"']);
+  });
+
+  it('should reject words used by the user\'s other moods', () => {
+    const { errors } = validateCustomMood({ name: 'drizzly', features }, [rainySunday]);
+    expect(errors).toEqual(['"drizzly" is already used by your mood "rainy sunday"']);
+  });
+
+  it('should allow a mood to keep its own words when edited', () => {
+    const { errors } = validateCustomMood({ ...rainySunday, features: { ...features, energy: 0.3 } }, [rainySunday]);
+    expect(errors).toEqual([]);
+  });
+
+  it('should validate seed genres and artists', () => {
+    const { errors } = validateCustomMood({
+      name: 'deep work',
+      features,
+      seedGenres: ['lo fi'],
+      seedArtists: ['not-an-id']
+    });
+
+    expect(errors).toHaveLength(2);
+  });
+});
+
+describe('MoodAnalysisService custom moods', () => {
+  afterEach(() => {
+    MoodAnalysisService.clearCustomMoods();
+  });
+
+  it('should match a custom mood by name and synonym', () => {
+    MoodAnalysisService.setCustomMoods([rainySunday]);
+
+    expect(MoodAnalysisService.mapMoodToAudioFeatures('rainy sunday').primaryEmotion).toBe('rainy sunday');
+    expect(MoodAnalysisService.mapMoodToAudioFeatures('drizzly').primaryEmotion).toBe('rainy sunday');
+    expect(MoodAnalysisService.isMoodSupported('Cosy Afternoon')).toBe(true);
+  });
+
+  it('should use the custom mood\'s feature targets', () => {
+    MoodAnalysisService.setCustomMoods([rainySunday]);
+
+    const result = MoodAnalysisService.mapMoodToAudioFeatures('rainy sunday');
+    expect(result.audioFeatures).toEqual(features);
+    expect(result.searchTerms).toEqual(expect.arrayContaining(['rainy sunday', 'jazz', 'ambient']));
+  });
+
+  it('should find custom moods inside sentences and blend them', () => {
+    MoodAnalysisService.setCustomMoods([rainySunday]);
+
+    const result = MoodAnalysisService.mapMoodToAudioFeatures('a rainy sunday but happy');
+    expect(result.components.map(({ mood }) => mood)).toEqual(['rainy sunday', 'happy']);
+  });
+
+  it('should fuzzy match misspelled custom moods', () => {
+    MoodAnalysisService.setCustomMoods([rainySunday]);
+    expect(MoodAnalysisService.mapMoodToAudioFeatures('drizly').primaryEmotion).toBe('rainy sunday');
+  });
+
+  it('should include custom moods in suggestions', () => {
+    MoodAnalysisService.setCustomMoods([rainySunday]);
+
+    expect(MoodAnalysisService.getSuggestedMoods('')[0]).toBe('rainy sunday');
+    expect(MoodAnalysisService.getSuggestedMoods('driz')).toEqual(['rainy sunday']);
+  });
+
+  it('should give the seed artists of custom moods in the analysis', () => {
+    const artist = '4Z8W4fKeB5YxbusRsdQVPb';
+    MoodAnalysisService.setCustomMoods([{ ...rainySunday, seedArtists: [artist] }]);
+
+    expect(MoodAnalysisService.getSeedArtists(MoodAnalysisService.mapMoodToAudioFeatures('a rainy sunday but happy'))).toEqual([artist]);
+    expect(MoodAnalysisService.getSeedArtists(MoodAnalysisService.mapMoodToAudioFeatures('happy'))).toEqual([]);
+  });
+
+  it('should forget custom moods when cleared', () => {
+    MoodAnalysisService.setCustomMoods([rainySunday]);
+    MoodAnalysisService.clearCustomMoods();
+
+    expect(MoodAnalysisService.getCustomMoods()).toEqual([]);
+    expect(MoodAnalysisService.mapMoodToAudioFeatures('rainy sunday').primaryEmotion).not.toBe('rainy sunday');
+  });
+});
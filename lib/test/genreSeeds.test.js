@@ -0,0 +1,69 @@
+/**
+ * Unit tests for seed genre selection
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { spotifyFetch } = vi.hoisted(() => ({ spotifyFetch: vi.fn() }));
+
+vi.mock('../server/spotifyTokens.js', () => ({ spotifyFetch }));
+
+import { selectSeedGenres, fetchAvailableGenreSeeds, DEFAULT_SEED_GENRES } from '../server/genreSeeds.js';
+import { genreSeedsCache } from '../server/responseCache.js';
+import { getMoodDefinition } from '../config/moodMappings.js';
+
+const available = ['acoustic', 'ambient', 'chill', 'folk', 'pop', 'rock', 'sad', 'singer-songwriter', 'sleep'];
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+describe('Seed genre selection', () => {
+  beforeEach(async () => {
+    spotifyFetch.mockReset();
+    spotifyFetch.mockImplementation(async () => jsonResponse({ genres: available }));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await genreSeedsCache.clear();
+  });
+
+  it('should drop genres Spotify does not accept', async () => {
+    const result = await selectSeedGenres(['sad', 'not-a-genre', 'acoustic', 'Folk']);
+
+    expect(result).toEqual({ genres: ['sad', 'acoustic'], fallback: false });
+  });
+
+  it('should keep at most the limit', async () => {
+    const { genres } = await selectSeedGenres(available, { limit: 3 });
+
+    expect(genres).toEqual(['acoustic', 'ambient', 'chill']);
+  });
+
+  it('should cache the available genres', async () => {
+    await fetchAvailableGenreSeeds();
+    await fetchAvailableGenreSeeds();
+
+    expect(spotifyFetch).toHaveBeenCalledTimes(1);
+    expect(spotifyFetch).toHaveBeenCalledWith('/recommendations/available-genre-seeds');
+  });
+
+  it('should fall back to the genres of nearby moods', async () => {
+    const calm = getMoodDefinition('calm');
+    const { genres, fallback } = await selectSeedGenres(['not-a-genre'], { audioFeatures: calm.features });
+
+    expect(fallback).toBe(true);
+    expect(genres.length).toBeGreaterThan(0);
+    expect(genres.every(genre => available.includes(genre))).toBe(true);
+  });
+
+  it('should fall back to the defaults without target features', async () => {
+    const result = await selectSeedGenres([]);
+
+    expect(result).toEqual({ genres: DEFAULT_SEED_GENRES, fallback: true });
+  });
+
+  it('should trust well-formed genres when Spotify cannot list them', async () => {
+    spotifyFetch.mockImplementation(async () => jsonResponse({ error: { status: 404 } }, 404));
+
+    const result = await selectSeedGenres(['sad', 'Not Valid', 'indie']);
+
+    expect(result).toEqual({ genres: ['sad', 'indie'], fallback: false });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for market resolution and the market preference
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { getSession, spotifyFetch, update } = vi.hoisted(() => ({
+  getSession: vi.fn(),
+  spotifyFetch: vi.fn(),
+  update: vi.fn()
+}));
+
+vi.mock('../server/spotifyTokens.js', () => ({ getSession, spotifyFetch }));
+vi.mock('../server/sessionStore.js', () => ({ sessionStore: { update } }));
+
+import { resolveMarket, TOKEN_MARKET } from '../server/market.js';
+import { getMarketOverride, setMarketOverride, resolveMarket as resolveClientMarket } from '../services/marketPreference.js';
+import { isValidMarket } from '../config/markets.js';
+
+describe('Market resolution', () => {
+  beforeEach(() => {
+    getSession.mockReset();
+    spotifyFetch.mockReset();
+    update.mockReset();
+  });
+
+  it('should use the market the client asked for', async () => {
+    expect(await resolveMarket('GB')).toBe('GB');
+    expect(getSession).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the account country stored in the session', async () => {
+    getSession.mockResolvedValue({ id: 's1', record: { userId: 'u1', country: 'ZA' } });
+
+    expect(await resolveMarket('not-a-market')).toBe('ZA');
+    expect(spotifyFetch).not.toHaveBeenCalled();
+  });
+
+  it('should look up and remember the country for older sessions', async () => {
+    getSession.mockResolvedValue({ id: 's1', record: { userId: 'u1' } });
+    spotifyFetch.mockResolvedValue(new Response(JSON.stringify({ id: 'u1', country: 'KE' })));
+
+    expect(await resolveMarket()).toBe('KE');
+    expect(update).toHaveBeenCalledWith('s1', { country: 'KE' });
+  });
+
+  it('should let Spotify decide when the country is unknown', async () => {
+    getSession.mockResolvedValue(null);
+
+    expect(await resolveMarket()).toBe(TOKEN_MARKET);
+  });
+});
+
+describe('Market preference', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should remember a valid override', () => {
+    setMarketOverride('DE');
+    expect(localStorage.setItem).toHaveBeenCalledWith('terera_market', 'DE');
+
+    setMarketOverride(null);
+    expect(localStorage.removeItem).toHaveBeenCalledWith('terera_market');
+  });
+
+  it('should ignore invalid markets', () => {
+    localStorage.getItem.mockReturnValueOnce('XX');
+    expect(getMarketOverride()).toBeNull();
+
+    localStorage.getItem.mockReturnValueOnce('GB');
+    expect(getMarketOverride()).toBe('GB');
+
+    setMarketOverride('XX');
+    expect(localStorage.setItem).not.toHaveBeenCalled();
+    expect(isValidMarket('zA')).toBe(false);
+  });
+
+  it('should prefer the override to the account country', () => {
+    expect(resolveClientMarket({ country: 'ZA' }, 'US')).toBe('US');
+    expect(resolveClientMarket({ country: 'ZA' }, null)).toBe('ZA');
+    expect(resolveClientMarket(null, null)).toBeNull();
+  });
+});
@@ -144,6 +144,277 @@ describe('MoodAnalysisService', () => {
     });
   });
 
+  describe('detectEmotions', () => {
+    it('should detect every mood mentioned in a sentence', () => {
+      const emotions = MoodAnalysisService.detectEmotions('feeling sad but hopeful after a long day');
+      const moods = emotions.map(emotion => emotion.mood);
+      
+      expect(moods).toContain('sad');
+      expect(moods).toContain('confident');
+      expect(moods).toContain('peaceful');
+    });
+
+    it('should return weights that sum to 1', () => {
+      const emotions = MoodAnalysisService.detectEmotions('happy and energetic');
+      const total = emotions.reduce((sum, emotion) => sum + emotion.weight, 0);
+      
+      expect(emotions).toHaveLength(2);
+      expect(total).toBeCloseTo(1);
+    });
+
+    it('should weight repeated moods more heavily', () => {
+      const emotions = MoodAnalysisService.detectEmotions('sad and blue, a little calm');
+      
+      expect(emotions[0].mood).toBe('sad');
+      expect(emotions[0].terms).toEqual(['sad', 'blue']);
+      expect(emotions[0].weight).toBeGreaterThan(emotions[1].weight);
+    });
+
+    it('should match multi-word phrases before single words', () => {
+      const emotions = MoodAnalysisService.detectEmotions('I need to calm down');
+      
+      expect(emotions).toHaveLength(1);
+      expect(emotions[0].mood).toBe('calm');
+      expect(emotions[0].terms).toEqual(['calm down']);
+    });
+
+    it('should understand the MoodInput suggestions', () => {
+      expect(MoodAnalysisService.detectEmotions('need motivation')[0].mood).toBe('motivated');
+      expect(MoodAnalysisService.detectEmotions('studying focus')[0].mood).toBe('focused');
+      expect(MoodAnalysisService.detectEmotions('party vibes')[0].mood).toBe('excited');
+      expect(MoodAnalysisService.detectEmotions('chill and relaxed')[0].mood).toBe('calm');
+    });
+
+    it('should fuzzy match misspelled words inside a sentence', () => {
+      const emotions = MoodAnalysisService.detectEmotions('feeling realy hapy today');
+      
+      expect(emotions[0].mood).toBe('happy');
+    });
+
+    it('should score misspelled words against the synonym they match', () => {
+      const emotions = MoodAnalysisService.detectEmotions('feeling heartbrokn and happy');
+      const sad = emotions.find(emotion => emotion.mood === 'sad');
+      
+      expect(sad).toBeDefined();
+      expect(sad.weight).toBeGreaterThan(0.4);
+    });
+
+    it('should be nearly as confident about a one-letter typo of a synonym', () => {
+      const [exact] = MoodAnalysisService.detectEmotions('heartbroken');
+      const [typo] = MoodAnalysisService.detectEmotions('heartbrokn');
+      
+      expect(typo.mood).toBe('sad');
+      expect(typo.intensity / exact.intensity).toBeGreaterThan(0.9);
+      expect(MoodAnalysisService.detectEmotions('feeling depresed')[0].intensity).toBeGreaterThan(0.6);
+    });
+
+    it('should ignore punctuation around a single word', () => {
+      ['SAD!!!', 'sad...', 'i am sad!!!'].forEach(input => {
+        const emotions = MoodAnalysisService.detectEmotions(input);
+        
+        expect(emotions).toHaveLength(1);
+        expect(emotions[0].mood).toBe('sad');
+        expect(emotions[0].terms).toEqual(['sad']);
+      });
+      expect(MoodAnalysisService.mapMoodToAudioFeatures('SAD!!!').primaryEmotion).toBe('sad');
+    });
+
+    it('should not fuzzy match filler words', () => {
+      expect(MoodAnalysisService.detectEmotions('what should I listen to')).toEqual([]);
+    });
+
+    it('should return an empty array for invalid input', () => {
+      expect(MoodAnalysisService.detectEmotions('')).toEqual([]);
+      expect(MoodAnalysisService.detectEmotions(null)).toEqual([]);
+    });
+  });
+
+  describe('sentence input', () => {
+    it('should pick the strongest emotion as primary instead of falling back to neutral', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('feeling sad but hopeful after a long day');
+      
+      expect(analysis.primaryEmotion).toBe('sad');
+      expect(analysis.emotions.length).toBeGreaterThan(1);
+    });
+
+    it('should include an empty emotions list for unrecognised input', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('xyz123unknown');
+      
+      expect(analysis.emotions).toEqual([]);
+    });
+  });
+
+  describe('negation and intensifiers', () => {
+    it('should read a negated mood as its opposite', () => {
+      expect(MoodAnalysisService.mapMoodToAudioFeatures('not happy').primaryEmotion).toBe('sad');
+      expect(MoodAnalysisService.mapMoodToAudioFeatures('not angry anymore').primaryEmotion).toBe('calm');
+      expect(MoodAnalysisService.mapMoodToAudioFeatures('no longer anxious').primaryEmotion).toBe('calm');
+      expect(MoodAnalysisService.mapMoodToAudioFeatures("I'm never sad").primaryEmotion).toBe('happy');
+    });
+
+    it('should give negated moods a lower intensity than plain ones', () => {
+      const plain = MoodAnalysisService.mapMoodToAudioFeatures('feeling sad');
+      const negated = MoodAnalysisService.mapMoodToAudioFeatures('not happy');
+      
+      expect(negated.intensity).toBeLessThan(plain.intensity);
+    });
+
+    it('should drop negated moods that have no opposite', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('not romantic');
+      
+      expect(analysis.primaryEmotion).toBe('neutral');
+    });
+
+    it('should raise intensity for amplifiers and lower it for downtoners', () => {
+      const plain = MoodAnalysisService.mapMoodToAudioFeatures('calm');
+      const very = MoodAnalysisService.mapMoodToAudioFeatures('very calm');
+      const extremely = MoodAnalysisService.mapMoodToAudioFeatures('extremely calm');
+      const little = MoodAnalysisService.mapMoodToAudioFeatures('a little anxious');
+      
+      expect(very.primaryEmotion).toBe('calm');
+      expect(very.intensity).toBeGreaterThan(plain.intensity);
+      expect(extremely.intensity).toBeGreaterThan(very.intensity);
+      expect(extremely.intensity).toBeLessThanOrEqual(1);
+      expect(little.primaryEmotion).toBe('anxious');
+      expect(little.intensity).toBeLessThan(plain.intensity);
+    });
+
+    it('should weight modified moods in a sentence by their degree', () => {
+      const emotions = MoodAnalysisService.detectEmotions('slightly anxious but very happy');
+      
+      expect(emotions[0].mood).toBe('happy');
+      expect(emotions[0].terms).toEqual(['very happy']);
+    });
+
+    it('should not carry modifiers across clauses', () => {
+      const emotions = MoodAnalysisService.detectEmotions('not tired, happy');
+      const happy = emotions.find(emotion => emotion.mood === 'happy');
+      
+      expect(happy.terms).toEqual(['happy']);
+    });
+  });
+
+  describe('blended mood profiles', () => {
+    it('should average the features of every mood mentioned', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('happy and energetic');
+      const mappings = MoodAnalysisService.getAllMoodMappings();
+      
+      expect(analysis.audioFeatures.valence).toBeCloseTo((mappings.happy.valence + mappings.energetic.valence) / 2);
+      expect(analysis.audioFeatures.energy).toBeCloseTo((mappings.happy.energy + mappings.energetic.energy) / 2);
+      expect(analysis.audioFeatures.tempo).toBe(Math.round((mappings.happy.tempo + mappings.energetic.tempo) / 2));
+    });
+
+    it('should list contributing moods with weights', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('happy and energetic');
+      
+      expect(analysis.components).toEqual([
+        { mood: 'happy', weight: 0.5 },
+        { mood: 'energetic', weight: 0.5 }
+      ]);
+      expect(analysis.searchTerms).toContain('energetic');
+    });
+
+    it('should keep a single mood profile unchanged', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('sad');
+      
+      expect(analysis.components).toEqual([{ mood: 'sad', weight: 1 }]);
+      expect(analysis.audioFeatures).toEqual(MoodAnalysisService.getAllMoodMappings().sad);
+    });
+
+    it('should favour the more strongly expressed mood', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('extremely happy but a little sad');
+      const [happy, sad] = analysis.components;
+      
+      expect(happy.mood).toBe('happy');
+      expect(happy.weight).toBeGreaterThan(sad.weight);
+      expect(analysis.audioFeatures.valence).toBeGreaterThan(0.5);
+    });
+
+    it('should blend at most three moods', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('happy, sad, calm, angry and dreamy');
+      const total = analysis.components.reduce((sum, component) => sum + component.weight, 0);
+      
+      expect(analysis.emotions).toHaveLength(5);
+      expect(analysis.components).toHaveLength(3);
+      expect(total).toBeCloseTo(1);
+    });
+
+    it('should return empty components for the neutral fallback', () => {
+      expect(MoodAnalysisService.mapMoodToAudioFeatures('xyz123unknown').components).toEqual([]);
+    });
+  });
+
+  describe('emoji and emoticon input', () => {
+    it('should recognise a single emoji', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('😢');
+      expect(analysis.primaryEmotion).toBe('sad');
+      expect(analysis.intensity).toBe(0.7);
+    });
+
+    it('should recognise emoticons', () => {
+      expect(MoodAnalysisService.mapMoodToAudioFeatures(':)').primaryEmotion).toBe('happy');
+      expect(MoodAnalysisService.mapMoodToAudioFeatures(":'(").primaryEmotion).toBe('sad');
+      expect(MoodAnalysisService.mapMoodToAudioFeatures('<3').primaryEmotion).toBe('romantic');
+      expect(MoodAnalysisService.mapMoodToAudioFeatures(':D').primaryEmotion).toBe('happy');
+    });
+
+    it('should ignore variation selectors and skin tones', () => {
+      expect(MoodAnalysisService.mapMoodToAudioFeatures('☕️').primaryEmotion).toBe('motivated');
+      expect(MoodAnalysisService.mapMoodToAudioFeatures('💪🏽').primaryEmotion).toBe('motivated');
+    });
+
+    it('should read emoji combinations as a whole', () => {
+      const emotions = MoodAnalysisService.detectEmotions('😴☕');
+      expect(emotions.map(({ mood }) => mood)).toEqual(['focused', 'peaceful']);
+      expect(MoodAnalysisService.detectEmotions('😴 ☕')[0].mood).toBe('focused');
+    });
+
+    it('should boost intensity for repeated emojis', () => {
+      const once = MoodAnalysisService.mapMoodToAudioFeatures('😢');
+      const thrice = MoodAnalysisService.mapMoodToAudioFeatures('😢😢😢');
+      expect(thrice.intensity).toBeGreaterThan(once.intensity);
+      expect(thrice.emotions).toHaveLength(1);
+    });
+
+    it('should combine emojis with words', () => {
+      const emotions = MoodAnalysisService.detectEmotions('feeling calm 😰');
+      expect(emotions.map(({ mood }) => mood)).toEqual(['calm', 'anxious']);
+    });
+
+    it('should not carry modifiers across an emoji', () => {
+      const emotions = MoodAnalysisService.detectEmotions('not 😊 happy');
+      expect(emotions.find(({ mood }) => mood === 'happy')).toBeDefined();
+      expect(emotions.find(({ mood }) => mood === 'sad')).toBeUndefined();
+    });
+
+    it('should not treat URLs or times as emoticons', () => {
+      expect(MoodAnalysisService.detectEmotions('meet at 10:30')).toEqual([]);
+      expect(MoodAnalysisService.detectEmotions('http://example.com')).toEqual([]);
+    });
+
+    it('should fall back to neutral for unknown emojis', () => {
+      expect(MoodAnalysisService.mapMoodToAudioFeatures('🦒').primaryEmotion).toBe('neutral');
+    });
+  });
+
+  describe('blendMoods', () => {
+    it('should blend moods by relative weight', () => {
+      const features = MoodAnalysisService.blendMoods({ calm: 3, happy: 1 });
+      const mappings = MoodAnalysisService.getAllMoodMappings();
+      
+      expect(features.energy).toBeCloseTo(mappings.calm.energy * 0.75 + mappings.happy.energy * 0.25, 1);
+    });
+
+    it('should accept synonyms', () => {
+      expect(MoodAnalysisService.blendMoods({ joyful: 1 })).toEqual(MoodAnalysisService.getAllMoodMappings().happy);
+    });
+
+    it('should throw when no known mood is given', () => {
+      expect(() => MoodAnalysisService.blendMoods({})).toThrow();
+      expect(() => MoodAnalysisService.blendMoods({ xyz123: 1 })).toThrow();
+    });
+  });
+
   describe('getAllMoodMappings', () => {
     it('should return all mood mappings', () => {
       const mappings = MoodAnalysisService.getAllMoodMappings();
@@ -165,6 +436,33 @@ describe('MoodAnalysisService', () => {
     });
   });
 
+  describe('getSeedGenres', () => {
+    it('should start with the primary mood\'s genres', () => {
+      const genres = MoodAnalysisService.getSeedGenres(MoodAnalysisService.mapMoodToAudioFeatures('sad'));
+
+      expect(genres.slice(0, 3)).toEqual(['sad', 'acoustic', 'singer-songwriter']);
+    });
+
+    it('should follow with genres suggested by the audio features', () => {
+      const genres = MoodAnalysisService.getSeedGenres(MoodAnalysisService.mapMoodToAudioFeatures('sad'), 10);
+
+      expect(genres).toEqual(['sad', 'acoustic', 'singer-songwriter', 'indie', 'alternative', 'folk']);
+    });
+
+    it('should add the genres of blended moods without repeats', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('happy and energetic');
+      const genres = MoodAnalysisService.getSeedGenres(analysis);
+
+      expect(genres.slice(0, 3)).toEqual(['happy', 'pop', 'funk']);
+      expect(genres.length).toBeLessThanOrEqual(5);
+      expect(new Set(genres).size).toBe(genres.length);
+    });
+
+    it('should have no genres for the neutral mood', () => {
+      expect(MoodAnalysisService.getSeedGenres(MoodAnalysisService.getNeutralAnalysis('xyz'))).toEqual([]);
+    });
+  });
+
   describe('getAllMoodSynonyms', () => {
     it('should return all mood synonyms', () => {
       const synonyms = MoodAnalysisService.getAllMoodSynonyms();
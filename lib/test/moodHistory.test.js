@@ -0,0 +1,221 @@
+/**
+ * Unit tests for the mood search history
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { validateHistoryEntry, addHistoryEntry, MOOD_HISTORY_LIMITS } from '../config/moodHistory.js';
+import { moodHistoryService } from '../services/moodHistoryService.js';
+
+const track = {
+  id: 'track-1',
+  name: 'Here Comes the Sun',
+  artists: [{ id: 'artist-1', name: 'The Beatles', href: 'https://api.spotify.com/v1/artists/artist-1' }],
+  album: { id: 'album-1', name: 'Abbey Road', images: [{ url: 'https://i.scdn.co/image/cover' }], tracks: { items: [] } },
+  preview_url: 'https://p.scdn.co/mp3-preview/sun',
+  duration_ms: 185000,
+  popularity: 80,
+  available_markets: ['GB', 'US'],
+  moodScore: 0.9
+};
+
+const search = {
+  mood: '  sunny   morning ',
+  recommendations: { tracks: [track, track], albums: [] },
+  audioFeatures: { valence: 0.8, energy: 0.6, tempo: 'fast' }
+};
+
+/**
+ * Mock fetch response
+ */
+function respond(status, body) {
+  return Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) });
+}
+
+describe('validateHistoryEntry', () => {
+  it('should normalise the mood and trim Spotify objects', () => {
+    const { entry, errors } = validateHistoryEntry(search);
+
+    expect(errors).toEqual([]);
+    expect(entry.mood).toBe('sunny morning');
+    expect(entry.recommendations.tracks).toHaveLength(1);
+    expect(entry.recommendations.tracks[0]).toEqual({
+      id: 'track-1',
+      name: 'Here Comes the Sun',
+      artists: [{ id: 'artist-1', name: 'The Beatles', external_urls: undefined }],
+      external_urls: undefined,
+      duration_ms: 185000,
+      preview_url: 'https://p.scdn.co/mp3-preview/sun',
+      moodScore: 0.9,
+      album: { id: 'album-1', name: 'Abbey Road', images: [{ url: 'https://i.scdn.co/image/cover' }] }
+    });
+    expect(entry.audioFeatures).toEqual({ valence: 0.8, energy: 0.6 });
+  });
+
+  it('should cap the number of tracks', () => {
+    const tracks = Array.from({ length: MOOD_HISTORY_LIMITS.maxTracks + 5 }, (_, i) => ({ ...track, id: `track-${i}` }));
+    const { entry } = validateHistoryEntry({ ...search, recommendations: { tracks } });
+
+    expect(entry.recommendations.tracks).toHaveLength(MOOD_HISTORY_LIMITS.maxTracks);
+  });
+
+  it('should bound every field the client sends', () => {
+    const long = 'x'.repeat(10000);
+    const bloated = {
+      ...track,
+      name: long,
+      artists: Array.from({ length: 100 }, (_, i) => ({ id: `artist-${i}`, name: long })),
+      preview_url: 'javascript:alert(1)',
+      explanation: {
+        score: 0.8,
+        summary: long,
+        matchedFeatures: Array.from({ length: 100 }, () => ({ feature: 'energy', value: 0.5, target: 0.5, label: long })),
+        source: { type: 'search', query: long, extra: long },
+        extra: long
+      }
+    };
+    const { entry } = validateHistoryEntry({ ...search, recommendations: { tracks: [bloated] } });
+    const [saved] = entry.recommendations.tracks;
+
+    expect(saved.name).toHaveLength(MOOD_HISTORY_LIMITS.textLength);
+    expect(saved.artists).toHaveLength(MOOD_HISTORY_LIMITS.maxArtists);
+    expect(saved.preview_url).toBeUndefined();
+    expect(saved.explanation.summary).toHaveLength(MOOD_HISTORY_LIMITS.textLength);
+    expect(saved.explanation.matchedFeatures).toHaveLength(MOOD_HISTORY_LIMITS.maxMatchedFeatures);
+    expect(saved.explanation.source).toEqual({ type: 'search', query: 'x'.repeat(MOOD_HISTORY_LIMITS.textLength) });
+    expect(saved.explanation.extra).toBeUndefined();
+  });
+
+  it('should drop the lowest ranked items from an entry that is too large', () => {
+    const long = 'x'.repeat(MOOD_HISTORY_LIMITS.textLength);
+    const tracks = Array.from({ length: MOOD_HISTORY_LIMITS.maxTracks }, (_, i) => ({
+      ...track,
+      id: `track-${i}`,
+      name: long,
+      artists: Array.from({ length: MOOD_HISTORY_LIMITS.maxArtists }, () => ({ id: long.slice(0, 100), name: long })),
+      explanation: { summary: long, source: { type: 'seed', seeds: { genres: [long, long, long, long, long], tracks: [long, long, long, long, long] } } }
+    }));
+    const { entry } = validateHistoryEntry({ ...search, recommendations: { tracks } });
+
+    expect(JSON.stringify(entry).length).toBeLessThanOrEqual(MOOD_HISTORY_LIMITS.maxEntrySize);
+    expect(entry.recommendations.tracks.length).toBeLessThan(MOOD_HISTORY_LIMITS.maxTracks);
+    expect(entry.recommendations.tracks[0].id).toBe('track-0');
+  });
+
+  it('should reject a search without results or mood', () => {
+    expect(validateHistoryEntry({ mood: 'calm', recommendations: {} }).entry).toBeNull();
+    expect(validateHistoryEntry({ ...search, mood: '   ' }).errors).toHaveLength(1);
+    expect(validateHistoryEntry(null).entry).toBeNull();
+  });
+});
+
+describe('addHistoryEntry', () => {
+  it('should put the entry first and drop the oldest beyond the limit', () => {
+    const history = Array.from({ length: MOOD_HISTORY_LIMITS.maxEntries }, (_, i) => ({ id: `entry-${i}` }));
+    const result = addHistoryEntry(history, { id: 'new' });
+
+    expect(result).toHaveLength(MOOD_HISTORY_LIMITS.maxEntries);
+    expect(result[0].id).toBe('new');
+    expect(result.some(entry => entry.id === `entry-${MOOD_HISTORY_LIMITS.maxEntries - 1}`)).toBe(false);
+  });
+});
+
+describe('MoodHistoryService', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    localStorage.getItem.mockImplementation(key => stored[key] ?? null);
+    localStorage.setItem.mockImplementation((key, value) => { stored[key] = value; });
+    localStorage.removeItem.mockImplementation(key => { delete stored[key]; });
+    global.fetch = vi.fn();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    moodHistoryService.clear();
+  });
+
+  afterEach(() => {
+    localStorage.getItem.mockReset();
+    localStorage.setItem.mockReset();
+    localStorage.removeItem.mockReset();
+    vi.restoreAllMocks();
+  });
+
+  it('should merge stored and local entries, newest first', async () => {
+    stored.terera_mood_history_user_1 = JSON.stringify([
+      { id: 'local-1', mood: 'calm', timestamp: '2024-03-02T10:00:00.000Z', local: true }
+    ]);
+    fetch.mockReturnValue(respond(200, {
+      entries: [
+        { id: 'a', mood: 'happy', timestamp: '2024-03-03T10:00:00.000Z' },
+        { id: 'b', mood: 'sad', timestamp: '2024-03-01T10:00:00.000Z' }
+      ]
+    }));
+
+    const entries = await moodHistoryService.loadHistory('user_1');
+
+    expect(entries.map(entry => entry.id)).toEqual(['a', 'local-1', 'b']);
+  });
+
+  it('should record searches on the server', async () => {
+    await moodHistoryService.loadHistory('user_1').catch(() => {});
+    fetch.mockReturnValue(respond(201, { entry: { id: 'a', mood: 'sunny morning', timestamp: '2024-03-03T10:00:00.000Z' } }));
+
+    const entry = await moodHistoryService.recordSearch(search);
+
+    expect(entry.id).toBe('a');
+    expect(JSON.parse(fetch.mock.calls.at(-1)[1].body).mood).toBe('sunny morning');
+    expect(moodHistoryService.entries).toEqual([entry]);
+  });
+
+  it('should keep searches locally when the server is unavailable', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    await moodHistoryService.loadHistory('user_1');
+
+    const entry = await moodHistoryService.recordSearch(search);
+
+    expect(entry.local).toBe(true);
+    expect(JSON.parse(stored.terera_mood_history_user_1)).toEqual([entry]);
+
+    // Deleting a local entry doesn't need the server
+    fetch.mockClear();
+    await moodHistoryService.deleteEntry(entry.id);
+    expect(fetch).not.toHaveBeenCalled();
+    expect(stored.terera_mood_history_user_1).toBeUndefined();
+    expect(moodHistoryService.entries).toEqual([]);
+  });
+
+  it('should not fall back when the server rejects the entry', async () => {
+    fetch.mockReturnValueOnce(respond(200, { entries: [] }));
+    await moodHistoryService.loadHistory('user_1');
+    fetch.mockReturnValue(respond(400, { error: 'Invalid history entry', details: ['Too long'] }));
+
+    await expect(moodHistoryService.recordSearch(search)).rejects.toThrow('Too long');
+    expect(stored.terera_mood_history_user_1).toBeUndefined();
+  });
+
+  it('should clear stored and local entries', async () => {
+    stored.terera_mood_history_user_1 = JSON.stringify([
+      { id: 'local-1', mood: 'calm', timestamp: '2024-03-02T10:00:00.000Z', local: true }
+    ]);
+    fetch.mockReturnValue(respond(200, { entries: [{ id: 'a', mood: 'happy', timestamp: '2024-03-03T10:00:00.000Z' }] }));
+    await moodHistoryService.loadHistory('user_1');
+
+    fetch.mockReturnValue(respond(200, { success: true }));
+    await moodHistoryService.clearHistory();
+
+    expect(fetch).toHaveBeenLastCalledWith('/api/moods/history', expect.objectContaining({ method: 'DELETE' }));
+    expect(stored.terera_mood_history_user_1).toBeUndefined();
+    expect(moodHistoryService.entries).toEqual([]);
+  });
+
+  it('should tell subscribers about changes', async () => {
+    const listener = vi.fn();
+    const unsubscribe = moodHistoryService.subscribe(listener);
+    fetch.mockReturnValue(respond(200, { entries: [] }));
+
+    await moodHistoryService.loadHistory('user_1');
+    unsubscribe();
+    moodHistoryService.clear();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
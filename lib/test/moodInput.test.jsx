@@ -30,6 +30,13 @@ vi.mock('../services/moodAnalysis.js', () => ({
   }
 }));
 
+// Mock the mood history, so searches aren't sent anywhere
+vi.mock('../services/moodHistoryService.js', () => ({
+  moodHistoryService: {
+    recordSearch: vi.fn(() => Promise.resolve(null)),
+  }
+}));
+
 // Mock window.location
 const mockLocation = {
   href: '',
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for multilingual mood recognition
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  MOOD_LOCALES,
+  validateMoodLocale,
+  stripDiacritics,
+  resolveLocale,
+  getSupportedLocales
+} from '../config/moodLocales.js';
+import { MoodAnalysisService } from '../services/moodAnalysis.js';
+
+describe('Mood locales', () => {
+  it('should support the required languages', () => {
+    const codes = getSupportedLocales().map(({ code }) => code);
+    expect(codes).toEqual(['en', 'af', 'zu', 'sn', 'fr', 'es', 'pt']);
+  });
+
+  it('should store terms without accents', () => {
+    expect(MOOD_LOCALES.fr.terms.deprime).toBe('sad');
+    expect(MOOD_LOCALES.es.terms['tengo sueno']).toBe('peaceful');
+  });
+
+  it('should reject unknown moods and clashes with English', () => {
+    const errors = validateMoodLocale({
+      code: 'xx',
+      moods: { grumpy: ['grincheux'], sad: ['happy'] },
+      intensifiers: { tres: 0 }
+    });
+
+    expect(errors).toHaveLength(3);
+  });
+
+  it('should strip diacritics', () => {
+    expect(stripDiacritics('Fâché Soñador Não')).toBe('fache sonador nao');
+  });
+
+  it('should resolve locale tags', () => {
+    expect(resolveLocale('pt-BR')).toBe('pt');
+    expect(resolveLocale('zu_ZA')).toBe('zu');
+    expect(resolveLocale('de')).toBeNull();
+  });
+});
+
+describe('MoodAnalysisService multilingual input', () => {
+  it.each([
+    ['ek voel hartseer', 'af', 'sad'],
+    ['ngijabule', 'zu', 'happy'],
+    ['ndakatsamwa', 'sn', 'angry'],
+    ['je suis fatigué', 'fr', 'peaceful'],
+    ['me siento ansiosa', 'es', 'anxious'],
+    ['estou com saudade', 'pt', 'nostalgic']
+  ])('should read "%s" as %s for %s', (input, locale, mood) => {
+    const analysis = MoodAnalysisService.mapMoodToAudioFeatures(input);
+    expect(analysis.locale).toBe(locale);
+    expect(analysis.primaryEmotion).toBe(mood);
+  });
+
+  it('should map translations to the same audio features as English', () => {
+    const english = MoodAnalysisService.mapMoodToAudioFeatures('sad');
+    const french = MoodAnalysisService.mapMoodToAudioFeatures('triste');
+    expect(french.audioFeatures).toEqual(english.audioFeatures);
+  });
+
+  it('should ignore missing accents', () => {
+    expect(MoodAnalysisService.mapMoodToAudioFeatures('enerve').primaryEmotion).toBe('angry');
+    expect(MoodAnalysisService.mapMoodToAudioFeatures('sonador').primaryEmotion).toBe('dreamy');
+  });
+
+  it('should apply local negators and intensifiers', () => {
+    const negated = MoodAnalysisService.detectEmotions('je ne suis pas heureux');
+    expect(negated[0].mood).toBe('sad');
+
+    const plain = MoodAnalysisService.mapMoodToAudioFeatures('estoy triste');
+    const intense = MoodAnalysisService.mapMoodToAudioFeatures('estoy muy triste');
+    expect(intense.intensity).toBeGreaterThan(plain.intensity);
+  });
+
+  it('should apply degree words that follow the mood', () => {
+    const plain = MoodAnalysisService.mapMoodToAudioFeatures('ndinofara nhasi');
+    const intense = MoodAnalysisService.mapMoodToAudioFeatures('ndinofara zvikuru');
+    expect(intense.intensity).toBeGreaterThan(plain.intensity);
+  });
+
+  it('should split clauses on local conjunctions', () => {
+    const emotions = MoodAnalysisService.detectEmotions('ngijabule kodwa ngikhathele');
+    expect(emotions.map(({ mood }) => mood)).toEqual(['happy', 'peaceful']);
+  });
+
+  it('should understand mixed English and other languages', () => {
+    const emotions = MoodAnalysisService.detectEmotions('feeling triste but calm');
+    expect(emotions.map(({ mood }) => mood)).toEqual(['sad', 'calm']);
+  });
+
+  it('should keep English input English', () => {
+    expect(MoodAnalysisService.detectLanguage('I feel so happy today').locale).toBe('en');
+    expect(MoodAnalysisService.mapMoodToAudioFeatures('feeling happy').locale).toBe('en');
+  });
+
+  it('should honour a locale override', () => {
+    const analysis = MoodAnalysisService.mapMoodToAudioFeatures('triste', { locale: 'pt-BR' });
+    expect(analysis.locale).toBe('pt');
+    expect(analysis.primaryEmotion).toBe('sad');
+  });
+
+  it('should only use the override language\'s words', () => {
+    expect(MoodAnalysisService.mapMoodToAudioFeatures('ngijabule', { locale: 'fr' }).primaryEmotion).not.toBe('happy');
+  });
+
+  it('should reject unsupported locales', () => {
+    expect(() => MoodAnalysisService.mapMoodToAudioFeatures('triste', { locale: 'de' })).toThrow('Unsupported locale: de');
+  });
+
+  it('should report supported words from any language', () => {
+    expect(MoodAnalysisService.isMoodSupported('hartseer')).toBe(true);
+    expect(MoodAnalysisService.isMoodSupported('Fâché')).toBe(true);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the mood registry
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  MOOD_DEFINITIONS,
+  MOOD_MAPPINGS,
+  MOOD_SYNONYMS,
+  MOOD_PHRASES,
+  REQUIRED_FEATURES,
+  validateMoodDefinition,
+  validateMoodRegistry,
+  getMoodSearchQuery,
+  getMoodSuggestions
+} from '../config/moodMappings.js';
+import { validateMoodSymbols, normalizeSymbols } from '../config/moodSymbols.js';
+
+const validDefinition = {
+  features: { valence: 0.5, energy: 0.5, danceability: 0.5, acousticness: 0.5, instrumentalness: 0.5, tempo: 100 },
+  synonyms: [],
+  phrases: [],
+  searchTerms: ['test'],
+  genres: []
+};
+
+describe('Mood registry', () => {
+  it('should pass its own validation', () => {
+    expect(validateMoodRegistry(MOOD_DEFINITIONS)).toEqual([]);
+  });
+
+  it('should give every mood all required features', () => {
+    Object.values(MOOD_MAPPINGS).forEach(features => {
+      REQUIRED_FEATURES.forEach(feature => {
+        expect(typeof features[feature]).toBe('number');
+      });
+    });
+  });
+
+  it('should derive synonym and phrase lookups from the definitions', () => {
+    expect(MOOD_SYNONYMS.heartbroken).toBe('sad');
+    expect(MOOD_SYNONYMS.motivation).toBe('motivated');
+    expect(MOOD_PHRASES['calm down']).toBe('calm');
+  });
+
+  it('should build search queries from search terms', () => {
+    expect(getMoodSearchQuery('happy')).toBe('happy upbeat cheerful positive');
+    expect(getMoodSearchQuery('unknown')).toBeNull();
+  });
+
+  it('should resolve suggestion icons and colors from the mood', () => {
+    const suggestions = getMoodSuggestions();
+    const sad = suggestions.find(suggestion => suggestion.text === 'feeling sad');
+
+    expect(sad).toEqual({ text: 'feeling sad', mood: 'sad', icon: '😢', color: 'text-blue-400' });
+    suggestions.forEach(suggestion => {
+      expect(MOOD_DEFINITIONS[suggestion.mood]).toBeDefined();
+    });
+  });
+
+  describe('validateMoodDefinition', () => {
+    it('should accept a complete definition', () => {
+      expect(validateMoodDefinition('test', validDefinition)).toEqual([]);
+    });
+
+    it('should reject missing features', () => {
+      const { tempo, ...features } = validDefinition.features;
+      const errors = validateMoodDefinition('test', { ...validDefinition, features });
+
+      expect(errors).toContain('test: missing audio feature "tempo"');
+    });
+
+    it('should reject out of range features', () => {
+      const errors = validateMoodDefinition('test', {
+        ...validDefinition,
+        features: { ...validDefinition.features, valence: 1.5, tempo: 500 }
+      });
+
+      expect(errors).toHaveLength(2);
+    });
+
+    it('should require search terms', () => {
+      const errors = validateMoodDefinition('test', { ...validDefinition, searchTerms: [] });
+      expect(errors).toContain('test: at least one search term is required');
+    });
+  });
+
+  describe('validateMoodRegistry', () => {
+    it('should reject a synonym claimed by two moods', () => {
+      const errors = validateMoodRegistry({
+        one: { ...validDefinition, synonyms: ['shared'] },
+        two: { ...validDefinition, synonyms: ['shared'] }
+      });
+
+      expect(errors).toEqual(['"shared" is claimed by both one and two']);
+    });
+  });
+});
+
+describe('Mood symbols', () => {
+  it('should pass their own validation', () => {
+    expect(validateMoodSymbols()).toEqual([]);
+  });
+
+  it('should reject symbols for unknown moods or bad intensities', () => {
+    const errors = validateMoodSymbols({
+      emojis: { '🦒': { mood: 'giraffe', intensity: 0.5 } },
+      combos: { '🦒🦒': [] },
+      emoticons: { ':)': { mood: 'happy', intensity: 2 } }
+    });
+
+    expect(errors).toHaveLength(3);
+  });
+
+  it('should normalise variation selectors and skin tones', () => {
+    expect(normalizeSymbols('☕️💪🏽 :D')).toBe('☕💪 :d');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the valence/energy mood space
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getMoodCoordinates,
+  getAllMoodCoordinates,
+  findNearestMoods,
+  getFeaturesAtCoordinates,
+  getMoodBetween
+} from '../services/moodSpace.js';
+import { MoodAnalysisService } from '../services/moodAnalysis.js';
+import { MOOD_MAPPINGS } from '../config/moodMappings.js';
+
+describe('Mood space', () => {
+  describe('getMoodCoordinates', () => {
+    it('should place moods by valence and energy', () => {
+      expect(getMoodCoordinates('happy')).toEqual({ valence: 0.8, energy: 0.7 });
+      expect(getMoodCoordinates('unknown')).toBeNull();
+    });
+
+    it('should list every mood for plotting', () => {
+      const moods = getAllMoodCoordinates();
+
+      expect(moods).toHaveLength(Object.keys(MOOD_MAPPINGS).length);
+      expect(moods.find(entry => entry.mood === 'sad')).toMatchObject({ valence: 0.2, energy: 0.3, emoji: '😢' });
+    });
+  });
+
+  describe('findNearestMoods', () => {
+    it('should return the exact mood first with all the weight', () => {
+      const [nearest, second] = findNearestMoods({ valence: 0.8, energy: 0.7 });
+
+      expect(nearest).toMatchObject({ mood: 'happy', distance: 0, weight: 1 });
+      expect(second.weight).toBe(0);
+    });
+
+    it('should weight neighbours by inverse distance', () => {
+      const nearest = findNearestMoods({ valence: 0.25, energy: 0.25 }, 2);
+      const total = nearest.reduce((sum, entry) => sum + entry.weight, 0);
+
+      expect(nearest.map(entry => entry.mood)).toEqual(expect.arrayContaining(['sad', 'melancholy']));
+      expect(total).toBeCloseTo(1);
+    });
+
+    it('should clamp out of range coordinates', () => {
+      const [nearest] = findNearestMoods({ valence: 5, energy: 5 }, 1);
+      expect(nearest.mood).toBe('excited');
+    });
+
+    it('should reject non-numeric coordinates', () => {
+      expect(() => findNearestMoods({ valence: 'high', energy: 0.5 })).toThrow();
+    });
+  });
+
+  describe('getFeaturesAtCoordinates', () => {
+    it('should keep the requested valence and energy', () => {
+      const features = getFeaturesAtCoordinates({ valence: 0.45, energy: 0.55 });
+
+      expect(features.valence).toBe(0.45);
+      expect(features.energy).toBe(0.55);
+      expect(features.tempo).toBeGreaterThan(0);
+    });
+
+    it('should reproduce a mood profile at its own coordinates', () => {
+      expect(getFeaturesAtCoordinates({ valence: 0.2, energy: 0.3 })).toEqual(MOOD_MAPPINGS.sad);
+    });
+  });
+
+  describe('getMoodBetween', () => {
+    it('should find the midpoint between two moods', () => {
+      const { coordinates, nearest } = getMoodBetween('calm', 'happy');
+
+      expect(coordinates).toEqual({ valence: 0.65, energy: 0.45 });
+      expect(nearest[0].mood).toBe('romantic');
+    });
+
+    it('should throw for unknown moods', () => {
+      expect(() => getMoodBetween('calm', 'unknown')).toThrow('Unknown mood: unknown');
+    });
+  });
+
+  describe('MoodAnalysisService integration', () => {
+    it('should fill the neutral fallback from neighbouring moods', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('xyz123unknown');
+
+      expect(analysis.coordinates).toEqual({ valence: 0.5, energy: 0.5 });
+      expect(analysis.audioFeatures).toEqual(getFeaturesAtCoordinates({ valence: 0.5, energy: 0.5 }));
+    });
+
+    it('should report coordinates for recognised moods', () => {
+      const analysis = MoodAnalysisService.mapMoodToAudioFeatures('happy and energetic');
+      expect(analysis.coordinates).toEqual({ valence: 0.75, energy: 0.8 });
+    });
+
+    it('should accept synonyms when looking between moods', () => {
+      const between = MoodAnalysisService.getMoodBetween('relaxed', 'joyful');
+      expect(between.coordinates).toEqual({ valence: 0.65, energy: 0.45 });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for the signed OAuth state cookie
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { signPayload, verifyPayload, setOAuthCookie, readOAuthCookie } from '../server/oauthState.js';
+
+describe('OAuth state cookie', () => {
+  beforeEach(() => {
+    process.env.TERERA_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.TERERA_SECRET;
+    vi.useRealTimers();
+  });
+
+  it('should round-trip a signed payload', () => {
+    const value = signPayload({ state: 'abc' }, 60);
+    expect(verifyPayload(value)).toEqual({ state: 'abc' });
+  });
+
+  it('should reject a tampered payload', () => {
+    const [, signature] = signPayload({ state: 'abc' }, 60).split('.');
+    const forged = Buffer.from(JSON.stringify({ state: 'evil', expiresAt: Date.now() + 60000 })).toString('base64url');
+
+    expect(verifyPayload(`${forged}.${signature}`)).toBeNull();
+    expect(verifyPayload('not-signed')).toBeNull();
+    expect(verifyPayload(undefined)).toBeNull();
+  });
+
+  it('should reject a payload signed with another secret', () => {
+    const value = signPayload({ state: 'abc' }, 60);
+    process.env.TERERA_SECRET = 'other-secret';
+
+    expect(verifyPayload(value)).toBeNull();
+  });
+
+  it('should reject an expired payload', () => {
+    vi.useFakeTimers();
+    const value = signPayload({ state: 'abc' }, 60);
+    vi.advanceTimersByTime(61 * 1000);
+
+    expect(verifyPayload(value)).toBeNull();
+  });
+
+  it('should store and read the login attempt', () => {
+    const jar = new Map();
+    const cookieStore = {
+      set: (name, value) => jar.set(name, value),
+      get: name => (jar.has(name) ? { value: jar.get(name) } : undefined)
+    };
+
+    setOAuthCookie(cookieStore, { state: 'state-1', codeVerifier: 'verifier-1' });
+
+    expect(readOAuthCookie(cookieStore)).toEqual({ state: 'state-1', codeVerifier: 'verifier-1' });
+    expect(readOAuthCookie({ get: () => undefined })).toBeNull();
+  });
+});
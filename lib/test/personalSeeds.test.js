@@ -0,0 +1,145 @@
+/**
+ * Unit tests for personalised recommendation seeds
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { getSession, spotifyFetch, fetchAudioFeatures } = vi.hoisted(() => ({
+  getSession: vi.fn(),
+  spotifyFetch: vi.fn(),
+  fetchAudioFeatures: vi.fn()
+}));
+
+vi.mock('../server/spotifyTokens.js', () => ({ getSession, spotifyFetch }));
+vi.mock('../server/audioFeatures.js', () => ({ fetchAudioFeatures }));
+
+import { fetchPersonalSeeds, blendSeeds, PERSONAL_SEED_SCOPES } from '../server/personalSeeds.js';
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+const artist = (id) => ({ id, name: `Artist ${id}` });
+const track = (id, artists) => ({ id, name: `Track ${id}`, artists: artists.map(artist) });
+
+const target = { valence: 0.2, energy: 0.3 };
+
+describe('Personal seeds', () => {
+  beforeEach(() => {
+    getSession.mockReset();
+    spotifyFetch.mockReset();
+    fetchAudioFeatures.mockReset();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  const listening = {
+    '/me/top/tracks': { items: [track('t1', ['a1']), track('t2', ['a2'])] },
+    '/me/top/artists': { items: [artist('a2')] },
+    '/me/player/recently-played': { items: [{ track: track('t3', ['a3']) }, { track: track('t1', ['a1']) }] }
+  };
+
+  const mockListening = () => {
+    spotifyFetch.mockImplementation(async (url) => jsonResponse(listening[url.split('?')[0]]));
+    fetchAudioFeatures.mockResolvedValue({
+      t1: { valence: 0.9, energy: 0.9 },
+      t2: { valence: 0.4, energy: 0.4 },
+      t3: { valence: 0.2, energy: 0.3 }
+    });
+  };
+
+  it('should pick the tracks that best fit the mood', async () => {
+    getSession.mockResolvedValue({ id: 's1', record: { scopes: PERSONAL_SEED_SCOPES } });
+    mockListening();
+
+    const seeds = await fetchPersonalSeeds(target);
+
+    expect(seeds.tracks.map(({ id }) => id)).toEqual(['t3', 't2', 't1']);
+    expect(fetchAudioFeatures).toHaveBeenCalledWith(['t1', 't2', 't3']);
+    expect(seeds.missingScopes).toEqual([]);
+  });
+
+  it('should prefer top artists, then artists of the best fitting tracks', async () => {
+    getSession.mockResolvedValue({ id: 's1', record: { scopes: PERSONAL_SEED_SCOPES } });
+    mockListening();
+
+    const seeds = await fetchPersonalSeeds(target);
+
+    expect(seeds.artists).toEqual([{ id: 'a2', name: 'Artist a2' }, { id: 'a3', name: 'Artist a3' }]);
+  });
+
+  it('should skip sources the session has no scope for', async () => {
+    getSession.mockResolvedValue({ id: 's1', record: { scopes: ['user-read-recently-played'] } });
+    mockListening();
+
+    const seeds = await fetchPersonalSeeds(target);
+
+    expect(spotifyFetch).toHaveBeenCalledTimes(1);
+    expect(seeds.missingScopes).toEqual(['user-top-read']);
+    expect(seeds.tracks.map(({ id }) => id)).toEqual(['t3', 't1']);
+  });
+
+  it('should not call Spotify without any of the scopes', async () => {
+    getSession.mockResolvedValue({ id: 's1', record: { scopes: ['user-read-private'] } });
+
+    const seeds = await fetchPersonalSeeds(target);
+
+    expect(seeds).toEqual({ tracks: [], artists: [], missingScopes: PERSONAL_SEED_SCOPES });
+    expect(spotifyFetch).not.toHaveBeenCalled();
+  });
+
+  it('should carry on without a source Spotify refuses', async () => {
+    getSession.mockResolvedValue({ id: 's1', record: { scopes: PERSONAL_SEED_SCOPES } });
+    mockListening();
+    spotifyFetch.mockImplementation(async (url) =>
+      url.startsWith('/me/top/tracks') ? jsonResponse({}, 403) : jsonResponse(listening[url.split('?')[0]]));
+
+    const seeds = await fetchPersonalSeeds(target);
+
+    expect(seeds.tracks.map(({ id }) => id)).toEqual(['t3', 't1']);
+  });
+});
+
+describe('Seed blending', () => {
+  const personal = {
+    tracks: [{ id: 't1' }, { id: 't2' }, { id: 't3' }],
+    artists: [{ id: 'a1' }, { id: 'a2' }]
+  };
+
+  it('should share the five seeds between personal and genre seeds', () => {
+    const seeds = blendSeeds(personal, ['sad', 'acoustic', 'folk']);
+
+    expect(seeds.tracks.map(({ id }) => id)).toEqual(['t1', 't2']);
+    expect(seeds.artists.map(({ id }) => id)).toEqual(['a1']);
+    expect(seeds.genres).toEqual(['sad', 'acoustic']);
+  });
+
+  it('should use more personal seeds when there are few genres', () => {
+    const seeds = blendSeeds(personal, ['sad']);
+
+    expect(seeds.tracks.length + seeds.artists.length).toBe(4);
+    expect(seeds.genres).toEqual(['sad']);
+  });
+
+  it('should use only genres without personal seeds', () => {
+    expect(blendSeeds({ tracks: [], artists: [] }, ['a', 'b', 'c', 'd', 'e', 'f'])).toEqual({
+      tracks: [],
+      artists: [],
+      moodArtists: [],
+      genres: ['a', 'b', 'c', 'd', 'e']
+    });
+  });
+
+  it('should put a mood\'s own artists first and keep a slot for a genre', () => {
+    const artists = ['m1', 'm2', 'm3', 'm4', 'm5', 'm6'];
+
+    expect(blendSeeds(personal, ['sad', 'acoustic'], artists)).toEqual({
+      tracks: [],
+      artists: [],
+      moodArtists: ['m1', 'm2', 'm3', 'm4'],
+      genres: ['sad']
+    });
+
+    const seeds = blendSeeds(personal, ['sad', 'acoustic'], ['m1']);
+    expect(seeds.moodArtists).toEqual(['m1']);
+    expect(seeds.tracks.length + seeds.artists.length).toBe(3);
+    expect(seeds.genres).toEqual(['sad']);
+  });
+});
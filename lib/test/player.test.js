@@ -0,0 +1,120 @@
+/**
+ * Unit tests for server-side playback control
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { spotifyFetch } = vi.hoisted(() => ({ spotifyFetch: vi.fn() }));
+
+vi.mock('../server/spotifyTokens.js', () => ({ spotifyFetch }));
+
+import {
+  startPlayback,
+  missingPlaybackScopes,
+  fetchPlaybackState,
+  sendPlayerCommand,
+  transferPlayback,
+  PLAYBACK_SCOPES
+} from '../server/player.js';
+
+const trackId = (n) => String(n).padStart(22, '0');
+
+describe('Player', () => {
+  beforeEach(() => {
+    spotifyFetch.mockReset();
+    spotifyFetch.mockImplementation(async () => new Response(null, { status: 204 }));
+  });
+
+  it('should play the tracks on the device, starting at the chosen one', async () => {
+    await startPlayback({ deviceId: 'device 1', trackIds: [trackId(1), trackId(2)], startTrackId: trackId(2) });
+
+    const [url, options] = spotifyFetch.mock.calls[0];
+    expect(url).toBe('/me/player/play?device_id=device+1');
+    expect(options.method).toBe('PUT');
+    expect(JSON.parse(options.body)).toEqual({
+      uris: [`spotify:track:${trackId(1)}`, `spotify:track:${trackId(2)}`],
+      offset: { uri: `spotify:track:${trackId(2)}` },
+      position_ms: 0
+    });
+  });
+
+  it('should use the active device and first track by default', async () => {
+    await startPlayback({ trackIds: [trackId(1), 'not a track'], startTrackId: trackId(9), positionMs: 1500.7 });
+
+    const [url, options] = spotifyFetch.mock.calls[0];
+    expect(url).toBe('/me/player/play');
+    expect(JSON.parse(options.body)).toEqual({
+      uris: [`spotify:track:${trackId(1)}`],
+      position_ms: 1500
+    });
+  });
+
+  it('should list the playback scopes a session lacks', () => {
+    expect(missingPlaybackScopes({ scopes: PLAYBACK_SCOPES })).toEqual([]);
+    expect(missingPlaybackScopes({ scopes: ['user-read-private', 'user-read-email'] }))
+      .toEqual(['streaming', 'user-modify-playback-state']);
+    expect(missingPlaybackScopes(undefined)).toEqual(PLAYBACK_SCOPES);
+  });
+
+  it('should move playback to a device', async () => {
+    await transferPlayback('speaker', true);
+
+    const [url, options] = spotifyFetch.mock.calls[0];
+    expect(url).toBe('/me/player');
+    expect(options.method).toBe('PUT');
+    expect(JSON.parse(options.body)).toEqual({ device_ids: ['speaker'], play: true });
+  });
+
+  it('should send control actions to a device', async () => {
+    await sendPlayerCommand('next', { deviceId: 'phone' });
+    await sendPlayerCommand('pause');
+    await sendPlayerCommand('seek', { deviceId: 'phone', positionMs: 30000.4 });
+
+    expect(spotifyFetch.mock.calls).toEqual([
+      ['/me/player/next?device_id=phone', { method: 'POST' }],
+      ['/me/player/pause', { method: 'PUT' }],
+      ['/me/player/seek?position_ms=30000&device_id=phone', { method: 'PUT' }]
+    ]);
+  });
+
+  describe('fetchPlaybackState', () => {
+    it('should report nothing playing when there is no active device', async () => {
+      const { response, state } = await fetchPlaybackState();
+
+      expect(response.status).toBe(204);
+      expect(state).toBeNull();
+    });
+
+    it('should read the track and device', async () => {
+      spotifyFetch.mockImplementation(async () => new Response(JSON.stringify({
+        is_playing: true,
+        progress_ms: 42000,
+        device: { id: 'phone', name: 'Phone', type: 'Smartphone', is_active: true, is_restricted: false, volume_percent: 60 },
+        actions: { disallows: { skipping_prev: true } },
+        item: {
+          type: 'track',
+          id: 't1',
+          name: 'Song',
+          duration_ms: 200000,
+          artists: [{ name: 'Artist' }],
+          album: { images: [{ url: 'cover.jpg' }] }
+        }
+      }), { status: 200 }));
+
+      const { state } = await fetchPlaybackState();
+
+      expect(state).toMatchObject({
+        trackId: 't1',
+        name: 'Song',
+        artists: ['Artist'],
+        image: 'cover.jpg',
+        paused: false,
+        position: 42000,
+        duration: 200000,
+        hasNext: true,
+        hasPrevious: false,
+        device: { id: 'phone', name: 'Phone', type: 'Smartphone', isActive: true, isRestricted: false, volume: 60 }
+      });
+    });
+  });
+});
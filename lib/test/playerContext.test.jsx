@@ -0,0 +1,244 @@
+/**
+ * Unit tests for the Web Playback SDK player context
+ */
+
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, act, waitFor } from '@testing-library/react';
+
+const { auth, spotifyApi } = vi.hoisted(() => ({
+  auth: { isAuthenticated: true, user: { product: 'premium' } },
+  spotifyApi: {
+    getPlaybackToken: vi.fn(),
+    startPlayback: vi.fn(),
+    getPlaybackState: vi.fn(),
+    getDevices: vi.fn(),
+    transferPlayback: vi.fn(),
+    sendPlayerCommand: vi.fn()
+  }
+}));
+
+vi.mock('../contexts/SpotifyAuthContext.jsx', () => ({ useSpotifyAuth: () => auth }));
+vi.mock('../services/spotifyApi.js', () => ({ spotifyApi }));
+
+import { PlayerProvider, usePlayer } from '../contexts/PlayerContext.jsx';
+
+/**
+ * Stand-in for the SDK's Spotify.Player
+ */
+class FakePlayer {
+  static instances = [];
+
+  constructor(options) {
+    this.options = options;
+    this.listeners = {};
+    this.connect = vi.fn(() => Promise.resolve(true));
+    this.disconnect = vi.fn();
+    this.togglePlay = vi.fn();
+    this.seek = vi.fn();
+    FakePlayer.instances.push(this);
+  }
+
+  addListener(event, callback) {
+    this.listeners[event] = callback;
+  }
+
+  emit(event, payload) {
+    act(() => this.listeners[event](payload));
+  }
+}
+
+const track = (id) => ({ id });
+
+function renderPlayer() {
+  const player = {};
+  function Probe() {
+    Object.assign(player, usePlayer());
+    return null;
+  }
+  render(<PlayerProvider><Probe /></PlayerProvider>);
+  return player;
+}
+
+describe('PlayerProvider', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    FakePlayer.instances = [];
+    window.Spotify = { Player: FakePlayer };
+    auth.isAuthenticated = true;
+    auth.user = { product: 'premium' };
+    spotifyApi.getPlaybackState.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    delete window.Spotify;
+  });
+
+  const readyPlayer = async () => {
+    const player = renderPlayer();
+    await waitFor(() => expect(FakePlayer.instances).toHaveLength(1));
+    FakePlayer.instances[0].emit('ready', { device_id: 'device-1' });
+    return player;
+  };
+
+  it('should not load the SDK for free accounts', async () => {
+    auth.user = { product: 'free' };
+    const player = renderPlayer();
+
+    await act(async () => {});
+
+    expect(FakePlayer.instances).toHaveLength(0);
+    expect(spotifyApi.getPlaybackState).not.toHaveBeenCalled();
+    expect(player.canPlayFullTracks).toBe(false);
+    expect(await player.playTrack(track('t1'))).toBe(false);
+  });
+
+  it('should register a device for Premium accounts', async () => {
+    const player = await readyPlayer();
+
+    expect(FakePlayer.instances[0].connect).toHaveBeenCalled();
+    expect(player.deviceId).toBe('device-1');
+    expect(player.canPlayFullTracks).toBe(true);
+  });
+
+  it('should hand the SDK a token from the server', async () => {
+    spotifyApi.getPlaybackToken.mockResolvedValue('token-1');
+    await readyPlayer();
+
+    const token = await new Promise(resolve => FakePlayer.instances[0].options.getOAuthToken(resolve));
+
+    expect(token).toBe('token-1');
+  });
+
+  it('should play a track with the rest of the queue on the browser device', async () => {
+    spotifyApi.startPlayback.mockResolvedValue();
+    const player = await readyPlayer();
+
+    const started = await player.playTrack(track('t2'), [track('t1'), track('t2'), track('t3')]);
+
+    expect(started).toBe(true);
+    expect(spotifyApi.startPlayback).toHaveBeenCalledWith({
+      deviceId: 'device-1',
+      trackIds: ['t1', 't2', 't3'],
+      startTrackId: 't2'
+    });
+  });
+
+  it('should report failed playback so callers can fall back to the preview', async () => {
+    spotifyApi.startPlayback.mockRejectedValue(new Error('Spotify play error'));
+    const player = await readyPlayer();
+
+    expect(await player.playTrack(track('t1'))).toBe(false);
+  });
+
+  it('should stop offering full tracks after an account error', async () => {
+    const player = await readyPlayer();
+
+    FakePlayer.instances[0].emit('account_error', { message: 'Premium required' });
+
+    expect(player.canPlayFullTracks).toBe(false);
+    expect(player.error).toBe('Premium required');
+  });
+
+  it('should follow the SDK playback state', async () => {
+    const player = await readyPlayer();
+
+    FakePlayer.instances[0].emit('player_state_changed', {
+      paused: false,
+      position: 1000,
+      duration: 200000,
+      track_window: {
+        current_track: { id: 't1', name: 'Track 1', artists: [{ name: 'Artist' }], album: { images: [] } },
+        next_tracks: [{ id: 't2' }],
+        previous_tracks: []
+      }
+    });
+
+    expect(player.playbackState).toMatchObject({
+      trackId: 't1',
+      paused: false,
+      position: 1000,
+      hasNext: true,
+      hasPrevious: false
+    });
+  });
+
+  describe('remote devices', () => {
+    const remoteState = {
+      trackId: 't9',
+      name: 'On the phone',
+      artists: ['Artist'],
+      paused: false,
+      device: { id: 'phone', name: 'Phone' }
+    };
+
+    it('should follow a device the user is already listening on', async () => {
+      spotifyApi.getPlaybackState.mockResolvedValue(remoteState);
+      const player = renderPlayer();
+
+      await waitFor(() => expect(player.isRemote).toBe(true));
+
+      expect(player.activeDeviceId).toBe('phone');
+      expect(player.playbackState.trackId).toBe('t9');
+      expect(player.canPlayFullTracks).toBe(true);
+    });
+
+    it('should not follow another Terera web player', async () => {
+      spotifyApi.getPlaybackState.mockResolvedValue({
+        ...remoteState,
+        device: { id: 'old-tab', name: 'Terera Web Player' }
+      });
+      const player = await readyPlayer();
+
+      await act(async () => {});
+
+      expect(player.isRemote).toBe(false);
+      expect(player.activeDeviceId).toBe('device-1');
+    });
+
+    it('should start the mood queue on the chosen device', async () => {
+      spotifyApi.startPlayback.mockResolvedValue();
+      spotifyApi.transferPlayback.mockResolvedValue();
+      const player = await readyPlayer();
+
+      await act(() => player.selectDevice('speaker'));
+      await act(() => player.playQueue([track('t1'), track('t2')]));
+
+      expect(spotifyApi.startPlayback).toHaveBeenCalledWith({
+        deviceId: 'speaker',
+        trackIds: ['t1', 't2'],
+        startTrackId: 't1'
+      });
+    });
+
+    it('should move what is playing to the chosen device', async () => {
+      spotifyApi.transferPlayback.mockResolvedValue();
+      spotifyApi.getPlaybackState.mockResolvedValue(remoteState);
+      const player = renderPlayer();
+      await waitFor(() => expect(player.isRemote).toBe(true));
+
+      await act(() => player.selectDevice('speaker'));
+
+      expect(spotifyApi.transferPlayback).toHaveBeenCalledWith('speaker', true);
+      expect(player.activeDeviceId).toBe('speaker');
+    });
+
+    it('should control the remote device through the Web API', async () => {
+      spotifyApi.sendPlayerCommand.mockResolvedValue();
+      spotifyApi.getPlaybackState.mockResolvedValue(remoteState);
+      const player = renderPlayer();
+      await waitFor(() => expect(player.isRemote).toBe(true));
+
+      await act(() => player.togglePlay());
+      await act(() => player.nextTrack());
+      await act(() => player.seek(30000));
+
+      expect(spotifyApi.sendPlayerCommand.mock.calls).toEqual([
+        ['pause', { deviceId: 'phone', positionMs: undefined }],
+        ['next', { deviceId: 'phone', positionMs: undefined }],
+        ['seek', { deviceId: 'phone', positionMs: 30000 }]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for the player API routes
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { getAccessToken, spotifyFetch } = vi.hoisted(() => ({
+  getAccessToken: vi.fn(),
+  spotifyFetch: vi.fn()
+}));
+
+vi.mock('../server/spotifyTokens.js', () => ({ getAccessToken, spotifyFetch }));
+
+import { PUT as play } from '../../app/api/spotify/player/play/route.js';
+import { POST as control } from '../../app/api/spotify/player/control/route.js';
+import { PUT as transfer } from '../../app/api/spotify/player/transfer/route.js';
+
+const send = (handler, body) => handler(new Request('http://localhost/api/spotify/player', {
+  method: 'PUT',
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+}));
+
+describe('Player routes', () => {
+  beforeEach(() => {
+    getAccessToken.mockResolvedValue('token');
+    spotifyFetch.mockReset();
+    spotifyFetch.mockResolvedValue(new Response(null, { status: 204 }));
+  });
+
+  describe('play', () => {
+    it('should play the tracks', async () => {
+      const response = await send(play, { trackIds: ['0'.repeat(22)] });
+
+      expect(response.status).toBe(204);
+      expect(spotifyFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a body that is not JSON', async () => {
+      expect((await send(play, 'not json')).status).toBe(400);
+      expect(spotifyFetch).not.toHaveBeenCalled();
+    });
+
+    it('should reject track ids that are not a list', async () => {
+      expect((await send(play, { trackIds: '0'.repeat(22) })).status).toBe(400);
+      expect((await send(play, null)).status).toBe(400);
+      expect(spotifyFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('control', () => {
+    it('should send the action', async () => {
+      expect((await send(control, { action: 'pause' })).status).toBe(204);
+    });
+
+    it('should reject a body that is not JSON', async () => {
+      expect((await send(control, '')).status).toBe(400);
+      expect(spotifyFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transfer', () => {
+    it('should move playback to the device', async () => {
+      expect((await send(transfer, { deviceId: 'device-1' })).status).toBe(204);
+    });
+
+    it('should reject a body that is not JSON', async () => {
+      expect((await send(transfer, '{deviceId')).status).toBe(400);
+      expect(spotifyFetch).not.toHaveBeenCalled();
+    });
+
+    it('should reject a missing or non-string device id', async () => {
+      expect((await send(transfer, {})).status).toBe(400);
+      expect((await send(transfer, { deviceId: 42 })).status).toBe(400);
+      expect(spotifyFetch).not.toHaveBeenCalled();
+    });
+  });
+});
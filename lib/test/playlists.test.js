@@ -0,0 +1,112 @@
+/**
+ * Unit tests for saving recommendations as a playlist
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { spotifyFetch } = vi.hoisted(() => ({ spotifyFetch: vi.fn() }));
+
+vi.mock('../server/spotifyTokens.js', () => ({ spotifyFetch }));
+
+import {
+  buildPlaylistName,
+  buildPlaylistDescription,
+  toTrackUris,
+  addTracksToPlaylist,
+  MAX_PLAYLIST_TRACKS
+} from '../server/playlists.js';
+
+const trackId = (n) => String(n).padStart(22, '0');
+
+describe('Playlists', () => {
+  beforeEach(() => {
+    spotifyFetch.mockReset();
+  });
+
+  describe('buildPlaylistName', () => {
+    it('should name the playlist after the mood and day', () => {
+      expect(buildPlaylistName('nostalgic', '2026-10-19')).toBe('Terera · nostalgic · 2026-10-19');
+    });
+
+    it('should use the UTC day of a Date', () => {
+      expect(buildPlaylistName('calm', new Date('2026-10-19T23:30:00Z'))).toBe('Terera · calm · 2026-10-19');
+    });
+
+    it('should tidy the mood', () => {
+      expect(buildPlaylistName('  rainy\n sunday ', '2026-10-19')).toBe('Terera · rainy sunday · 2026-10-19');
+      expect(buildPlaylistName('', '2026-10-19')).toBe('Terera · my mood · 2026-10-19');
+    });
+
+    it('should ignore a malformed date', () => {
+      expect(buildPlaylistName('calm', '19/10/2026')).toMatch(/^Terera · calm · \d{4}-\d{2}-\d{2}$/);
+    });
+  });
+
+  describe('buildPlaylistDescription', () => {
+    it('should list the feature targets', () => {
+      const description = buildPlaylistDescription('nostalgic', { valence: 0.3, energy: 0.35, tempo: 85 });
+
+      expect(description).toBe('Made by Terera for feeling nostalgic: low positivity 0.30, medium energy 0.35, slow tempo 85 BPM');
+    });
+
+    it('should cope without features', () => {
+      expect(buildPlaylistDescription('calm')).toBe('Made by Terera for feeling calm');
+    });
+
+    it('should stay within Spotify\'s limit', () => {
+      const features = { valence: 0.5, energy: 0.5, danceability: 0.5, acousticness: 0.5, instrumentalness: 0.5, tempo: 120 };
+      const description = buildPlaylistDescription('x'.repeat(400), features);
+
+      expect(description.length).toBeLessThanOrEqual(300);
+      expect(description).toContain('medium positivity 0.50');
+    });
+  });
+
+  describe('toTrackUris', () => {
+    it('should keep valid ids once, in order', () => {
+      expect(toTrackUris([trackId(2), 'bad id', trackId(1), trackId(2), null])).toEqual([
+        `spotify:track:${trackId(2)}`,
+        `spotify:track:${trackId(1)}`
+      ]);
+    });
+
+    it('should cap the number of tracks', () => {
+      const ids = Array.from({ length: MAX_PLAYLIST_TRACKS + 10 }, (_, i) => trackId(i));
+
+      expect(toTrackUris(ids)).toHaveLength(MAX_PLAYLIST_TRACKS);
+      expect(toTrackUris('not an array')).toEqual([]);
+    });
+  });
+
+  describe('addTracksToPlaylist', () => {
+    const uris = toTrackUris(Array.from({ length: 250 }, (_, i) => trackId(i)));
+
+    it('should add tracks in batches of 100, in order', async () => {
+      spotifyFetch.mockImplementation(async () => new Response('{}', { status: 201 }));
+
+      const result = await addTracksToPlaylist('p1', uris);
+
+      expect(result).toEqual({ added: 250, response: null });
+      expect(spotifyFetch).toHaveBeenCalledTimes(3);
+      const batches = spotifyFetch.mock.calls.map(([url, options]) => {
+        expect(url).toBe('/playlists/p1/tracks');
+        expect(options.method).toBe('POST');
+        return JSON.parse(options.body).uris;
+      });
+      expect(batches.map(batch => batch.length)).toEqual([100, 100, 50]);
+      expect(batches.flat()).toEqual(uris);
+    });
+
+    it('should stop at the first failed batch', async () => {
+      spotifyFetch
+        .mockResolvedValueOnce(new Response('{}', { status: 201 }))
+        .mockResolvedValueOnce(new Response('{}', { status: 403 }));
+
+      const result = await addTracksToPlaylist('p1', uris);
+
+      expect(result.added).toBe(100);
+      expect(result.response.status).toBe(403);
+      expect(spotifyFetch).toHaveBeenCalledTimes(2);
+    });
+  });
+});
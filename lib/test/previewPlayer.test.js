@@ -0,0 +1,249 @@
+/**
+ * Unit tests for the shared preview player
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PreviewPlayer, CROSSFADE_MS, DEFAULT_VOLUME } from '../services/previewPlayer.js';
+
+/**
+ * Stand-in for an HTMLAudioElement
+ */
+class FakeAudio extends EventTarget {
+  constructor() {
+    super();
+    this.src = '';
+    this.volume = 1;
+    this.currentTime = 0;
+    this.duration = 30;
+    this.play = vi.fn(() => Promise.resolve());
+    this.pause = vi.fn();
+    this.removeAttribute = vi.fn((name) => { this[name] = ''; });
+  }
+
+  emit(type) {
+    this.dispatchEvent(new Event(type));
+  }
+}
+
+const track = (id, preview = true) => ({ id, name: `Track ${id}`, preview_url: preview ? `https://p.scdn.co/${id}.mp3` : null });
+
+describe('PreviewPlayer', () => {
+  let audio;
+  let created;
+  let createAudio;
+  let player;
+
+  beforeEach(() => {
+    localStorage.getItem.mockReset();
+    localStorage.setItem.mockReset();
+    created = [];
+    createAudio = vi.fn(() => {
+      audio = new FakeAudio();
+      created.push(audio);
+      return audio;
+    });
+    player = new PreviewPlayer({ createAudio });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should reuse the audio element when nothing is playing', async () => {
+    await player.playTrack(track('a'));
+    await player.pause();
+    await player.playTrack(track('b'));
+
+    expect(createAudio).toHaveBeenCalledTimes(1);
+    expect(audio.src).toBe('https://p.scdn.co/b.mp3');
+    expect(player.getState()).toMatchObject({ isPlaying: true, index: 0 });
+  });
+
+  it('should queue the tracks that have previews', async () => {
+    const queue = [track('a'), track('b', false), track('c'), track('d')];
+
+    await player.playTrack(queue[2], queue);
+
+    expect(player.getState().queue.map(({ id }) => id)).toEqual(['a', 'c', 'd']);
+    expect(player.currentTrack.id).toBe('c');
+    expect(await player.playTrack(queue[1], queue)).toBe(false);
+  });
+
+  it('should go to the next and previous previews', async () => {
+    vi.useFakeTimers();
+    const queue = [track('a'), track('b')];
+    await player.playAll(queue);
+
+    const next = player.next();
+    await vi.advanceTimersByTimeAsync(CROSSFADE_MS);
+    await next;
+    expect(player.currentTrack.id).toBe('b');
+    expect(await player.next()).toBe(false);
+
+    const previous = player.previous();
+    await vi.advanceTimersByTimeAsync(CROSSFADE_MS);
+    await previous;
+    expect(player.currentTrack.id).toBe('a');
+  });
+
+  it('should restart the preview on previous once it has played a while', async () => {
+    const queue = [track('a'), track('b')];
+    await player.playTrack(queue[1], queue);
+    audio.currentTime = 10;
+    audio.emit('timeupdate');
+
+    await player.previous();
+
+    expect(player.currentTrack.id).toBe('b');
+    expect(audio.currentTime).toBe(0);
+  });
+
+  it('should advance when a preview ends', async () => {
+    await player.playAll([track('a'), track('b')]);
+    await player.pause();
+
+    audio.emit('ended');
+    await Promise.resolve();
+
+    expect(player.currentTrack.id).toBe('b');
+  });
+
+  it('should stop at the end of the queue', async () => {
+    await player.playAll([track('a')]);
+
+    audio.emit('ended');
+
+    expect(player.getState()).toMatchObject({ isPlaying: false, index: 0 });
+  });
+
+  it('should crossfade from the old preview into the new one', async () => {
+    vi.useFakeTimers();
+    await player.playAll([track('a'), track('b')]);
+    const [first] = created;
+    expect(first.volume).toBeCloseTo(DEFAULT_VOLUME);
+
+    await player.next();
+    const second = created[1];
+    expect(second.src).toBe('https://p.scdn.co/b.mp3');
+    expect(first.src).toBe('https://p.scdn.co/a.mp3');
+
+    // Both play at once, one getting quieter as the other gets louder
+    await vi.advanceTimersByTimeAsync(CROSSFADE_MS / 2);
+    expect(first.volume).toBeCloseTo(DEFAULT_VOLUME / 2);
+    expect(second.volume).toBeCloseTo(DEFAULT_VOLUME / 2);
+    expect(first.pause).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(CROSSFADE_MS / 2);
+    expect(second.volume).toBeCloseTo(DEFAULT_VOLUME);
+    expect(first.pause).toHaveBeenCalled();
+    expect(first.src).toBe('');
+    expect(player.getState()).toMatchObject({ isPlaying: true, index: 1 });
+  });
+
+  it('should only follow the element of the current preview', async () => {
+    vi.useFakeTimers();
+    await player.playAll([track('a'), track('b'), track('c')]);
+    await player.next();
+    const [first, second] = created;
+
+    // The old preview ending mid-crossfade doesn't skip a track
+    first.emit('ended');
+    await vi.advanceTimersByTimeAsync(CROSSFADE_MS);
+    expect(player.currentTrack.id).toBe('b');
+
+    // The next change crossfades back onto the first element
+    await player.next();
+    expect(createAudio).toHaveBeenCalledTimes(2);
+    expect(first.src).toBe('https://p.scdn.co/c.mp3');
+    expect(second.src).toBe('https://p.scdn.co/b.mp3');
+  });
+
+  it('should cut off a preview that is still fading out when the track changes again', async () => {
+    vi.useFakeTimers();
+    const queue = [track('a'), track('b'), track('c')];
+    await player.playAll(queue);
+    await player.next();
+    await vi.advanceTimersByTimeAsync(CROSSFADE_MS / 2);
+
+    await player.next();
+    const [first, second] = created;
+    expect(first.src).toBe('https://p.scdn.co/c.mp3');
+    expect(second.volume).toBeGreaterThan(0);
+
+    await vi.advanceTimersByTimeAsync(CROSSFADE_MS);
+    expect(second.src).toBe('');
+    expect(first.volume).toBeCloseTo(DEFAULT_VOLUME);
+  });
+
+  it('should start crossfading into the next preview before the current one ends', async () => {
+    vi.useFakeTimers();
+    await player.playAll([track('a'), track('b')]);
+    const [first] = created;
+
+    first.currentTime = 29;
+    first.emit('timeupdate');
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(player.currentTrack.id).toBe('b');
+    expect(created[1].play).toHaveBeenCalledTimes(1);
+
+    first.emit('ended');
+    await vi.advanceTimersByTimeAsync(CROSSFADE_MS);
+    expect(player.getState()).toMatchObject({ isPlaying: true, index: 1 });
+  });
+
+  it('should give up on a track change another one overtook', async () => {
+    vi.useFakeTimers();
+    const queue = [track('a'), track('b'), track('c')];
+    await player.playAll(queue);
+
+    const first = player.playTrack(queue[1], queue);
+    const second = player.playTrack(queue[2], queue);
+    await vi.advanceTimersByTimeAsync(CROSSFADE_MS);
+
+    expect(await first).toBe(false);
+    expect(await second).toBe(true);
+    expect(player.currentTrack.id).toBe('c');
+  });
+
+  it('should remember the volume', async () => {
+    player.setVolume(0.4);
+    await player.playAll([track('a')]);
+
+    expect(localStorage.setItem).toHaveBeenCalledWith('terera_preview_volume', '0.4');
+    expect(audio.volume).toBeCloseTo(0.4);
+
+    localStorage.getItem.mockReturnValue('0.4');
+    expect(new PreviewPlayer({ createAudio }).getState().volume).toBe(0.4);
+
+    localStorage.getItem.mockReturnValue('loud');
+    expect(new PreviewPlayer({ createAudio }).getState().volume).toBe(DEFAULT_VOLUME);
+  });
+
+  it('should report a preview that cannot play', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    createAudio.mockImplementation(() => {
+      audio = new FakeAudio();
+      audio.play.mockRejectedValue(new Error('NotAllowedError'));
+      return audio;
+    });
+
+    expect(await player.playAll([track('a')])).toBe(false);
+    expect(player.getState()).toMatchObject({ isPlaying: false, error: 'Could not play the preview' });
+  });
+
+  it('should tell subscribers about changes and stop cleanly', async () => {
+    const listener = vi.fn();
+    const unsubscribe = player.subscribe(listener);
+
+    await player.playAll([track('a')]);
+    player.stop();
+    unsubscribe();
+    player.setVolume(0.5);
+
+    expect(listener).toHaveBeenCalled();
+    expect(listener.mock.calls.at(-1)[0]).toMatchObject({ queue: [], index: -1, isPlaying: false });
+    expect(audio.pause).toHaveBeenCalled();
+    expect(audio.removeAttribute).toHaveBeenCalledWith('src');
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Tests for RecommendationDisplay component
+ */
+
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import RecommendationDisplay from '../../components/RecommendationDisplay.jsx';
+import { spotifyApi } from '../services/spotifyApi.js';
+
+vi.mock('../services/spotifyApi.js', () => ({
+  spotifyApi: {
+    createPlaylist: vi.fn(),
+  }
+}));
+
+vi.mock('../contexts/PlayerContext.jsx', () => ({
+  usePlayer: () => ({ canPlayFullTracks: false, playbackState: null, pause: vi.fn() })
+}));
+
+vi.mock('../contexts/PreviewPlayerContext.jsx', () => ({
+  usePreviewPlayer: () => ({ currentTrack: null, isPlaying: false, isLoading: false, error: null })
+}));
+
+const track = (id) => ({ id, name: `Track ${id}`, artists: [{ name: 'Artist' }] });
+
+describe('RecommendationDisplay', () => {
+  beforeEach(() => {
+    spotifyApi.createPlaylist.mockReset();
+    spotifyApi.createPlaylist.mockResolvedValue({ name: 'Calm', url: 'https://open.spotify.com/playlist/1' });
+  });
+
+  it('should save only the selected tracks as a playlist', async () => {
+    const tracks = [track('a'), track('b'), track('c')];
+    render(
+      <RecommendationDisplay
+        mood="calm"
+        recommendations={{ tracks, albums: [], playlistTracks: tracks }}
+      />
+    );
+
+    const checkbox = screen.getByLabelText('Include Track b in playlist');
+    expect(checkbox).toBeChecked();
+    fireEvent.click(checkbox);
+
+    fireEvent.click(screen.getByRole('button', { name: /Save 2 tracks as playlist/ }));
+
+    await waitFor(() => {
+      expect(spotifyApi.createPlaylist).toHaveBeenCalledWith(expect.objectContaining({ trackIds: ['a', 'c'] }));
+    });
+  });
+});
@@ -3,15 +3,16 @@
  * Tests for mood-based music recommendation functionality
  */
 
+import { describe, test, expect, vi, beforeEach } from 'vitest';
 import { recommendationService } from '../services/recommendationService.js';
 import { MOOD_MAPPINGS } from '../config/moodMappings.js';
 
 // Mock fetch for testing
-global.fetch = jest.fn();
+global.fetch = vi.fn();
 
 describe('RecommendationService', () => {
   beforeEach(() => {
-    fetch.mockClear();
+    fetch.mockReset();
   });
 
   describe('mapMoodToAudioFeatures', () => {
@@ -30,14 +31,21 @@ describe('RecommendationService', () => {
       expect(features).toEqual(MOOD_MAPPINGS.sad);
     });
 
-    test('should return default calm mood for unknown moods', () => {
+    test('should return neutral features for unknown moods', () => {
       const features = recommendationService.mapMoodToAudioFeatures('unknown_mood');
-      expect(features).toEqual(MOOD_MAPPINGS.calm);
+      expect(features.valence).toBe(0.5);
+      expect(features.energy).toBe(0.5);
     });
 
     test('should handle empty mood input', () => {
       const features = recommendationService.mapMoodToAudioFeatures('');
-      expect(features).toEqual(MOOD_MAPPINGS.calm);
+      expect(features.valence).toBe(0.5);
+      expect(features.energy).toBe(0.5);
+    });
+
+    test('should resolve synonyms the same way as MoodAnalysisService', () => {
+      const features = recommendationService.mapMoodToAudioFeatures('heartbroken');
+      expect(features).toEqual(MOOD_MAPPINGS.sad);
     });
   });
 
@@ -56,6 +64,11 @@ describe('RecommendationService', () => {
       const query = recommendationService.createMoodSearchQuery('SAD');
       expect(query).toBe('sad melancholy blues emotional');
     });
+
+    test('should use the search terms of the detected mood in a sentence', () => {
+      const query = recommendationService.createMoodSearchQuery('need motivation');
+      expect(query).toBe('motivation workout power anthem');
+    });
   });
 
   describe('extractAlbumsFromTracks', () => {
@@ -98,33 +111,43 @@ describe('RecommendationService', () => {
 
   describe('getRecommendationsByMood', () => {
     test('should successfully get recommendations for a mood', async () => {
-      // Mock successful API responses
-      fetch
-        .mockResolvedValueOnce({
-          ok: true,
-          json: () => Promise.resolve({
-            tracks: [
-              { id: '1', name: 'Happy Song', album: { id: 'a1', name: 'Happy Album' } }
-            ]
-          })
+      // Mock successful search response
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          tracks: { items: [{ id: '2', name: 'Search Song' }] },
+          albums: { items: [{ id: 'a2', name: 'Search Album' }] }
         })
-        .mockResolvedValueOnce({
-          ok: true,
-          json: () => Promise.resolve({
-            tracks: { items: [{ id: '2', name: 'Search Song' }] },
-            albums: { items: [{ id: 'a2', name: 'Search Album' }] }
-          })
-        });
+      });
 
       const result = await recommendationService.getRecommendationsByMood('happy');
 
       expect(result.mood).toBe('happy');
       expect(result.audioFeatures).toEqual(MOOD_MAPPINGS.happy);
+      expect(result.analysis.primaryEmotion).toBe('happy');
       expect(result.recommendations.tracks).toHaveLength(1);
       expect(result.searchResults.tracks).toHaveLength(1);
       expect(result.searchResults.albums).toHaveLength(1);
     });
 
+    test('should ask the server to rank results by the mood\'s audio features', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          tracks: { items: [{ id: '2', name: 'Search Song', moodScore: 0.9 }] },
+          albums: { items: [] },
+          ranked: true
+        })
+      });
+
+      const result = await recommendationService.getRecommendationsByMood('happy');
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+
+      expect(body.audioFeatures).toEqual(MOOD_MAPPINGS.happy);
+      expect(result.ranked).toBe(true);
+      expect(result.recommendations.tracks[0].moodScore).toBe(0.9);
+    });
+
     test('should handle API errors gracefully', async () => {
       fetch.mockRejectedValue(new Error('API Error'));
 
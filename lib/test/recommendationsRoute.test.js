@@ -0,0 +1,53 @@
+/**
+ * Unit tests for the recommendations API route
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { getAccessToken, spotifyFetch, selectSeedGenres } = vi.hoisted(() => ({
+  getAccessToken: vi.fn(),
+  spotifyFetch: vi.fn(),
+  selectSeedGenres: vi.fn()
+}));
+
+vi.mock('../server/spotifyTokens.js', () => ({ getAccessToken, spotifyFetch, getSession: vi.fn() }));
+vi.mock('../server/genreSeeds.js', () => ({ selectSeedGenres }));
+vi.mock('../server/market.js', () => ({ resolveMarket: async (market) => market || 'from_token' }));
+
+import { POST } from '../../app/api/spotify/recommendations/route.js';
+
+const artist = '4Z8W4fKeB5YxbusRsdQVPb';
+
+const post = (body) => POST(new Request('http://localhost/api/spotify/recommendations', {
+  method: 'POST',
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+}));
+
+describe('Recommendations route', () => {
+  beforeEach(() => {
+    getAccessToken.mockResolvedValue('token');
+    spotifyFetch.mockReset();
+    spotifyFetch.mockResolvedValue(new Response(JSON.stringify({ tracks: [] })));
+    selectSeedGenres.mockResolvedValue({ genres: ['jazz', 'ambient'], fallback: false });
+  });
+
+  it('should seed with a custom mood\'s artists alongside its genres', async () => {
+    const response = await post({
+      audioFeatures: { valence: 0.4 },
+      seedGenres: ['jazz', 'ambient'],
+      seedArtists: [artist, 'not-an-artist-id']
+    });
+
+    expect(response.status).toBe(200);
+    const params = new URL(spotifyFetch.mock.calls[0][0], 'https://api.spotify.com').searchParams;
+    expect(params.get('seed_artists')).toBe(artist);
+    expect(params.get('seed_genres')).toBe('jazz,ambient');
+  });
+
+  it('should reject a body that is not JSON', async () => {
+    const response = await post('{');
+
+    expect(response.status).toBe(400);
+    expect(spotifyFetch).not.toHaveBeenCalled();
+  });
+});
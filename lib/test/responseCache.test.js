@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the Spotify response caches
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const { spotifyFetch } = vi.hoisted(() => ({ spotifyFetch: vi.fn() }));
+
+vi.mock('../server/spotifyTokens.js', () => ({ spotifyFetch }));
+
+import { ResponseCache, audioFeaturesCache, bypassesCache } from '../server/responseCache.js';
+import { fetchAudioFeatures } from '../server/audioFeatures.js';
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+describe('Response cache', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should return cached values until they expire', async () => {
+    vi.useFakeTimers();
+    const cache = new ResponseCache('test', { maxEntries: 10, ttl: 60, persist: false });
+
+    await cache.set('a', { value: 1 });
+    expect(await cache.get('a')).toEqual({ value: 1 });
+
+    vi.advanceTimersByTime(60 * 1000);
+    expect(await cache.get('a')).toBeUndefined();
+  });
+
+  it('should drop the least recently used entry when full', async () => {
+    const cache = new ResponseCache('test', { maxEntries: 2, ttl: 60, persist: false });
+
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('b')).toBeUndefined();
+    expect(await cache.get('c')).toBe(3);
+  });
+
+  it('should cache null values', async () => {
+    const cache = new ResponseCache('test', { maxEntries: 2, ttl: 60, persist: false });
+
+    await cache.set('a', null);
+
+    expect(await cache.get('a')).toBeNull();
+  });
+
+  it('should reject unsafe names', () => {
+    expect(() => new ResponseCache('../etc', { maxEntries: 1, ttl: 1 })).toThrow('Invalid cache name');
+  });
+
+  describe('persistence', () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = mkdtempSync(path.join(tmpdir(), 'terera-'));
+      process.env.TERERA_DATA_DIR = dataDir;
+    });
+
+    afterEach(() => {
+      delete process.env.TERERA_DATA_DIR;
+      rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('should survive a restart', async () => {
+      const cache = new ResponseCache('test', { maxEntries: 10, ttl: 60, persist: true });
+      await cache.set('a', { value: 1 });
+      await cache.save();
+
+      const restarted = new ResponseCache('test', { maxEntries: 10, ttl: 60, persist: true });
+
+      expect(await restarted.get('a')).toEqual({ value: 1 });
+    });
+
+    it('should start empty without a cache file', async () => {
+      const cache = new ResponseCache('test', { maxEntries: 10, ttl: 60, persist: true });
+
+      expect(await cache.get('a')).toBeUndefined();
+    });
+  });
+
+  it('should let requests bypass the cache', () => {
+    const request = cacheControl => new Request('http://127.0.0.1:3000/api/spotify/search', {
+      method: 'POST',
+      headers: cacheControl ? { 'Cache-Control': cacheControl } : {}
+    });
+
+    expect(bypassesCache(request('no-cache'))).toBe(true);
+    expect(bypassesCache(request('max-age=0, no-store'))).toBe(true);
+    expect(bypassesCache(request())).toBe(false);
+  });
+});
+
+describe('Cached audio features', () => {
+  beforeEach(async () => {
+    spotifyFetch.mockReset();
+    await audioFeaturesCache.clear();
+  });
+
+  it('should only fetch features that are not cached', async () => {
+    spotifyFetch
+      .mockResolvedValueOnce(jsonResponse({ audio_features: [{ id: 't1', energy: 0.5 }, null] }))
+      .mockResolvedValueOnce(jsonResponse({ audio_features: [{ id: 't3', energy: 0.7 }] }));
+
+    await fetchAudioFeatures(['t1', 't2']);
+    const features = await fetchAudioFeatures(['t1', 't2', 't3']);
+
+    expect(spotifyFetch).toHaveBeenCalledTimes(2);
+    expect(spotifyFetch.mock.calls[1][0]).toBe('/audio-features?ids=t3');
+    expect(Object.keys(features)).toEqual(['t1', 't3']);
+  });
+
+  it('should refetch everything when asked for fresh features', async () => {
+    spotifyFetch.mockImplementation(async () => jsonResponse({ audio_features: [{ id: 't1', energy: 0.5 }] }));
+
+    await fetchAudioFeatures(['t1']);
+    await fetchAudioFeatures(['t1'], { fresh: true });
+
+    expect(spotifyFetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit tests for the search API route
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { getAccessToken, spotifyFetch, resolveMarket } = vi.hoisted(() => ({
+  getAccessToken: vi.fn(),
+  spotifyFetch: vi.fn(),
+  resolveMarket: vi.fn()
+}));
+
+vi.mock('../server/spotifyTokens.js', () => ({ getAccessToken, spotifyFetch, getSession: vi.fn() }));
+vi.mock('../server/market.js', () => ({ resolveMarket, TOKEN_MARKET: 'from_token' }));
+
+import { POST } from '../../app/api/spotify/search/route.js';
+import { searchCache } from '../server/responseCache.js';
+
+const search = () => POST(new Request('http://localhost/api/spotify/search', {
+  method: 'POST',
+  body: JSON.stringify({ query: 'calm', types: ['track'] })
+}));
+
+describe('Search route', () => {
+  beforeEach(async () => {
+    getAccessToken.mockResolvedValue('token');
+    spotifyFetch.mockReset();
+    spotifyFetch.mockImplementation(async () => new Response(JSON.stringify({ tracks: { items: [] } })));
+    await searchCache.clear();
+  });
+
+  it('should serve repeated searches in a market from the cache', async () => {
+    resolveMarket.mockResolvedValue('GB');
+
+    await search();
+    const response = await search();
+
+    expect(response.headers.get('X-Cache')).toBe('HIT');
+    expect(spotifyFetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not share from_token results between accounts', async () => {
+    resolveMarket.mockResolvedValue('from_token');
+
+    await search();
+    const response = await search();
+
+    expect(response.headers.get('X-Cache')).toBe('BYPASS');
+    expect(spotifyFetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the encrypted session store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  SessionStore,
+  MemorySessionBackend,
+  FileSessionBackend,
+  SESSION_MAX_AGE
+} from '../server/sessionStore.js';
+
+const record = {
+  userId: 'user-1',
+  accessToken: 'access',
+  refreshToken: 'refresh',
+  expiresAt: Date.now() + 3600 * 1000,
+  scopes: ['user-read-private']
+};
+
+describe('Session store', () => {
+  let backend;
+  let store;
+
+  beforeEach(() => {
+    process.env.TERERA_SECRET = 'test-secret';
+    backend = new MemorySessionBackend();
+    store = new SessionStore(backend);
+  });
+
+  afterEach(() => {
+    delete process.env.TERERA_SECRET;
+  });
+
+  it('should round-trip a session', async () => {
+    const id = await store.create(record);
+
+    expect(await store.get(id)).toEqual({ ...record, createdAt: expect.any(Number) });
+  });
+
+  it('should not store the session id or tokens in the clear', async () => {
+    const id = await store.create(record);
+    const [[key, entry]] = await backend.list();
+
+    expect(key).not.toBe(id);
+    expect(JSON.stringify(entry)).not.toContain('access');
+    expect(JSON.stringify(entry)).not.toContain('user-1');
+  });
+
+  it('should reject a tampered entry', async () => {
+    const id = await store.create(record);
+    const [[key, entry]] = await backend.list();
+    const data = Buffer.from(entry.record.data, 'base64');
+    data[0] ^= 1;
+    await backend.set(key, { ...entry, record: { ...entry.record, data: data.toString('base64') } });
+
+    expect(await store.get(id)).toBeNull();
+  });
+
+  it('should not decrypt with a different secret', async () => {
+    const id = await store.create(record);
+    process.env.TERERA_SECRET = 'other-secret';
+
+    expect(await store.get(id)).toBeNull();
+  });
+
+  it('should expire sessions', async () => {
+    const id = await store.create(record);
+    const [[key, entry]] = await backend.list();
+    await backend.set(key, { ...entry, expiresAt: Date.now() - 1 });
+
+    expect(await store.get(id)).toBeNull();
+    expect(await backend.list()).toEqual([]);
+    expect(entry.expiresAt).toBeGreaterThan(Date.now() + (SESSION_MAX_AGE - 60) * 1000);
+  });
+
+  it('should update a session', async () => {
+    const id = await store.create(record);
+
+    await store.update(id, { accessToken: 'new-access' });
+
+    expect((await store.get(id)).accessToken).toBe('new-access');
+    expect((await store.get(id)).refreshToken).toBe('refresh');
+  });
+
+  it('should end one session or all of a user\'s sessions', async () => {
+    const first = await store.create(record);
+    const second = await store.create(record);
+    const other = await store.create({ ...record, userId: 'user-2' });
+
+    await store.delete(first);
+    expect(await store.get(first)).toBeNull();
+    expect(await store.get(second)).not.toBeNull();
+
+    await store.deleteForUser('user-1');
+    expect(await store.get(second)).toBeNull();
+    expect(await store.get(other)).not.toBeNull();
+  });
+
+  it('should ignore unknown ids', async () => {
+    expect(await store.get('unknown')).toBeNull();
+    expect(await store.get(undefined)).toBeNull();
+    expect(await store.update('unknown', { accessToken: 'x' })).toBeNull();
+  });
+
+  describe('file backend', () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = mkdtempSync(path.join(tmpdir(), 'terera-'));
+      process.env.TERERA_DATA_DIR = dataDir;
+      store = new SessionStore(new FileSessionBackend());
+    });
+
+    afterEach(() => {
+      delete process.env.TERERA_DATA_DIR;
+      rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('should persist encrypted sessions to disk', async () => {
+      const id = await store.create(record);
+      const files = readdirSync(path.join(dataDir, 'sessions'));
+
+      expect(files).toHaveLength(1);
+      expect(readFileSync(path.join(dataDir, 'sessions', files[0]), 'utf8')).not.toContain('refresh');
+      expect((await new SessionStore(new FileSessionBackend()).get(id)).refreshToken).toBe('refresh');
+    });
+
+    it('should remove the file when a session ends', async () => {
+      const id = await store.create(record);
+
+      await store.delete(id);
+
+      expect(readdirSync(path.join(dataDir, 'sessions'))).toEqual([]);
+    });
+  });
+});
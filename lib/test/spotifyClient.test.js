@@ -0,0 +1,160 @@
+/**
+ * Unit tests for the Spotify Web API client
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { sendSpotifyRequest, toSpotifyError, parseRetryAfter } from '../server/spotifyClient.js';
+
+global.fetch = vi.fn();
+
+const jsonResponse = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), { status, headers });
+
+describe('Spotify client', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    // No jitter, so backoff waits are zero
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('should send the access token to the API base URL', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({ id: 'user-1' }));
+
+    await sendSpotifyRequest('/me', 'token');
+
+    expect(fetch.mock.calls[0][0]).toBe('https://api.spotify.com/v1/me');
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer token');
+    expect(fetch.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+  });
+
+  it('should retry server errors on GET requests', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({}, 503))
+      .mockResolvedValueOnce(jsonResponse({}, 502))
+      .mockResolvedValueOnce(jsonResponse({ id: 'user-1' }));
+
+    const response = await sendSpotifyRequest('/me', 'token');
+
+    expect(response.status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should release the body of each response it retries', async () => {
+    const failed = jsonResponse({}, 503);
+    const cancel = vi.spyOn(failed.body, 'cancel');
+    fetch
+      .mockResolvedValueOnce(failed)
+      .mockResolvedValueOnce(jsonResponse({ id: 'user-1' }));
+
+    const response = await sendSpotifyRequest('/me', 'token');
+
+    expect(cancel).toHaveBeenCalled();
+    expect(await response.json()).toEqual({ id: 'user-1' });
+  });
+
+  it('should stop retrying after the retry limit', async () => {
+    fetch.mockResolvedValue(jsonResponse({}, 500));
+
+    const response = await sendSpotifyRequest('/me', 'token');
+
+    expect(response.status).toBe(500);
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+
+  it('should not repeat a POST after a server error', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({}, 500));
+
+    const response = await sendSpotifyRequest('/users/u/playlists', 'token', { method: 'POST', body: '{}' });
+
+    expect(response.status).toBe(500);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should wait for Retry-After before retrying', async () => {
+    vi.useFakeTimers();
+    fetch
+      .mockResolvedValueOnce(jsonResponse({}, 429, { 'Retry-After': '2' }))
+      .mockResolvedValueOnce(jsonResponse({ id: 'user-1' }));
+
+    const pending = sendSpotifyRequest('/me', 'token', { method: 'POST' });
+    await vi.advanceTimersByTimeAsync(1900);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect((await pending).status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should return a 429 straight away when Retry-After is too long to wait', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({}, 429, { 'Retry-After': '60' }));
+
+    const response = await sendSpotifyRequest('/me', 'token');
+
+    expect(response.status).toBe(429);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should turn network failures into a 502', async () => {
+    fetch.mockRejectedValue(new TypeError('fetch failed'));
+
+    const response = await sendSpotifyRequest('/me', 'token');
+
+    expect(response.status).toBe(502);
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+
+  it('should cap concurrent requests per user', async () => {
+    const resolvers = [];
+    fetch.mockImplementation(() => new Promise(resolve => resolvers.push(resolve)));
+
+    const requests = Array.from({ length: 5 }, () => sendSpotifyRequest('/me', 'token', { userKey: 'user-1' }));
+    const other = sendSpotifyRequest('/me', 'token', { userKey: 'user-2' });
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(5));
+
+    resolvers[0](jsonResponse({}));
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(6));
+
+    resolvers.slice(1).forEach(resolve => resolve(jsonResponse({})));
+    await Promise.all([...requests, other]);
+  });
+
+  describe('errors', () => {
+    it('should map Spotify errors to a code and message', async () => {
+      const error = await toSpotifyError(jsonResponse({ error: { status: 403, message: 'Premium required' } }, 403));
+
+      expect(error).toEqual({
+        error: 'Spotify does not allow this for your account',
+        code: 'forbidden',
+        status: 403,
+        details: 'Premium required'
+      });
+    });
+
+    it('should include how long to wait when rate limited', async () => {
+      const error = await toSpotifyError(jsonResponse({}, 429, { 'Retry-After': '30' }));
+
+      expect(error.code).toBe('rate_limited');
+      expect(error.retryAfter).toBe(30);
+      expect(error.error).toContain('30 seconds');
+    });
+
+    it('should fall back to a generic code for other statuses', async () => {
+      const error = await toSpotifyError(new Response('not json', { status: 418 }));
+
+      expect(error).toEqual({ error: 'Spotify API error: 418', code: 'spotify_error', status: 418 });
+    });
+
+    it('should parse Retry-After as seconds or a date', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter(new Date(Date.now() + 5000).toUTCString())).toBeGreaterThan(3000);
+      expect(parseRetryAfter('soon')).toBeNull();
+      expect(parseRetryAfter(null)).toBeNull();
+    });
+  });
+});
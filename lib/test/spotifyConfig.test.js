@@ -0,0 +1,81 @@
+/**
+ * Unit tests for redirect URI configuration
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  CALLBACK_PATH,
+  getAllowedOrigins,
+  getRedirectUri,
+  getRequestOrigin,
+  validateRedirectUri
+} from '../config/spotify.js';
+
+const ENV_KEYS = ['SPOTIFY_REDIRECT_URI', 'APP_BASE_URL', 'APP_ALLOWED_ORIGINS'];
+
+describe('Redirect URI configuration', () => {
+  afterEach(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    vi.restoreAllMocks();
+  });
+
+  it('should default to the local dev server', () => {
+    expect(getRedirectUri()).toBe(`http://127.0.0.1:3000${CALLBACK_PATH}`);
+  });
+
+  it('should prefer SPOTIFY_REDIRECT_URI over everything else', () => {
+    process.env.SPOTIFY_REDIRECT_URI = `https://terera.app${CALLBACK_PATH}`;
+    process.env.APP_BASE_URL = 'https://staging.terera.app';
+
+    expect(getRedirectUri('https://staging.terera.app')).toBe(`https://terera.app${CALLBACK_PATH}`);
+  });
+
+  it('should use APP_BASE_URL without a request', () => {
+    process.env.APP_BASE_URL = 'https://staging.terera.app/';
+    expect(getRedirectUri()).toBe(`https://staging.terera.app${CALLBACK_PATH}`);
+  });
+
+  it('should follow allowed request origins', () => {
+    process.env.APP_ALLOWED_ORIGINS = 'http://192.168.1.20:3000, https://staging.terera.app';
+
+    expect(getRedirectUri('http://192.168.1.20:3000')).toBe(`http://192.168.1.20:3000${CALLBACK_PATH}`);
+    expect(getRedirectUri('https://127.0.0.1:3000')).toBe(`https://127.0.0.1:3000${CALLBACK_PATH}`);
+    expect(getAllowedOrigins()).toContain('https://staging.terera.app');
+  });
+
+  it('should reject origins that are not allowed', () => {
+    expect(() => getRedirectUri('https://evil.example')).toThrow('is not allowed');
+  });
+
+  it('should read the origin from proxy headers', () => {
+    process.env.APP_ALLOWED_ORIGINS = 'https://staging.terera.app';
+    const request = new Request('http://10.0.0.5:3000/api/auth/login', {
+      headers: { 'x-forwarded-host': 'staging.terera.app', 'x-forwarded-proto': 'https' }
+    });
+
+    expect(getRequestOrigin(request)).toBe('https://staging.terera.app');
+    expect(getRequestOrigin(new Request('http://127.0.0.1:3000/api/auth/login'))).toBe('http://127.0.0.1:3000');
+  });
+
+  it('should not trust origins that are not allowed', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const spoofed = new Request('http://127.0.0.1:3000/api/auth/login', {
+      headers: { 'x-forwarded-host': 'evil.example', 'x-forwarded-proto': 'https' }
+    });
+
+    expect(getRequestOrigin(spoofed)).toBe('http://127.0.0.1:3000');
+    expect(getRequestOrigin(new Request('http://10.0.0.5:3000/api/auth/login'))).toBe('http://127.0.0.1:3000');
+
+    process.env.APP_BASE_URL = 'https://terera.app';
+    expect(getRequestOrigin(spoofed)).toBe('https://terera.app');
+  });
+
+  it('should only accept redirect URIs Spotify allows', () => {
+    expect(validateRedirectUri(`http://127.0.0.1:3000${CALLBACK_PATH}`)).toEqual([]);
+    expect(validateRedirectUri(`https://terera.app${CALLBACK_PATH}`)).toEqual([]);
+    expect(validateRedirectUri(`http://localhost:3000${CALLBACK_PATH}`)[0]).toMatch('127.0.0.1');
+    expect(validateRedirectUri(`http://192.168.1.20:3000${CALLBACK_PATH}`)[0]).toMatch('https');
+    expect(validateRedirectUri('https://terera.app/callback')[0]).toMatch(CALLBACK_PATH);
+    expect(validateRedirectUri('not a url')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for session-backed token refresh and retry
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const cookieStore = vi.hoisted(() => {
+  const values = new Map();
+  return {
+    values,
+    get: vi.fn(name => (values.has(name) ? { name, value: values.get(name) } : undefined)),
+    set: vi.fn((name, value) => values.set(name, value)),
+    delete: vi.fn(name => values.delete(name))
+  };
+});
+
+vi.mock('next/headers', () => ({
+  cookies: async () => cookieStore
+}));
+
+import {
+  SESSION_COOKIE,
+  getAccessToken,
+  getSession,
+  refreshTokens,
+  spotifyFetch,
+  startSession
+} from '../server/spotifyTokens.js';
+import { sessionStore } from '../server/sessionStore.js';
+
+global.fetch = vi.fn();
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+describe('Spotify tokens', () => {
+  let sessionId;
+
+  beforeEach(async () => {
+    process.env.TERERA_SECRET = 'test-secret';
+    process.env.TERERA_SESSION_STORE = 'memory';
+
+    fetch.mockReset();
+    cookieStore.values.clear();
+    sessionId = await startSession(cookieStore, {
+      access_token: 'old-access',
+      refresh_token: 'refresh',
+      expires_in: 3600,
+      scope: 'user-read-private user-read-email'
+    }, { userId: 'user-1', country: 'ZA' });
+    cookieStore.set.mockClear();
+  });
+
+  afterEach(async () => {
+    await sessionStore.deleteForUser('user-1');
+    delete process.env.TERERA_SECRET;
+    delete process.env.TERERA_SESSION_STORE;
+  });
+
+  it('should only give the browser an opaque session id', async () => {
+    expect([...cookieStore.values.keys()]).toEqual([SESSION_COOKIE]);
+    expect(sessionId).not.toContain('access');
+
+    const { record } = await getSession();
+    expect(record).toMatchObject({ userId: 'user-1', country: 'ZA', accessToken: 'old-access', scopes: ['user-read-private', 'user-read-email'] });
+  });
+
+  it('should store new tokens on refresh', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({ access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 }));
+
+    const session = await refreshTokens();
+
+    expect(session.accessToken).toBe('new-access');
+    expect((await sessionStore.get(sessionId)).refreshToken).toBe('new-refresh');
+    expect(cookieStore.set).not.toHaveBeenCalled();
+  });
+
+  it('should keep the refresh token when Spotify does not issue a new one', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({ access_token: 'new-access', expires_in: 3600 }));
+
+    await refreshTokens();
+
+    expect((await sessionStore.get(sessionId)).refreshToken).toBe('refresh');
+  });
+
+  it('should share one refresh between parallel requests', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({ access_token: 'new-access', expires_in: 3600 }));
+
+    const [first, second] = await Promise.all([refreshTokens(), refreshTokens()]);
+
+    expect(first.accessToken).toBe('new-access');
+    expect(second.accessToken).toBe('new-access');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should end the session when the refresh token is rejected', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({ error: 'invalid_grant' }, 400));
+
+    expect(await refreshTokens()).toBeNull();
+    expect(await sessionStore.get(sessionId)).toBeNull();
+    expect(cookieStore.values.size).toBe(0);
+  });
+
+  it('should refresh an access token that is about to expire', async () => {
+    await sessionStore.update(sessionId, { expiresAt: Date.now() + 1000 });
+    fetch.mockResolvedValueOnce(jsonResponse({ access_token: 'new-access', expires_in: 3600 }));
+
+    expect(await getAccessToken()).toBe('new-access');
+  });
+
+  it('should refresh and retry once on 401', async () => {
+    const rejected = jsonResponse({ error: { status: 401 } }, 401);
+    const cancel = vi.spyOn(rejected.body, 'cancel');
+    fetch
+      .mockResolvedValueOnce(rejected)
+      .mockResolvedValueOnce(jsonResponse({ access_token: 'new-access', expires_in: 3600 }))
+      .mockResolvedValueOnce(jsonResponse({ id: 'user-1' }));
+
+    const response = await spotifyFetch('https://api.spotify.com/v1/me');
+
+    expect(response.status).toBe(200);
+    expect(cancel).toHaveBeenCalled();
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer old-access');
+    expect(fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer new-access');
+  });
+
+  it('should give up after one retry', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({}, 401))
+      .mockResolvedValueOnce(jsonResponse({ access_token: 'new-access', expires_in: 3600 }))
+      .mockResolvedValueOnce(jsonResponse({}, 401));
+
+    const response = await spotifyFetch('https://api.spotify.com/v1/me');
+
+    expect(response.status).toBe(401);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not use the tokens of an ended session', async () => {
+    await sessionStore.deleteForUser('user-1');
+
+    expect(await getAccessToken()).toBeNull();
+    expect(await refreshTokens()).toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+    expect(cookieStore.values.has(SESSION_COOKIE)).toBe(false);
+  });
+
+  it('should ignore an unknown session id', async () => {
+    cookieStore.values.set(SESSION_COOKIE, 'user-1:forged');
+
+    expect(await getAccessToken()).toBeNull();
+  });
+
+  it('should return 401 without a session', async () => {
+    cookieStore.values.clear();
+
+    const response = await spotifyFetch('https://api.spotify.com/v1/me');
+
+    expect(response.status).toBe(401);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
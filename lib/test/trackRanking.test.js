@@ -0,0 +1,141 @@
+/**
+ * Unit tests for ranking search results by mood fit
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  scoreTrackFeatures,
+  rankTracks,
+  rankAlbums,
+  describeFeature,
+  findMatchedFeatures
+} from '../services/trackRanking.js';
+import { MOOD_MAPPINGS } from '../config/moodMappings.js';
+
+const target = MOOD_MAPPINGS.happy;
+
+const track = (id, albumId = `album-${id}`) => ({ id, name: `Track ${id}`, album: { id: albumId } });
+
+describe('scoreTrackFeatures', () => {
+  it('should give an exact match a perfect score', () => {
+    expect(scoreTrackFeatures({ ...target }, target)).toBe(1);
+  });
+
+  it('should score closer tracks higher', () => {
+    const close = scoreTrackFeatures({ ...target, valence: target.valence - 0.1 }, target);
+    const far = scoreTrackFeatures(MOOD_MAPPINGS.sad, target);
+
+    expect(close).toBeGreaterThan(far);
+    expect(far).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should put tempo on the same scale as other features', () => {
+    const offByTenBpm = scoreTrackFeatures({ ...target, tempo: target.tempo + 10 }, target);
+    expect(offByTenBpm).toBeGreaterThan(0.95);
+  });
+
+  it('should return null without features', () => {
+    expect(scoreTrackFeatures(undefined, target)).toBeNull();
+    expect(scoreTrackFeatures({}, target)).toBeNull();
+  });
+});
+
+describe('rankTracks', () => {
+  const featuresById = {
+    a: MOOD_MAPPINGS.sad,
+    b: { ...target },
+    c: MOOD_MAPPINGS.excited
+  };
+
+  it('should sort tracks by fit and attach the score', () => {
+    const ranked = rankTracks([track('a'), track('b'), track('c')], featuresById, target);
+
+    expect(ranked.map(({ id }) => id)).toEqual(['b', 'c', 'a']);
+    expect(ranked[0].moodScore).toBe(1);
+  });
+
+  it('should put tracks without features last', () => {
+    const ranked = rankTracks([track('x'), track('b')], featuresById, target);
+
+    expect(ranked.map(({ id }) => id)).toEqual(['b', 'x']);
+    expect(ranked[1].moodScore).toBeNull();
+  });
+
+  it('should drop outliers once enough tracks remain', () => {
+    const tracks = Array.from({ length: 10 }, (_, index) => track(`good-${index}`));
+    const features = Object.fromEntries(tracks.map(({ id }) => [id, { ...target }]));
+    tracks.push(track('outlier'));
+    features.outlier = { valence: 0, energy: 0, danceability: 0, acousticness: 1, instrumentalness: 1, tempo: 220 };
+
+    const ranked = rankTracks(tracks, features, target);
+
+    expect(ranked).toHaveLength(10);
+    expect(ranked.find(({ id }) => id === 'outlier')).toBeUndefined();
+  });
+
+  it('should never filter below the minimum number of results', () => {
+    const ranked = rankTracks([track('a'), track('b')], featuresById, target);
+    expect(ranked).toHaveLength(2);
+  });
+});
+
+describe('rankAlbums', () => {
+  it('should score albums by their ranked tracks', () => {
+    const rankedTracks = rankTracks([track('a', 'sad-album'), track('b', 'happy-album')], {
+      a: MOOD_MAPPINGS.sad,
+      b: { ...target }
+    }, target);
+
+    const albums = rankAlbums([{ id: 'other' }, { id: 'sad-album' }, { id: 'happy-album' }], rankedTracks);
+
+    expect(albums.map(({ id }) => id)).toEqual(['happy-album', 'sad-album', 'other']);
+    expect(albums[0].moodScore).toBe(1);
+    expect(albums[2].moodScore).toBeNull();
+  });
+
+  it('should explain albums with their best track', () => {
+    const source = { type: 'search', query: 'happy upbeat' };
+    const rankedTracks = rankTracks([track('b', 'happy-album')], { b: { ...target } }, target, source);
+
+    const [album, other] = rankAlbums([{ id: 'happy-album' }, { id: 'other' }], rankedTracks, source);
+
+    expect(album.explanation.matchedFeatures).toEqual(rankedTracks[0].explanation.matchedFeatures);
+    expect(album.explanation.score).toBe(1);
+    expect(other.explanation).toEqual({ score: null, matchedFeatures: [], source, summary: '' });
+  });
+});
+
+describe('explanations', () => {
+  it('should describe feature levels in words', () => {
+    expect(describeFeature('energy', 0.21)).toBe('low energy 0.21');
+    expect(describeFeature('acousticness', 0.84)).toBe('high acousticness 0.84');
+    expect(describeFeature('valence', 0.5)).toBe('medium positivity 0.50');
+    expect(describeFeature('tempo', 142.4)).toBe('fast tempo 142 BPM');
+  });
+
+  it('should list only features close to the target, closest first', () => {
+    const features = { ...target, valence: target.valence - 0.05, energy: target.energy - 0.5, tempo: target.tempo + 1 };
+    const matched = findMatchedFeatures(features, target);
+
+    expect(matched).toHaveLength(3);
+    expect(matched.map(({ feature }) => feature)).not.toContain('energy');
+    expect(matched.map(({ feature }) => feature)).not.toContain('valence');
+    expect(matched[0]).toMatchObject({ feature: 'danceability', target: target.danceability });
+  });
+
+  it('should attach the score, matched features and source to ranked tracks', () => {
+    const source = { type: 'search', query: 'happy upbeat' };
+    const [ranked] = rankTracks([track('b')], { b: { ...target } }, target, source);
+
+    expect(ranked.explanation.score).toBe(1);
+    expect(ranked.explanation.source).toEqual(source);
+    expect(ranked.explanation.summary).toBe(ranked.explanation.matchedFeatures.map(({ label }) => label).join(', '));
+  });
+
+  it('should still explain tracks without features by their source', () => {
+    const source = { type: 'search', query: 'happy' };
+    const [ranked] = rankTracks([track('x')], {}, target, source);
+
+    expect(ranked.explanation).toEqual({ score: null, matchedFeatures: [], source, summary: '' });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit tests for the per-user data store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { userDataStore } from '../server/userDataStore.js';
+
+describe('UserDataStore', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = mkdtempSync(path.join(tmpdir(), 'terera-'));
+    process.env.TERERA_DATA_DIR = dataDir;
+  });
+
+  afterEach(() => {
+    delete process.env.TERERA_DATA_DIR;
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should return the fallback when nothing is stored', async () => {
+    expect(await userDataStore.read('user-1', 'custom-moods', [])).toEqual([]);
+  });
+
+  it('should keep each user\'s data separate', async () => {
+    await userDataStore.write('user-1', 'custom-moods', [{ name: 'one' }]);
+    await userDataStore.write('user-2', 'custom-moods', [{ name: 'two' }]);
+
+    expect(await userDataStore.read('user-1', 'custom-moods')).toEqual([{ name: 'one' }]);
+    expect(await userDataStore.read('user-2', 'custom-moods')).toEqual([{ name: 'two' }]);
+  });
+
+  it('should apply concurrent updates in order', async () => {
+    await Promise.all([1, 2, 3].map(n =>
+      userDataStore.update('user-1', 'custom-moods', list => [...list, n], [])
+    ));
+
+    expect(await userDataStore.read('user-1', 'custom-moods')).toEqual([1, 2, 3]);
+  });
+
+  it('should remove a collection', async () => {
+    await userDataStore.write('user-1', 'custom-moods', [1]);
+    await userDataStore.remove('user-1', 'custom-moods');
+
+    expect(await userDataStore.read('user-1', 'custom-moods', null)).toBeNull();
+  });
+
+  it('should reject unsafe collection names', () => {
+    expect(() => userDataStore.filePath('user-1', '../secrets')).toThrow('Invalid collection name');
+  });
+});
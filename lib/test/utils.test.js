@@ -0,0 +1,14 @@
+/**
+ * Unit tests for shared helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+import { uniqueById } from '../utils.js';
+
+describe('uniqueById', () => {
+  it('should keep the first item with each id, in order', () => {
+    const items = [{ id: 'a', n: 1 }, { id: 'b' }, { id: 'a', n: 2 }, null, { name: 'no id' }, { id: 'c' }];
+
+    expect(uniqueById(items)).toEqual([{ id: 'a', n: 1 }, { id: 'b' }, { id: 'c' }]);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for loading and reading the Web Playback SDK
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+describe('Web Playback SDK', () => {
+  let webPlayback;
+
+  beforeEach(async () => {
+    // The loader remembers the script it added, so each test gets a fresh module
+    vi.resetModules();
+    webPlayback = await import('../services/webPlayback.js');
+  });
+
+  afterEach(() => {
+    delete window.Spotify;
+    delete window.onSpotifyWebPlaybackSDKReady;
+    document.querySelectorAll('script').forEach(script => script.remove());
+  });
+
+  describe('loadWebPlaybackSdk', () => {
+    it('should add the SDK script once and resolve when it is ready', async () => {
+      const first = webPlayback.loadWebPlaybackSdk();
+      const second = webPlayback.loadWebPlaybackSdk();
+
+      const scripts = document.querySelectorAll(`script[src="${webPlayback.SDK_URL}"]`);
+      expect(scripts).toHaveLength(1);
+
+      window.Spotify = { Player: class {} };
+      window.onSpotifyWebPlaybackSDKReady();
+
+      await expect(first).resolves.toBe(window.Spotify);
+      await expect(second).resolves.toBe(window.Spotify);
+    });
+
+    it('should not add the script if the SDK is already loaded', async () => {
+      window.Spotify = { Player: class {} };
+
+      await expect(webPlayback.loadWebPlaybackSdk()).resolves.toBe(window.Spotify);
+      expect(document.querySelectorAll('script')).toHaveLength(0);
+    });
+
+    it('should let a failed load be retried', async () => {
+      const loading = webPlayback.loadWebPlaybackSdk();
+      document.querySelector('script').onerror();
+
+      await expect(loading).rejects.toThrow('Could not load the Spotify player');
+
+      webPlayback.loadWebPlaybackSdk();
+      expect(document.querySelectorAll('script')).toHaveLength(1);
+    });
+  });
+
+  describe('toPlaybackState', () => {
+    it('should return null when nothing is loaded', () => {
+      expect(webPlayback.toPlaybackState(null)).toBeNull();
+      expect(webPlayback.toPlaybackState({ track_window: {} })).toBeNull();
+    });
+
+    it('should keep the id the track was asked for under', () => {
+      const state = webPlayback.toPlaybackState({
+        paused: true,
+        position: 5000,
+        duration: 180000,
+        track_window: {
+          current_track: {
+            id: 'relinked',
+            linked_from: { id: 'original' },
+            name: 'Song',
+            artists: [{ name: 'A' }, { name: 'B' }],
+            album: { images: [{ url: 'cover.jpg' }] }
+          },
+          next_tracks: [],
+          previous_tracks: [{ id: 'before' }]
+        }
+      });
+
+      expect(state).toMatchObject({
+        trackId: 'original',
+        name: 'Song',
+        artists: ['A', 'B'],
+        image: 'cover.jpg',
+        paused: true,
+        position: 5000,
+        duration: 180000,
+        hasNext: false,
+        hasPrevious: true
+      });
+    });
+  });
+});
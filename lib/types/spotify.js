@@ -28,6 +28,9 @@
  * @property {number} total_tracks - The number of tracks in the album
  * @property {Object} external_urls - External URLs for this album
  * @property {string} external_urls.spotify - The Spotify URL for the album
+ * @property {{items: SpotifyTrack[]}} [tracks] - The album's tracks, only on full album objects
+ * @property {number|null} [moodScore] - Fit to the mood's audio features (0.0 to 1.0), set when results are ranked
+ * @property {RecommendationExplanation} [explanation] - Why this item was recommended for the mood
  */
 
 /**
@@ -40,6 +43,41 @@
  * @property {string|null} preview_url - A link to a 30 second preview (MP3 format) of the track
  * @property {Object} external_urls - External URLs for this track
  * @property {string} external_urls.spotify - The Spotify URL for the track
+ * @property {number|null} [moodScore] - Fit to the mood's audio features (0.0 to 1.0), set when results are ranked
+ * @property {RecommendationExplanation} [explanation] - Why this item was recommended for the mood
+ */
+
+/**
+ * @typedef {Object} RecommendationSource
+ * @property {'search'|'seed'} type - How the item was found
+ * @property {string} [query] - The search query, for search results
+ * @property {Object} [seeds] - The seeds used, for recommendations
+ * @property {string[]} [seeds.genres] - Seed genres
+ * @property {string[]} [seeds.tracks] - Names of the user's tracks used as seeds
+ * @property {string[]} [seeds.artists] - Names of the user's artists used as seeds
+ */
+
+/**
+ * @typedef {Object} PersonalSeeds
+ * @property {Array<{id: string, name: string}>} tracks - The user's tracks that best fit the mood
+ * @property {Array<{id: string, name: string}>} artists - The user's artists that best fit the mood
+ * @property {string[]} missingScopes - Scopes the session lacks; sources needing them were skipped
+ */
+
+/**
+ * @typedef {Object} MatchedFeature
+ * @property {string} feature - Audio feature name, e.g. "energy"
+ * @property {number} value - The item's value for the feature
+ * @property {number} target - The mood's target value
+ * @property {string} label - Readable description, e.g. "low energy 0.21"
+ */
+
+/**
+ * @typedef {Object} RecommendationExplanation
+ * @property {number|null} score - Fit to the mood's audio features (0.0 to 1.0), null when unknown
+ * @property {MatchedFeature[]} matchedFeatures - Features closest to the mood's targets, closest first
+ * @property {RecommendationSource|null} source - The search term or seeds that produced the item
+ * @property {string} summary - The matched features joined into one line
  */
 
 /**
@@ -76,23 +114,119 @@
  * @property {string} refresh_token - A token that can be sent to the Spotify Accounts service to obtain a new access token
  */
 
+/**
+ * @typedef {Object} SpotifyApiError
+ * @property {string} error - Message that can be shown to the user
+ * @property {string} code - Machine-readable reason: "bad_request", "not_authenticated", "forbidden",
+ *   "not_found", "rate_limited", "unavailable", "timeout", "spotify_error", or "missing_scope" when the
+ *   session was granted before a feature's scope was requested
+ * @property {number} status - HTTP status
+ * @property {number} [retryAfter] - Seconds to wait before trying again, when Spotify said
+ * @property {string} [details] - Spotify's own error message
+ */
+
+/**
+ * @typedef {Object} SpotifySession
+ * @property {string} userId - Spotify user id of the signed-in user
+ * @property {string|null} [country] - Country of the account, the default market
+ * @property {string} accessToken - Current access token
+ * @property {string} refreshToken - Refresh token for getting new access tokens
+ * @property {number} expiresAt - When the access token expires, in ms since the epoch
+ * @property {string[]} scopes - Scopes the user granted
+ * @property {number} createdAt - When the user logged in, in ms since the epoch
+ */
+
+/**
+ * @typedef {Object} PlaybackState
+ * @property {string} trackId - Spotify id of the track playing
+ * @property {string} name - Track name
+ * @property {string[]} artists - Artist names
+ * @property {string|null} image - Cover art URL
+ * @property {boolean} paused - Whether playback is paused
+ * @property {number} position - Position in the track when the state was read, in ms
+ * @property {number} duration - Track length in ms
+ * @property {boolean} hasNext - Whether there is a track to skip to
+ * @property {boolean} hasPrevious - Whether there is a track to go back to
+ * @property {number} updatedAt - When the state was read, in ms since the epoch
+ * @property {PlaybackDevice|null} [device] - Device it is playing on, for remote playback
+ */
+
+/**
+ * @typedef {Object} PreviewPlayerState
+ * @property {SpotifyTrack[]} queue - Tracks with previews, in play order
+ * @property {number} index - Position of the current track in the queue, -1 when empty
+ * @property {boolean} isPlaying - Whether a preview is playing
+ * @property {boolean} isLoading - Whether the current preview is still loading
+ * @property {number} position - Position in the current preview, in ms
+ * @property {number} duration - Length of the current preview, in ms
+ * @property {number} volume - Volume the user picked (0.0 to 1.0)
+ * @property {string|null} error - Why the current preview couldn't play
+ */
+
+/**
+ * @typedef {Object} PlaybackDevice
+ * @property {string} id - Spotify device id
+ * @property {string} name - Device name, e.g. "Kitchen speaker"
+ * @property {string} type - Kind of device, e.g. "Computer", "Smartphone" or "Speaker"
+ * @property {boolean} isActive - Whether it is the user's current device
+ * @property {boolean} isRestricted - Whether it refuses remote control
+ * @property {number|null} volume - Volume percent, null if unknown
+ */
+
 /**
  * @typedef {Object} MoodSearchHistory
  * @property {string} id - Unique identifier for the search
  * @property {string} mood - The mood that was searched
- * @property {Date} timestamp - When the search was performed
+ * @property {string} timestamp - When the search was performed, as an ISO timestamp
  * @property {Object} recommendations - The recommendations returned
  * @property {SpotifyAlbum[]} recommendations.albums - Album recommendations
  * @property {SpotifyTrack[]} recommendations.tracks - Track recommendations
  * @property {AudioFeatures} audioFeatures - The audio features used for the search
+ * @property {boolean} [local] - Kept only in this browser, because the server couldn't be reached
+ */
+
+/**
+ * @typedef {Object} DetectedEmotion
+ * @property {string} mood - The canonical mood name
+ * @property {number} weight - Share of the input attributed to this mood (weights sum to 1.0)
+ * @property {number} intensity - How strongly the mood was expressed (0.0 to 1.0), after negation and degree modifiers
+ * @property {string[]} terms - The words or phrases in the input that matched this mood
+ */
+
+/**
+ * @typedef {Object} MoodCoordinates
+ * @property {number} valence - Position on the negative-positive axis (0.0 to 1.0)
+ * @property {number} energy - Position on the calm-intense axis (0.0 to 1.0)
+ */
+
+/**
+ * @typedef {Object} MoodComponent
+ * @property {string} mood - The canonical mood name
+ * @property {number} weight - Contribution to the blended audio features (weights sum to 1.0)
  */
 
 /**
  * @typedef {Object} MoodAnalysis
  * @property {string} primaryEmotion - The primary emotion detected
  * @property {number} intensity - The intensity of the emotion (0.0 to 1.0)
- * @property {AudioFeatures} audioFeatures - The corresponding audio features
+ * @property {AudioFeatures} audioFeatures - The corresponding audio features, blended across components
  * @property {string[]} searchTerms - Terms to use in Spotify search
+ * @property {DetectedEmotion[]} emotions - Every emotion found in the input, strongest first
+ * @property {MoodComponent[]} components - The moods blended into audioFeatures and their weights
+ * @property {MoodCoordinates} coordinates - Where the analysis lands on the valence/energy plane
+ * @property {string} [locale] - Language the input was read as, e.g. "en" or "zu"
+ */
+
+/**
+ * @typedef {Object} CustomMood
+ * @property {string} id - Unique id of the custom mood
+ * @property {string} name - Lowercase mood name, e.g. "rainy sunday"
+ * @property {string[]} synonyms - Other words that mean this mood
+ * @property {AudioFeatures} features - Audio feature targets for the mood
+ * @property {string[]} seedGenres - Spotify seed genres (up to 5)
+ * @property {string[]} seedArtists - Spotify artist ids (up to 5)
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
  */
 
 export {};
\ No newline at end of file
@@ -4,3 +4,13 @@ import { twMerge } from "tailwind-merge"
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
+
+/**
+ * Keep the first item with each id, dropping items without one
+ * @param {Array<{id: string}>} items - Spotify objects, e.g. tracks
+ * @returns {Array<{id: string}>} Items in their original order, once each
+ */
+export function uniqueById(items = []) {
+  const seen = new Set();
+  return items.filter(item => item?.id && !seen.has(item.id) && seen.add(item.id));
+}